@@ -6,107 +6,224 @@ const fs = require("fs");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const { openStore } = require("./storage");
+const { IMPORT_META_KEY } = require("./storage/migrate-json");
+const { createPaymentProvider } = require("./payments");
+const { createMailer } = require("./mailer");
+const { createRateLimitStore } = require("./ratelimit");
+const sharp = require("sharp");
 
 console.log("=== DEBUG: BACKEND FILE LOADED ===");
 console.log("RUNNING BACKEND FROM:", __dirname);
-console.log("DATA FILE PATH:", path.join(__dirname, "data.json"));
 
 const app = express();
-const PORT = 4000;
+const PORT = Number(process.env.PORT) || 4000;
 
-// Allow JSON bodies
-app.use(express.json());
+// Behind a reverse proxy set TRUST_PROXY (hop count or "loopback", ...) so
+// req.ip – used for rate limits and sessions – is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
 // Allow frontend (and auth header)
 app.use(
   cors({
     origin: "http://localhost:5173",
     methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Retry-After", "Idempotent-Replayed"],
+  })
+);
+
+// Allow JSON bodies (keep the raw bytes for webhook signature checks)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "100kb";
+app.use(
+  express.json({
+    limit: JSON_BODY_LIMIT,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 
+// Oversized or broken JSON bodies: answer in JSON instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Request body is too large (limit ${JSON_BODY_LIMIT}).` });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON." });
+  }
+  next(err);
+});
+
 // Ensure uploads folder
 const uploadsDir = path.join(__dirname, "uploads");
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
 
-// Serve uploads statically so frontend can display media
-app.use("/uploads", express.static(uploadsDir));
+// Post media is not served statically: locked PPV / subscriber files would be
+// reachable by anyone who knows the name. See GET /api/media/posts/:postId.
 
-// Multer storage (used both for KYC files and post media)
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const unique = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + "-" + unique + ext);
+// KYC documents (ID cards, selfies) live outside the public uploads folder
+// and are only served through the admin download route
+const kycDir = process.env.KYC_DIR || path.join(__dirname, "private", "kyc");
+fs.mkdirSync(kycDir, { recursive: true });
+
+// Creator avatars and banners are public by design, so they get their own
+// folder that is served statically. File names change on every upload.
+const profileImagesDir = path.join(uploadsDir, "profile");
+fs.mkdirSync(profileImagesDir, { recursive: true });
+app.use("/media/profile", express.static(profileImagesDir, { maxAge: "30d", immutable: true }));
+
+/**
+ * Helper: Multer disk storage writing into dir with unique file names
+ */
+function diskStorageIn(dir) {
+  return multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, dir);
+    },
+    filename: function (req, file, cb) {
+      const unique = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const ext = path.extname(file.originalname);
+      cb(null, file.fieldname + "-" + unique + ext);
+    },
+  });
+}
+
+const kycUpload = multer({ storage: diskStorageIn(kycDir) });
+
+// Post media: several files per post; types and per-type sizes are checked
+// again after upload (see validatePostMediaFile)
+const POST_MEDIA_MAX_FILES = Number(process.env.POST_MEDIA_MAX_FILES || 10);
+const POST_IMAGE_MAX_MB = Number(process.env.POST_IMAGE_MAX_MB || 20);
+const POST_VIDEO_MAX_MB = Number(process.env.POST_VIDEO_MAX_MB || 500);
+const POST_MEDIA_TYPES = {
+  "image/jpeg": "image",
+  "image/png": "image",
+  "image/webp": "image",
+  "image/gif": "image",
+  "video/mp4": "video",
+  "video/webm": "video",
+  "video/quicktime": "video",
+};
+const mediaUpload = multer({
+  storage: diskStorageIn(uploadsDir),
+  limits: { fileSize: Math.max(POST_IMAGE_MAX_MB, POST_VIDEO_MAX_MB) * 1024 * 1024, files: POST_MEDIA_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (POST_MEDIA_TYPES[file.mimetype]) return cb(null, true);
+    const err = new Error("Unsupported media type");
+    err.code = "UNSUPPORTED_MEDIA_TYPE";
+    cb(err);
   },
 });
 
-const upload = multer({ storage });
-const mediaUpload = multer({ storage });
+// Profile images are resized before they touch the disk, so keep them in memory
+const PROFILE_IMAGE_MAX_MB = Number(process.env.PROFILE_IMAGE_MAX_MB || 8);
+const profileImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROFILE_IMAGE_MAX_MB * 1024 * 1024, files: 1 },
+});
 
-// In-memory "DB"
-const users = []; // fans + creators
-const creators = [];
-const posts = [];
-const transactions = [];
-const subscriptions = [];
-const unlockedPosts = [];
-const messages = [];
+// Data store (SQLite by default – see storage/index.js)
+const db = openStore();
+const users = db.collection("users"); // fans + creators
+const creators = db.collection("creators");
+const posts = db.collection("posts");
+const transactions = db.collection("transactions");
+const subscriptions = db.collection("subscriptions");
+const unlockedPosts = db.collection("unlockedPosts");
+const messages = db.collection("messages");
+const customRequests = db.collection("customRequests");
+const payments = db.collection("payments");
+const ledgerEntries = db.collection("ledgerEntries");
+const payouts = db.collection("payouts");
+const paymentMethods = db.collection("paymentMethods"); // saved cards: provider token + brand / last 4 only
+const emailTokens = db.collection("emailTokens"); // verification codes, reset links
+const sessions = db.collection("sessions"); // one per login (device), holds the refresh token
+const follows = db.collection("follows"); // free follows: user -> creator (separate from paid subscriptions)
+const comments = db.collection("comments"); // post comments, one level of replies (parentId)
+const subscriptionTiers = db.collection("subscriptionTiers"); // a creator's plans, ranked by level
+const notifications = db.collection("notifications"); // per-user activity (tips, likes, messages...), read/unread
+const idempotencyKeys = db.collection("idempotencyKeys"); // saved responses of payment-starting requests, replayed on retry
+const blocks = db.collection("blocks"); // user -> user; hides the two from each other either way
+const reports = db.collection("reports"); // flagged posts / comments / creators, reviewed by admins
+
+// Indexed lookups for the hot paths (records by id are always indexed)
+users.index("email").index("username", normUsername);
+creators.index("userId").index("username", normUsername);
+posts.index("username", normUsername);
+[sessions, follows, paymentMethods, notifications].forEach((c) => c.index("userId"));
+console.log("DATA STORE:", db.file || db.driver);
 
-// Data persistence configuration
-const DATA_FILE = path.join(__dirname, "data.json");
 const JWT_SECRET = process.env.JWT_SECRET || "CHANGE_ME_TO_RANDOM_SECRET";
 
-/**
- * Load persisted data from disk into memory.
- */
-function loadData() {
+// Access tokens are short-lived; the session's refresh token gets new ones
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Signed media URLs (img/video tags can't send the Bearer token)
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || JWT_SECRET;
+const MEDIA_URL_TTL_SECONDS = Number(process.env.MEDIA_URL_TTL_SECONDS) || 10 * 60;
+
+// Comma-separated list of emails that get admin access (in addition to role "admin")
+const ADMIN_EMAILS = String(process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+const paymentProvider = createPaymentProvider({
+  webhookUrl: process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${PORT}/api/payments/webhooks/mock`,
+});
+console.log("PAYMENT PROVIDER:", paymentProvider.name);
+
+const mailer = createMailer();
+console.log("MAIL TRANSPORT:", mailer.name);
+
+const rateLimitStore = createRateLimitStore();
+console.log("RATE LIMIT STORE:", rateLimitStore.name);
+
+// Frontend base URL used in emailed links
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+// Legacy data.json is no longer read at runtime; point people at the migrator
+const LEGACY_DATA_FILE = path.join(__dirname, "data.json");
+if (!db.getMeta(IMPORT_META_KEY) && users.size === 0 && fs.existsSync(LEGACY_DATA_FILE)) {
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, "utf-8");
-      const parsed = JSON.parse(raw);
-
-      users.splice(0, users.length, ...(parsed.users || []));
-      creators.splice(0, creators.length, ...(parsed.creators || []));
-      posts.splice(0, posts.length, ...(parsed.posts || []));
-      transactions.splice(0, transactions.length, ...(parsed.transactions || []));
-      subscriptions.splice(0, subscriptions.length, ...(parsed.subscriptions || []));
-      unlockedPosts.splice(0, unlockedPosts.length, ...(parsed.unlockedPosts || []));
-      messages.splice(0, messages.length, ...(parsed.messages || []));
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, "utf-8"));
+    const hasRecords = Object.values(legacy).some((v) => Array.isArray(v) && v.length > 0);
+    if (hasRecords) {
+      console.warn("Found existing data.json – run `npm run migrate:json` to import it into the new store.");
     }
   } catch (err) {
-    console.error("Failed to load data:", err);
+    // unreadable legacy file – nothing to suggest
   }
 }
 
 /**
- * Persist current in-memory data to disk.
+ * Helper: Resolve an access token to { user, session }, or null if the user
+ * is gone or the session was revoked. Throws for bad / expired JWTs.
  */
-function saveData() {
-  try {
-    const toSave = {
-      users,
-      creators,
-      posts,
-      transactions,
-      subscriptions,
-      unlockedPosts,
-      messages,
-    };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(toSave, null, 2));
-  } catch (err) {
-    console.error("Failed to save data:", err);
-  }
+function resolveAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const user = users.get(decoded.userId);
+  const session = decoded.sid ? sessions.get(decoded.sid) : null;
+  if (!user || !session || session.userId !== user.id || !isSessionActive(session)) return null;
+
+  touchSession(session);
+  return { user, session };
 }
 
-// Attempt to load existing data at startup
-loadData();
+// Expired access tokens get a distinct code so the client knows to refresh
+function sendTokenError(res, err) {
+  if (err && err.name === "TokenExpiredError") {
+    return res.status(401).json({ error: "Invalid or expired token.", code: "token_expired" });
+  }
+  return res.status(401).json({ error: "Invalid or expired token." });
+}
 
 /**
  * Strict auth: requires Bearer token
@@ -118,21 +235,25 @@ function authenticate(req, res, next) {
   }
 
   const token = authHeader.replace("Bearer ", "");
+  let resolved;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const currentUser = users.find((u) => u.id === decoded.userId);
-    if (!currentUser) {
-      return res.status(401).json({ error: "Invalid user." });
-    }
-    req.user = currentUser;
-    next();
+    resolved = resolveAccessToken(token);
   } catch (err) {
-    return res.status(401).json({ error: "Invalid or expired token." });
+    return sendTokenError(res, err);
+  }
+  if (!resolved) {
+    return res.status(401).json({ error: "Your session has ended. Please log in again." });
   }
+
+  req.user = resolved.user;
+  req.authSession = resolved.session;
+  next();
 }
 
 /**
- * Optional auth: if token exists, attach req.user; otherwise guest
+ * Optional auth: if token exists, attach req.user; otherwise guest.
+ * An expired token still answers 401 so the client refreshes instead of
+ * silently seeing the guest view.
  */
 function optionalAuthenticate(req, res, next) {
   const authHeader = req.headers["authorization"] || req.headers["Authorization"];
@@ -140,665 +261,5491 @@ function optionalAuthenticate(req, res, next) {
 
   const token = authHeader.replace("Bearer ", "");
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const currentUser = users.find((u) => u.id === decoded.userId);
-    if (currentUser) req.user = currentUser;
-  } catch (e) {
+    const resolved = resolveAccessToken(token);
+    if (resolved) {
+      req.user = resolved.user;
+      req.authSession = resolved.session;
+    }
+  } catch (err) {
+    if (err.name === "TokenExpiredError") return sendTokenError(res, err);
     // ignore invalid token -> treat as guest
   }
   next();
 }
 
 /**
- * Helper: Normalize username safely
+ * Role guard: use after authenticate, e.g. requireRole("creator")
  */
-function normUsername(u) {
-  return String(u || "").trim().toLowerCase();
+function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Missing authentication token." });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "You don't have permission to do that." });
+    }
+    next();
+  };
 }
 
 /**
- * Helper: Find creator by username (case-insensitive)
+ * Ownership guard for /api/creators/:username/... routes: use after authenticate.
+ * Attaches the creator record as req.creator.
  */
-function findCreatorByUsername(username) {
-  const u = normUsername(username);
-  return creators.find((c) => normUsername(c.username) === u);
-}
+function requireCreatorOwner(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Missing authentication token." });
+  }
 
-// ✅ Root
-app.get("/", (req, res) => {
-  res.send(
-    "Faniko API is running. Try GET /api/creators, POST /api/creators, or GET /api/creators/:username/posts"
-  );
-});
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
 
-//
-// AUTH
-//
+  if (!isCreatorOwner(req.user, creator)) {
+    return res.status(403).json({ error: "You can only manage your own creator account." });
+  }
 
-app.post("/api/auth/signup", (req, res) => {
-  let { email, username, password } = req.body || {};
+  req.creator = creator;
+  next();
+}
 
-  email = (email || "").trim().toLowerCase();
-  username = (username || "").trim().toLowerCase();
-  password = (password || "").trim();
+// Full guard chain for routes that change (or reveal private) creator data
+const creatorOwnerOnly = [authenticate, requireRole("creator"), requireCreatorOwner];
 
-  if (!email || !username || !password) {
-    return res.status(400).json({ error: "Missing email, username, or password." });
-  }
+/**
+ * Helper: Is this user a platform admin?
+ */
+function isAdmin(user) {
+  if (!user) return false;
+  return user.role === "admin" || user.isAdmin === true || ADMIN_EMAILS.includes(String(user.email || "").toLowerCase());
+}
 
-  const emailOk = /.+@.+\..+/.test(email);
-  if (!emailOk) {
-    return res.status(400).json({ error: "Please provide a valid email address." });
+/**
+ * Admin guard: use after authenticate
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: "Admins only." });
   }
+  next();
+}
 
-  if (!/^[a-z0-9_]+$/.test(username)) {
-    return res.status(400).json({
-      error: "Username can only contain lowercase letters, numbers, and underscores.",
-    });
-  }
+const adminOnly = [authenticate, requireAdmin];
 
-  if (password.length < 6) {
-    return res.status(400).json({ error: "Password must be at least 6 characters long." });
-  }
+// Creator review states: pending -> approved | rejected, approved <-> suspended
+const CREATOR_STATUS_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  rejected: ["approved"],
+  approved: ["suspended"],
+  suspended: ["approved"],
+};
 
-  const emailTaken = users.some((u) => u.email === email);
-  if (emailTaken) {
-    return res.status(409).json({ error: "That email is already in use. Try logging in instead." });
-  }
+/**
+ * Helper: Is this creator approved and in good standing?
+ */
+function isCreatorApproved(creator) {
+  return !!creator && creator.status === "approved";
+}
 
-  const usernameTaken = users.some((u) => u.username === username);
-  if (usernameTaken) {
-    return res.status(409).json({ error: "That username is already taken. Please choose another." });
-  }
+/**
+ * Helper: Can this viewer see the creator's profile and posts?
+ * Only approved creators are public, and never to someone on either side of
+ * a block with them; owners and admins always can.
+ */
+function canViewCreator(user, creator) {
+  if (isCreatorOwner(user, creator) || isAdmin(user)) return true;
+  return isCreatorApproved(creator) && !hasBlockBetween(user, creator.userId);
+}
 
-  const passwordHash = bcrypt.hashSync(password, 10);
-  const verificationToken = crypto.randomBytes(32).toString("hex");
+/**
+ * Helper: Has either of the two blocked the other? (user object, other user's id)
+ */
+function hasBlockBetween(user, otherUserId) {
+  if (!user || !otherUserId || user.id === otherUserId) return false;
+  return blocks.some(
+    (b) =>
+      (b.blockerId === user.id && b.blockedId === otherUserId) ||
+      (b.blockerId === otherUserId && b.blockedId === user.id)
+  );
+}
 
-  const user = {
-    id: users.length + 1,
-    email,
-    username,
-    password: passwordHash,
-    role: "fan",
-    emailVerified: false,
-    verificationToken,
-    createdAt: new Date().toISOString(),
-  };
+/**
+ * Helper: Ids of everyone this user blocked or was blocked by
+ */
+function blockedUserIds(user) {
+  const ids = new Set();
+  if (!user) return ids;
+  for (const b of blocks.filter((b) => b.blockerId === user.id || b.blockedId === user.id)) {
+    ids.add(b.blockerId === user.id ? b.blockedId : b.blockerId);
+  }
+  return ids;
+}
 
-  users.push(user);
-  saveData();
+/**
+ * Guard for creator actions that need an approved account (e.g. posting): use after requireCreatorOwner
+ */
+function requireApprovedCreator(req, res, next) {
+  const status = req.creator.status || "pending";
+  if (status === "approved") return next();
+
+  const messages = {
+    pending: "Your creator account is still being reviewed.",
+    rejected: "Your creator application was rejected.",
+    suspended: "Your creator account is suspended.",
+  };
+  return res.status(403).json({ error: messages[status] || "Your creator account isn't active.", status });
+}
 
-  res.json({
-    id: user.id,
-    email: user.email,
-    username: user.username,
-    role: user.role,
-    message:
-      "Signup successful. Please verify your email by visiting /api/auth/verify-email?token=<token> with the token provided.",
-    verificationToken,
-  });
-});
+/**
+ * Helper: Does this user own this creator account?
+ */
+function isCreatorOwner(user, creator) {
+  if (!user || !creator) return false;
+  return !!creator.userId && creator.userId === user.id;
+}
 
-app.post("/api/auth/login", (req, res) => {
-  let { email, password } = req.body || {};
-  email = (email || "").trim().toLowerCase();
-  password = (password || "").trim();
+/**
+ * Helper: The creator account owned by a user, or null
+ */
+function findCreatorForUser(user) {
+  if (!user) return null;
+  return creators.findBy("userId", user.id);
+}
 
-  if (!email || !password) {
-    return res.status(400).json({ error: "Missing email or password." });
-  }
+/**
+ * Helper: Normalize username safely
+ */
+function normUsername(u) {
+  return String(u || "").trim().toLowerCase();
+}
 
-  const user = users.find((u) => u.email === email);
-  if (!user) {
-    return res.status(401).json({ error: "Invalid email or password." });
-  }
+/**
+ * Helper: Creator as returned by public routes. Never includes KYC document
+ * paths; the owner (and admins) additionally see their email and review status.
+ */
+function toPublicCreatorDto(creator, viewer = null) {
+  const dto = {
+    id: creator.id,
+    displayName: creator.displayName,
+    username: creator.username,
+    accountType: creator.accountType,
+    price: creator.price,
+    createdAt: creator.createdAt,
+    status: creator.status || "pending",
+    bio: creator.bio || "",
+    location: creator.location || "",
+    category: creator.category || null,
+    socialLinks: creator.socialLinks || {},
+    tags: creator.tags || [],
+    avatarUrl: profileImageUrl(creator.avatarFilename),
+    bannerUrl: profileImageUrl(creator.bannerFilename),
+    tiers: activeTiers(creator).map((t) => toTierDto(t, creator)),
+    bundles: creator.bundles || [],
+  };
 
-  const ok = bcrypt.compareSync(password, user.password);
-  if (!ok) {
-    return res.status(401).json({ error: "Invalid email or password." });
+  if (isCreatorOwner(viewer, creator) || isAdmin(viewer)) {
+    const owner = creator.userId ? users.get(creator.userId) : null;
+    dto.email = owner ? owner.email : creator.email || null;
+    dto.statusReason = creator.statusReason || null;
+    dto.reviewedAt = creator.reviewedAt || null;
   }
 
-  if (!user.emailVerified) {
-    return res.status(401).json({ error: "Email not verified. Please verify your email." });
-  }
+  return dto;
+}
 
-  const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: "1d" });
+/**
+ * Helper: Find creator by username (case-insensitive)
+ */
+function findCreatorByUsername(username) {
+  return creators.findBy("username", username);
+}
 
-  res.json({
-    id: user.id,
-    email: user.email,
-    username: user.username,
-    role: user.role,
-    token,
-  });
-});
+/**
+ * Helper: A creator's post by id, or null if it belongs to someone else
+ */
+function findCreatorPost(username, postId) {
+  const post = posts.get(postId);
+  return post && normUsername(post.username) === normUsername(username) ? post : null;
+}
 
-app.get("/api/auth/verify-email", (req, res) => {
-  const { token } = req.query || {};
-  if (!token) return res.status(400).json({ error: "Missing verification token." });
+/**
+ * Helper: Resolve a public handle (creator username first, then fan username) to a user account
+ */
+function findUserByHandle(handle) {
+  const h = normUsername(handle);
+  if (!h) return null;
+
+  const creator = findCreatorByUsername(h);
+  if (creator && creator.userId) {
+    const linked = users.get(creator.userId);
+    if (linked) return linked;
+  }
 
-  const user = users.find((u) => u.verificationToken === token);
-  if (!user) return res.status(400).json({ error: "Invalid verification token." });
+  return users.findBy("username", h);
+}
 
-  user.emailVerified = true;
-  user.verificationToken = null;
-  saveData();
+/**
+ * Helper: Public handle for a user (their creator username if they have one)
+ */
+function publicHandleForUser(user) {
+  const creator = findCreatorForUser(user);
+  return creator ? creator.username : user.username;
+}
 
-  res.json({ success: true, message: "Email successfully verified." });
+// ✅ Root
+app.get("/", (req, res) => {
+  res.send(
+    "Faniko API is running. Try GET /api/creators, POST /api/creators, or GET /api/creators/:username/posts"
+  );
 });
 
 //
-// CREATORS
+// ABUSE PROTECTION (rate limits, login lockout, idempotency keys)
 //
 
-app.post(
-  "/api/creators",
-  upload.fields([
-    { name: "idFront", maxCount: 1 },
-    { name: "idBack", maxCount: 1 },
-    { name: "selfie", maxCount: 1 },
-  ]),
-  (req, res) => {
-    let { displayName, username, email, accountType, price } = req.body;
+// Set RATE_LIMIT=off to switch request limits off (e.g. for load tests);
+// the login lockout and idempotency keys stay on
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT !== "off";
+
+// Requests allowed per window: "ip" counts per client address, "account" per
+// logged-in user (login: per email, so spreading guesses over IPs doesn't help)
+const RATE_LIMITS = {
+  login: {
+    windowMs: 15 * 60 * 1000,
+    ip: Number(process.env.RATE_LIMIT_LOGIN_PER_IP) || 50,
+    account: Number(process.env.RATE_LIMIT_LOGIN_PER_ACCOUNT) || 20,
+  },
+  signup: {
+    windowMs: 60 * 60 * 1000,
+    ip: Number(process.env.RATE_LIMIT_SIGNUP_PER_IP) || 10,
+  },
+  // Routes that send an email (codes, links)
+  email: {
+    windowMs: 60 * 60 * 1000,
+    ip: Number(process.env.RATE_LIMIT_EMAIL_PER_IP) || 20,
+  },
+  // Tip, unlock, subscribe (each starts a payment)
+  payments: {
+    windowMs: 10 * 60 * 1000,
+    ip: Number(process.env.RATE_LIMIT_PAYMENTS_PER_IP) || 60,
+    account: Number(process.env.RATE_LIMIT_PAYMENTS_PER_ACCOUNT) || 30,
+  },
+  likes: {
+    windowMs: 60 * 1000,
+    ip: Number(process.env.RATE_LIMIT_LIKES_PER_IP) || 120,
+    account: Number(process.env.RATE_LIMIT_LIKES_PER_ACCOUNT) || 60,
+  },
+  reports: {
+    windowMs: 60 * 60 * 1000,
+    account: Number(process.env.RATE_LIMIT_REPORTS_PER_ACCOUNT) || 20,
+  },
+};
+
+// Failed logins: from the LOGIN_LOCKOUT_THRESHOLD-th failure in a row the
+// account is locked for a minute, doubling with every further failure (up to
+// an hour). A successful login or a password reset clears the count.
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOGIN_FAILURES_TTL_MS = 24 * 60 * 60 * 1000; // a quiet day starts over
+
+// Idempotency-Key header on routes that start a payment: a repeated request
+// gets the first response back instead of a second payment
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const idempotentRequestsInFlight = new Map(); // userId:key -> Promise settled when the first request is done
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  return `${Math.ceil(seconds / 60)} minutes`;
+}
 
-    displayName = (displayName || "").trim();
-    username = (username || "").trim().toLowerCase();
-    email = (email || "").trim().toLowerCase();
-    accountType = (accountType || "").trim();
+function tooManyRequests(res, retryAfter, error) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
 
-    if (!displayName || !username || !email || !accountType) {
-      return res.status(400).json({ error: "Missing required fields" });
+/**
+ * Middleware factory: Count requests per client IP and / or account in a fixed
+ * window and answer 429 (with Retry-After) once a limit is used up.
+ * accountKey(req) returns the account to count for, or nothing to skip that limit.
+ */
+function rateLimit(name, { windowMs, ip, account }, { accountKey = (req) => req.user?.id } = {}) {
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    const counters = [];
+    if (ip) counters.push({ key: `rate:${name}:ip:${req.ip}`, max: ip });
+    const accountId = account ? accountKey(req) : null;
+    if (accountId) counters.push({ key: `rate:${name}:account:${accountId}`, max: account });
+
+    try {
+      for (const { key, max } of counters) {
+        const { count, resetAt } = await rateLimitStore.increment(key, windowMs);
+        if (count > max) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+          return tooManyRequests(res, retryAfter, `Too many requests. Please try again in ${formatWait(retryAfter)}.`);
+        }
+      }
+    } catch (err) {
+      // A broken store shouldn't take the API down with it
+      console.error("Rate limit store failed:", err);
     }
+    next();
+  };
+}
 
-    if (!["free", "subscription"].includes(accountType)) {
-      return res.status(400).json({ error: "Invalid account type" });
-    }
+function loginFailuresKey(email) {
+  return `login-failures:${email}`;
+}
 
-    const usernameTaken = creators.some((c) => normUsername(c.username) === username);
-    if (usernameTaken) {
-      return res.status(409).json({ error: "That creator username is already taken." });
-    }
+/**
+ * Helper: Seconds until this account may try to log in again (0 = not locked)
+ */
+async function loginLockedFor(email) {
+  const state = await rateLimitStore.get(loginFailuresKey(email));
+  const remainingMs = state?.lockedUntil ? state.lockedUntil - Date.now() : 0;
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
 
-    const emailTaken = creators.some((c) => String(c.email || "").toLowerCase() === email);
-    if (emailTaken) {
-      return res.status(409).json({
-        error: "This email is already linked to a creator account. Try logging in instead.",
-      });
-    }
+/**
+ * Helper: Count a failed login; returns the lockout it triggers in seconds (0 = none)
+ */
+async function recordLoginFailure(email) {
+  const state = (await rateLimitStore.get(loginFailuresKey(email))) || { failures: 0, lockedUntil: null };
+  const failures = state.failures + 1;
 
-    const priceNumber = accountType === "subscription" ? Number(price) || 0 : null;
+  let lockMs = 0;
+  if (failures >= LOGIN_LOCKOUT_THRESHOLD) {
+    lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MS);
+  }
 
-    const record = {
-      id: creators.length + 1,
-      displayName,
-      username,
-      email,
-      accountType,
-      price: priceNumber,
-      idFrontPath: req.files?.idFront?.[0]?.filename || null,
-      idBackPath: req.files?.idBack?.[0]?.filename || null,
-      selfiePath: req.files?.selfie?.[0]?.filename || null,
-      createdAt: new Date().toISOString(),
-      status: "pending",
-    };
+  await rateLimitStore.set(
+    loginFailuresKey(email),
+    { failures, lockedUntil: lockMs ? Date.now() + lockMs : null },
+    LOGIN_FAILURES_TTL_MS
+  );
+  return Math.ceil(lockMs / 1000);
+}
 
-    creators.push(record);
+function clearLoginFailures(email) {
+  return rateLimitStore.delete(loginFailuresKey(email));
+}
 
-    const existingUser = users.find((u) => u.email === email);
-    if (existingUser) existingUser.role = "creator";
+function tooManyLoginAttempts(res, retryAfter) {
+  return tooManyRequests(
+    res,
+    retryAfter,
+    `Too many failed login attempts. Please try again in ${formatWait(retryAfter)} or reset your password.`
+  );
+}
 
-    saveData();
-    res.json({ success: true, creatorId: record.id });
+/**
+ * Helper: Saved response for this user's key, if it hasn't expired
+ */
+function findIdempotencyRecord(key) {
+  const record = idempotencyKeys.find((k) => k.key === key);
+  if (record && new Date(record.expiresAt).getTime() <= Date.now()) {
+    idempotencyKeys.remove(record.id);
+    return null;
   }
-);
+  return record || null;
+}
 
-app.get("/api/creators", (req, res) => {
-  res.json(creators);
-});
+/**
+ * Middleware: Honour an Idempotency-Key header (after authenticate). The first
+ * response for a key is saved and replayed for every repeat of the same
+ * request; a repeat sent while the first is still running waits for it.
+ * Reusing a key for a different request is a 422. Server errors (5xx) aren't
+ * saved, so the client can retry with the same key.
+ */
+async function idempotent(req, res, next) {
+  const header = req.get("Idempotency-Key");
+  if (header === undefined) return next();
+  if (!header.trim() || header.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters.` });
+  }
 
-app.get("/api/creators/:username", (req, res) => {
-  const creator = findCreatorByUsername(req.params.username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
-  res.json(creator);
-});
-
-app.patch("/api/creators/:username", (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  const key = `${req.user.id}:${header}`;
+  const fingerprint = hashSecret(`${req.method} ${req.path} ${JSON.stringify(req.body || {})}`);
 
-  const { displayName, accountType, price } = req.body || {};
+  const running = idempotentRequestsInFlight.get(key);
+  if (running) await running;
 
-  if (displayName !== undefined) {
-    const cleanName = String(displayName).trim();
-    if (cleanName) creator.displayName = cleanName;
+  const saved = findIdempotencyRecord(key);
+  if (saved) {
+    if (saved.fingerprint !== fingerprint) {
+      return res.status(422).json({ error: "This Idempotency-Key was already used for a different request." });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(saved.statusCode).json(saved.body);
+  }
+  // The first one failed and another repeat has already taken over
+  if (idempotentRequestsInFlight.has(key)) {
+    return res.status(409).json({ error: "A request with this Idempotency-Key is already in progress." });
   }
 
-  if (accountType !== undefined) {
-    if (!["free", "subscription"].includes(accountType)) {
-      return res.status(400).json({ error: "Invalid account type" });
+  let settle;
+  idempotentRequestsInFlight.set(key, new Promise((resolve) => (settle = resolve)));
+  res.on("close", () => {
+    idempotentRequestsInFlight.delete(key);
+    settle();
+  });
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      const now = Date.now();
+      idempotencyKeys.insert({
+        key,
+        userId: req.user.id,
+        fingerprint,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + IDEMPOTENCY_KEY_TTL_MS).toISOString(),
+      });
     }
-    creator.accountType = accountType;
-    if (accountType === "subscription") creator.price = Number(price) || creator.price || 0;
-    else creator.price = null;
-  } else if (price !== undefined && creator.accountType === "subscription") {
-    creator.price = Number(price) || 0;
-  }
+    return sendJson(body);
+  };
 
-  saveData();
-  res.json({ success: true, creator });
-});
+  next();
+}
+
+/**
+ * Job: Drop saved idempotent responses that can no longer be replayed
+ */
+function purgeIdempotencyKeys() {
+  const now = Date.now();
+  const purged = idempotencyKeys.removeWhere((k) => new Date(k.expiresAt).getTime() <= now);
+  if (purged) console.log(`Idempotency keys: purged ${purged} expired key(s)`);
+}
 
 //
-// POSTS (with locked flag)
+// AUTH
 //
-app.get("/api/creators/:username/posts", optionalAuthenticate, (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
 
-  // viewer identity
-  const viewerUser = req.user || null;
+const MINUTE_MS = 60 * 1000;
+
+// Email codes / links: how long they live and how often they can be (re)sent
+const EMAIL_TOKEN_PURPOSES = {
+  signup: { kind: "code", ttlMs: 15 * MINUTE_MS },
+  verify: { kind: "link", ttlMs: 24 * 60 * MINUTE_MS },
+  reset_password: { kind: "link", ttlMs: 60 * MINUTE_MS },
+  change_email: { kind: "code", ttlMs: 15 * MINUTE_MS },
+};
+const EMAIL_RESEND_SECONDS = Number(process.env.EMAIL_RESEND_SECONDS) || 60;
+const EMAIL_MAX_SENDS_PER_HOUR = Number(process.env.EMAIL_MAX_SENDS_PER_HOUR) || 5;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+
+function isValidEmail(email) {
+  return /.+@.+\..+/.test(email);
+}
 
-  // If creator is viewing their own profile, do not lock anything.
-  const viewerIsOwnerCreator =
-    viewerUser &&
-    viewerUser.role === "creator" &&
-    normUsername(viewerUser.username) === username;
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
 
-  // Fan username (prefer token, fallback query)
-  let fanUsername = null;
-  if (!viewerIsOwnerCreator) {
-    if (viewerUser) {
-      fanUsername = normUsername(viewerUser.username);
-    } else if (req.query.fanUsername) {
-      fanUsername = normUsername(req.query.fanUsername);
-    }
+/**
+ * Helper: Find the pending token for a purpose. Email changes are keyed by
+ * user (one pending change per account), everything else by address.
+ */
+function findEmailToken(purpose, { email, userId }) {
+  if (purpose === "change_email") {
+    return emailTokens.find((t) => t.purpose === purpose && t.userId === userId) || null;
   }
+  return emailTokens.find((t) => t.purpose === purpose && t.email === email) || null;
+}
 
-  const creatorPosts = posts
-    .filter((p) => normUsername(p.username) === username)
-    .map((p) => {
-      if (typeof p.likes !== "number") p.likes = 0;
-      if (!Array.isArray(p.likedBy)) p.likedBy = [];
-
-      let locked = false;
-
-      if (!viewerIsOwnerCreator) {
-        // Subscription gating for non-free content
-        if (creator.accountType === "subscription") {
-          if (p.visibility !== "free") {
-            if (!fanUsername) {
-              locked = true;
-            } else {
-              const sub = subscriptions.find(
-                (s) =>
-                  normUsername(s.creatorUsername) === username &&
-                  normUsername(s.fanUsername) === fanUsername &&
-                  s.status === "active" &&
-                  (!s.expiresAt || new Date(s.expiresAt) > new Date())
-              );
-              if (!sub) locked = true;
-            }
-          }
-        }
+/**
+ * Helper: Issue (or re-issue) a code / link secret for purpose + email.
+ * Only the hash is stored. Returns { secret, token }, or { retryAfter }
+ * (seconds) when the resend limits kick in.
+ */
+function issueEmailToken(purpose, { email, userId = null, newEmail = null }) {
+  const { kind, ttlMs } = EMAIL_TOKEN_PURPOSES[purpose];
+  const now = Date.now();
+  const existing = findEmailToken(purpose, { email, userId });
 
-        // PPV gating (always needs unlock)
-        if (p.visibility === "ppv") {
-          let unlocked = false;
-          if (fanUsername) {
-            const unlockedEntry = unlockedPosts.find(
-              (u) =>
-                u.postId === p.id &&
-                normUsername(u.creatorUsername) === username &&
-                normUsername(u.fanUsername) === fanUsername
-            );
-            if (unlockedEntry) unlocked = true;
-          }
-          if (!unlocked) locked = true;
-        }
-      }
+  let sendCount = 0;
+  let windowStartedAt = now;
+  if (existing) {
+    const sinceLast = (now - new Date(existing.lastSentAt).getTime()) / 1000;
+    if (sinceLast < EMAIL_RESEND_SECONDS) {
+      return { retryAfter: Math.ceil(EMAIL_RESEND_SECONDS - sinceLast) };
+    }
 
-      const out = { ...p, locked };
-      if (locked) {
-        out.mediaFilename = null;
-        out.description = "";
+    const windowStart = new Date(existing.windowStartedAt).getTime();
+    if (now - windowStart < 60 * MINUTE_MS) {
+      if (existing.sendCount >= EMAIL_MAX_SENDS_PER_HOUR) {
+        return { retryAfter: Math.ceil((windowStart + 60 * MINUTE_MS - now) / 1000) };
       }
-      return out;
-    });
+      sendCount = existing.sendCount;
+      windowStartedAt = windowStart;
+    }
+  }
 
-  res.json(creatorPosts);
-});
+  const secret =
+    kind === "code" ? String(crypto.randomInt(0, 1000000)).padStart(6, "0") : crypto.randomBytes(32).toString("hex");
 
-app.post("/api/creators/:username/posts", mediaUpload.single("media"), (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  const fields = {
+    purpose,
+    email,
+    userId,
+    newEmail,
+    secretHash: hashSecret(secret),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    attempts: 0,
+    verifiedAt: null,
+    lastSentAt: new Date(now).toISOString(),
+    windowStartedAt: new Date(windowStartedAt).toISOString(),
+    sendCount: sendCount + 1,
+  };
 
-  const { title, visibility, price, description } = req.body;
-  if (!title || !visibility) return res.status(400).json({ error: "Missing required fields" });
-  if (!["free", "ppv"].includes(visibility)) return res.status(400).json({ error: "Invalid visibility" });
+  const token = existing ? emailTokens.update({ ...existing, ...fields }) : emailTokens.insert(fields);
+  return { secret, token };
+}
 
-  const record = {
-    id: posts.length + 1,
-    creatorId: creator.id,
-    username: creator.username,
-    title: String(title).trim(),
-    visibility,
-    price: visibility === "ppv" ? Number(price) || 0 : null,
-    description: description ? String(description) : "",
-    createdAt: new Date().toISOString(),
-    mediaFilename: req.file ? req.file.filename : null,
-    mediaMime: req.file ? req.file.mimetype : null,
-    likes: 0,
-    likedBy: [],
-  };
+/**
+ * Helper: Check a 6-digit code against a pending token.
+ * Returns an error message, or null if the code matches.
+ */
+function checkEmailCode(token, code) {
+  if (!token) return "No verification code was requested for this email.";
+  if (new Date(token.expiresAt).getTime() < Date.now()) return "This code has expired. Please request a new one.";
+  if (token.attempts >= EMAIL_CODE_MAX_ATTEMPTS) return "Too many incorrect attempts. Please request a new code.";
+
+  if (hashSecret(String(code || "").trim()) !== token.secretHash) {
+    token.attempts += 1;
+    emailTokens.update(token);
+    return "Incorrect verification code. Please try again.";
+  }
+  return null;
+}
 
-  posts.push(record);
-  saveData();
-  res.json({ success: true, post: record });
-});
+/**
+ * Helper: Find an unexpired link token by its secret
+ */
+function findLinkToken(purpose, secret) {
+  if (!secret) return null;
+  const secretHash = hashSecret(secret);
+  const token = emailTokens.find((t) => t.purpose === purpose && t.secretHash === secretHash);
+  if (!token || new Date(token.expiresAt).getTime() < Date.now()) return null;
+  return token;
+}
 
-app.patch("/api/creators/:username/posts/:postId", (req, res) => {
-  const username = normUsername(req.params.username);
-  const postId = Number(req.params.postId);
+/**
+ * Helper: 429 response for the email resend limits
+ */
+function tooManyEmails(res, retryAfter) {
+  return tooManyRequests(res, retryAfter, `Please wait ${retryAfter} seconds before requesting another email.`);
+}
 
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+function sendVerificationCodeMail(to, code) {
+  return mailer.send({
+    to,
+    subject: "Your Faniko verification code",
+    text: `Your Faniko verification code is ${code}.\n\nIt expires in 15 minutes. If you didn't request it, you can ignore this email.`,
+  });
+}
 
-  const post = posts.find((p) => p.id === postId && normUsername(p.username) === username);
-  if (!post) return res.status(404).json({ error: "Post not found" });
+function sendVerifyLinkMail(to, secret) {
+  return mailer.send({
+    to,
+    subject: "Verify your Faniko email",
+    text: `Confirm your email address by opening this link:\n\n${APP_URL}/verify-email?token=${secret}\n\nThe link expires in 24 hours.`,
+  });
+}
 
-  const { title, visibility, price, description } = req.body || {};
+function sendPasswordResetMail(to, secret) {
+  return mailer.send({
+    to,
+    subject: "Reset your Faniko password",
+    text: `Someone (hopefully you) asked to reset your Faniko password. Choose a new one here:\n\n${APP_URL}/reset-password?token=${secret}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  });
+}
 
-  if (title !== undefined) {
-    const cleanTitle = String(title).trim();
-    if (cleanTitle) post.title = cleanTitle;
-  }
+function sendEmailChangedMail(to, newEmail) {
+  return mailer.send({
+    to,
+    subject: "Your Faniko email was changed",
+    text: `The email on your Faniko account was changed to ${newEmail}.\n\nIf you didn't do this, reset your password right away and contact support.`,
+  });
+}
 
-  if (visibility !== undefined) {
-    if (!["free", "ppv"].includes(visibility)) return res.status(400).json({ error: "Invalid visibility" });
-    post.visibility = visibility;
-    post.price = visibility === "ppv" ? Number(price) || post.price || 0 : null;
-  } else if (price !== undefined && post.visibility === "ppv") {
-    post.price = Number(price) || 0;
+// Step 1 of signup: email a code to an address that isn't registered yet
+app.post("/api/auth/signup/send-code", rateLimit("email", RATE_LIMITS.email), async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "Please provide a valid email address." });
+  }
+  if (users.findBy("email", email)) {
+    return res.status(409).json({ error: "That email is already in use. Try logging in instead." });
   }
 
-  if (description !== undefined) post.description = String(description);
-
-  saveData();
-  res.json({ success: true, post });
-});
+  const issued = issueEmailToken("signup", { email });
+  if (issued.retryAfter) return tooManyEmails(res, issued.retryAfter);
 
-app.delete("/api/creators/:username/posts/:postId", (req, res) => {
-  const username = normUsername(req.params.username);
-  const postId = Number(req.params.postId);
+  try {
+    await sendVerificationCodeMail(email, issued.secret);
+  } catch (err) {
+    console.error("Sending verification code failed:", err);
+    return res.status(502).json({ error: "Could not send the verification email. Please try again." });
+  }
 
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  res.json({ success: true, expiresAt: issued.token.expiresAt, message: "We sent a 6-digit code to your email." });
+});
 
-  const index = posts.findIndex((p) => p.id === postId && normUsername(p.username) === username);
-  if (index === -1) return res.status(404).json({ error: "Post not found" });
+// Step 2 of signup: check the code; signup then accepts the address as verified
+app.post("/api/auth/signup/verify-code", (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const token = findEmailToken("signup", { email });
 
-  posts.splice(index, 1);
+  const error = checkEmailCode(token, req.body?.code);
+  if (error) return res.status(400).json({ error });
 
-  // Remove unlock records for this post
-  for (let i = unlockedPosts.length - 1; i >= 0; i--) {
-    const u = unlockedPosts[i];
-    if (u.postId === postId && normUsername(u.creatorUsername) === username) {
-      unlockedPosts.splice(i, 1);
-    }
-  }
+  token.verifiedAt = new Date().toISOString();
+  token.expiresAt = new Date(Date.now() + EMAIL_TOKEN_PURPOSES.signup.ttlMs).toISOString();
+  emailTokens.update(token);
 
-  saveData();
-  res.json({ success: true });
+  res.json({ success: true, verified: true });
 });
 
-//
-// TRANSACTIONS (fixed identity handling)
-//
+app.post("/api/auth/signup", rateLimit("signup", RATE_LIMITS.signup), async (req, res) => {
+  let { email, username, password } = req.body || {};
 
-// TIP
-app.post("/api/creators/:username/tips", optionalAuthenticate, (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  email = (email || "").trim().toLowerCase();
+  username = (username || "").trim().toLowerCase();
+  password = (password || "").trim();
 
-  let { amount, message, fanUsername, fanEmail, postId } = req.body || {};
+  if (!email || !username || !password) {
+    return res.status(400).json({ error: "Missing email, username, or password." });
+  }
 
-  // ✅ prefer authenticated identity
-  if (req.user) {
-    fanUsername = req.user.username;
-    fanEmail = req.user.email;
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "Please provide a valid email address." });
   }
 
-  const amountNum = Number(amount);
-  if (!amount || Number.isNaN(amountNum) || amountNum <= 0) {
-    return res.status(400).json({ error: "Please provide a valid tip amount." });
+  if (!/^[a-z0-9_]+$/.test(username)) {
+    return res.status(400).json({
+      error: "Username can only contain lowercase letters, numbers, and underscores.",
+    });
   }
 
-  const txn = {
-    id: transactions.length + 1,
-    type: "tip",
-    creatorUsername: creator.username,
-    fanUsername: String(fanUsername || "").trim() || "anonymous",
-    fanEmail: String(fanEmail || "").trim() || null,
-    amount: amountNum,
-    currency: "USD",
-    message: (message || "").toString().slice(0, 500),
-    postId: postId ? Number(postId) : null,
-    createdAt: new Date().toISOString(),
-  };
+  if (password.length < 6) {
+    return res.status(400).json({ error: "Password must be at least 6 characters long." });
+  }
 
-  transactions.push(txn);
-  saveData();
-  res.json({ success: true, transaction: txn });
-});
+  const emailTaken = !!users.findBy("email", email);
+  if (emailTaken) {
+    return res.status(409).json({ error: "That email is already in use. Try logging in instead." });
+  }
 
-// UNLOCK PPV
-app.post("/api/creators/:username/posts/:postId/unlock", optionalAuthenticate, (req, res) => {
-  const username = normUsername(req.params.username);
-  const postId = Number(req.params.postId);
+  const usernameTaken = !!users.findBy("username", username);
+  if (usernameTaken) {
+    return res.status(409).json({ error: "That username is already taken. Please choose another." });
+  }
 
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  const passwordHash = bcrypt.hashSync(password, 10);
 
-  const post = posts.find((p) => p.id === postId && normUsername(p.username) === username);
-  if (!post) return res.status(404).json({ error: "Post not found" });
+  // Address already proven with a signup code -> verified right away
+  const signupToken = findEmailToken("signup", { email });
+  const codeVerified =
+    !!signupToken && !!signupToken.verifiedAt && new Date(signupToken.expiresAt).getTime() >= Date.now();
 
-  if (post.visibility !== "ppv" || typeof post.price !== "number" || post.price <= 0) {
-    return res.status(400).json({ error: "This post is not a paid PPV post." });
+  const user = db.transaction(() => {
+    if (signupToken) emailTokens.remove(signupToken.id);
+    return users.insert({
+      email,
+      username,
+      password: passwordHash,
+      role: "fan",
+      emailVerified: codeVerified,
+      createdAt: new Date().toISOString(),
+    });
+  });
+
+  // Otherwise email a verification link
+  if (!codeVerified) {
+    try {
+      const issued = issueEmailToken("verify", { email, userId: user.id });
+      await sendVerifyLinkMail(email, issued.secret);
+    } catch (err) {
+      console.error("Sending verification link failed:", err);
+    }
   }
 
-  let { fanUsername, fanEmail } = req.body || {};
+  res.json({
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    message: codeVerified
+      ? "Signup successful."
+      : "Signup successful. Check your inbox for a link to verify your email.",
+  });
+});
+
+const loginEmail = (req) => String(req.body?.email || "").trim().toLowerCase();
+
+app.post("/api/auth/login", rateLimit("login", RATE_LIMITS.login, { accountKey: loginEmail }), async (req, res) => {
+  let { email, password } = req.body || {};
+  email = (email || "").trim().toLowerCase();
+  password = (password || "").trim();
 
-  // ✅ prefer authenticated identity
-  if (req.user) {
-    fanUsername = req.user.username;
-    fanEmail = req.user.email;
+  if (!email || !password) {
+    return res.status(400).json({ error: "Missing email or password." });
   }
 
-  fanUsername = String(fanUsername || "").trim();
-  fanEmail = String(fanEmail || "").trim();
+  // Locked accounts are refused before the password is even checked.
+  // Unknown emails are counted too, so the lockout doesn't reveal which exist.
+  const lockedFor = await loginLockedFor(email);
+  if (lockedFor) return tooManyLoginAttempts(res, lockedFor);
 
-  if (!fanUsername) {
-    return res.status(400).json({ error: "Missing fan identity (login required or provide fanUsername)." });
+  const user = users.findBy("email", email);
+  if (!user || !bcrypt.compareSync(password, user.password)) {
+    const lockout = await recordLoginFailure(email);
+    if (lockout) return tooManyLoginAttempts(res, lockout);
+    return res.status(401).json({ error: "Invalid email or password." });
   }
 
-  const already = unlockedPosts.find(
-    (u) =>
-      u.postId === postId &&
-      normUsername(u.creatorUsername) === username &&
-      normUsername(u.fanUsername) === normUsername(fanUsername)
-  );
+  await clearLoginFailures(email);
 
-  if (already) {
-    return res.json({ success: true, alreadyUnlocked: true, unlockedPostId: post.id });
+  if (!user.emailVerified) {
+    return res.status(401).json({ error: "Email not verified. Please verify your email.", code: "email_not_verified" });
   }
 
-  const txn = {
-    id: transactions.length + 1,
-    type: "ppv_unlock",
-    creatorUsername: creator.username,
-    fanUsername,
-    fanEmail: fanEmail || null,
-    amount: post.price,
-    currency: "USD",
-    postId: post.id,
-    createdAt: new Date().toISOString(),
-  };
+  const { session, refreshToken } = createSession(user, req);
 
-  transactions.push(txn);
-  unlockedPosts.push({
-    creatorUsername: creator.username,
-    fanUsername,
-    postId: post.id,
-    createdAt: new Date().toISOString(),
+  res.json({
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    isAdmin: isAdmin(user),
+    token: issueAccessToken(user, session),
+    refreshToken,
+    sessionId: session.id,
   });
-
-  saveData();
-  res.json({ success: true, unlockedPostId: post.id, transaction: txn });
 });
 
-// LIKE / UNLIKE
-app.post("/api/creators/:username/posts/:postId/like", optionalAuthenticate, (req, res) => {
-  const username = normUsername(req.params.username);
-  const postId = Number(req.params.postId);
+app.get("/api/auth/verify-email", (req, res) => {
+  const { token } = req.query || {};
+  if (!token) return res.status(400).json({ error: "Missing verification token." });
 
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  const linkToken = findLinkToken("verify", String(token));
+  // Accounts created before emailed links still carry a plain verificationToken
+  const user = linkToken
+    ? users.get(linkToken.userId)
+    : users.find((u) => u.verificationToken && u.verificationToken === token);
+  if (!user) return res.status(400).json({ error: "Invalid or expired verification link." });
+
+  db.transaction(() => {
+    user.emailVerified = true;
+    user.verificationToken = null;
+    users.update(user);
+    emailTokens.removeWhere((t) => t.purpose === "verify" && t.userId === user.id);
+  });
 
-  const post = posts.find((p) => p.id === postId && normUsername(p.username) === username);
-  if (!post) return res.status(404).json({ error: "Post not found" });
+  res.json({ success: true, message: "Email successfully verified." });
+});
+
+// Always answers the same way so it can't be used to probe for accounts
+app.post("/api/auth/verify-email/resend", rateLimit("email", RATE_LIMITS.email), async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const user = users.findBy("email", email);
+
+  if (user && !user.emailVerified) {
+    const issued = issueEmailToken("verify", { email, userId: user.id });
+    if (issued.secret) {
+      try {
+        await sendVerifyLinkMail(email, issued.secret);
+      } catch (err) {
+        console.error("Sending verification link failed:", err);
+        return res.status(502).json({ error: "Could not send the verification email. Please try again." });
+      }
+    }
+  }
 
-  let { fanUsername } = req.body || {};
+  res.json({ success: true, message: "If that account still needs verifying, we've emailed a new link." });
+});
 
-  // ✅ prefer authenticated identity
-  if (req.user) fanUsername = req.user.username;
+app.post("/api/auth/forgot-password", rateLimit("email", RATE_LIMITS.email), async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "Please provide a valid email address." });
+  }
 
-  fanUsername = String(fanUsername || "").trim();
-  if (!fanUsername) {
-    return res.status(400).json({ error: "Missing fan identity (login required or provide fanUsername)." });
+  const user = users.findBy("email", email);
+  if (user) {
+    const issued = issueEmailToken("reset_password", { email, userId: user.id });
+    if (issued.secret) {
+      try {
+        await sendPasswordResetMail(email, issued.secret);
+      } catch (err) {
+        console.error("Sending password reset failed:", err);
+        return res.status(502).json({ error: "Could not send the reset email. Please try again." });
+      }
+    }
   }
 
-  if (!Array.isArray(post.likedBy)) post.likedBy = [];
+  res.json({ success: true, message: "If an account exists for that email, we've sent a reset link." });
+});
 
-  const idx = post.likedBy.findIndex((n) => normUsername(n) === normUsername(fanUsername));
+app.post("/api/auth/reset-password", async (req, res) => {
+  const { token, password } = req.body || {};
+  const newPassword = String(password || "").trim();
 
-  let likedByMe;
-  if (idx === -1) {
-    post.likedBy.push(fanUsername);
-    likedByMe = true;
-  } else {
-    post.likedBy.splice(idx, 1);
-    likedByMe = false;
+  if (newPassword.length < 6) {
+    return res.status(400).json({ error: "Password must be at least 6 characters long." });
   }
 
-  post.likes = post.likedBy.length;
-  saveData();
+  const resetToken = findLinkToken("reset_password", String(token || ""));
+  const user = resetToken ? users.get(resetToken.userId) : null;
+  if (!user) return res.status(400).json({ error: "This reset link is invalid or has expired." });
+
+  db.transaction(() => {
+    user.password = bcrypt.hashSync(newPassword, 10);
+    // Following the emailed link proves the address, too
+    user.emailVerified = true;
+    user.verificationToken = null;
+    user.passwordChangedAt = new Date().toISOString();
+    users.update(user);
+    emailTokens.removeWhere((t) => t.userId === user.id && ["reset_password", "verify"].includes(t.purpose));
+    // Whoever knew the old password is logged out everywhere
+    revokeUserSessions(user.id);
+  });
+  await clearLoginFailures(user.email);
 
-  res.json({ success: true, postId: post.id, likes: post.likes, likedByMe });
+  res.json({ success: true, message: "Your password has been reset. You can log in now." });
 });
 
-// SUBSCRIBE
-app.post("/api/creators/:username/subscribe", optionalAuthenticate, (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+app.post("/api/auth/change-password", authenticate, (req, res) => {
+  const currentPassword = String(req.body?.currentPassword || "").trim();
+  const newPassword = String(req.body?.newPassword || "").trim();
 
-  if (creator.accountType !== "subscription") {
-    return res.status(400).json({ error: "This creator does not have a subscription plan." });
+  if (!bcrypt.compareSync(currentPassword, req.user.password)) {
+    return res.status(403).json({ error: "Incorrect password." });
   }
-  if (typeof creator.price !== "number" || creator.price <= 0) {
-    return res.status(400).json({ error: "This creator's subscription price is not configured." });
+  if (newPassword.length < 6) {
+    return res.status(400).json({ error: "Password must be at least 6 characters long." });
   }
 
-  let { fanUsername, fanEmail } = req.body || {};
+  let revoked = 0;
+  db.transaction(() => {
+    req.user.password = bcrypt.hashSync(newPassword, 10);
+    req.user.passwordChangedAt = new Date().toISOString();
+    users.update(req.user);
+    // Keep this device logged in, end every other session
+    revoked = revokeUserSessions(req.user.id, { except: req.authSession.id });
+  });
 
-  // ✅ prefer authenticated identity
-  if (req.user) {
-    fanUsername = req.user.username;
-    fanEmail = req.user.email;
-  }
+  res.json({ success: true, revokedSessions: revoked });
+});
 
-  fanUsername = String(fanUsername || "").trim();
-  fanEmail = String(fanEmail || "").trim();
+// Change email: confirm the password, then prove the new address with a code
+app.post("/api/auth/change-email", authenticate, rateLimit("email", RATE_LIMITS.email), async (req, res) => {
+  const newEmail = String(req.body?.newEmail || "").trim().toLowerCase();
+  const password = String(req.body?.password || "").trim();
 
-  if (!fanUsername) {
-    return res.status(400).json({ error: "Missing fan identity (login required or provide fanUsername)." });
+  if (!isValidEmail(newEmail)) {
+    return res.status(400).json({ error: "Please provide a valid email address." });
+  }
+  if (!bcrypt.compareSync(password, req.user.password)) {
+    return res.status(403).json({ error: "Incorrect password." });
+  }
+  if (newEmail === req.user.email) {
+    return res.status(400).json({ error: "That's already your email address." });
+  }
+  if (users.findBy("email", newEmail)) {
+    return res.status(409).json({ error: "That email is already in use." });
   }
 
-  const existing = subscriptions.find(
-    (s) =>
-      normUsername(s.creatorUsername) === username &&
-      normUsername(s.fanUsername) === normUsername(fanUsername) &&
-      s.status === "active" &&
-      (!s.expiresAt || new Date(s.expiresAt) > new Date())
-  );
+  const issued = issueEmailToken("change_email", { email: req.user.email, userId: req.user.id, newEmail });
+  if (issued.retryAfter) return tooManyEmails(res, issued.retryAfter);
 
-  if (existing) {
-    return res.json({ success: true, alreadySubscribed: true, subscription: existing });
+  try {
+    await sendVerificationCodeMail(newEmail, issued.secret);
+  } catch (err) {
+    console.error("Sending email change code failed:", err);
+    return res.status(502).json({ error: "Could not send the verification email. Please try again." });
   }
 
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  res.json({ success: true, newEmail, expiresAt: issued.token.expiresAt, message: `We sent a 6-digit code to ${newEmail}.` });
+});
 
-  const subscription = {
-    id: subscriptions.length + 1,
-    creatorUsername: creator.username,
-    fanUsername,
-    fanEmail: fanEmail || null,
-    price: creator.price,
-    currency: "USD",
-    status: "active",
-    createdAt: now.toISOString(),
-    expiresAt,
-  };
+app.post("/api/auth/change-email/confirm", authenticate, async (req, res) => {
+  const user = req.user;
+  const token = findEmailToken("change_email", { userId: user.id });
 
-  subscriptions.push(subscription);
+  const error = checkEmailCode(token, req.body?.code);
+  if (error) return res.status(400).json({ error });
 
-  const txn = {
-    id: transactions.length + 1,
-    type: "subscription",
-    creatorUsername: creator.username,
-    fanUsername,
-    fanEmail: fanEmail || null,
-    amount: creator.price,
-    currency: "USD",
-    postId: null,
-    createdAt: now.toISOString(),
-  };
+  const oldEmail = user.email;
+  const newEmail = token.newEmail;
+  if (users.findBy("email", newEmail)) {
+    emailTokens.remove(token.id);
+    return res.status(409).json({ error: "That email is already in use." });
+  }
 
-  transactions.push(txn);
-  saveData();
+  db.transaction(() => {
+    user.email = newEmail;
+    user.emailVerified = true;
+    users.update(user);
+    emailTokens.remove(token.id);
+  });
 
-  res.json({ success: true, subscription, transaction: txn });
+  try {
+    await sendEmailChangedMail(oldEmail, newEmail);
+  } catch (err) {
+    console.error("Sending email change notice failed:", err);
+  }
+
+  res.json({
+    success: true,
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    isAdmin: isAdmin(user),
+  });
+});
+
+//
+// SESSIONS (refresh tokens, one per login)
+//
+
+// Don't write lastUsedAt on every request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Helper: Short device label from a User-Agent, e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent) {
+  const ua = String(userAgent || "");
+  if (!ua) return "Unknown device";
+
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/OPR\/|Opera/.test(ua) && "Opera") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    (/curl\//.test(ua) && "curl") ||
+    "Browser";
+  const os =
+    (/iPhone|iPad|iPod/.test(ua) && "iOS") ||
+    (/Android/.test(ua) && "Android") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function isSessionActive(session) {
+  return !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+}
+
+function touchSession(session) {
+  if (Date.now() - new Date(session.lastUsedAt).getTime() < SESSION_TOUCH_INTERVAL_MS) return;
+  session.lastUsedAt = new Date().toISOString();
+  sessions.update(session);
+}
+
+/**
+ * Helper: Start a session for a fresh login. The refresh token is
+ * "<sessionId>.<secret>"; only the secret's hash is stored.
+ */
+function createSession(user, req) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  const session = sessions.insert({
+    userId: user.id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+    device: describeDevice(req.headers["user-agent"]),
+    ip: req.ip,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString(),
+    revokedAt: null,
+  });
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+function issueAccessToken(user, session) {
+  return jwt.sign({ userId: user.id, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function revokeSession(session) {
+  if (session.revokedAt) return false;
+  session.revokedAt = new Date().toISOString();
+  sessions.update(session);
+  return true;
+}
+
+/**
+ * Helper: Revoke every active session of a user (optionally keeping one).
+ * Returns how many were revoked.
+ */
+function revokeUserSessions(userId, { except = null } = {}) {
+  const active = sessions.filterBy("userId", userId).filter((s) => s.id !== except && !s.revokedAt);
+  db.transaction(() => active.forEach(revokeSession));
+  return active.length;
+}
+
+function toSessionDto(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * Helper: Look up the active session a refresh token belongs to
+ */
+function findSessionByRefreshToken(refreshToken) {
+  const [sid, secret] = String(refreshToken || "").split(".");
+  const session = sessions.get(Number(sid));
+  if (!session || !secret || hashSecret(secret) !== session.refreshTokenHash) return null;
+  return isSessionActive(session) ? session : null;
+}
+
+// Trade a refresh token for a new access token (sliding session expiry)
+app.post("/api/auth/refresh", (req, res) => {
+  const session = findSessionByRefreshToken(req.body?.refreshToken);
+  const user = session ? users.get(session.userId) : null;
+  if (!session || !user) {
+    return res.status(401).json({ error: "Your session has ended. Please log in again." });
+  }
+
+  const now = new Date();
+  session.lastUsedAt = now.toISOString();
+  session.expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString();
+  session.ip = req.ip;
+  sessions.update(session);
+
+  res.json({
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    isAdmin: isAdmin(user),
+    token: issueAccessToken(user, session),
+    sessionId: session.id,
+  });
+});
+
+// End the current session; works with either the access or the refresh token
+app.post("/api/auth/logout", optionalAuthenticate, (req, res) => {
+  const session = req.authSession || findSessionByRefreshToken(req.body?.refreshToken);
+  if (session) revokeSession(session);
+  res.json({ success: true });
+});
+
+app.post("/api/auth/logout-all", authenticate, (req, res) => {
+  const revoked = revokeUserSessions(req.user.id);
+  res.json({ success: true, revokedSessions: revoked });
+});
+
+app.get("/api/auth/sessions", authenticate, (req, res) => {
+  const list = sessions
+    .filter((s) => s.userId === req.user.id && isSessionActive(s))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+    .map((s) => toSessionDto(s, req.authSession.id));
+
+  res.json(list);
+});
+
+app.delete("/api/auth/sessions/:sessionId", authenticate, (req, res) => {
+  const session = sessions.get(Number(req.params.sessionId));
+  if (!session || session.userId !== req.user.id || !isSessionActive(session)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  revokeSession(session);
+  res.json({ success: true, current: session.id === req.authSession.id });
+});
+
+//
+// CREATORS
+//
+
+const CREATOR_BIO_MAX_LENGTH = 1000;
+const CREATOR_LOCATION_MAX_LENGTH = 80;
+const CREATOR_CATEGORIES = [
+  "art",
+  "comedy",
+  "cosplay",
+  "education",
+  "fashion",
+  "fitness",
+  "food",
+  "gaming",
+  "lifestyle",
+  "music",
+  "photography",
+  "other",
+];
+const SOCIAL_PLATFORMS = ["website", "instagram", "x", "tiktok", "youtube", "twitch"];
+
+// Avatars are square, banners 3:1; both re-encoded to WebP (drops EXIF too)
+const PROFILE_IMAGE_SIZES = {
+  avatar: { width: 400, height: 400 },
+  banner: { width: 1500, height: 500 },
+};
+const PROFILE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const CREATOR_TAGS_MAX = 10;
+const CREATOR_TAG_MAX_LENGTH = 24;
+
+/**
+ * Helper: Normalize a tag list ("#Cosplay, retro gaming" -> ["cosplay", "retro-gaming"])
+ */
+function cleanTags(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  const tags = list
+    .map((t) =>
+      String(t || "")
+        .trim()
+        .toLowerCase()
+        .replace(/^#+/, "")
+        .replace(/\s+/g, "-")
+        .replace(/[^a-z0-9-]/g, "")
+        .slice(0, CREATOR_TAG_MAX_LENGTH)
+    )
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Helper: Validate a socialLinks patch against the current links.
+ * Only http(s) URLs are kept; an empty value removes that platform.
+ */
+function cleanSocialLinks(input, current = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "socialLinks must be an object" };
+  }
+
+  const links = { ...current };
+  for (const [platform, value] of Object.entries(input)) {
+    if (!SOCIAL_PLATFORMS.includes(platform)) {
+      return { error: `Unknown social platform: ${platform}` };
+    }
+
+    const raw = String(value || "").trim();
+    if (!raw) {
+      delete links[platform];
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch {
+      return { error: `Invalid ${platform} link.` };
+    }
+    if (!["http:", "https:"].includes(url.protocol) || !url.hostname.includes(".") || raw.length > 300) {
+      return { error: `Invalid ${platform} link.` };
+    }
+    links[platform] = url.toString();
+  }
+
+  return { links };
+}
+
+/**
+ * Helper: Public URL of a stored avatar/banner file
+ */
+function profileImageUrl(filename) {
+  return filename ? `/media/profile/${encodeURIComponent(filename)}` : null;
+}
+
+/**
+ * Helper: Resize an uploaded avatar/banner and store it; returns the file name
+ */
+async function saveProfileImage(buffer, kind) {
+  const { width, height } = PROFILE_IMAGE_SIZES[kind];
+  const filename = `${kind}-${Date.now()}-${crypto.randomBytes(6).toString("hex")}.webp`;
+
+  await sharp(buffer)
+    .rotate()
+    .resize(width, height, { fit: "cover" })
+    .webp({ quality: 82 })
+    .toFile(path.join(profileImagesDir, filename));
+
+  return filename;
+}
+
+/**
+ * Helper: Delete a replaced profile image (best effort)
+ */
+function removeProfileImage(filename) {
+  if (!filename) return;
+  fs.rm(path.join(profileImagesDir, path.basename(filename)), { force: true }, () => {});
+}
+
+app.post(
+  "/api/creators",
+  authenticate,
+  kycUpload.fields([
+    { name: "idFront", maxCount: 1 },
+    { name: "idBack", maxCount: 1 },
+    { name: "selfie", maxCount: 1 },
+  ]),
+  (req, res) => {
+    let { displayName, username, accountType, price } = req.body;
+    const discardUploads = () =>
+      Object.values(req.files || {})
+        .flat()
+        .forEach((f) => fs.rm(f.path, { force: true }, () => {}));
+
+    // Upgrading to a creator confirms the password, like other account changes
+    if (!bcrypt.compareSync(String(req.body.password || "").trim(), req.user.password)) {
+      discardUploads();
+      return res.status(403).json({ error: "Incorrect password." });
+    }
+
+    displayName = (displayName || "").trim();
+    username = (username || "").trim().toLowerCase();
+    accountType = (accountType || "").trim();
+
+    if (!displayName || !username || !accountType) {
+      discardUploads();
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (!["free", "subscription"].includes(accountType)) {
+      discardUploads();
+      return res.status(400).json({ error: "Invalid account type" });
+    }
+
+    // Handles resolve to creators and fans alike, so the name must be free in
+    // both (the user's own fan username is fine)
+    const fanWithUsername = users.findBy("username", username);
+    const usernameTaken =
+      !!findCreatorByUsername(username) || (!!fanWithUsername && fanWithUsername.id !== req.user.id);
+    if (usernameTaken) {
+      discardUploads();
+      return res.status(409).json({ error: "That creator username is already taken." });
+    }
+
+    // A creator account is always linked to the logged-in user, one per user
+    if (findCreatorForUser(req.user)) {
+      discardUploads();
+      return res.status(409).json({ error: "Your account already has a creator profile." });
+    }
+
+    const priceNumber = accountType === "subscription" ? Number(price) || 0 : null;
+
+    const record = {
+      userId: req.user.id,
+      displayName,
+      username,
+      accountType,
+      price: priceNumber,
+      idFrontPath: req.files?.idFront?.[0]?.filename || null,
+      idBackPath: req.files?.idBack?.[0]?.filename || null,
+      selfiePath: req.files?.selfie?.[0]?.filename || null,
+      createdAt: new Date().toISOString(),
+      status: "pending",
+      reviewedAt: null,
+      reviewedBy: null,
+      statusReason: null,
+    };
+
+    // The role now says "creator": an admin keeps admin access through the flag
+    if (req.user.role === "admin") req.user.isAdmin = true;
+    req.user.role = "creator";
+
+    const created = db.transaction(() => {
+      users.update(req.user);
+      const creator = creators.insert(record);
+      if (priceNumber > 0) createDefaultTier(creator, priceNumber);
+      return creator;
+    });
+
+    res.json({ success: true, creatorId: created.id });
+  }
+);
+
+//
+// CREATOR SEARCH (Explore)
+//
+
+const SEARCH_PAGE_SIZE = 24;
+const SEARCH_PAGE_SIZE_MAX = 50;
+const TRENDING_WINDOW_DAYS = 7;
+const SEARCH_SORTS = ["newest", "popular", "trending"];
+
+/**
+ * Helper: Per-creator numbers used for ranking, keyed by normalized username.
+ * popular = active subscribers + followers + likes on all posts;
+ * trending = paid transactions + likes on new posts within the trending window.
+ */
+function creatorRankingStats(now = new Date()) {
+  const since = new Date(now.getTime() - TRENDING_WINDOW_DAYS * DAY_MS).toISOString();
+  const stats = new Map();
+  const statFor = (username) => {
+    const key = normUsername(username);
+    if (!stats.has(key)) stats.set(key, { popular: 0, trending: 0 });
+    return stats.get(key);
+  };
+
+  for (const sub of subscriptions.filter((s) => isSubscriptionActive(s, now))) {
+    statFor(sub.creatorUsername).popular += 1;
+  }
+  const creatorsById = new Map(creators.all().map((c) => [c.id, c]));
+  for (const follow of follows.all()) {
+    const creator = creatorsById.get(follow.creatorId);
+    if (creator) statFor(creator.username).popular += 1;
+  }
+  for (const post of posts.filter((p) => isPostPublished(p, now))) {
+    const likes = Number(post.likes) || 0;
+    statFor(post.username).popular += likes;
+    if (postPublishedAt(post) >= since) statFor(post.username).trending += likes;
+  }
+  for (const t of transactions.filter((t) => isTransactionPaid(t) && (t.createdAt || "") >= since)) {
+    statFor(t.creatorUsername).trending += 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Helper: Opaque keyset cursor for search results: the sort key and id of the last item
+ */
+function encodeSearchCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString("base64url");
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof id !== "number" || (typeof key !== "number" && typeof key !== "string")) return null;
+    return { key, id };
+  } catch {
+    return null;
+  }
+}
+
+// Public creator directory:
+// GET /api/creators?q=&accountType=&minPrice=&maxPrice=&tags=a,b&category=&sort=&cursor=&limit=
+app.get("/api/creators", optionalAuthenticate, (req, res) => {
+  const { q, accountType, minPrice, maxPrice, tags, category, cursor } = req.query;
+  const sort = req.query.sort || "newest";
+  const limit = Math.min(Math.max(Number(req.query.limit) || SEARCH_PAGE_SIZE, 1), SEARCH_PAGE_SIZE_MAX);
+
+  if (!SEARCH_SORTS.includes(sort)) return res.status(400).json({ error: "Invalid sort" });
+  if (accountType && !["free", "subscription"].includes(accountType)) {
+    return res.status(400).json({ error: "Invalid account type" });
+  }
+  const after = cursor ? decodeSearchCursor(cursor) : null;
+  if (cursor && !after) return res.status(400).json({ error: "Invalid cursor" });
+
+  const words = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const wantedTags = cleanTags(tags);
+  const min = minPrice !== undefined && minPrice !== "" ? Number(minPrice) : null;
+  const max = maxPrice !== undefined && maxPrice !== "" ? Number(maxPrice) : null;
+  const blockedIds = blockedUserIds(req.user);
+
+  let list = creators.filter((c) => {
+    if (!isCreatorApproved(c)) return false;
+    if (c.userId && blockedIds.has(c.userId)) return false;
+    if (accountType && c.accountType !== accountType) return false;
+    if (category && c.category !== category) return false;
+
+    // free creators count as price 0
+    const price = c.accountType === "subscription" ? Number(c.price) || 0 : 0;
+    if (min !== null && price < min) return false;
+    if (max !== null && price > max) return false;
+
+    const creatorTags = c.tags || [];
+    if (!wantedTags.every((t) => creatorTags.includes(t))) return false;
+
+    const haystack = [c.username, c.displayName, c.bio].join(" ").toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+
+  // Sort key per creator; ties (and "newest") fall back to id, newest first
+  const stats = sort === "newest" ? null : creatorRankingStats();
+  const keyOf = (c) => (stats ? (stats.get(normUsername(c.username)) || {})[sort] || 0 : c.createdAt || "");
+  const compare = (aKey, aId, bKey, bId) => (aKey < bKey ? 1 : aKey > bKey ? -1 : bId - aId);
+
+  list = list
+    .map((c) => ({ creator: c, key: keyOf(c) }))
+    .sort((a, b) => compare(a.key, a.creator.id, b.key, b.creator.id));
+  if (after) list = list.filter((item) => compare(after.key, after.id, item.key, item.creator.id) < 0);
+
+  const page = list.slice(0, limit);
+  const last = page[page.length - 1];
+
+  res.json({
+    creators: page.map((item) => toPublicCreatorDto(item.creator)),
+    nextCursor: list.length > limit && last ? encodeSearchCursor(last.key, last.creator.id) : null,
+  });
+});
+
+//
+// SUBSCRIPTION TIERS (a creator's plans; posts can require a minimum tier)
+//
+
+const TIERS_MAX = 5;
+const TIER_LEVEL_MAX = 10;
+const TIER_NAME_MAX_LENGTH = 40;
+const TIER_PERKS_MAX = 8;
+const TIER_PERK_MAX_LENGTH = 120;
+// Prepaid bundles: several months up front at a discount, same for every tier
+const BUNDLE_MONTHS = [3, 6];
+const BUNDLE_DISCOUNT_MAX_PERCENT = 50;
+
+/**
+ * Helper: Tiers fans can subscribe to, lowest level first. Archived tiers
+ * keep serving the subscriptions already on them but take no new ones.
+ */
+function activeTiers(creator) {
+  if (!creator) return [];
+  return subscriptionTiers
+    .filter((t) => t.creatorId === creator.id && !t.archived)
+    .sort((a, b) => a.level - b.level || a.price - b.price);
+}
+
+/**
+ * Helper: Price of `months` of a tier, with the creator's bundle discount
+ */
+function tierPrice(tier, months, creator) {
+  const bundle = months > 1 ? (creator.bundles || []).find((b) => b.months === months) : null;
+  const discount = bundle ? bundle.discountPercent : 0;
+  return Math.round(tier.price * months * (100 - discount)) / 100;
+}
+
+function toTierDto(tier, creator) {
+  return {
+    id: tier.id,
+    name: tier.name,
+    price: tier.price,
+    perks: tier.perks || [],
+    level: tier.level,
+    // Billing choices: monthly plus any bundles the creator offers
+    options: [{ months: 1, discountPercent: 0 }, ...(creator.bundles || [])].map((b) => ({
+      months: b.months,
+      discountPercent: b.discountPercent,
+      price: tierPrice(tier, b.months, creator),
+    })),
+  };
+}
+
+/**
+ * Helper: Keep accountType / price in line with the tiers: a creator with
+ * tiers is a subscription creator, listed at the cheapest tier's price.
+ */
+function syncCreatorPlan(creator) {
+  const tiers = activeTiers(creator);
+  creator.accountType = tiers.length ? "subscription" : "free";
+  creator.price = tiers.length ? Math.min(...tiers.map((t) => t.price)) : null;
+  creators.update(creator);
+}
+
+/**
+ * Helper: The single tier a creator gets when they just set one price
+ * (creator signup, older clients, data from before tiers)
+ */
+function createDefaultTier(creator, price) {
+  return subscriptionTiers.insert({
+    creatorId: creator.id,
+    name: "Subscriber",
+    price,
+    perks: [],
+    level: 1,
+    archived: false,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Helper: Validate tier fields. Everything is required when creating.
+ * Returns { fields } or { error }.
+ */
+function cleanTierInput(input, creating) {
+  const { name, price, perks, level } = input || {};
+  const fields = {};
+
+  if (creating || name !== undefined) {
+    const cleanName = String(name || "").trim();
+    if (!cleanName) return { error: "Tier name is required." };
+    if (cleanName.length > TIER_NAME_MAX_LENGTH) {
+      return { error: `Tier names must be at most ${TIER_NAME_MAX_LENGTH} characters.` };
+    }
+    fields.name = cleanName;
+  }
+
+  if (creating || price !== undefined) {
+    const priceNumber = Math.round(Number(price) * 100) / 100;
+    if (!Number.isFinite(priceNumber) || priceNumber <= 0) return { error: "Tier price must be greater than 0." };
+    fields.price = priceNumber;
+  }
+
+  if (perks !== undefined) {
+    const list = (Array.isArray(perks) ? perks : String(perks || "").split("\n"))
+      .map((p) => String(p || "").trim())
+      .filter(Boolean);
+    if (list.length > TIER_PERKS_MAX) return { error: `At most ${TIER_PERKS_MAX} perks per tier.` };
+    if (list.some((p) => p.length > TIER_PERK_MAX_LENGTH)) {
+      return { error: `Perks must be at most ${TIER_PERK_MAX_LENGTH} characters.` };
+    }
+    fields.perks = list;
+  }
+
+  if (level !== undefined) {
+    const levelNumber = Number(level);
+    if (!Number.isInteger(levelNumber) || levelNumber < 1 || levelNumber > TIER_LEVEL_MAX) {
+      return { error: `Tier level must be a whole number from 1 to ${TIER_LEVEL_MAX}.` };
+    }
+    fields.level = levelNumber;
+  }
+
+  return { fields };
+}
+
+/**
+ * Helper: Validate bundle discounts ([{ months, discountPercent }]).
+ * A discount of 0 turns that bundle off.
+ */
+function cleanBundles(input) {
+  if (!Array.isArray(input)) return { error: "bundles must be a list" };
+
+  const bundles = [];
+  for (const b of input) {
+    const months = Number(b && b.months);
+    const discountPercent = Number(b && b.discountPercent) || 0;
+    if (!BUNDLE_MONTHS.includes(months)) {
+      return { error: `Bundles can be ${BUNDLE_MONTHS.join(" or ")} months.` };
+    }
+    if (discountPercent < 0 || discountPercent > BUNDLE_DISCOUNT_MAX_PERCENT) {
+      return { error: `Bundle discounts must be between 0 and ${BUNDLE_DISCOUNT_MAX_PERCENT}%.` };
+    }
+    if (discountPercent > 0 && !bundles.some((x) => x.months === months)) {
+      bundles.push({ months, discountPercent: Math.round(discountPercent) });
+    }
+  }
+  return { bundles: bundles.sort((a, b) => a.months - b.months) };
+}
+
+/**
+ * Helper: Level of the fan's current subscription to this creator, 0 if none.
+ * Subscriptions from before tiers existed count as level 1.
+ */
+function subscriptionLevel(creator, viewerUser) {
+  if (!viewerUser) return 0;
+  const sub = findActiveSubscription(creator.username, viewerUser.id);
+  if (!sub) return 0;
+  const tier = sub.tierId ? subscriptionTiers.get(sub.tierId) : null;
+  return tier ? tier.level : 1;
+}
+
+/**
+ * Helper: Level a post needs: its minimum tier's, or 1 (any subscription)
+ */
+function requiredTierLevel(post) {
+  const tier = post.minTierId ? subscriptionTiers.get(post.minTierId) : null;
+  return tier ? tier.level : 1;
+}
+
+/**
+ * Helper: Check a post's minTierId against the creator's tiers.
+ * Returns { minTierId } (null = any tier) or { error }.
+ */
+function cleanMinTier(creator, value) {
+  if (value === undefined || value === null || value === "") return { minTierId: null };
+  const tier = activeTiers(creator).find((t) => t.id === Number(value));
+  if (!tier) return { error: "Unknown subscription tier" };
+  return { minTierId: tier.id };
+}
+
+app.post("/api/creators/:username/tiers", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  if (activeTiers(creator).length >= TIERS_MAX) {
+    return res.status(400).json({ error: `You can have at most ${TIERS_MAX} tiers.` });
+  }
+
+  const { fields, error } = cleanTierInput(req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const levels = activeTiers(creator).map((t) => t.level);
+  const tier = db.transaction(() => {
+    const record = subscriptionTiers.insert({
+      creatorId: creator.id,
+      perks: [],
+      level: Math.min(levels.length ? Math.max(...levels) + 1 : 1, TIER_LEVEL_MAX),
+      ...fields,
+      archived: false,
+      createdAt: new Date().toISOString(),
+    });
+    syncCreatorPlan(creator);
+    return record;
+  });
+
+  res.json({ success: true, tier: toTierDto(tier, creator), creator: toPublicCreatorDto(creator, req.user) });
+});
+
+// Price changes apply to new subscriptions and to renewals
+app.patch("/api/creators/:username/tiers/:tierId", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  const tier = activeTiers(creator).find((t) => t.id === Number(req.params.tierId));
+  if (!tier) return res.status(404).json({ error: "Tier not found" });
+
+  const { fields, error } = cleanTierInput(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  db.transaction(() => {
+    subscriptionTiers.update(Object.assign(tier, fields, { updatedAt: new Date().toISOString() }));
+    syncCreatorPlan(creator);
+  });
+
+  res.json({ success: true, tier: toTierDto(tier, creator), creator: toPublicCreatorDto(creator, req.user) });
+});
+
+// Archive: no new subscribers; current ones keep access until their period ends
+app.delete("/api/creators/:username/tiers/:tierId", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  const tier = activeTiers(creator).find((t) => t.id === Number(req.params.tierId));
+  if (!tier) return res.status(404).json({ error: "Tier not found" });
+
+  db.transaction(() => {
+    tier.archived = true;
+    tier.archivedAt = new Date().toISOString();
+    subscriptionTiers.update(tier);
+    syncCreatorPlan(creator);
+  });
+
+  res.json({ success: true, creator: toPublicCreatorDto(creator, req.user) });
+});
+
+//
+// CREATOR PROFILES
+//
+
+app.get("/api/creators/:username", optionalAuthenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  res.json({
+    ...toPublicCreatorDto(creator, req.user),
+    followers: countFollowers(creator),
+    followedByMe: !!findFollow(req.user, creator),
+  });
+});
+
+app.patch("/api/creators/:username", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+
+  const { displayName, accountType, price, bio, location, category, socialLinks, tags, bundles } = req.body || {};
+
+  // Collected here and applied only once every field has passed, so a
+  // rejected edit leaves the profile untouched
+  const patch = {};
+
+  if (tags !== undefined) {
+    const cleaned = cleanTags(tags);
+    if (cleaned.length > CREATOR_TAGS_MAX) {
+      return res.status(400).json({ error: `At most ${CREATOR_TAGS_MAX} tags.` });
+    }
+    patch.tags = cleaned;
+  }
+
+  if (bio !== undefined) {
+    const cleanBio = String(bio || "").trim();
+    if (cleanBio.length > CREATOR_BIO_MAX_LENGTH) {
+      return res.status(400).json({ error: `Bio must be at most ${CREATOR_BIO_MAX_LENGTH} characters.` });
+    }
+    patch.bio = cleanBio;
+  }
+
+  if (location !== undefined) {
+    const cleanLocation = String(location || "").trim();
+    if (cleanLocation.length > CREATOR_LOCATION_MAX_LENGTH) {
+      return res.status(400).json({ error: `Location must be at most ${CREATOR_LOCATION_MAX_LENGTH} characters.` });
+    }
+    patch.location = cleanLocation;
+  }
+
+  if (category !== undefined) {
+    if (category && !CREATOR_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: "Invalid category" });
+    }
+    patch.category = category || null;
+  }
+
+  if (socialLinks !== undefined) {
+    const { links, error } = cleanSocialLinks(socialLinks, creator.socialLinks);
+    if (error) return res.status(400).json({ error });
+    patch.socialLinks = links;
+  }
+
+  if (displayName !== undefined) {
+    const cleanName = String(displayName).trim();
+    if (cleanName) patch.displayName = cleanName;
+  }
+
+  if (bundles !== undefined) {
+    const cleaned = cleanBundles(bundles);
+    if (cleaned.error) return res.status(400).json({ error: cleaned.error });
+    patch.bundles = cleaned.bundles;
+  }
+
+  // accountType / price predate tiers: "free" archives every tier, a price
+  // sets up (or reprices) the single default tier
+  if (accountType !== undefined && !["free", "subscription"].includes(accountType)) {
+    return res.status(400).json({ error: "Invalid account type" });
+  }
+  const planChange = accountType !== undefined || price !== undefined;
+  const wantsPlan = (accountType ?? creator.accountType) === "subscription";
+  const tiers = activeTiers(creator);
+  const priceNumber = price !== undefined ? Number(price) || 0 : tiers.length ? tiers[0].price : 0;
+  if (planChange && wantsPlan) {
+    if (price !== undefined && tiers.length > 1) {
+      return res.status(400).json({ error: "You have several tiers; change prices on the tiers themselves." });
+    }
+    if (priceNumber <= 0) return res.status(400).json({ error: "Subscription price must be greater than 0." });
+  }
+
+  db.transaction(() => {
+    Object.assign(creator, patch);
+    if (planChange && !wantsPlan) {
+      const now = new Date().toISOString();
+      for (const tier of tiers) subscriptionTiers.update({ ...tier, archived: true, archivedAt: now });
+    } else if (planChange) {
+      if (!tiers.length) createDefaultTier(creator, priceNumber);
+      else if (price !== undefined) subscriptionTiers.update({ ...tiers[0], price: priceNumber });
+    }
+    syncCreatorPlan(creator);
+  });
+
+  res.json({ success: true, creator: toPublicCreatorDto(creator, req.user) });
+});
+
+/**
+ * Helper: Run the profile image upload, turning multer errors into JSON responses
+ */
+function acceptProfileImage(req, res, next) {
+  profileImageUpload.single("image")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Images must be at most ${PROFILE_IMAGE_MAX_MB} MB.` });
+    }
+    return res.status(400).json({ error: "Upload failed." });
+  });
+}
+
+app.post("/api/creators/:username/:kind(avatar|banner)", creatorOwnerOnly, acceptProfileImage, async (req, res) => {
+  const creator = req.creator;
+  const kind = req.params.kind;
+
+  if (!req.file) return res.status(400).json({ error: "No image uploaded." });
+  if (!PROFILE_IMAGE_TYPES.includes(req.file.mimetype)) {
+    return res.status(400).json({ error: "Images must be JPEG, PNG, WebP or GIF." });
+  }
+
+  let filename;
+  try {
+    filename = await saveProfileImage(req.file.buffer, kind);
+  } catch (err) {
+    return res.status(400).json({ error: "That file could not be read as an image." });
+  }
+
+  const field = `${kind}Filename`;
+  const previous = creator[field];
+  creator[field] = filename;
+  creators.update(creator);
+  removeProfileImage(previous);
+
+  res.json({ success: true, creator: toPublicCreatorDto(creator, req.user) });
+});
+
+app.delete("/api/creators/:username/:kind(avatar|banner)", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  const field = `${req.params.kind}Filename`;
+
+  const previous = creator[field];
+  creator[field] = null;
+  creators.update(creator);
+  removeProfileImage(previous);
+
+  res.json({ success: true, creator: toPublicCreatorDto(creator, req.user) });
+});
+
+//
+// POSTS (with locked flag)
+//
+
+const POST_VISIBILITIES = ["free", "subscribers", "ppv"];
+
+/**
+ * Helper: Whether post content is locked for the viewer.
+ * The owning creator sees everything. Subscriber posts need a subscription
+ * at the post's minimum tier or above; so do PPV posts of creators who sell
+ * subscriptions. PPV posts always need an unlock on top.
+ */
+function isPostLocked(post, creator, viewerUser) {
+  if (isCreatorOwner(viewerUser, creator)) return false;
+
+  // Tier gating
+  const tierGated =
+    post.visibility === "subscribers" ||
+    (post.visibility === "ppv" && (creator.accountType === "subscription" || !!post.minTierId));
+  if (tierGated && subscriptionLevel(creator, viewerUser) < requiredTierLevel(post)) return true;
+
+  // PPV gating (always needs unlock)
+  if (post.visibility === "ppv") {
+    if (!viewerUser || !hasUnlockedPost(post.id, viewerUser.id)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Helper: Has this fan unlocked (paid for) this PPV post?
+ */
+function hasUnlockedPost(postId, fanUserId) {
+  return unlockedPosts.some((u) => u.postId === postId && u.fanUserId === fanUserId);
+}
+
+// Post states: draft -> scheduled -> published. Publishing is final: fans may
+// already have paid for the post, so it can't go back to being a draft.
+const POST_STATUSES = ["draft", "scheduled", "published"];
+const POST_STATUS_TRANSITIONS = {
+  draft: ["draft", "scheduled", "published"],
+  scheduled: ["draft", "scheduled", "published"],
+  published: ["published"],
+};
+const POST_PUBLISH_JOB_INTERVAL_MS = Number(process.env.POST_PUBLISH_JOB_INTERVAL_MS) || 30 * 1000;
+
+/**
+ * Helper: Is the post live for fans? Posts from before drafts existed have no
+ * status and count as published. A scheduled post is live as soon as its time
+ * has come, even if the publisher job hasn't flipped it yet.
+ */
+function isPostPublished(post, now = new Date()) {
+  const status = post.status || "published";
+  if (status === "published") return true;
+  return status === "scheduled" && !!post.publishAt && post.publishAt <= now.toISOString();
+}
+
+/**
+ * Helper: Was the post taken down by an admin (see the report queue)?
+ */
+function isPostRemoved(post) {
+  return !!post.removedAt;
+}
+
+/**
+ * Helper: Drafts and scheduled posts are only visible to their creator;
+ * removed posts only to admins (reviewing reports)
+ */
+function canViewPost(post, creator, viewerUser) {
+  if (isPostRemoved(post)) return isAdmin(viewerUser);
+  return isPostPublished(post) || isCreatorOwner(viewerUser, creator);
+}
+
+/**
+ * Helper: When the post went live (sort key for feeds)
+ */
+function postPublishedAt(post) {
+  return post.publishedAt || (post.status === "scheduled" ? post.publishAt : null) || post.createdAt || "";
+}
+
+/**
+ * Helper: Validate a requested status / publishAt against the post's current
+ * state (none when creating). Giving only publishAt means "scheduled".
+ * Returns { status, publishAt } or { error }.
+ */
+function cleanPublishState(input, current = null, now = new Date()) {
+  const hasTime = input.publishAt !== undefined && input.publishAt !== null && input.publishAt !== "";
+  const currentStatus = current ? (isPostPublished(current, now) ? "published" : current.status) : null;
+
+  const status = input.status !== undefined ? String(input.status) : hasTime ? "scheduled" : currentStatus || "published";
+  if (!POST_STATUSES.includes(status)) return { error: "Invalid status" };
+  if (currentStatus && !POST_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+    return { error: "Published posts can't be moved back to drafts or rescheduled." };
+  }
+
+  if (status !== "scheduled") return { status, publishAt: null };
+
+  const time = hasTime ? input.publishAt : current && current.publishAt;
+  const when = new Date(time);
+  if (!time || Number.isNaN(when.getTime())) return { error: "Scheduled posts need a valid publishAt time." };
+  if (when <= now) return { error: "publishAt must be in the future." };
+  return { status, publishAt: when.toISOString() };
+}
+
+/**
+ * Flip scheduled posts whose time has come to published
+ */
+function publishDuePosts(now = new Date()) {
+  let published = 0;
+  for (const post of posts.filter((p) => p.status === "scheduled" && isPostPublished(p, now))) {
+    post.status = "published";
+    post.publishedAt = post.publishAt;
+    posts.update(post);
+    published += 1;
+  }
+  return published;
+}
+
+/**
+ * Helper: Who a media URL was issued to – "u:<userId>" or "anon"
+ */
+function mediaViewerKey(viewerUser) {
+  return viewerUser ? `u:${viewerUser.id}` : "anon";
+}
+
+// Variants of a media item: the file itself, a small preview (images only)
+// and a heavily blurred teaser that may be shown while the post is locked
+const MEDIA_VARIANTS = ["original", "thumb", "teaser"];
+
+function mediaSignature(postId, index, variant, viewer, exp) {
+  return crypto
+    .createHmac("sha256", MEDIA_URL_SECRET)
+    .update(`${postId}|${index}|${variant}|${viewer}|${exp}`)
+    .digest("hex");
+}
+
+/**
+ * Helper: Short-lived signed URL for one variant of a post's media item.
+ * Expiry is rounded up to the next TTL boundary so repeated listings hand out
+ * the same URL and the browser cache keeps working.
+ */
+function signMediaUrl(postId, index, variant, viewerUser) {
+  const viewer = mediaViewerKey(viewerUser);
+  const now = Math.floor(Date.now() / 1000);
+  const exp = (Math.floor(now / MEDIA_URL_TTL_SECONDS) + 2) * MEDIA_URL_TTL_SECONDS;
+  const query = new URLSearchParams({
+    v: viewer,
+    exp: String(exp),
+    sig: mediaSignature(postId, index, variant, viewer, exp),
+  });
+  return `/api/media/posts/${postId}/${index}/${variant}?${query.toString()}`;
+}
+
+/**
+ * Helper: The tier named on a post, for "Gold and above" labels
+ */
+function requiredTierDto(post) {
+  const tier = post.minTierId ? subscriptionTiers.get(post.minTierId) : null;
+  return tier ? { id: tier.id, name: tier.name, level: tier.level } : null;
+}
+
+/**
+ * Helper: Post as returned to a viewer. Stored file names are never exposed;
+ * each media item comes back with signed URLs. Locked posts only get the
+ * blurred teasers.
+ */
+function toPostDto(post, creator, viewerUser) {
+  const locked = isPostLocked(post, creator, viewerUser);
+  const { media, likedBy, likedAt, ...rest } = post;
+  const likers = Array.isArray(likedBy) ? likedBy : [];
+  const items = Array.isArray(media) ? media : [];
+
+  const out = {
+    ...rest,
+    minTierId: post.minTierId || null,
+    requiredTier: requiredTierDto(post),
+    status: isPostPublished(post) ? "published" : post.status,
+    publishAt: post.publishAt || null,
+    publishedAt: isPostPublished(post) ? postPublishedAt(post) : null,
+    likes: likers.length,
+    likedByMe: !!viewerUser && likers.includes(viewerUser.id),
+    commentCount: countVisibleComments(post.id),
+    commentsDisabled: !!post.commentsDisabled,
+    locked,
+    hasMedia: items.length > 0,
+    media: items.map((item, index) => ({
+      index,
+      type: item.type,
+      mime: item.mime,
+      width: item.width || null,
+      height: item.height || null,
+      url: locked ? null : signMediaUrl(post.id, index, "original", viewerUser),
+      thumbUrl: !locked && item.thumbFilename ? signMediaUrl(post.id, index, "thumb", viewerUser) : null,
+      teaserUrl: item.teaserFilename ? signMediaUrl(post.id, index, "teaser", viewerUser) : null,
+    })),
+  };
+  if (locked) out.description = "";
+  return out;
+}
+
+/**
+ * Helper: Check an uploaded post file against its declared type: size limit
+ * per kind, and the file's leading bytes must match. Returns an error or null.
+ */
+function validatePostMediaFile(file) {
+  const type = POST_MEDIA_TYPES[file.mimetype];
+  const maxMb = type === "video" ? POST_VIDEO_MAX_MB : POST_IMAGE_MAX_MB;
+  if (file.size > maxMb * 1024 * 1024) {
+    return `${file.originalname}: ${type === "video" ? "videos" : "images"} must be at most ${maxMb} MB.`;
+  }
+
+  const head = Buffer.alloc(16);
+  const fd = fs.openSync(file.path, "r");
+  try {
+    fs.readSync(fd, head, 0, 16, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const signatures = {
+    "image/jpeg": () => head[0] === 0xff && head[1] === 0xd8,
+    "image/png": () => head.toString("hex", 0, 8) === "89504e470d0a1a0a",
+    "image/gif": () => head.toString("ascii", 0, 4) === "GIF8",
+    "image/webp": () => head.toString("ascii", 0, 4) === "RIFF" && head.toString("ascii", 8, 12) === "WEBP",
+    "video/mp4": () => head.toString("ascii", 4, 8) === "ftyp",
+    "video/quicktime": () => ["ftyp", "moov", "mdat", "wide", "free"].includes(head.toString("ascii", 4, 8)),
+    "video/webm": () => head.toString("hex", 0, 4) === "1a45dfa3",
+  };
+  if (!signatures[file.mimetype]()) return `${file.originalname} is not a valid ${file.mimetype} file.`;
+
+  return null;
+}
+
+/**
+ * Helper: Build the stored media item for an uploaded file, generating the
+ * thumbnail and blurred teaser for images. Videos keep just the file (no
+ * frame extraction on this server).
+ */
+async function processPostMediaFile(filename, mime) {
+  const item = { filename, mime, type: POST_MEDIA_TYPES[mime] || "image", thumbFilename: null, teaserFilename: null };
+  if (item.type !== "image") return item;
+
+  const source = path.join(uploadsDir, filename);
+  const { thumbFilename, teaserFilename } = postMediaDerivativeNames(filename);
+  const image = sharp(source, { animated: false }).rotate();
+
+  const meta = await image.metadata();
+  item.width = meta.width || null;
+  item.height = meta.height || null;
+
+  item.thumbFilename = thumbFilename;
+  await image.clone().resize({ width: 480, withoutEnlargement: true }).webp({ quality: 75 }).toFile(path.join(uploadsDir, item.thumbFilename));
+
+  // Tiny and blurred, then scaled back up by the browser: shows colours and
+  // shapes only, so it's safe to hand to viewers who haven't paid
+  item.teaserFilename = teaserFilename;
+  await image.clone().resize({ width: 48 }).blur(4).webp({ quality: 50 }).toFile(path.join(uploadsDir, item.teaserFilename));
+
+  return item;
+}
+
+/**
+ * Helper: File names of the previews made for an uploaded image
+ */
+function postMediaDerivativeNames(filename) {
+  const base = path.parse(filename).name;
+  return { thumbFilename: `thumb-${base}.webp`, teaserFilename: `teaser-${base}.webp` };
+}
+
+/**
+ * Helper: Delete a post's media files and their derivatives (best effort)
+ */
+function removePostMediaFiles(post) {
+  for (const item of post.media || []) {
+    for (const name of [item.filename, item.thumbFilename, item.teaserFilename]) {
+      if (name) fs.rm(path.join(uploadsDir, path.basename(name)), { force: true }, () => {});
+    }
+  }
+}
+
+app.get("/api/creators/:username/posts", optionalAuthenticate, (req, res) => {
+  const username = normUsername(req.params.username);
+  const creator = findCreatorByUsername(username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+
+  // viewer identity comes from the token only
+  const viewerUser = req.user || null;
+
+  // Fans only ever get published posts; the creator can ask for
+  // ?status=all|draft|scheduled (the dashboard does)
+  const status = String(req.query.status || "published");
+  if (status !== "all" && !POST_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  const wanted = isCreatorOwner(viewerUser, creator) ? status : "published";
+  const matchesStatus = (p) => {
+    if (wanted === "all") return true;
+    const current = isPostPublished(p) ? "published" : p.status;
+    return current === wanted;
+  };
+
+  const creatorPosts = posts
+    .filterBy("username", username)
+    .filter((p) => !isPostRemoved(p) && matchesStatus(p))
+    .map((p) => toPostDto(p, creator, viewerUser));
+
+  res.json(creatorPosts);
+});
+
+//
+// FOLLOWS (free, no payment; subscriptions are separate)
+//
+
+/**
+ * Helper: The user's follow of a creator, or null
+ */
+function findFollow(user, creator) {
+  if (!user || !creator) return null;
+  return follows.filterBy("userId", user.id).find((f) => f.creatorId === creator.id) || null;
+}
+
+/**
+ * Helper: Number of users following a creator
+ */
+function countFollowers(creator) {
+  return follows.filter((f) => f.creatorId === creator.id).length;
+}
+
+app.post("/api/creators/:username/follow", authenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator || !isCreatorApproved(creator) || hasBlockBetween(req.user, creator.userId)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  if (isCreatorOwner(req.user, creator)) {
+    return res.status(400).json({ error: "You can't follow yourself." });
+  }
+
+  if (!findFollow(req.user, creator)) {
+    follows.insert({ userId: req.user.id, creatorId: creator.id, createdAt: new Date().toISOString() });
+  }
+
+  res.json({ success: true, following: true, followers: countFollowers(creator) });
+});
+
+app.delete("/api/creators/:username/follow", authenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  follows.removeWhere((f) => f.userId === req.user.id && f.creatorId === creator.id);
+  res.json({ success: true, following: false, followers: countFollowers(creator) });
+});
+
+// Creators the logged-in user follows, most recently followed first
+app.get("/api/follows/mine", authenticate, (req, res) => {
+  const list = follows
+    .filter((f) => f.userId === req.user.id)
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
+    .map((f) => creators.get(f.creatorId))
+    .filter((c) => c && canViewCreator(req.user, c))
+    .map((c) => toPublicCreatorDto(c));
+
+  res.json(list);
+});
+
+//
+// FEED (posts from followed and subscribed creators)
+//
+
+const FEED_PAGE_SIZE = 20;
+const FEED_PAGE_SIZE_MAX = 50;
+
+// GET /api/feed?cursor=&limit= – newest first, same gating as a creator's post list
+app.get("/api/feed", authenticate, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || FEED_PAGE_SIZE, 1), FEED_PAGE_SIZE_MAX);
+  const after = req.query.cursor ? decodeSearchCursor(req.query.cursor) : null;
+  if (req.query.cursor && !after) return res.status(400).json({ error: "Invalid cursor" });
+
+  // Creators in the feed, keyed by normalized username
+  const feedCreators = new Map();
+  const addCreator = (creator) => {
+    if (creator && canViewCreator(req.user, creator)) feedCreators.set(normUsername(creator.username), creator);
+  };
+  for (const f of follows.filterBy("userId", req.user.id)) {
+    addCreator(creators.get(f.creatorId));
+  }
+  for (const sub of subscriptions.filter((s) => s.fanUserId === req.user.id && isSubscriptionActive(s))) {
+    addCreator(findCreatorByUsername(sub.creatorUsername));
+  }
+
+  const isAfterCursor = (p) => {
+    const key = postPublishedAt(p);
+    return !after || key < after.key || (key === after.key && p.id < after.id);
+  };
+
+  const list = posts
+    .filter((p) => feedCreators.has(normUsername(p.username)) && isPostPublished(p) && !isPostRemoved(p) && isAfterCursor(p))
+    .sort((a, b) => postPublishedAt(b).localeCompare(postPublishedAt(a)) || b.id - a.id);
+
+  const page = list.slice(0, limit);
+  const last = page[page.length - 1];
+
+  res.json({
+    posts: page.map((p) => {
+      const creator = feedCreators.get(normUsername(p.username));
+      return {
+        ...toPostDto(p, creator, req.user),
+        creator: {
+          username: creator.username,
+          displayName: creator.displayName,
+          avatarUrl: profileImageUrl(creator.avatarFilename),
+        },
+      };
+    }),
+    nextCursor: list.length > limit && last ? encodeSearchCursor(postPublishedAt(last), last.id) : null,
+    creatorCount: feedCreators.size,
+  });
+});
+
+//
+// MEDIA (signed, access-checked)
+//
+app.get("/api/media/posts/:postId/:index/:variant", (req, res) => {
+  const postId = Number(req.params.postId);
+  const index = Number(req.params.index);
+  const variant = req.params.variant;
+  const viewer = String(req.query.v || "");
+  const exp = Number(req.query.exp);
+  const sig = String(req.query.sig || "");
+
+  if (!MEDIA_VARIANTS.includes(variant)) return res.status(404).json({ error: "Media not found" });
+
+  const given = Buffer.from(sig);
+  const expected = Buffer.from(mediaSignature(postId, index, variant, viewer, exp));
+  const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  if (!valid) return res.status(403).json({ error: "Invalid media link." });
+  if (!Number.isFinite(exp) || exp * 1000 < Date.now()) {
+    return res.status(403).json({ error: "This media link has expired." });
+  }
+
+  // Re-check access for the viewer the URL was issued to, so a refund,
+  // chargeback or lapsed subscription cuts off links already handed out
+  let viewerUser = null;
+  if (viewer.startsWith("u:")) {
+    viewerUser = users.get(Number(viewer.slice(2)));
+    if (!viewerUser) return res.status(403).json({ error: "Invalid media link." });
+  }
+
+  const post = posts.get(postId);
+  const item = post && Array.isArray(post.media) ? post.media[index] : null;
+  const creator = post ? findCreatorByUsername(post.username) : null;
+  if (!item || !creator || !canViewCreator(viewerUser, creator) || !canViewPost(post, creator, viewerUser)) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+  // Teasers are blurred beyond recognition and are what locked posts show
+  if (variant !== "teaser" && isPostLocked(post, creator, viewerUser)) {
+    return res.status(403).json({ error: "This content is locked." });
+  }
+
+  const filename = { original: item.filename, thumb: item.thumbFilename, teaser: item.teaserFilename }[variant];
+  const file = filename ? path.join(uploadsDir, path.basename(filename)) : null;
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ error: "Media not found" });
+
+  res.set("Cache-Control", `private, max-age=${Math.max(0, exp - Math.floor(Date.now() / 1000))}`);
+  res.type(variant === "original" ? item.mime : "image/webp");
+  res.sendFile(file);
+});
+
+/**
+ * Helper: Run the post media upload, turning multer errors into JSON responses
+ */
+function acceptPostMedia(req, res, next) {
+  mediaUpload.array("media", POST_MEDIA_MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "UNSUPPORTED_MEDIA_TYPE") {
+      return res.status(415).json({ error: "Only JPEG, PNG, WebP, GIF, MP4, WebM and MOV files are supported." });
+    }
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Files must be at most ${Math.max(POST_IMAGE_MAX_MB, POST_VIDEO_MAX_MB)} MB.` });
+    }
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+      return res.status(400).json({ error: `A post can have at most ${POST_MEDIA_MAX_FILES} files.` });
+    }
+    return res.status(400).json({ error: "Upload failed." });
+  });
+}
+
+app.post(
+  "/api/creators/:username/posts",
+  creatorOwnerOnly,
+  requireApprovedCreator,
+  acceptPostMedia,
+  async (req, res) => {
+    const creator = req.creator;
+    const files = req.files || [];
+    const discardUploads = () => files.forEach((f) => fs.rm(f.path, { force: true }, () => {}));
+
+    const { title, visibility, price, description } = req.body;
+    if (!title || !visibility) {
+      discardUploads();
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    if (!POST_VISIBILITIES.includes(visibility)) {
+      discardUploads();
+      return res.status(400).json({ error: "Invalid visibility" });
+    }
+    if (visibility === "subscribers" && !activeTiers(creator).length) {
+      discardUploads();
+      return res.status(400).json({ error: "Add a subscription tier before posting for subscribers." });
+    }
+
+    const tierChoice = visibility === "free" ? { minTierId: null } : cleanMinTier(creator, req.body.minTierId);
+    if (tierChoice.error) {
+      discardUploads();
+      return res.status(400).json({ error: tierChoice.error });
+    }
+
+    const publish = cleanPublishState(req.body);
+    if (publish.error) {
+      discardUploads();
+      return res.status(400).json({ error: publish.error });
+    }
+
+    for (const file of files) {
+      const error = validatePostMediaFile(file);
+      if (error) {
+        discardUploads();
+        return res.status(400).json({ error });
+      }
+    }
+
+    // One at a time, so nothing is still being written when a failure cleans up
+    const media = [];
+    try {
+      for (const f of files) media.push(await processPostMediaFile(f.filename, f.mimetype));
+    } catch (err) {
+      // Previews of the images done so far (and any half-made for the failed one) go too
+      removePostMediaFiles({
+        media: files.map((f) => ({ filename: f.filename, ...postMediaDerivativeNames(f.filename) })),
+      });
+      return res.status(400).json({ error: "One of the images could not be processed." });
+    }
+
+    const createdAt = new Date().toISOString();
+    const record = posts.insert({
+      creatorId: creator.id,
+      username: creator.username,
+      title: String(title).trim(),
+      visibility,
+      price: visibility === "ppv" ? Number(price) || 0 : null,
+      minTierId: tierChoice.minTierId,
+      description: description ? String(description) : "",
+      createdAt,
+      status: publish.status,
+      publishAt: publish.publishAt,
+      publishedAt: publish.status === "published" ? createdAt : null,
+      media,
+      likes: 0,
+      likedBy: [],
+    });
+
+    res.json({ success: true, post: toPostDto(record, creator, req.user) });
+  }
+);
+
+app.patch("/api/creators/:username/posts/:postId", creatorOwnerOnly, requireApprovedCreator, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const postId = Number(req.params.postId);
+
+  const post = findCreatorPost(username, postId);
+  if (!post) return res.status(404).json({ error: "Post not found" });
+
+  const { title, visibility, price, description, commentsDisabled, status, publishAt, minTierId } = req.body || {};
+
+  // Validate everything before touching the post, so a rejected edit changes nothing
+  let publish = null;
+  if (status !== undefined || publishAt !== undefined) {
+    publish = cleanPublishState({ status, publishAt }, post);
+    if (publish.error) return res.status(400).json({ error: publish.error });
+  }
+
+  if (visibility !== undefined) {
+    if (!POST_VISIBILITIES.includes(visibility)) return res.status(400).json({ error: "Invalid visibility" });
+    if (visibility === "subscribers" && !activeTiers(req.creator).length) {
+      return res.status(400).json({ error: "Add a subscription tier before posting for subscribers." });
+    }
+  }
+
+  const nextVisibility = visibility !== undefined ? visibility : post.visibility;
+  let tierChoice = null;
+  if (nextVisibility === "free") {
+    tierChoice = { minTierId: null };
+  } else if (minTierId !== undefined) {
+    tierChoice = cleanMinTier(req.creator, minTierId);
+    if (tierChoice.error) return res.status(400).json({ error: tierChoice.error });
+  }
+
+  // Nothing to change once a post is live (cleanPublishState only lets it stay published)
+  if (publish && !isPostPublished(post)) {
+    post.status = publish.status;
+    post.publishAt = publish.publishAt;
+    if (publish.status === "published") post.publishedAt = new Date().toISOString();
+  }
+
+  if (title !== undefined) {
+    const cleanTitle = String(title).trim();
+    if (cleanTitle) post.title = cleanTitle;
+  }
+
+  if (commentsDisabled !== undefined) post.commentsDisabled = !!commentsDisabled;
+
+  if (visibility !== undefined) {
+    post.visibility = visibility;
+    post.price = visibility === "ppv" ? Number(price) || post.price || 0 : null;
+  } else if (price !== undefined && post.visibility === "ppv") {
+    post.price = Number(price) || 0;
+  }
+
+  if (tierChoice) post.minTierId = tierChoice.minTierId;
+
+  if (description !== undefined) post.description = String(description);
+
+  posts.update(post);
+  res.json({ success: true, post: toPostDto(post, req.creator, req.user) });
+});
+
+app.delete("/api/creators/:username/posts/:postId", creatorOwnerOnly, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const postId = Number(req.params.postId);
+
+  const post = findCreatorPost(username, postId);
+  if (!post) return res.status(404).json({ error: "Post not found" });
+
+  db.transaction(() => {
+    posts.remove(post.id);
+
+    // Remove unlock records for this post
+    unlockedPosts.removeWhere(
+      (u) => u.postId === postId && normUsername(u.creatorUsername) === username
+    );
+
+    comments.removeWhere((c) => c.postId === postId);
+  });
+  removePostMediaFiles(post);
+
+  res.json({ success: true });
+});
+
+//
+// COMMENTS (one level of replies; creators moderate their own posts)
+//
+
+const COMMENT_MAX_LENGTH = 1000;
+
+/**
+ * Helper: Comments on a post that fans can see (hidden ones are creator-only)
+ */
+function countVisibleComments(postId) {
+  return comments.filter((c) => c.postId === postId && !c.hidden).length;
+}
+
+/**
+ * Middleware: Load the creator and post from the URL and make sure the viewer
+ * can see the post (same gating as the post list). Use after (optional)authenticate.
+ */
+function requireVisiblePost(req, res, next) {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+
+  const postId = Number(req.params.postId);
+  const post = findCreatorPost(creator.username, postId);
+  if (!post || !canViewPost(post, creator, req.user)) return res.status(404).json({ error: "Post not found" });
+
+  if (isPostLocked(post, creator, req.user)) {
+    return res.status(403).json({ error: "Unlock this post to see its comments." });
+  }
+
+  req.creator = creator;
+  req.post = post;
+  next();
+}
+
+/**
+ * Helper: Comment as returned to a viewer
+ */
+function toCommentDto(comment, creator, viewerUser) {
+  const author = users.get(comment.userId);
+  const isModerator = isCreatorOwner(viewerUser, creator);
+  const isAuthor = !!viewerUser && viewerUser.id === comment.userId;
+
+  return {
+    id: comment.id,
+    postId: comment.postId,
+    parentId: comment.parentId || null,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    hidden: !!comment.hidden,
+    author: author
+      ? {
+          username: publicHandleForUser(author),
+          isCreator: author.id === creator.userId,
+        }
+      : { username: "deleted", isCreator: false },
+    canDelete: isModerator || isAuthor,
+    canModerate: isModerator,
+  };
+}
+
+// Thread for a post: top-level comments oldest first, each with its replies
+app.get("/api/creators/:username/posts/:postId/comments", optionalAuthenticate, requireVisiblePost, (req, res) => {
+  const isModerator = isCreatorOwner(req.user, req.creator);
+  // Comments by people the viewer blocked (or was blocked by) are left out
+  const blockedIds = blockedUserIds(req.user);
+  const visible = comments
+    .filter((c) => c.postId === req.post.id && (isModerator || !c.hidden) && !blockedIds.has(c.userId))
+    .sort((a, b) => a.id - b.id);
+
+  const thread = visible
+    .filter((c) => !c.parentId)
+    .map((c) => ({
+      ...toCommentDto(c, req.creator, req.user),
+      replies: visible.filter((r) => r.parentId === c.id).map((r) => toCommentDto(r, req.creator, req.user)),
+    }));
+
+  res.json({ comments: thread, commentsDisabled: !!req.post.commentsDisabled });
+});
+
+app.post("/api/creators/:username/posts/:postId/comments", authenticate, requireVisiblePost, (req, res) => {
+  const { body, parentId } = req.body || {};
+
+  if (req.post.commentsDisabled) {
+    return res.status(403).json({ error: "Comments are turned off for this post." });
+  }
+
+  const text = String(body || "").trim();
+  if (!text) return res.status(400).json({ error: "Comment can't be empty." });
+  if (text.length > COMMENT_MAX_LENGTH) {
+    return res.status(400).json({ error: `Comments must be at most ${COMMENT_MAX_LENGTH} characters.` });
+  }
+
+  // Replies go one level deep: the parent must be a visible top-level comment on this post
+  let parent = null;
+  if (parentId !== undefined && parentId !== null) {
+    parent = comments.get(Number(parentId));
+    if (!parent || parent.postId !== req.post.id || parent.hidden) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+    if (parent.parentId) return res.status(400).json({ error: "You can only reply to top-level comments." });
+  }
+
+  const record = comments.insert({
+    postId: req.post.id,
+    userId: req.user.id,
+    parentId: parent ? parent.id : null,
+    body: text,
+    hidden: false,
+    createdAt: new Date().toISOString(),
+  });
+
+  res.json({ success: true, comment: toCommentDto(record, req.creator, req.user) });
+});
+
+// Creator hides / unhides a comment ({ hidden: true | false })
+app.patch(
+  "/api/creators/:username/posts/:postId/comments/:commentId",
+  authenticate,
+  requireVisiblePost,
+  (req, res) => {
+    if (!isCreatorOwner(req.user, req.creator)) {
+      return res.status(403).json({ error: "Only the creator can moderate comments." });
+    }
+
+    const comment = comments.get(Number(req.params.commentId));
+    if (!comment || comment.postId !== req.post.id) return res.status(404).json({ error: "Comment not found" });
+
+    comment.hidden = !!(req.body || {}).hidden;
+    comments.update(comment);
+
+    res.json({ success: true, comment: toCommentDto(comment, req.creator, req.user) });
+  }
+);
+
+// The author or the creator deletes a comment (and its replies)
+app.delete(
+  "/api/creators/:username/posts/:postId/comments/:commentId",
+  authenticate,
+  requireVisiblePost,
+  (req, res) => {
+    const comment = comments.get(Number(req.params.commentId));
+    if (!comment || comment.postId !== req.post.id) return res.status(404).json({ error: "Comment not found" });
+
+    if (comment.userId !== req.user.id && !isCreatorOwner(req.user, req.creator)) {
+      return res.status(403).json({ error: "You can't delete this comment." });
+    }
+
+    comments.removeWhere((c) => c.id === comment.id || c.parentId === comment.id);
+    res.json({ success: true, commentCount: countVisibleComments(req.post.id) });
+  }
+);
+
+//
+// TRANSACTIONS (fixed identity handling)
+//
+
+// TIP
+app.post("/api/creators/:username/tips", authenticate, rateLimit("payments", RATE_LIMITS.payments), idempotent, async (req, res) => {
+  const username = normUsername(req.params.username);
+  const creator = findCreatorByUsername(username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  if (!isCreatorApproved(creator)) {
+    return res.status(403).json({ error: "This creator can't receive payments right now." });
+  }
+  if (isCreatorOwner(req.user, creator)) {
+    return res.status(400).json({ error: "You can't tip yourself." });
+  }
+
+  const { amount, message, postId } = req.body || {};
+
+  const amountNum = Number(amount);
+  if (!amount || Number.isNaN(amountNum) || amountNum <= 0) {
+    return res.status(400).json({ error: "Please provide a valid tip amount." });
+  }
+
+  // A tip on a post has to name one of this creator's posts the fan can see
+  let post = null;
+  if (postId !== undefined && postId !== null && postId !== "") {
+    post = findCreatorPost(username, postId);
+    if (!post || isPostRemoved(post) || !canViewPost(post, creator, req.user)) {
+      return res.status(400).json({ error: "That post can't be tipped." });
+    }
+  }
+
+  try {
+    const payment = await startPayment({
+      purpose: "tip",
+      creator,
+      amount: amountNum,
+      fanUser: req.user,
+      message: (message || "").toString().slice(0, 500),
+      postId: post ? post.id : null,
+    });
+    res.json({ success: true, payment: toPaymentDto(payment, { withSecret: true }) });
+  } catch (err) {
+    console.error("Tip payment failed to start:", err);
+    res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+  }
+});
+
+// UNLOCK PPV
+app.post("/api/creators/:username/posts/:postId/unlock", authenticate, rateLimit("payments", RATE_LIMITS.payments), idempotent, async (req, res) => {
+  const username = normUsername(req.params.username);
+  const postId = Number(req.params.postId);
+
+  const creator = findCreatorByUsername(username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  if (!isCreatorApproved(creator)) {
+    return res.status(403).json({ error: "This creator can't receive payments right now." });
+  }
+  if (isCreatorOwner(req.user, creator)) {
+    return res.status(400).json({ error: "You can't unlock your own post." });
+  }
+
+  const post = findCreatorPost(username, postId);
+  if (!post || !isPostPublished(post) || isPostRemoved(post)) return res.status(404).json({ error: "Post not found" });
+
+  if (post.visibility !== "ppv" || typeof post.price !== "number" || post.price <= 0) {
+    return res.status(400).json({ error: "This post is not a paid PPV post." });
+  }
+
+  if (hasUnlockedPost(post.id, req.user.id)) {
+    return res.json({ success: true, alreadyUnlocked: true, unlockedPostId: post.id });
+  }
+
+  // Access is granted once the payment is confirmed (see applyPaymentStatus)
+  try {
+    const payment = await startPayment({
+      purpose: "ppv_unlock",
+      creator,
+      amount: post.price,
+      fanUser: req.user,
+      postId: post.id,
+    });
+    res.json({ success: true, payment: toPaymentDto(payment, { withSecret: true }) });
+  } catch (err) {
+    console.error("Unlock payment failed to start:", err);
+    res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+  }
+});
+
+// LIKE / UNLIKE
+app.post("/api/creators/:username/posts/:postId/like", authenticate, rateLimit("likes", RATE_LIMITS.likes), (req, res) => {
+  const username = normUsername(req.params.username);
+  const postId = Number(req.params.postId);
+
+  const creator = findCreatorByUsername(username);
+  if (!creator || !canViewCreator(req.user, creator)) return res.status(404).json({ error: "Creator not found" });
+
+  const post = findCreatorPost(username, postId);
+  if (!post || !isPostPublished(post) || isPostRemoved(post)) return res.status(404).json({ error: "Post not found" });
+
+  // likedBy holds user ids
+  if (!Array.isArray(post.likedBy)) post.likedBy = [];
+
+  const idx = post.likedBy.indexOf(req.user.id);
+
+  // likedAt: user id -> when, for per-period analytics
+  post.likedAt = { ...(post.likedAt || {}) };
+
+  let likedByMe;
+  if (idx === -1) {
+    post.likedBy.push(req.user.id);
+    post.likedAt[req.user.id] = new Date().toISOString();
+    likedByMe = true;
+  } else {
+    post.likedBy.splice(idx, 1);
+    delete post.likedAt[req.user.id];
+    likedByMe = false;
+  }
+
+  post.likes = post.likedBy.length;
+  posts.update(post);
+
+  if (likedByMe) notifyPostLiked(creator, post, req.user);
+
+  res.json({ success: true, postId: post.id, likes: post.likes, likedByMe });
+});
+
+// SUBSCRIBE
+app.post("/api/creators/:username/subscribe", authenticate, rateLimit("payments", RATE_LIMITS.payments), idempotent, async (req, res) => {
+  const username = normUsername(req.params.username);
+  const creator = findCreatorByUsername(username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  if (!isCreatorApproved(creator)) {
+    return res.status(403).json({ error: "This creator isn't accepting new subscribers right now." });
+  }
+  if (isCreatorOwner(req.user, creator)) {
+    return res.status(400).json({ error: "You can't subscribe to yourself." });
+  }
+
+  const tiers = activeTiers(creator);
+  if (!tiers.length) {
+    return res.status(400).json({ error: "This creator does not have a subscription plan." });
+  }
+
+  // { tierId, months }: tierId may be left out when there is only one tier
+  const { tierId, months = 1 } = req.body || {};
+  const tier = tierId !== undefined ? tiers.find((t) => t.id === Number(tierId)) : tiers.length === 1 ? tiers[0] : null;
+  if (!tier) return res.status(400).json({ error: "Pick a subscription tier." });
+
+  const period = Number(months);
+  if (period !== 1 && !(creator.bundles || []).some((b) => b.months === period)) {
+    return res.status(400).json({ error: "This creator doesn't offer that bundle." });
+  }
+
+  // Subscribing to a higher tier upgrades: the new period replaces the current
+  // one once paid, and what's left of the current one comes off the price.
+  // Same or lower tier: nothing to do.
+  const existing = findActiveSubscription(username, req.user.id);
+  if (existing && tier.level <= subscriptionLevel(creator, req.user)) {
+    return res.json({ success: true, alreadySubscribed: true, subscription: toSubscriptionDto(existing) });
+  }
+
+  const price = tierPrice(tier, period, creator);
+  const credit = existing ? unusedSubscriptionCredit(existing) : 0;
+  if (credit >= price) {
+    return res.status(400).json({
+      error: "What's left of your current subscription covers this plan. Pick a longer bundle or upgrade closer to renewal.",
+    });
+  }
+
+  // The subscription itself is created once the payment is confirmed
+  try {
+    const payment = await startPayment({
+      purpose: "subscription",
+      creator,
+      amount: roundMoney(price - credit),
+      fanUser: req.user,
+      tierId: tier.id,
+      months: period,
+      upgradeCredit: credit,
+    });
+    res.json({ success: true, payment: toPaymentDto(payment, { withSecret: true }), upgradeCredit: credit });
+  } catch (err) {
+    console.error("Subscription payment failed to start:", err);
+    res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+  }
+});
+
+//
+// SUBSCRIPTIONS (lifecycle)
+//
+
+const SUBSCRIPTION_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_JOB_INTERVAL_MS = Number(process.env.SUBSCRIPTION_JOB_INTERVAL_MS) || 10 * 60 * 1000;
+
+/**
+ * Helper: Is this subscription currently granting access?
+ * A canceled subscription (autoRenew off) stays active until it runs out.
+ */
+function isSubscriptionActive(sub, now = new Date()) {
+  return sub.status === "active" && (!sub.expiresAt || new Date(sub.expiresAt) > now);
+}
+
+/**
+ * Helper: The fan's current subscription to a creator, or null
+ */
+function findActiveSubscription(creatorUsername, fanUserId) {
+  const c = normUsername(creatorUsername);
+  if (!c || !fanUserId) return null;
+
+  return (
+    subscriptions.find(
+      (s) => normUsername(s.creatorUsername) === c && s.fanUserId === fanUserId && isSubscriptionActive(s)
+    ) || null
+  );
+}
+
+/**
+ * Helper: Subscription as returned to the fan
+ */
+function toSubscriptionDto(sub) {
+  const creator = findCreatorByUsername(sub.creatorUsername);
+  const tier = sub.tierId ? subscriptionTiers.get(sub.tierId) : null;
+  return {
+    id: sub.id,
+    creatorUsername: sub.creatorUsername,
+    creatorDisplayName: creator ? creator.displayName : sub.creatorUsername,
+    tierId: sub.tierId || null,
+    tierName: tier ? tier.name : null,
+    tierLevel: tier ? tier.level : 1,
+    months: sub.months || 1,
+    price: sub.price,
+    currency: sub.currency || "USD",
+    status: isSubscriptionActive(sub) ? "active" : "expired",
+    autoRenew: sub.autoRenew !== false,
+    createdAt: sub.createdAt,
+    expiresAt: sub.expiresAt,
+    renewedAt: sub.renewedAt || null,
+    canceledAt: sub.canceledAt || null,
+    expiredAt: sub.expiredAt || null,
+  };
+}
+
+/**
+ * Helper: The unused part of the period a fan already paid for, as money off
+ * an upgrade (the upgrade ends the current subscription)
+ */
+function unusedSubscriptionCredit(sub, now = new Date()) {
+  if (!sub.expiresAt) return 0;
+  const periodMs = (sub.months || 1) * SUBSCRIPTION_PERIOD_MS;
+  const leftMs = Math.min(periodMs, Math.max(0, new Date(sub.expiresAt).getTime() - now.getTime()));
+  return roundMoney(((Number(sub.price) || 0) * leftMs) / periodMs);
+}
+
+/**
+ * Helper: Start a new subscription period (of `months` periods for a bundle)
+ * for a paid-up subscription. Periods stay back to back; if the server was
+ * down for longer than a period, the new one starts from now.
+ */
+function extendSubscription(sub, now = new Date(), months = 1) {
+  const from = Math.max(new Date(sub.expiresAt).getTime(), now.getTime() - SUBSCRIPTION_PERIOD_MS);
+  sub.expiresAt = new Date(from + months * SUBSCRIPTION_PERIOD_MS).toISOString();
+  sub.renewedAt = now.toISOString();
+}
+
+/**
+ * Helper: End a subscription that won't (or couldn't) be renewed
+ */
+function expireSubscription(sub, now = new Date()) {
+  sub.status = "expired";
+  sub.expiredAt = now.toISOString();
+  sub.renewalPaymentId = null;
+  subscriptions.update(sub);
+}
+
+/**
+ * Renew or expire every active subscription whose period has ended.
+ * Renewals charge the tier's current price (for the same bundle, while the creator
+ * still offers it) through the payment provider with the fan's stored payment
+ * method, or their default saved card; a failed charge expires the subscription.
+ * Subscriptions with auto-renew off, whose tier has been archived, or with no
+ * card on file expire.
+ */
+async function processSubscriptions(now = new Date()) {
+  const due = subscriptions.filter(
+    (s) => s.status === "active" && s.expiresAt && new Date(s.expiresAt) <= now && !s.renewalPaymentId
+  );
+  const result = { renewed: 0, expired: 0 };
+
+  for (const sub of due) {
+    const creator = findCreatorByUsername(sub.creatorUsername);
+    const fanUser = users.get(sub.fanUserId);
+    const tier = sub.tierId ? subscriptionTiers.get(sub.tierId) : activeTiers(creator)[0];
+    const canRenew =
+      !!fanUser &&
+      sub.autoRenew !== false &&
+      isCreatorApproved(creator) &&
+      !!tier &&
+      !tier.archived &&
+      tier.price > 0;
+
+    if (!canRenew) {
+      expireSubscription(sub, now);
+      result.expired += 1;
+      continue;
+    }
+
+    // The card the subscription was paid with, else the fan's default card.
+    // With neither on file there is nothing to charge: let it lapse.
+    const paymentMethod = sub.paymentMethod || defaultPaymentMethodToken(fanUser.id);
+    if (!paymentMethod) {
+      expireSubscription(sub, now);
+      notify(fanUser.id, {
+        type: "subscription",
+        title: "Subscription ended",
+        body: `Your subscription to ${creator.displayName} couldn't renew: there's no card on file. Subscribe again to keep access.`,
+        link: `/c/${creator.username}`,
+        data: { subscriptionId: sub.id },
+      });
+      result.expired += 1;
+      continue;
+    }
+
+    const months = (creator.bundles || []).some((b) => b.months === sub.months) ? sub.months : 1;
+
+    try {
+      const payment = await startPayment({
+        purpose: "subscription",
+        creator,
+        amount: tierPrice(tier, months, creator),
+        fanUser,
+        subscriptionId: sub.id,
+        tierId: tier.id,
+        months,
+      });
+      sub.renewalPaymentId = payment.id;
+      subscriptions.update(sub);
+      payment.paymentMethod = paymentMethod;
+      payments.update(payment);
+
+      const outcome = await paymentProvider.confirmIntent(payment.providerIntentId, {
+        paymentMethod,
+      });
+      applyPaymentStatus(payment, outcome.status, outcome.failureReason);
+
+      if (payment.status === "succeeded") result.renewed += 1;
+      else result.expired += 1;
+    } catch (err) {
+      // Provider unreachable: leave it due and retry on the next run
+      console.error(`Renewal of subscription ${sub.id} failed:`, err.message);
+      sub.renewalPaymentId = null;
+      subscriptions.update(sub);
+    }
+  }
+
+  return result;
+}
+
+// My subscriptions (current and past), newest first
+app.get("/api/subscriptions/mine", authenticate, (req, res) => {
+  const mine = subscriptions
+    .filter((s) => s.fanUserId === req.user.id)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toSubscriptionDto);
+
+  res.json({
+    active: mine.filter((s) => s.status === "active"),
+    past: mine.filter((s) => s.status !== "active"),
+  });
+});
+
+// The logged-in fan's current subscription to one creator
+app.get("/api/creators/:username/subscription", authenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  const sub = findActiveSubscription(creator.username, req.user.id);
+  res.json({ subscribed: !!sub, subscription: sub ? toSubscriptionDto(sub) : null });
+});
+
+// Cancel: turn off auto-renew, access continues until expiresAt
+app.post("/api/creators/:username/subscription/cancel", authenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  const sub = findActiveSubscription(creator.username, req.user.id);
+  if (!sub) return res.status(404).json({ error: "You don't have an active subscription to this creator." });
+
+  if (sub.autoRenew !== false) {
+    sub.autoRenew = false;
+    sub.canceledAt = new Date().toISOString();
+    subscriptions.update(sub);
+  }
+
+  res.json({ success: true, subscription: toSubscriptionDto(sub) });
+});
+
+// Resume: turn auto-renew back on before the subscription runs out
+app.post("/api/creators/:username/subscription/resume", authenticate, (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  const sub = findActiveSubscription(creator.username, req.user.id);
+  if (!sub) {
+    return res.status(404).json({ error: "This subscription has already ended. Subscribe again to get access." });
+  }
+
+  if (sub.autoRenew === false) {
+    sub.autoRenew = true;
+    sub.canceledAt = null;
+    subscriptions.update(sub);
+  }
+
+  res.json({ success: true, subscription: toSubscriptionDto(sub) });
+});
+
+// Earnings summary
+app.get("/api/creators/:username/earnings", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  const username = normUsername(creator.username);
+
+  const creatorTx = transactions.filter((t) => normUsername(t.creatorUsername) === username);
+  const paidTx = creatorTx.filter(isTransactionPaid);
+
+  const totalTips = paidTx.filter((t) => t.type === "tip").reduce((sum, t) => sum + (t.amount || 0), 0);
+  const totalPpv = paidTx.filter((t) => t.type === "ppv_unlock").reduce((sum, t) => sum + (t.amount || 0), 0);
+  const totalSubs = paidTx.filter((t) => t.type === "subscription").reduce((sum, t) => sum + (t.amount || 0), 0);
+  const totalCustom = paidTx
+    .filter((t) => t.type === "custom_request")
+    .reduce((sum, t) => sum + (t.amount || 0), 0);
+
+  res.json({
+    creator: creator.username,
+    totals: {
+      tips: roundMoney(totalTips),
+      ppv: roundMoney(totalPpv),
+      subscriptions: roundMoney(totalSubs),
+      customRequests: roundMoney(totalCustom),
+      allTime: roundMoney(totalTips + totalPpv + totalSubs + totalCustom),
+    },
+    balance: creatorBalance(creator.username),
+    transactions: creatorTx,
+  });
+});
+
+//
+// CREATOR ANALYTICS (revenue, subscribers and posts over a date range)
+//
+
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+const ANALYTICS_DEFAULT_RANGE_DAYS = 30;
+const ANALYTICS_MAX_RANGE_DAYS = 731;
+const ANALYTICS_REVENUE_TYPES = ["tip", "ppv_unlock", "subscription", "custom_request"];
+const ANALYTICS_POST_SORTS = ["revenue", "unlocks", "likes", "tips"];
+const ANALYTICS_TOP_POSTS_DEFAULT = 10;
+
+// Subscription end states that count as churn (upgrades don't)
+const CHURNED_SUBSCRIPTION_STATUSES = ["expired", "revoked"];
+
+/**
+ * Helper: Start of the (UTC) day, Monday-based week or month containing `date`
+ */
+function analyticsBucketStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+}
+
+function nextAnalyticsBucket(d, interval) {
+  const next = new Date(d);
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+/**
+ * Helper: Read ?from=&to=&interval= into { from, to, interval } or { error }.
+ * Dates are UTC; a plain YYYY-MM-DD `to` includes that whole day.
+ * Default: the last 30 days, by day.
+ */
+function parseAnalyticsRange(query) {
+  const interval = query.interval ? String(query.interval) : "day";
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}.` };
+  }
+
+  const parseDate = (value, endOfDay) => {
+    const s = String(value);
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+    const d = new Date(dateOnly ? `${s}T00:00:00.000Z` : s);
+    if (Number.isNaN(d.getTime())) return null;
+    return dateOnly && endOfDay ? new Date(d.getTime() + DAY_MS - 1) : d;
+  };
+
+  const to = query.to ? parseDate(query.to, true) : new Date();
+  const from = query.from
+    ? parseDate(query.from, false)
+    : to && new Date(analyticsBucketStart(to, "day").getTime() - (ANALYTICS_DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (!from || !to) return { error: "from and to must be dates (YYYY-MM-DD)." };
+  if (from > to) return { error: "from must be before to." };
+  if (to - from > ANALYTICS_MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Pick a range of at most ${ANALYTICS_MAX_RANGE_DAYS} days.` };
+  }
+  return { from, to, interval };
+}
+
+function isInAnalyticsRange(iso, { from, to }) {
+  if (!iso) return false;
+  const t = new Date(iso);
+  return t >= from && t <= to;
+}
+
+/**
+ * Helper: One zeroed row per bucket of the range, so charts get gaps as zeros.
+ * rowFor(iso) finds the row a timestamp falls in.
+ */
+function analyticsSeries(range, emptyRow) {
+  const rows = [];
+  const byPeriod = new Map();
+  for (let d = analyticsBucketStart(range.from, range.interval); d <= range.to; d = nextAnalyticsBucket(d, range.interval)) {
+    const period = d.toISOString().slice(0, 10);
+    byPeriod.set(period, rows.length);
+    rows.push({ period, ...emptyRow() });
+  }
+
+  const rowFor = (iso) => {
+    const period = analyticsBucketStart(new Date(iso), range.interval).toISOString().slice(0, 10);
+    return byPeriod.has(period) ? rows[byPeriod.get(period)] : null;
+  };
+  return { rows, rowFor };
+}
+
+function toAnalyticsRangeDto(range) {
+  return { from: range.from.toISOString(), to: range.to.toISOString(), interval: range.interval };
+}
+
+// Middleware: parse the range into req.analyticsRange (400 on bad input)
+function requireAnalyticsRange(req, res, next) {
+  const range = parseAnalyticsRange(req.query || {});
+  if (range.error) return res.status(400).json({ error: range.error });
+  req.analyticsRange = range;
+  next();
+}
+
+// Gross revenue per period and type: GET .../analytics/revenue?from=&to=&interval=day|week|month
+app.get("/api/creators/:username/analytics/revenue", creatorOwnerOnly, requireAnalyticsRange, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const range = req.analyticsRange;
+
+  const emptyRow = () => ({ ...Object.fromEntries(ANALYTICS_REVENUE_TYPES.map((t) => [t, 0])), total: 0 });
+  const { rows, rowFor } = analyticsSeries(range, emptyRow);
+  const totals = emptyRow();
+
+  for (const t of transactions.filter(
+    (t) => normUsername(t.creatorUsername) === username && isTransactionPaid(t) && isInAnalyticsRange(t.createdAt, range)
+  )) {
+    if (!ANALYTICS_REVENUE_TYPES.includes(t.type)) continue;
+    const row = rowFor(t.createdAt);
+    for (const target of row ? [row, totals] : [totals]) {
+      target[t.type] = roundMoney(target[t.type] + (t.amount || 0));
+      target.total = roundMoney(target.total + (t.amount || 0));
+    }
+  }
+
+  res.json({ range: toAnalyticsRangeDto(range), currency: "USD", totals, series: rows });
+});
+
+// New, upgraded and churned subscriptions per period, plus active counts at
+// both ends of the range
+app.get("/api/creators/:username/analytics/subscribers", creatorOwnerOnly, requireAnalyticsRange, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const range = req.analyticsRange;
+  const subs = subscriptions.filter((s) => normUsername(s.creatorUsername) === username);
+
+  // An upgrade starts the moment the fan's previous subscription was marked upgraded
+  const isUpgrade = (s) =>
+    subs.some((o) => o.fanUserId === s.fanUserId && o.status === "upgraded" && o.expiredAt === s.createdAt);
+
+  const activeFansAt = (at) =>
+    new Set(
+      subs
+        .filter((s) => new Date(s.createdAt) <= at && (!s.expiredAt || new Date(s.expiredAt) > at))
+        .map((s) => s.fanUserId)
+    ).size;
+
+  const emptyRow = () => ({ new: 0, upgrades: 0, churned: 0 });
+  const { rows, rowFor } = analyticsSeries(range, emptyRow);
+  const totals = emptyRow();
+
+  const count = (iso, key) => {
+    const row = rowFor(iso);
+    if (row) row[key] += 1;
+    totals[key] += 1;
+  };
+
+  for (const s of subs) {
+    if (isInAnalyticsRange(s.createdAt, range)) count(s.createdAt, isUpgrade(s) ? "upgrades" : "new");
+    if (CHURNED_SUBSCRIPTION_STATUSES.includes(s.status) && isInAnalyticsRange(s.expiredAt, range)) {
+      count(s.expiredAt, "churned");
+    }
+  }
+
+  const activeAtStart = activeFansAt(new Date(range.from.getTime() - 1));
+  const atRisk = activeAtStart + totals.new;
+
+  res.json({
+    range: toAnalyticsRangeDto(range),
+    totals: {
+      ...totals,
+      net: totals.new - totals.churned,
+      activeAtStart,
+      activeAtEnd: activeFansAt(range.to),
+      churnRate: atRisk ? Math.round((totals.churned / atRisk) * 1000) / 1000 : 0,
+    },
+    series: rows,
+  });
+});
+
+// Top posts in the range: GET .../analytics/posts?sort=revenue|unlocks|likes|tips&limit=
+app.get("/api/creators/:username/analytics/posts", creatorOwnerOnly, requireAnalyticsRange, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const range = req.analyticsRange;
+
+  const sort = req.query.sort ? String(req.query.sort) : "revenue";
+  if (!ANALYTICS_POST_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${ANALYTICS_POST_SORTS.join(", ")}.` });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || ANALYTICS_TOP_POSTS_DEFAULT, 1), 50);
+
+  const stats = new Map();
+  for (const post of posts.filterBy("username", username).filter((p) => isPostPublished(p))) {
+    // Likes from before likedAt was recorded count from the post's publish date
+    const likes = (post.likedBy || []).filter((userId) =>
+      isInAnalyticsRange((post.likedAt && post.likedAt[userId]) || postPublishedAt(post), range)
+    ).length;
+
+    stats.set(post.id, {
+      id: post.id,
+      title: post.title,
+      visibility: post.visibility,
+      price: post.visibility === "ppv" ? post.price : null,
+      publishedAt: postPublishedAt(post) || null,
+      unlocks: 0,
+      unlockRevenue: 0,
+      likes,
+      tips: 0,
+      tipRevenue: 0,
+      revenue: 0,
+    });
+  }
+
+  for (const t of transactions.filter(
+    (t) =>
+      normUsername(t.creatorUsername) === username &&
+      t.postId &&
+      isTransactionPaid(t) &&
+      isInAnalyticsRange(t.createdAt, range)
+  )) {
+    const row = stats.get(t.postId);
+    if (!row) continue;
+    if (t.type === "ppv_unlock") {
+      row.unlocks += 1;
+      row.unlockRevenue = roundMoney(row.unlockRevenue + (t.amount || 0));
+    } else if (t.type === "tip") {
+      row.tips += 1;
+      row.tipRevenue = roundMoney(row.tipRevenue + (t.amount || 0));
+    } else {
+      continue;
+    }
+    row.revenue = roundMoney(row.unlockRevenue + row.tipRevenue);
+  }
+
+  const sortKey = { revenue: "revenue", unlocks: "unlocks", likes: "likes", tips: "tipRevenue" }[sort];
+  const top = [...stats.values()].sort((a, b) => b[sortKey] - a[sortKey] || b.id - a.id).slice(0, limit);
+
+  res.json({ range: toAnalyticsRangeDto(range), sort, posts: top });
+});
+
+//
+// LEDGER (double-entry: the entries of every posting sum to zero)
+//
+
+const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT ?? 20);
+const PAYOUT_HOLD_DAYS = Number(process.env.PAYOUT_HOLD_DAYS ?? 7);
+const PAYOUT_MINIMUM = Number(process.env.PAYOUT_MINIMUM ?? 20);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts
+const EXTERNAL_ACCOUNT = "external"; // money coming in from fans / going out to creators
+const PLATFORM_FEES_ACCOUNT = "platform:fees";
+const PAYOUTS_CLEARING_ACCOUNT = "payouts:clearing"; // requested, not sent yet
+
+const REVERSAL_KINDS = ["refund", "chargeback"];
+
+// Allowed payout status changes, keyed by current status
+const PAYOUT_TRANSITIONS = {
+  requested: ["paid", "rejected"],
+  paid: [],
+  rejected: [],
+};
+
+/**
+ * Helper: A creator's balance account
+ */
+function creatorAccount(username) {
+  return `creator:${normUsername(username)}`;
+}
+
+/**
+ * Helper: Round to cents
+ */
+function roundMoney(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+/**
+ * Write one balanced posting. Each line is { account, amount, availableAt? };
+ * availableAt (default now) is when the money can be withdrawn.
+ */
+function postLedger(kind, { transactionId = null, payoutId = null }, lines) {
+  const total = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+  if (total !== 0) throw new Error(`Unbalanced ledger posting (${kind}): ${total}`);
+
+  const now = new Date().toISOString();
+  const postingId = crypto.randomUUID();
+
+  return db.transaction(() =>
+    lines.map((l) =>
+      ledgerEntries.insert({
+        postingId,
+        kind,
+        account: l.account,
+        amount: roundMoney(l.amount),
+        currency: "USD",
+        availableAt: l.availableAt || now,
+        transactionId,
+        payoutId,
+        createdAt: now,
+      })
+    )
+  );
+}
+
+/**
+ * Book a paid transaction: platform fee off the top, the rest to the creator
+ * after the hold period. Does nothing if it's already booked.
+ */
+function recordSale(txn, at = new Date()) {
+  if (ledgerEntries.some((e) => e.transactionId === txn.id && e.kind === "sale")) return;
+
+  const gross = roundMoney(txn.amount);
+  const fee = roundMoney((gross * PLATFORM_FEE_PERCENT) / 100);
+  const availableAt = new Date(at.getTime() + PAYOUT_HOLD_DAYS * DAY_MS).toISOString();
+
+  postLedger("sale", { transactionId: txn.id }, [
+    { account: EXTERNAL_ACCOUNT, amount: -gross },
+    { account: PLATFORM_FEES_ACCOUNT, amount: fee },
+    { account: creatorAccount(txn.creatorUsername), amount: gross - fee, availableAt },
+  ]);
+}
+
+/**
+ * Undo a sale (refund or chargeback), fee included. Money still on hold is
+ * reversed on the same date it would have cleared, so it never shows up as
+ * available; money that has already cleared comes off the available balance now.
+ */
+function reverseSale(txn, kind) {
+  const sale = ledgerEntries.filter((e) => e.transactionId === txn.id && e.kind === "sale");
+  if (sale.length === 0) return;
+  if (ledgerEntries.some((e) => e.transactionId === txn.id && REVERSAL_KINDS.includes(e.kind))) return;
+
+  const now = new Date().toISOString();
+  postLedger(
+    kind,
+    { transactionId: txn.id },
+    sale.map((e) => ({
+      account: e.account,
+      amount: -e.amount,
+      availableAt: e.availableAt > now ? e.availableAt : now,
+    }))
+  );
+}
+
+/**
+ * Helper: Earnings and balances for a creator, all from the ledger
+ *   gross       – everything fans paid
+ *   refunds     – refunded or charged back
+ *   fees        – platform fees kept (net of reversed fees)
+ *   net         – gross - refunds - fees
+ *   pending     – still in the hold period
+ *   available   – cleared, minus payouts already requested
+ *   withdrawable – what a payout request can ask for right now
+ */
+function creatorBalance(username, now = new Date()) {
+  const account = creatorAccount(username);
+  const txnIds = new Set(
+    ledgerEntries.filter((e) => e.account === account && e.transactionId).map((e) => e.transactionId)
+  );
+  const salesEntries = ledgerEntries.filter((e) => txnIds.has(e.transactionId));
+
+  const sum = (list) => roundMoney(list.reduce((total, e) => total + e.amount, 0));
+
+  let pending = 0;
+  let available = 0;
+  ledgerEntries
+    .filter((e) => e.account === account)
+    .forEach((e) => {
+      if (new Date(e.availableAt) > now) pending += e.amount;
+      else available += e.amount;
+    });
+
+  const creatorPayouts = payouts.filter((p) => normUsername(p.creatorUsername) === normUsername(username));
+  available = roundMoney(available);
+
+  return {
+    currency: "USD",
+    feePercent: PLATFORM_FEE_PERCENT,
+    holdDays: PAYOUT_HOLD_DAYS,
+    payoutMinimum: PAYOUT_MINIMUM,
+    gross: -sum(salesEntries.filter((e) => e.account === EXTERNAL_ACCOUNT && e.kind === "sale")),
+    refunds: sum(salesEntries.filter((e) => e.account === EXTERNAL_ACCOUNT && REVERSAL_KINDS.includes(e.kind))),
+    fees: sum(salesEntries.filter((e) => e.account === PLATFORM_FEES_ACCOUNT)),
+    net: sum(salesEntries.filter((e) => e.account === account)),
+    pending: roundMoney(pending),
+    available,
+    withdrawable: Math.max(0, available),
+    inPayout: roundMoney(
+      creatorPayouts.filter((p) => p.status === "requested").reduce((total, p) => total + p.amount, 0)
+    ),
+    paidOut: roundMoney(creatorPayouts.filter((p) => p.status === "paid").reduce((total, p) => total + p.amount, 0)),
+  };
+}
+
+/**
+ * Book paid transactions that have no ledger entries yet (records from before
+ * the ledger existed, or imported later from data.json). Runs at startup.
+ */
+function backfillLedger() {
+  const booked = new Set(ledgerEntries.filter((e) => e.kind === "sale").map((e) => e.transactionId));
+  const missing = transactions.filter((t) => isTransactionPaid(t) && !booked.has(t.id));
+
+  db.transaction(() => {
+    missing.forEach((t) => recordSale(t, new Date(t.createdAt || Date.now())));
+  });
+  return missing.length;
+}
+
+// Balance only
+app.get("/api/creators/:username/balance", creatorOwnerOnly, (req, res) => {
+  res.json(creatorBalance(req.creator.username));
+});
+
+// Creator's payout history
+app.get("/api/creators/:username/payouts", creatorOwnerOnly, (req, res) => {
+  const username = normUsername(req.creator.username);
+  const list = payouts
+    .filter((p) => normUsername(p.creatorUsername) === username)
+    .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+  res.json(list);
+});
+
+// Request a payout (defaults to everything withdrawable)
+app.post("/api/creators/:username/payouts", creatorOwnerOnly, (req, res) => {
+  const creator = req.creator;
+  const balance = creatorBalance(creator.username);
+  if (balance.withdrawable <= 0) {
+    return res.status(400).json({ error: "You don't have an available balance to withdraw yet." });
+  }
+
+  const amount = roundMoney(req.body?.amount !== undefined ? Number(req.body.amount) : balance.withdrawable);
+  if (!amount || Number.isNaN(amount) || amount <= 0) {
+    return res.status(400).json({ error: "Please provide a valid payout amount." });
+  }
+  if (amount < PAYOUT_MINIMUM) {
+    return res.status(400).json({ error: `The minimum payout is USD ${PAYOUT_MINIMUM.toFixed(2)}.` });
+  }
+  if (amount > balance.withdrawable) {
+    return res.status(400).json({ error: "That's more than your available balance." });
+  }
+
+  const payout = db.transaction(() => {
+    const p = payouts.insert({
+      creatorUsername: creator.username,
+      amount,
+      currency: "USD",
+      status: "requested",
+      requestedAt: new Date().toISOString(),
+      paidAt: null,
+      reference: null,
+      rejectedAt: null,
+      rejectedReason: null,
+    });
+    postLedger("payout_request", { payoutId: p.id }, [
+      { account: creatorAccount(creator.username), amount: -amount },
+      { account: PAYOUTS_CLEARING_ACCOUNT, amount },
+    ]);
+    return p;
+  });
+
+  res.json({ success: true, payout, balance: creatorBalance(creator.username) });
+});
+
+// Admin: payout queue
+app.get("/api/admin/payouts", adminOnly, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  const list = payouts
+    .filter((p) => !status || p.status === status)
+    .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+  res.json(list);
+});
+
+// Admin: mark a payout as sent ({ reference } = bank / transfer id)
+app.post("/api/admin/payouts/:payoutId/paid", adminOnly, (req, res) => {
+  const payout = payouts.get(req.params.payoutId);
+  if (!payout) return res.status(404).json({ error: "Payout not found" });
+  if (!PAYOUT_TRANSITIONS[payout.status].includes("paid")) {
+    return res.status(409).json({ error: `A ${payout.status} payout can't be marked as paid.` });
+  }
+
+  db.transaction(() => {
+    payout.status = "paid";
+    payout.paidAt = new Date().toISOString();
+    payout.reference = req.body?.reference ? String(req.body.reference).slice(0, 200) : null;
+    payouts.update(payout);
+    postLedger("payout_paid", { payoutId: payout.id }, [
+      { account: PAYOUTS_CLEARING_ACCOUNT, amount: -payout.amount },
+      { account: EXTERNAL_ACCOUNT, amount: payout.amount },
+    ]);
+  });
+
+  res.json({ success: true, payout });
+});
+
+// Admin: reject a payout, the money goes back to the creator's available balance
+app.post("/api/admin/payouts/:payoutId/reject", adminOnly, (req, res) => {
+  const payout = payouts.get(req.params.payoutId);
+  if (!payout) return res.status(404).json({ error: "Payout not found" });
+  if (!PAYOUT_TRANSITIONS[payout.status].includes("rejected")) {
+    return res.status(409).json({ error: `A ${payout.status} payout can't be rejected.` });
+  }
+
+  db.transaction(() => {
+    payout.status = "rejected";
+    payout.rejectedAt = new Date().toISOString();
+    payout.rejectedReason = String(req.body?.reason || "").trim().slice(0, 500) || null;
+    payouts.update(payout);
+    postLedger("payout_rejected", { payoutId: payout.id }, [
+      { account: PAYOUTS_CLEARING_ACCOUNT, amount: -payout.amount },
+      { account: creatorAccount(payout.creatorUsername), amount: payout.amount },
+    ]);
+  });
+
+  res.json({ success: true, payout });
+});
+
+// Admin: refund any payment
+app.post("/api/admin/payments/:paymentId/refund", adminOnly, async (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) return res.status(404).json({ error: "Payment not found" });
+  await refundPayment(payment, res);
+});
+
+// Admin: simulate a chargeback (only providers that support it, i.e. the mock)
+app.post("/api/admin/payments/:paymentId/chargeback", adminOnly, async (req, res) => {
+  if (typeof paymentProvider.simulateChargeback !== "function") {
+    return res.status(400).json({ error: "This payment provider can't simulate chargebacks." });
+  }
+
+  const payment = payments.get(req.params.paymentId);
+  if (!payment) return res.status(404).json({ error: "Payment not found" });
+  if (payment.status !== "succeeded") {
+    return res.status(409).json({ error: "Only completed payments can be charged back." });
+  }
+
+  try {
+    const outcome = await paymentProvider.simulateChargeback(payment.providerIntentId);
+    applyPaymentStatus(payment, outcome.status);
+  } catch (err) {
+    console.error("Chargeback failed:", err);
+    return res.status(502).json({ error: "Chargeback failed at the payment provider." });
+  }
+
+  res.json({ success: true, payment: toPaymentDto(payment) });
+});
+
+//
+// PAYMENTS (intent -> confirm -> webhook)
+//
+
+// Allowed status changes, keyed by current status
+const PAYMENT_TRANSITIONS = {
+  requires_confirmation: ["processing", "succeeded", "failed"],
+  processing: ["succeeded", "failed"],
+  succeeded: ["refunded", "charged_back"],
+  failed: [],
+  refunded: [],
+  charged_back: [],
+};
+
+const WEBHOOK_EVENT_STATUS = {
+  "payment.succeeded": "succeeded",
+  "payment.failed": "failed",
+  "payment.refunded": "refunded",
+  "payment.charged_back": "charged_back",
+};
+
+/**
+ * Helper: Did this transaction actually bring in money?
+ * Records from before the payment flow have no status and were always paid.
+ */
+function isTransactionPaid(t) {
+  return (t.status || "succeeded") === "succeeded";
+}
+
+/**
+ * Helper: Payment as returned to the paying fan (client secret only right after creation)
+ */
+function toPaymentDto(payment, { withSecret = false } = {}) {
+  return {
+    id: payment.id,
+    purpose: payment.purpose,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    creatorUsername: payment.creatorUsername,
+    postId: payment.postId,
+    subscriptionId: payment.subscriptionId,
+    failureReason: payment.failureReason,
+    createdAt: payment.createdAt,
+    ...(withSecret ? { clientSecret: payment.clientSecret } : {}),
+  };
+}
+
+/**
+ * Helper: Open a payment with the provider and record it, together with a
+ * pending transaction, so nothing is granted until it's confirmed.
+ */
+async function startPayment({
+  purpose,
+  creator,
+  amount,
+  fanUser,
+  message,
+  postId = null,
+  subscriptionId = null,
+  tierId = null,
+  months = null,
+  requestId = null,
+  upgradeCredit = 0,
+}) {
+  // Paying yourself would only book fake revenue; the routes turn this away first
+  if (isCreatorOwner(fanUser, creator)) throw new Error("A creator can't pay their own account.");
+  const currency = "USD";
+  const intent = await paymentProvider.createIntent({
+    amount,
+    currency,
+    metadata: { purpose, creatorUsername: creator.username },
+  });
+  const now = new Date().toISOString();
+
+  return db.transaction(() => {
+    const txn = transactions.insert({
+      type: purpose,
+      status: "pending",
+      creatorUsername: creator.username,
+      fanUserId: fanUser.id,
+      fanUsername: fanUser.username, // display only
+      amount,
+      currency,
+      ...(message !== undefined ? { message } : {}),
+      postId,
+      subscriptionId,
+      ...(purpose === "subscription" ? { renewal: !!subscriptionId, tierId, months, upgradeCredit } : {}),
+      ...(purpose === "custom_request" ? { requestId } : {}),
+      paymentId: null,
+      createdAt: now,
+    });
+
+    const payment = payments.insert({
+      provider: paymentProvider.name,
+      providerIntentId: intent.id,
+      clientSecret: crypto.randomBytes(24).toString("hex"),
+      purpose,
+      status: intent.status,
+      amount,
+      currency,
+      creatorUsername: creator.username,
+      fanUserId: fanUser.id,
+      postId,
+      subscriptionId,
+      ...(purpose === "subscription" ? { tierId, months, upgradeCredit } : {}),
+      ...(purpose === "custom_request" ? { requestId } : {}),
+      transactionId: txn.id,
+      paymentMethod: null,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    txn.paymentId = payment.id;
+    transactions.update(txn);
+    return payment;
+  });
+}
+
+/**
+ * Helper: Grant whatever the fan paid for
+ */
+function fulfillPayment(payment, txn) {
+  if (payment.purpose === "ppv_unlock") {
+    if (!hasUnlockedPost(payment.postId, payment.fanUserId)) {
+      unlockedPosts.insert({
+        creatorUsername: payment.creatorUsername,
+        fanUserId: payment.fanUserId,
+        postId: payment.postId,
+        paymentId: payment.id,
+        createdAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  if (payment.purpose === "subscription") {
+    const now = new Date();
+    let sub = payment.subscriptionId ? subscriptions.get(payment.subscriptionId) : null;
+
+    if (sub) {
+      extendSubscription(sub, now, payment.months || 1);
+      sub.price = payment.amount;
+      if (payment.tierId) sub.tierId = payment.tierId;
+      sub.months = payment.months || 1;
+      sub.renewalPaymentId = null;
+      subscriptions.update(sub);
+    } else {
+      // An upgrade: the current subscription ends, the new tier starts now
+      for (const old of subscriptions.filter(
+        (s) =>
+          normUsername(s.creatorUsername) === normUsername(payment.creatorUsername) &&
+          s.fanUserId === payment.fanUserId &&
+          isSubscriptionActive(s, now)
+      )) {
+        old.status = "upgraded";
+        old.autoRenew = false;
+        old.expiredAt = now.toISOString();
+        old.renewalPaymentId = null;
+        subscriptions.update(old);
+      }
+
+      sub = subscriptions.insert({
+        creatorUsername: payment.creatorUsername,
+        fanUserId: payment.fanUserId,
+        tierId: payment.tierId || null,
+        months: payment.months || 1,
+        price: roundMoney(payment.amount + (payment.upgradeCredit || 0)), // the period's full value
+        currency: payment.currency,
+        status: "active",
+        autoRenew: true,
+        paymentMethod: payment.paymentMethod,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + (payment.months || 1) * SUBSCRIPTION_PERIOD_MS).toISOString(),
+        renewedAt: null,
+        canceledAt: null,
+        expiredAt: null,
+        renewalPaymentId: null,
+      });
+      payment.subscriptionId = sub.id;
+      if (txn) txn.subscriptionId = sub.id;
+    }
+  }
+
+  // A paid custom request reaches the creator's queue
+  if (payment.purpose === "custom_request") {
+    const record = customRequests.get(payment.requestId);
+    if (record && record.status === "pending_payment") {
+      record.status = "new";
+      record.updatedAt = new Date().toISOString();
+      customRequests.update(record);
+    }
+  }
+}
+
+/**
+ * Helper: Take back what a refunded or charged-back payment granted
+ */
+function revokePaymentAccess(payment) {
+  if (payment.purpose === "ppv_unlock") {
+    unlockedPosts.removeWhere((u) => u.paymentId === payment.id);
+  }
+
+  if (payment.purpose === "subscription" && payment.subscriptionId) {
+    const sub = subscriptions.get(payment.subscriptionId);
+    if (sub && sub.status === "active") {
+      sub.status = "revoked";
+      sub.autoRenew = false;
+      sub.expiredAt = new Date().toISOString();
+      sub.renewalPaymentId = null;
+      subscriptions.update(sub);
+    }
+  }
+
+  // Money back before delivery: the request is off (declining sets its own status)
+  if (payment.purpose === "custom_request") {
+    const record = customRequests.get(payment.requestId);
+    if (record && (record.status === "new" || record.status === "accepted")) {
+      record.status = "canceled";
+      record.updatedAt = new Date().toISOString();
+      customRequests.update(record);
+    }
+  }
+}
+
+/**
+ * Move a payment (and its transaction) to a new status reported by the provider.
+ * Safe to call more than once – the confirm response and the webhook both land here.
+ */
+function applyPaymentStatus(payment, status, failureReason = null) {
+  if (payment.status === status) return payment;
+  if (!(PAYMENT_TRANSITIONS[payment.status] || []).includes(status)) return payment;
+
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    const txn = transactions.get(payment.transactionId);
+
+    payment.status = status;
+    payment.failureReason = status === "failed" ? failureReason || "payment_failed" : null;
+    payment.updatedAt = now;
+
+    if (status === "succeeded") {
+      fulfillPayment(payment, txn);
+      if (txn) recordSale(txn);
+    }
+
+    if (status === "refunded" || status === "charged_back") {
+      revokePaymentAccess(payment);
+      if (txn) reverseSale(txn, status === "refunded" ? "refund" : "chargeback");
+    }
+
+    // A failed renewal ends the subscription
+    if (status === "failed" && payment.purpose === "subscription" && payment.subscriptionId) {
+      const sub = subscriptions.get(payment.subscriptionId);
+      if (sub && sub.renewalPaymentId === payment.id) expireSubscription(sub);
+    }
+
+    // An unpaid custom request never reaches the creator
+    if (status === "failed" && payment.purpose === "custom_request") {
+      const record = customRequests.get(payment.requestId);
+      if (record && record.status === "pending_payment") {
+        record.status = "canceled";
+        record.updatedAt = now;
+        customRequests.update(record);
+      }
+    }
+
+    if (txn) {
+      txn.status = status === "processing" ? "pending" : status;
+      txn.updatedAt = now;
+      transactions.update(txn);
+    }
+    payments.update(payment);
+  });
+
+  if (status === "succeeded") notifyPaymentSucceeded(payment);
+
+  return payment;
+}
+
+/**
+ * Helper: Look up a payment for the fan holding its client secret
+ */
+function findPaymentForClient(paymentId, clientSecret) {
+  const payment = payments.get(paymentId);
+  if (!payment || !clientSecret || payment.clientSecret !== String(clientSecret)) return null;
+  return payment;
+}
+
+// Confirm a payment (the fan "pays" with a payment method)
+app.post("/api/payments/:paymentId/confirm", async (req, res) => {
+  const { clientSecret, paymentMethod } = req.body || {};
+  const payment = findPaymentForClient(req.params.paymentId, clientSecret);
+  if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+  if (payment.status === "requires_confirmation") {
+    // No method given: the fan's default saved card. Saved cards only work for their owner.
+    const method = paymentMethod ? String(paymentMethod) : defaultPaymentMethodToken(payment.fanUserId);
+    const saved = method ? paymentMethods.find((m) => m.token === method) : null;
+    if (saved && saved.userId !== payment.fanUserId) {
+      return res.status(403).json({ error: "That payment method belongs to another account." });
+    }
+
+    payment.paymentMethod = method || null;
+    payments.update(payment);
+
+    try {
+      const outcome = await paymentProvider.confirmIntent(payment.providerIntentId, {
+        paymentMethod: payment.paymentMethod || undefined,
+      });
+      applyPaymentStatus(payment, outcome.status, outcome.failureReason);
+    } catch (err) {
+      console.error("Payment confirmation failed:", err);
+      return res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+    }
+  }
+
+  if (payment.status === "failed") {
+    return res.status(402).json({
+      error: `Payment failed (${payment.failureReason}).`,
+      payment: toPaymentDto(payment),
+    });
+  }
+
+  res.json({ success: payment.status === "succeeded", payment: toPaymentDto(payment) });
+});
+
+// Payment status (for clients waiting on a "processing" payment)
+app.get("/api/payments/:paymentId", (req, res) => {
+  const payment = findPaymentForClient(req.params.paymentId, req.query.clientSecret);
+  if (!payment) return res.status(404).json({ error: "Payment not found" });
+  res.json(toPaymentDto(payment));
+});
+
+// Provider callbacks
+app.post("/api/payments/webhooks/:provider", (req, res) => {
+  if (req.params.provider !== paymentProvider.name) {
+    return res.status(404).json({ error: "Unknown payment provider" });
+  }
+
+  const event = req.rawBody ? paymentProvider.parseWebhook(req.rawBody, req.headers) : null;
+  if (!event) return res.status(400).json({ error: "Invalid webhook signature." });
+
+  const payment = payments.find((p) => p.providerIntentId === event.data?.intentId);
+  const status = WEBHOOK_EVENT_STATUS[event.type];
+  if (payment && status) {
+    applyPaymentStatus(payment, status, event.data.failureReason);
+  }
+
+  res.json({ received: true });
+});
+
+/**
+ * Helper: Refund a payment through the provider and respond
+ */
+async function refundPayment(payment, res) {
+  if (payment.status !== "succeeded") {
+    return res.status(409).json({ error: "Only completed payments can be refunded." });
+  }
+
+  try {
+    const outcome = await paymentProvider.refund(payment.providerIntentId);
+    applyPaymentStatus(payment, outcome.status);
+  } catch (err) {
+    console.error("Refund failed:", err);
+    return res.status(502).json({ error: "Refund failed at the payment provider." });
+  }
+
+  res.json({ success: true, payment: toPaymentDto(payment) });
+}
+
+// Creator refunds a fan's payment
+app.post("/api/creators/:username/payments/:paymentId/refund", creatorOwnerOnly, async (req, res) => {
+  const payment = payments.get(req.params.paymentId);
+  if (!payment || normUsername(payment.creatorUsername) !== normUsername(req.creator.username)) {
+    return res.status(404).json({ error: "Payment not found" });
+  }
+  await refundPayment(payment, res);
+});
+
+//
+// PAYMENT METHODS (saved cards, kept as provider tokens)
+//
+
+const PAYMENT_METHODS_MAX = 5;
+
+function toPaymentMethodDto(m) {
+  return {
+    id: m.id,
+    token: m.token,
+    brand: m.brand,
+    last4: m.last4,
+    expMonth: m.expMonth,
+    expYear: m.expYear,
+    isDefault: !!m.isDefault,
+    createdAt: m.createdAt,
+  };
+}
+
+function userPaymentMethods(userId) {
+  return paymentMethods
+    .filter((m) => m.userId === userId)
+    .sort((a, b) => Number(!!b.isDefault) - Number(!!a.isDefault) || b.id - a.id);
+}
+
+/**
+ * Helper: Token of a user's default saved card, or null
+ */
+function defaultPaymentMethodToken(userId) {
+  const m = paymentMethods.filterBy("userId", userId).find((x) => x.isDefault);
+  return m ? m.token : null;
+}
+
+/**
+ * Helper: Make one saved card the default (inside a transaction)
+ */
+function setDefaultPaymentMethod(userId, methodId) {
+  for (const m of paymentMethods.filterBy("userId", userId)) {
+    const isDefault = m.id === methodId;
+    if (!!m.isDefault !== isDefault) paymentMethods.update({ ...m, isDefault });
+  }
+}
+
+app.get("/api/payment-methods", authenticate, (req, res) => {
+  res.json(userPaymentMethods(req.user.id).map(toPaymentMethodDto));
+});
+
+// Save a card: { number, expMonth, expYear, cvc, makeDefault }. The card
+// details go to the provider; only its token, brand and last 4 are stored.
+app.post("/api/payment-methods", authenticate, async (req, res) => {
+  const { number, expMonth, expYear, cvc, makeDefault } = req.body || {};
+
+  const existing = userPaymentMethods(req.user.id);
+  if (existing.length >= PAYMENT_METHODS_MAX) {
+    return res.status(400).json({ error: `You can save up to ${PAYMENT_METHODS_MAX} cards. Remove one first.` });
+  }
+
+  let card;
+  try {
+    card = await paymentProvider.createPaymentMethod({ number, expMonth, expYear, cvc });
+  } catch (err) {
+    if (err.code === "invalid_card") return res.status(400).json({ error: err.message });
+    console.error("Saving a card failed:", err);
+    return res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+  }
+
+  const method = db.transaction(() => {
+    const m = paymentMethods.insert({
+      userId: req.user.id,
+      provider: paymentProvider.name,
+      token: card.id,
+      brand: card.brand,
+      last4: card.last4,
+      expMonth: card.expMonth,
+      expYear: card.expYear,
+      isDefault: false,
+      createdAt: new Date().toISOString(),
+    });
+    // The first card is the default
+    if (makeDefault || !existing.length) setDefaultPaymentMethod(req.user.id, m.id);
+    return paymentMethods.get(m.id);
+  });
+
+  res.json({ success: true, paymentMethod: toPaymentMethodDto(method) });
+});
+
+// Make a saved card the default ({ isDefault: true })
+app.patch("/api/payment-methods/:methodId", authenticate, (req, res) => {
+  const id = Number(req.params.methodId);
+  const method = paymentMethods.find((m) => m.id === id && m.userId === req.user.id);
+  if (!method) return res.status(404).json({ error: "Payment method not found" });
+
+  if ((req.body || {}).isDefault !== true) {
+    return res.status(400).json({ error: "Only { isDefault: true } can be changed; add a new card to replace this one." });
+  }
+
+  db.transaction(() => setDefaultPaymentMethod(req.user.id, id));
+  res.json({ success: true, paymentMethods: userPaymentMethods(req.user.id).map(toPaymentMethodDto) });
+});
+
+// Remove a card. Subscriptions renewing with it switch to the default card.
+app.delete("/api/payment-methods/:methodId", authenticate, (req, res) => {
+  const id = Number(req.params.methodId);
+  const method = paymentMethods.find((m) => m.id === id && m.userId === req.user.id);
+  if (!method) return res.status(404).json({ error: "Payment method not found" });
+
+  db.transaction(() => {
+    paymentMethods.remove(id);
+
+    const rest = userPaymentMethods(req.user.id);
+    if (method.isDefault && rest.length) setDefaultPaymentMethod(req.user.id, rest[0].id);
+
+    const replacement = defaultPaymentMethodToken(req.user.id);
+    for (const sub of subscriptions.filter(
+      (s) => s.fanUserId === req.user.id && s.paymentMethod === method.token && s.status === "active"
+    )) {
+      subscriptions.update({ ...sub, paymentMethod: replacement });
+    }
+  });
+
+  res.json({ success: true, paymentMethods: userPaymentMethods(req.user.id).map(toPaymentMethodDto) });
+});
+
+//
+// FAN ACCOUNT (profile, purchase history, unlocked vault)
+//
+
+const DISPLAY_NAME_MAX_LENGTH = 50;
+const PURCHASES_PAGE_SIZE = 30;
+const PURCHASE_TYPES = ["tip", "ppv_unlock", "subscription", "custom_request"];
+
+function toAccountDto(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    displayName: user.displayName || "",
+    role: user.role,
+    isAdmin: isAdmin(user),
+    emailVerified: !!user.emailVerified,
+    createdAt: user.createdAt || null,
+  };
+}
+
+/**
+ * Helper: Creator summary shown next to a purchase or vault item
+ */
+function toCreatorSummaryDto(creator, fallbackUsername) {
+  if (!creator) return { username: fallbackUsername, displayName: fallbackUsername, avatarUrl: null };
+  return {
+    username: creator.username,
+    displayName: creator.displayName,
+    avatarUrl: profileImageUrl(creator.avatarFilename),
+  };
+}
+
+function toPurchaseDto(t) {
+  const creator = findCreatorByUsername(t.creatorUsername);
+  const post = t.postId ? posts.get(t.postId) : null;
+  const payment = t.paymentId ? payments.get(t.paymentId) : null;
+  const card = payment && payment.paymentMethod ? paymentMethods.find((m) => m.token === payment.paymentMethod) : null;
+  const tier = t.tierId ? subscriptionTiers.get(t.tierId) : null;
+
+  return {
+    id: t.id,
+    type: t.type,
+    status: t.status || "succeeded",
+    amount: t.amount,
+    currency: t.currency || "USD",
+    createdAt: t.createdAt,
+    creator: toCreatorSummaryDto(creator, t.creatorUsername),
+    post: post ? { id: post.id, title: post.title } : null,
+    message: t.message || null,
+    tierName: tier ? tier.name : null,
+    months: t.months || null,
+    renewal: !!t.renewal,
+    card: card ? { brand: card.brand, last4: card.last4 } : null,
+  };
+}
+
+app.get("/api/auth/me", authenticate, (req, res) => {
+  res.json(toAccountDto(req.user));
+});
+
+// Edit profile: { displayName, username }. A creator's username is their
+// public handle, so only fans can change it here.
+app.patch("/api/auth/me", authenticate, (req, res) => {
+  const user = req.user;
+  const body = req.body || {};
+  const patch = {}; // applied once both fields have passed
+
+  if (body.displayName !== undefined) {
+    const displayName = String(body.displayName || "").trim();
+    if (displayName.length > DISPLAY_NAME_MAX_LENGTH) {
+      return res.status(400).json({ error: `Display names are limited to ${DISPLAY_NAME_MAX_LENGTH} characters.` });
+    }
+    patch.displayName = displayName;
+  }
+
+  if (body.username !== undefined) {
+    const username = String(body.username || "").trim().toLowerCase();
+    if (username !== user.username) {
+      if (findCreatorForUser(user)) {
+        return res.status(400).json({ error: "Your username is your creator handle and can't be changed." });
+      }
+      if (!/^[a-z0-9_]+$/.test(username)) {
+        return res.status(400).json({
+          error: "Username can only contain lowercase letters, numbers, and underscores.",
+        });
+      }
+      if (users.some((u) => u.id !== user.id && u.username === username) || findCreatorByUsername(username)) {
+        return res.status(409).json({ error: "That username is already taken. Please choose another." });
+      }
+      patch.username = username;
+    }
+  }
+
+  users.update(Object.assign(user, patch));
+  res.json({ success: true, user: toAccountDto(user) });
+});
+
+// Everything the fan paid for, newest first: GET /api/purchases/mine?type=&cursor=&limit=
+// Checkouts that were never confirmed are left out.
+app.get("/api/purchases/mine", authenticate, (req, res) => {
+  const type = req.query.type ? String(req.query.type) : null;
+  if (type && !PURCHASE_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${PURCHASE_TYPES.join(", ")}.` });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || PURCHASES_PAGE_SIZE, 1), 100);
+  const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+
+  const mine = transactions.filter(
+    (t) => t.fanUserId === req.user.id && PURCHASE_TYPES.includes(t.type) && t.status !== "pending"
+  );
+  const all = mine
+    .filter((t) => (type ? t.type === type : true))
+    .filter((t) => (cursor ? t.id < cursor : true))
+    .sort((a, b) => b.id - a.id);
+  const page = all.slice(0, limit);
+
+  const totalSpent = roundMoney(mine.filter(isTransactionPaid).reduce((sum, t) => sum + (t.amount || 0), 0));
+
+  res.json({
+    purchases: page.map(toPurchaseDto),
+    totalSpent,
+    currency: "USD",
+    nextCursor: all.length > limit ? String(page[page.length - 1].id) : null,
+  });
+});
+
+// Vault: every PPV post the fan has unlocked, across creators, newest unlock first
+app.get("/api/unlocks/mine", authenticate, (req, res) => {
+  const items = unlockedPosts
+    .filter((u) => u.fanUserId === req.user.id)
+    .sort((a, b) => b.id - a.id)
+    .map((u) => {
+      const post = posts.get(u.postId);
+      const creator = post ? findCreatorByUsername(post.username) : null;
+      if (!post || !creator || !canViewCreator(req.user, creator) || isPostRemoved(post)) return null;
+      return {
+        unlockedAt: u.createdAt,
+        creator: toCreatorSummaryDto(creator),
+        post: toPostDto(post, creator, req.user),
+      };
+    })
+    .filter(Boolean);
+
+  res.json(items);
+});
+
+//
+// CUSTOM REQUESTS (fan commissions: pending_payment -> new -> accepted -> completed,
+// or declined with a refund; canceled if the payment fails or is reversed)
+//
+
+const REQUEST_MESSAGE_MAX_LENGTH = 2000;
+
+// Allowed status changes by the creator, keyed by current status
+const REQUEST_TRANSITIONS = {
+  pending_payment: [],
+  new: ["accepted", "declined"],
+  accepted: ["completed", "declined"],
+  completed: [],
+  declined: [],
+  canceled: [],
+};
+
+// Requests the creator hasn't been paid for yet (or never will be)
+const UNPAID_REQUEST_STATUSES = ["pending_payment", "canceled"];
+
+// Fan submits a request to a creator and pays the budget up front. The creator
+// sees it once the payment succeeds; declining refunds it.
+app.post("/api/creators/:username/requests", authenticate, rateLimit("payments", RATE_LIMITS.payments), idempotent, async (req, res) => {
+  const creator = findCreatorByUsername(req.params.username);
+  if (!creator || !canViewCreator(req.user, creator)) {
+    return res.status(404).json({ error: "Creator not found" });
+  }
+  if (isCreatorOwner(req.user, creator)) {
+    return res.status(400).json({ error: "You can't send a custom request to yourself." });
+  }
+  if (!isCreatorApproved(creator)) {
+    return res.status(403).json({ error: "This creator can't receive payments right now." });
+  }
+
+  const { message, budget } = req.body || {};
+  const cleanMessage = String(message || "").trim();
+  const budgetNum = Number(budget);
+
+  if (!cleanMessage) {
+    return res.status(400).json({ error: "Please describe what you want." });
+  }
+  if (cleanMessage.length > REQUEST_MESSAGE_MAX_LENGTH) {
+    return res.status(400).json({
+      error: `Requests are limited to ${REQUEST_MESSAGE_MAX_LENGTH} characters.`,
+    });
+  }
+  if (!budget || Number.isNaN(budgetNum) || budgetNum <= 0) {
+    return res.status(400).json({ error: "Please provide a valid budget." });
+  }
+
+  const now = new Date().toISOString();
+  const record = customRequests.insert({
+    creatorUsername: creator.username,
+    fanUserId: req.user.id,
+    fanUsername: req.user.username, // display only
+    message: cleanMessage,
+    budget: budgetNum,
+    currency: "USD",
+    status: "pending_payment",
+    createdAt: now,
+    updatedAt: now,
+    paymentId: null,
+    transactionId: null,
+  });
+
+  try {
+    const payment = await startPayment({
+      purpose: "custom_request",
+      creator,
+      amount: budgetNum,
+      fanUser: req.user,
+      requestId: record.id,
+    });
+    record.paymentId = payment.id;
+    record.transactionId = payment.transactionId;
+    customRequests.update(record);
+    res.json({ success: true, request: record, payment: toPaymentDto(payment, { withSecret: true }) });
+  } catch (err) {
+    console.error("Custom request payment failed to start:", err);
+    customRequests.remove(record.id);
+    res.status(502).json({ error: "Payment provider is unavailable. Please try again." });
+  }
+});
+
+// Creator lists requests sent to them (optionally ?status=new|accepted|completed|declined)
+app.get("/api/creators/:username/requests", creatorOwnerOnly, (req, res) => {
+  const username = normUsername(req.creator.username);
+
+  const { status } = req.query || {};
+  const list = customRequests
+    .filter((r) => normUsername(r.creatorUsername) === username && !UNPAID_REQUEST_STATUSES.includes(r.status))
+    .filter((r) => (status ? r.status === status : true))
+    .sort((a, b) => b.id - a.id);
+
+  res.json(list);
+});
+
+// Fan lists the requests they have sent
+app.get("/api/requests/mine", authenticate, (req, res) => {
+  const list = customRequests.filter((r) => r.fanUserId === req.user.id).sort((a, b) => b.id - a.id);
+  res.json(list);
+});
+
+// Creator accepts, declines (refunding the fan) or completes a request. The
+// sale was booked when the fan's payment went through.
+app.patch("/api/creators/:username/requests/:requestId", creatorOwnerOnly, async (req, res) => {
+  const creator = req.creator;
+  const username = normUsername(creator.username);
+  const requestId = Number(req.params.requestId);
+
+  const record = customRequests.find(
+    (r) =>
+      r.id === requestId &&
+      normUsername(r.creatorUsername) === username &&
+      !UNPAID_REQUEST_STATUSES.includes(r.status)
+  );
+  if (!record) return res.status(404).json({ error: "Request not found" });
+
+  const { status } = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(REQUEST_TRANSITIONS, status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  if (!REQUEST_TRANSITIONS[record.status].includes(status)) {
+    return res.status(409).json({ error: `A ${record.status} request can't be marked ${status}.` });
+  }
+
+  // Requests from before the payment flow have no payment to give back
+  const payment = record.paymentId ? payments.get(record.paymentId) : null;
+  if (status === "declined" && payment && payment.status === "succeeded") {
+    try {
+      const outcome = await paymentProvider.refund(payment.providerIntentId);
+      applyPaymentStatus(payment, outcome.status);
+    } catch (err) {
+      console.error("Refund failed:", err);
+      return res.status(502).json({ error: "Refund failed at the payment provider." });
+    }
+  }
+
+  record.status = status;
+  record.updatedAt = new Date().toISOString();
+  customRequests.update(record);
+
+  const refunded = status === "declined" && !!payment && payment.status === "refunded";
+  notify(record.fanUserId, {
+    type: "request",
+    title: `Request ${status}`,
+    body: `${creator.displayName} ${status} your custom request${refunded ? " and you've been refunded" : ""}: ${snippet(
+      record.message
+    )}`,
+    link: `/c/${creator.username}`,
+    data: { requestId: record.id, status },
+  });
+
+  res.json({
+    success: true,
+    request: record,
+    transaction: record.transactionId ? transactions.get(record.transactionId) : null,
+  });
+});
+
+//
+// MESSAGES (direct messages between fans and creators)
+//
+
+const MESSAGE_MAX_LENGTH = 2000;
+const THREAD_PAGE_SIZE = 30;
+
+/**
+ * Helper: Shape a message for API responses, relative to the viewing user
+ */
+function toMessageDto(m, viewer) {
+  return {
+    id: m.id,
+    body: m.body,
+    fromMe: m.senderId === viewer.id,
+    createdAt: m.createdAt,
+    readAt: m.readAt || null,
+  };
+}
+
+/**
+ * Helper: All messages exchanged between two user ids
+ */
+function messagesBetween(userIdA, userIdB) {
+  return messages.filter(
+    (m) =>
+      (m.senderId === userIdA && m.recipientId === userIdB) ||
+      (m.senderId === userIdB && m.recipientId === userIdA)
+  );
+}
+
+// List conversation threads for the current user (newest activity first)
+app.get("/api/messages/threads", authenticate, (req, res) => {
+  const me = req.user;
+  const threads = new Map();
+
+  for (const m of messages) {
+    if (m.senderId !== me.id && m.recipientId !== me.id) continue;
+    const otherId = m.senderId === me.id ? m.recipientId : m.senderId;
+
+    let thread = threads.get(otherId);
+    if (!thread) {
+      thread = { otherId, lastMessage: null, unread: 0 };
+      threads.set(otherId, thread);
+    }
+    if (!thread.lastMessage || m.id > thread.lastMessage.id) thread.lastMessage = m;
+    if (m.recipientId === me.id && !m.readAt) thread.unread += 1;
+  }
+
+  const list = [...threads.values()]
+    .map((t) => {
+      const other = users.find((u) => u.id === t.otherId);
+      if (!other) return null;
+      const handle = publicHandleForUser(other);
+      const creator = findCreatorByUsername(handle);
+      return {
+        username: handle,
+        displayName: creator ? creator.displayName : other.displayName || other.username,
+        isCreator: !!creator,
+        unread: t.unread,
+        lastMessage: toMessageDto(t.lastMessage, me),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.lastMessage.id - a.lastMessage.id);
+
+  res.json(list);
+});
+
+// Unread message count (used for the nav badge)
+app.get("/api/messages/unread-count", authenticate, (req, res) => {
+  const unread = messages.filter((m) => m.recipientId === req.user.id && !m.readAt).length;
+  res.json({ unread });
+});
+
+// Fetch one thread, newest page first. Pass ?before=<messageId> for older pages.
+app.get("/api/messages/threads/:username", authenticate, (req, res) => {
+  const other = findUserByHandle(req.params.username);
+  if (!other) return res.status(404).json({ error: "User not found" });
+  if (other.id === req.user.id) return res.status(400).json({ error: "You can't message yourself." });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || THREAD_PAGE_SIZE, 1), 100);
+  const before = req.query.before ? Number(req.query.before) : null;
+
+  const all = messagesBetween(req.user.id, other.id)
+    .filter((m) => (before ? m.id < before : true))
+    .sort((a, b) => b.id - a.id);
+
+  const page = all.slice(0, limit);
+  const handle = publicHandleForUser(other);
+  const creator = findCreatorByUsername(handle);
+
+  res.json({
+    with: {
+      username: handle,
+      displayName: creator ? creator.displayName : other.displayName || other.username,
+      isCreator: !!creator,
+      // Either side of a block can still read the history, but not write
+      blocked: hasBlockBetween(req.user, other.id),
+      blockedByMe: blocks.some((b) => b.blockerId === req.user.id && b.blockedId === other.id),
+    },
+    // oldest → newest so the client can render top to bottom
+    messages: page.reverse().map((m) => toMessageDto(m, req.user)),
+    hasMore: all.length > limit,
+    nextBefore: all.length > limit ? page[0].id : null,
+  });
+});
+
+// Send a message
+app.post("/api/messages/threads/:username", authenticate, (req, res) => {
+  const other = findUserByHandle(req.params.username);
+  if (!other) return res.status(404).json({ error: "User not found" });
+  if (other.id === req.user.id) return res.status(400).json({ error: "You can't message yourself." });
+  if (hasBlockBetween(req.user, other.id)) {
+    return res.status(403).json({ error: "You can't message this account." });
+  }
+
+  const body = String((req.body || {}).body || "").trim();
+  if (!body) return res.status(400).json({ error: "Message can't be empty." });
+  if (body.length > MESSAGE_MAX_LENGTH) {
+    return res.status(400).json({ error: `Messages are limited to ${MESSAGE_MAX_LENGTH} characters.` });
+  }
+
+  const message = messages.insert({
+    senderId: req.user.id,
+    recipientId: other.id,
+    body,
+    createdAt: new Date().toISOString(),
+    readAt: null,
+  });
+
+  const handle = publicHandleForUser(req.user);
+  notify(other.id, {
+    type: "message",
+    title: `New message from @${handle}`,
+    body: snippet(body),
+    link: `/inbox/${handle}`,
+    data: { messageId: message.id, fromUserId: req.user.id },
+  });
+
+  res.json({ success: true, message: toMessageDto(message, req.user) });
+});
+
+// Mark every message the other person sent in this thread as read
+app.post("/api/messages/threads/:username/read", authenticate, (req, res) => {
+  const other = findUserByHandle(req.params.username);
+  if (!other) return res.status(404).json({ error: "User not found" });
+
+  const now = new Date().toISOString();
+  const unread = messages.filter(
+    (m) => m.senderId === other.id && m.recipientId === req.user.id && !m.readAt
+  );
+
+  db.transaction(() => {
+    unread.forEach((m) => {
+      m.readAt = now;
+      messages.update(m);
+    });
+  });
+
+  // Reading the thread also clears its message notifications
+  markNotificationsRead(
+    req.user.id,
+    (n) => n.type === "message" && n.data && n.data.fromUserId === other.id
+  );
+
+  const marked = unread.length;
+  res.json({ success: true, marked });
+});
+
+//
+// NOTIFICATIONS (stored per user, pushed live over Server-Sent Events)
+//
+
+const NOTIFICATIONS_PAGE_SIZE = 20;
+const NOTIFICATION_SNIPPET_LENGTH = 140;
+const NOTIFICATION_STREAM_PING_MS = 25 * 1000;
+
+// Open event streams: userId -> Set of { res, sessionId }
+const notificationStreams = new Map();
+
+function toNotificationDto(n) {
+  return {
+    id: n.id,
+    type: n.type,
+    title: n.title,
+    body: n.body || "",
+    link: n.link || null,
+    data: n.data || {},
+    read: !!n.readAt,
+    readAt: n.readAt || null,
+    createdAt: n.createdAt,
+  };
+}
+
+/**
+ * Helper: Shorten user text for a notification body
+ */
+function snippet(text) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > NOTIFICATION_SNIPPET_LENGTH ? `${s.slice(0, NOTIFICATION_SNIPPET_LENGTH - 1)}…` : s;
+}
+
+function countUnreadNotifications(userId) {
+  return notifications.filterBy("userId", userId).filter((n) => !n.readAt).length;
+}
+
+/**
+ * Helper: Send an event to every open stream of a user (all their devices)
+ */
+function pushToUser(userId, event, payload) {
+  const streams = notificationStreams.get(userId);
+  if (!streams) return;
+  const chunk = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const stream of streams) stream.res.write(chunk);
+}
+
+/**
+ * Store a notification for a user and push it to their open streams.
+ * Call it after the change it describes has been saved.
+ */
+function notify(userId, { type, title, body = "", link = null, data = {} }) {
+  if (!userId) return null;
+  const n = notifications.insert({
+    userId,
+    type,
+    title,
+    body,
+    link,
+    data,
+    readAt: null,
+    createdAt: new Date().toISOString(),
+  });
+  pushToUser(userId, "notification", {
+    notification: toNotificationDto(n),
+    unread: countUnreadNotifications(userId),
+  });
+  return n;
+}
+
+/**
+ * Helper: Mark a user's unread notifications matching `predicate` as read and
+ * tell their other devices. Returns how many changed.
+ */
+function markNotificationsRead(userId, predicate = () => true) {
+  const unread = notifications.filterBy("userId", userId).filter((n) => !n.readAt && predicate(n));
+  if (!unread.length) return 0;
+
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    unread.forEach((n) => {
+      n.readAt = now;
+      notifications.update(n);
+    });
+  });
+  pushToUser(userId, "unread", { unread: countUnreadNotifications(userId) });
+  return unread.length;
+}
+
+/**
+ * Helper: Tell the creator about a tip, unlock or subscription once it's paid
+ */
+function notifyPaymentSucceeded(payment) {
+  const creator = findCreatorByUsername(payment.creatorUsername);
+  if (!creator || !creator.userId) return;
+
+  const fan = users.get(payment.fanUserId);
+  const who = fan ? `@${publicHandleForUser(fan)}` : "A fan";
+  const amount = `$${Number(payment.amount).toFixed(2)}`;
+  const txn = transactions.get(payment.transactionId);
+  const data = { paymentId: payment.id, amount: payment.amount, currency: payment.currency };
+  const link = `/creator/${creator.username}/dashboard`;
+
+  if (payment.purpose === "tip") {
+    const note = txn && txn.message ? `: ${snippet(txn.message)}` : "";
+    notify(creator.userId, { type: "tip", title: "New tip", body: `${who} tipped you ${amount}${note}`, link, data });
+  }
+
+  if (payment.purpose === "ppv_unlock") {
+    const post = posts.get(payment.postId);
+    notify(creator.userId, {
+      type: "ppv_unlock",
+      title: "Post unlocked",
+      body: `${who} unlocked ${post ? `"${post.title}"` : "your post"} for ${amount}`,
+      link,
+      data: { ...data, postId: payment.postId },
+    });
+  }
+
+  if (payment.purpose === "subscription") {
+    const renewal = !!(txn && txn.renewal);
+    const tier = payment.tierId ? subscriptionTiers.get(payment.tierId) : null;
+    const months = payment.months || 1;
+    const plan = `${tier ? tier.name : "your subscription"}${months > 1 ? ` (${months} months)` : ""}`;
+    notify(creator.userId, {
+      type: "subscription",
+      title: renewal ? "Subscription renewed" : "New subscriber",
+      body: `${who} ${renewal ? "renewed" : "subscribed to"} ${plan} for ${amount}`,
+      link,
+      data: { ...data, subscriptionId: payment.subscriptionId, renewal },
+    });
+  }
+
+  if (payment.purpose === "custom_request") {
+    const record = customRequests.get(payment.requestId);
+    notify(creator.userId, {
+      type: "request",
+      title: "New custom request",
+      body: `${who} offered ${amount}${record ? `: ${snippet(record.message)}` : ""}`,
+      link: `/creator/${creator.username}/requests`,
+      data: { ...data, requestId: payment.requestId },
+    });
+  }
+}
+
+/**
+ * Helper: Tell the creator about a like. Unliking and liking again doesn't
+ * pile up: one unread notification per post and fan.
+ */
+function notifyPostLiked(creator, post, likerUser) {
+  if (!creator.userId || creator.userId === likerUser.id) return;
+  const pending = notifications.some(
+    (n) =>
+      n.userId === creator.userId &&
+      n.type === "like" &&
+      !n.readAt &&
+      n.data &&
+      n.data.postId === post.id &&
+      n.data.fromUserId === likerUser.id
+  );
+  if (pending) return;
+
+  notify(creator.userId, {
+    type: "like",
+    title: "New like",
+    body: `@${publicHandleForUser(likerUser)} liked "${post.title}"`,
+    link: `/c/${creator.username}`,
+    data: { postId: post.id, fromUserId: likerUser.id },
+  });
+}
+
+/**
+ * Helper: Keep streams alive through proxies and close the ones whose session
+ * was logged out (the stream outlives its access token otherwise).
+ */
+function pingNotificationStreams() {
+  for (const streams of notificationStreams.values()) {
+    for (const stream of streams) {
+      const session = sessions.get(stream.sessionId);
+      if (!session || !isSessionActive(session)) {
+        stream.res.end();
+        continue;
+      }
+      stream.res.write(": ping\n\n");
+    }
+  }
+}
+
+// Newest first: GET /api/notifications?cursor=<id>&limit=&unread=1
+app.get("/api/notifications", authenticate, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || NOTIFICATIONS_PAGE_SIZE, 1), 100);
+  const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+  const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+
+  const all = notifications
+    .filter((n) => n.userId === req.user.id)
+    .filter((n) => (cursor ? n.id < cursor : true))
+    .filter((n) => (unreadOnly ? !n.readAt : true))
+    .sort((a, b) => b.id - a.id);
+  const page = all.slice(0, limit);
+
+  res.json({
+    notifications: page.map(toNotificationDto),
+    unread: countUnreadNotifications(req.user.id),
+    nextCursor: all.length > limit ? String(page[page.length - 1].id) : null,
+  });
 });
 
-// Earnings summary
-app.get("/api/creators/:username/earnings", (req, res) => {
-  const username = normUsername(req.params.username);
-  const creator = findCreatorByUsername(username);
-  if (!creator) return res.status(404).json({ error: "Creator not found" });
+app.get("/api/notifications/unread-count", authenticate, (req, res) => {
+  res.json({ unread: countUnreadNotifications(req.user.id) });
+});
 
-  const creatorTx = transactions.filter((t) => normUsername(t.creatorUsername) === username);
+app.post("/api/notifications/read-all", authenticate, (req, res) => {
+  const marked = markNotificationsRead(req.user.id);
+  res.json({ success: true, marked, unread: 0 });
+});
 
-  const totalTips = creatorTx.filter((t) => t.type === "tip").reduce((sum, t) => sum + (t.amount || 0), 0);
-  const totalPpv = creatorTx.filter((t) => t.type === "ppv_unlock").reduce((sum, t) => sum + (t.amount || 0), 0);
-  const totalSubs = creatorTx.filter((t) => t.type === "subscription").reduce((sum, t) => sum + (t.amount || 0), 0);
+app.post("/api/notifications/:notificationId/read", authenticate, (req, res) => {
+  const id = Number(req.params.notificationId);
+  const n = notifications.find((x) => x.id === id && x.userId === req.user.id);
+  if (!n) return res.status(404).json({ error: "Notification not found" });
 
+  markNotificationsRead(req.user.id, (x) => x.id === id);
   res.json({
-    creator: creator.username,
-    totals: {
-      tips: totalTips,
-      ppv: totalPpv,
-      subscriptions: totalSubs,
-      allTime: totalTips + totalPpv + totalSubs,
-    },
-    transactions: creatorTx,
+    success: true,
+    notification: toNotificationDto(notifications.get(id)),
+    unread: countUnreadNotifications(req.user.id),
+  });
+});
+
+// Live stream. EventSource can't send headers, so the access token comes in
+// the query string; once open, the stream lives as long as its session.
+app.get("/api/notifications/stream", (req, res) => {
+  let resolved;
+  try {
+    resolved = resolveAccessToken(String(req.query.token || ""));
+  } catch (err) {
+    return sendTokenError(res, err);
+  }
+  if (!resolved) {
+    return res.status(401).json({ error: "Your session has ended. Please log in again." });
+  }
+
+  const { user, session } = resolved;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const stream = { res, sessionId: session.id };
+  if (!notificationStreams.has(user.id)) notificationStreams.set(user.id, new Set());
+  notificationStreams.get(user.id).add(stream);
+
+  res.write("retry: 5000\n\n");
+  res.write(`event: unread\ndata: ${JSON.stringify({ unread: countUnreadNotifications(user.id) })}\n\n`);
+
+  req.on("close", () => {
+    const streams = notificationStreams.get(user.id);
+    if (!streams) return;
+    streams.delete(stream);
+    if (!streams.size) notificationStreams.delete(user.id);
+  });
+});
+
+//
+// BLOCKS (either side of a block is hidden from the other)
+//
+
+/**
+ * Helper: Blocked account as listed to the blocker
+ */
+function toBlockDto(block) {
+  const other = users.get(block.blockedId);
+  const handle = other ? publicHandleForUser(other) : "deleted";
+  const creator = other ? findCreatorByUsername(handle) : null;
+  return {
+    username: handle,
+    displayName: creator ? creator.displayName : (other && (other.displayName || other.username)) || handle,
+    isCreator: !!creator,
+    avatarUrl: creator ? profileImageUrl(creator.avatarFilename) : null,
+    blockedAt: block.createdAt,
+  };
+}
+
+/**
+ * Helper: Undo what a block makes pointless: follows between the two end and
+ * subscriptions either way stop renewing (access runs out at the period end)
+ */
+function detachBlockedUsers(userA, userB) {
+  const creatorA = findCreatorForUser(userA);
+  const creatorB = findCreatorForUser(userB);
+  const now = new Date().toISOString();
+
+  follows.removeWhere(
+    (f) =>
+      (!!creatorB && f.userId === userA.id && f.creatorId === creatorB.id) ||
+      (!!creatorA && f.userId === userB.id && f.creatorId === creatorA.id)
+  );
+
+  const pairs = [
+    [creatorB, userA],
+    [creatorA, userB],
+  ];
+  for (const [creator, fan] of pairs) {
+    const sub = creator ? findActiveSubscription(creator.username, fan.id) : null;
+    if (sub && sub.autoRenew !== false) {
+      sub.autoRenew = false;
+      sub.canceledAt = now;
+      subscriptions.update(sub);
+    }
+  }
+}
+
+// Accounts I blocked, newest first
+app.get("/api/blocks", authenticate, (req, res) => {
+  const list = blocks
+    .filter((b) => b.blockerId === req.user.id)
+    .sort((a, b) => b.id - a.id)
+    .map(toBlockDto);
+  res.json(list);
+});
+
+// Block an account by handle ({ username }): creator username or fan username
+app.post("/api/blocks", authenticate, (req, res) => {
+  const other = findUserByHandle((req.body || {}).username);
+  if (!other) return res.status(404).json({ error: "User not found" });
+  if (other.id === req.user.id) return res.status(400).json({ error: "You can't block yourself." });
+
+  let block = blocks.find((b) => b.blockerId === req.user.id && b.blockedId === other.id);
+  if (!block) {
+    block = db.transaction(() => {
+      detachBlockedUsers(req.user, other);
+      return blocks.insert({ blockerId: req.user.id, blockedId: other.id, createdAt: new Date().toISOString() });
+    });
+  }
+
+  res.json({ success: true, block: toBlockDto(block) });
+});
+
+app.delete("/api/blocks/:username", authenticate, (req, res) => {
+  const other = findUserByHandle(req.params.username);
+  if (!other) return res.status(404).json({ error: "User not found" });
+
+  const removed = blocks.removeWhere((b) => b.blockerId === req.user.id && b.blockedId === other.id);
+  res.json({ success: true, unblocked: removed > 0 });
+});
+
+//
+// REPORTS (anyone logged in flags content; admins work through the queue)
+//
+
+const REPORT_TARGET_TYPES = ["post", "comment", "creator"];
+const REPORT_REASONS = [
+  "spam",
+  "scam",
+  "harassment",
+  "hate",
+  "violence",
+  "underage",
+  "non_consensual",
+  "impersonation",
+  "copyright",
+  "other",
+];
+const REPORT_DETAILS_MAX_LENGTH = 1000;
+
+// What an admin can do about each kind of report
+const REPORT_ACTIONS = {
+  post: ["dismiss", "remove_post", "suspend_creator"],
+  comment: ["dismiss", "remove_comment"],
+  creator: ["dismiss", "suspend_creator"],
+};
+
+/**
+ * Helper: Load what a report points at: { creator, post, comment } (post /
+ * comment only for those types), or null if it no longer exists
+ */
+function findReportTarget(targetType, targetId) {
+  const id = Number(targetId);
+  if (targetType === "creator") {
+    const creator = creators.get(id);
+    return creator ? { creator, post: null, comment: null } : null;
+  }
+
+  const comment = targetType === "comment" ? comments.get(id) : null;
+  const post = targetType === "post" ? posts.get(id) : comment ? posts.get(comment.postId) : null;
+  const creator = post ? findCreatorByUsername(post.username) : null;
+  if (!post || !creator || (targetType === "comment" && !comment)) return null;
+  return { creator, post, comment };
+}
+
+/**
+ * Helper: Copy of the reported content as it was when reported (it may be
+ * edited or deleted before an admin looks)
+ */
+function reportSnapshot(targetType, { creator, post, comment }) {
+  if (targetType === "comment") return { body: comment.body, authorId: comment.userId };
+  if (targetType === "post") return { title: post.title, description: post.description || "" };
+  return { username: creator.username, displayName: creator.displayName, bio: creator.bio || "" };
+}
+
+/**
+ * Helper: Report as shown in the admin queue, with the target's current state
+ */
+function toAdminReportDto(report, openCounts) {
+  const target = findReportTarget(report.targetType, report.targetId);
+  const reporter = users.get(report.reporterId);
+  const creator = target ? target.creator : creators.get(report.creatorId);
+  const { authorId, ...snapshot } = report.snapshot || {};
+  const author = authorId ? users.get(authorId) : null;
+
+  return {
+    id: report.id,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    reason: report.reason,
+    details: report.details,
+    status: report.status,
+    action: report.action || null,
+    note: report.note || null,
+    createdAt: report.createdAt,
+    resolvedAt: report.resolvedAt || null,
+    resolvedBy: report.resolvedBy || null,
+    reporter: reporter ? publicHandleForUser(reporter) : "deleted",
+    openReports: openCounts.get(reportTargetKey(report)) || 0,
+    snapshot: { ...snapshot, ...(report.targetType === "comment" ? { author: author ? publicHandleForUser(author) : "deleted" } : {}) },
+    targetExists: !!target,
+    postId: report.postId || null,
+    postRemoved: !!(target && target.post && isPostRemoved(target.post)),
+    creator: creator
+      ? { id: creator.id, username: creator.username, displayName: creator.displayName, status: creator.status || "pending" }
+      : null,
+    actions: REPORT_ACTIONS[report.targetType],
+  };
+}
+
+function reportTargetKey(report) {
+  return `${report.targetType}:${report.targetId}`;
+}
+
+/**
+ * Helper: Number of open reports per target (see reportTargetKey)
+ */
+function countOpenReports() {
+  const counts = new Map();
+  for (const r of reports.filter((r) => r.status === "open")) {
+    counts.set(reportTargetKey(r), (counts.get(reportTargetKey(r)) || 0) + 1);
+  }
+  return counts;
+}
+
+// Report a post, comment or creator: { targetType, targetId, reason, details }
+app.post("/api/reports", authenticate, rateLimit("reports", RATE_LIMITS.reports), (req, res) => {
+  const { targetType, targetId, reason } = req.body || {};
+  const details = String((req.body || {}).details || "").trim();
+
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    return res.status(400).json({ error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(", ")}.` });
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(", ")}.` });
+  }
+  if (reason === "other" && !details) {
+    return res.status(400).json({ error: "Please tell us what's wrong." });
+  }
+  if (details.length > REPORT_DETAILS_MAX_LENGTH) {
+    return res.status(400).json({ error: `Details are limited to ${REPORT_DETAILS_MAX_LENGTH} characters.` });
+  }
+
+  // Only what the reporter can actually see can be reported
+  const target = findReportTarget(targetType, targetId);
+  const visible =
+    target &&
+    canViewCreator(req.user, target.creator) &&
+    (!target.post || canViewPost(target.post, target.creator, req.user)) &&
+    (!target.comment || !target.comment.hidden);
+  if (!visible) return res.status(404).json({ error: "Nothing to report here." });
+
+  const ownerId = target.comment ? target.comment.userId : target.creator.userId;
+  if (ownerId === req.user.id) return res.status(400).json({ error: "You can't report your own content." });
+
+  const id = Number(targetId);
+  const existing = reports.find(
+    (r) => r.reporterId === req.user.id && r.targetType === targetType && r.targetId === id && r.status === "open"
+  );
+  if (existing) return res.json({ success: true, alreadyReported: true, reportId: existing.id });
+
+  const report = reports.insert({
+    reporterId: req.user.id,
+    targetType,
+    targetId: id,
+    creatorId: target.creator.id,
+    postId: target.post ? target.post.id : null,
+    reason,
+    details: details || null,
+    snapshot: reportSnapshot(targetType, target),
+    status: "open",
+    createdAt: new Date().toISOString(),
+  });
+
+  res.json({ success: true, reportId: report.id });
+});
+
+// Admin: the report queue (?status=open|resolved|all, default open), oldest first
+app.get("/api/admin/reports", adminOnly, (req, res) => {
+  const status = String(req.query.status || "open");
+  if (!["open", "resolved", "all"].includes(status)) return res.status(400).json({ error: "Invalid status" });
+
+  const openCounts = countOpenReports();
+  const list = reports
+    .filter((r) => status === "all" || r.status === status)
+    .sort((a, b) => a.id - b.id)
+    .map((r) => toAdminReportDto(r, openCounts));
+  res.json(list);
+});
+
+// Admin: act on a report ({ action, note }). Closes every open report on the
+// same target, since they were all about the same thing.
+app.post("/api/admin/reports/:reportId/resolve", adminOnly, (req, res) => {
+  const report = reports.get(Number(req.params.reportId));
+  if (!report) return res.status(404).json({ error: "Report not found" });
+  if (report.status !== "open") return res.status(409).json({ error: "This report was already resolved." });
+
+  const action = String((req.body || {}).action || "");
+  const note = String((req.body || {}).note || "").trim().slice(0, 1000);
+  if (!REPORT_ACTIONS[report.targetType].includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${REPORT_ACTIONS[report.targetType].join(", ")}.` });
+  }
+
+  const target = findReportTarget(report.targetType, report.targetId);
+  if (action !== "dismiss" && !target) {
+    return res.status(409).json({ error: "The reported content no longer exists. Dismiss the report instead." });
+  }
+  if (action === "suspend_creator") {
+    if (!note) return res.status(400).json({ error: "Please give a reason." });
+    const current = target.creator.status || "pending";
+    if (!(CREATOR_STATUS_TRANSITIONS[current] || []).includes("suspended")) {
+      return res.status(409).json({ error: `Can't change a ${current} creator to suspended.` });
+    }
+  }
+
+  const now = new Date().toISOString();
+  const resolved = db.transaction(() => {
+    if (action === "remove_post") {
+      target.post.removedAt = now;
+      target.post.removedBy = req.user.email;
+      target.post.removalReason = note || report.reason;
+      posts.update(target.post);
+    } else if (action === "remove_comment") {
+      comments.removeWhere((c) => c.id === target.comment.id || c.parentId === target.comment.id);
+    } else if (action === "suspend_creator") {
+      recordCreatorStatus(target.creator, "suspended", note, req.user);
+    }
+
+    const sameTarget = reports.filter((r) => r.status === "open" && reportTargetKey(r) === reportTargetKey(report));
+    for (const r of sameTarget) {
+      reports.update({ ...r, status: "resolved", action, note: note || null, resolvedAt: now, resolvedBy: req.user.email });
+    }
+    return sameTarget.length;
+  });
+
+  // Tell the creator what happened to their content
+  if (action === "remove_post") {
+    notify(target.creator.userId, {
+      type: "moderation",
+      title: `Your post “${snippet(target.post.title)}” was removed`,
+      body: note || "It broke the community guidelines.",
+      link: `/creator/${target.creator.username}/dashboard`,
+      data: { postId: target.post.id },
+    });
+  } else if (action === "suspend_creator") {
+    notify(target.creator.userId, {
+      type: "moderation",
+      title: "Your creator account was suspended",
+      body: note,
+      link: `/creator/${target.creator.username}/dashboard`,
+      data: { creatorId: target.creator.id },
+    });
+  }
+
+  res.json({ success: true, resolved, report: toAdminReportDto(reports.get(report.id), countOpenReports()) });
+});
+
+//
+// ADMIN: CREATOR KYC REVIEW
+//
+
+const KYC_DOCUMENTS = {
+  idFront: "idFrontPath",
+  idBack: "idBackPath",
+  selfie: "selfiePath",
+};
+
+/**
+ * Helper: Creator as shown in the admin console (with KYC download links)
+ */
+function toAdminCreatorDto(creator) {
+  const documents = {};
+  Object.entries(KYC_DOCUMENTS).forEach(([doc, field]) => {
+    documents[doc] = creator[field] ? `/api/admin/creators/${creator.id}/kyc/${doc}` : null;
+  });
+
+  return {
+    ...creator,
+    status: creator.status || "pending",
+    documents,
+    postCount: posts.filterBy("username", creator.username).length,
+  };
+}
+
+/**
+ * Helper: Move a creator to a new review status (validated against CREATOR_STATUS_TRANSITIONS)
+ */
+function setCreatorStatus(req, res, status, { reasonRequired = false } = {}) {
+  const creator = creators.get(req.params.creatorId);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  const current = creator.status || "pending";
+  if (!(CREATOR_STATUS_TRANSITIONS[current] || []).includes(status)) {
+    return res.status(409).json({ error: `Can't change a ${current} creator to ${status}.` });
+  }
+
+  const reason = String(req.body?.reason || "").trim().slice(0, 1000);
+  if (reasonRequired && !reason) {
+    return res.status(400).json({ error: "Please give a reason." });
+  }
+
+  recordCreatorStatus(creator, status, reason, req.user);
+  res.json({ success: true, creator: toAdminCreatorDto(creator) });
+}
+
+/**
+ * Helper: Store a review decision on a creator (the transition is checked by the caller)
+ */
+function recordCreatorStatus(creator, status, reason, admin) {
+  creator.status = status;
+  creator.statusReason = reason || null;
+  creator.reviewedAt = new Date().toISOString();
+  creator.reviewedBy = admin.email;
+  creators.update(creator);
+}
+
+// Applications / creators by status (default: pending), oldest first
+app.get("/api/admin/creators", adminOnly, (req, res) => {
+  const status = String(req.query.status || "pending");
+  const list = creators
+    .filter((c) => status === "all" || (c.status || "pending") === status)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(toAdminCreatorDto);
+  res.json(list);
+});
+
+app.get("/api/admin/creators/:creatorId", adminOnly, (req, res) => {
+  const creator = creators.get(req.params.creatorId);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+  res.json(toAdminCreatorDto(creator));
+});
+
+// KYC document download (idFront | idBack | selfie)
+app.get("/api/admin/creators/:creatorId/kyc/:document", adminOnly, (req, res) => {
+  const creator = creators.get(req.params.creatorId);
+  if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+  const field = KYC_DOCUMENTS[req.params.document];
+  if (!field) return res.status(400).json({ error: "Unknown document" });
+  if (!creator[field]) return res.status(404).json({ error: "Document not uploaded" });
+
+  const filePath = path.join(kycDir, path.basename(creator[field]));
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: "Document file is missing" });
+
+  res.set("Cache-Control", "no-store");
+  res.sendFile(filePath);
+});
+
+app.post("/api/admin/creators/:creatorId/approve", adminOnly, (req, res) => {
+  setCreatorStatus(req, res, "approved");
+});
+
+app.post("/api/admin/creators/:creatorId/reject", adminOnly, (req, res) => {
+  setCreatorStatus(req, res, "rejected", { reasonRequired: true });
+});
+
+app.post("/api/admin/creators/:creatorId/suspend", adminOnly, (req, res) => {
+  setCreatorStatus(req, res, "suspended", { reasonRequired: true });
+});
+
+// Scheduled posts: flip due ones to published (reads already treat them as live)
+function runPublishJob() {
+  try {
+    const published = publishDuePosts();
+    if (published) console.log(`Posts: published ${published} scheduled post(s)`);
+  } catch (err) {
+    console.error("Publish job failed:", err);
+  }
+}
+
+// Renewal / expiry job: once at startup, then on an interval
+async function runSubscriptionJob() {
+  try {
+    const { renewed, expired } = await processSubscriptions();
+    if (renewed || expired) {
+      console.log(`Subscriptions processed: ${renewed} renewed, ${expired} expired`);
+    }
+  } catch (err) {
+    console.error("Subscription job failed:", err);
+  }
+}
+
+/**
+ * Move KYC files uploaded before kycDir existed out of the public uploads folder
+ */
+function moveLegacyKycFiles() {
+  let moved = 0;
+  for (const creator of creators) {
+    for (const field of Object.values(KYC_DOCUMENTS)) {
+      if (!creator[field]) continue;
+
+      const name = path.basename(creator[field]);
+      const from = path.join(uploadsDir, name);
+      const to = path.join(kycDir, name);
+      if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+
+      try {
+        fs.renameSync(from, to);
+      } catch (err) {
+        // KYC_DIR on another disk
+        if (err.code !== "EXDEV") throw err;
+        fs.copyFileSync(from, to);
+        fs.unlinkSync(from);
+      }
+      moved += 1;
+    }
+  }
+  return moved;
+}
+
+/**
+ * Link records from before everything was keyed by user id: creators by
+ * their email, fan records and likes by username. Records that can't be
+ * matched (e.g. anonymous tips) get a null id so they're only looked at once.
+ */
+function linkUserIdentities() {
+  const byEmail = new Map(users.all().map((u) => [String(u.email || "").toLowerCase(), u]));
+  const byUsername = new Map(users.all().map((u) => [normUsername(u.username), u]));
+  const result = { linked: 0, unmatched: 0 };
+
+  db.transaction(() => {
+    for (const creator of creators.filter((c) => c.userId === undefined)) {
+      const owner = byEmail.get(String(creator.email || "").toLowerCase());
+      if (owner) {
+        const { email, ...rest } = creator;
+        creators.update({ ...rest, userId: owner.id });
+        result.linked += 1;
+      } else {
+        // keep the email so an admin can still tell whose it is
+        creators.update({ ...creator, userId: null });
+        result.unmatched += 1;
+      }
+    }
+
+    for (const collection of [subscriptions, unlockedPosts, transactions, payments]) {
+      for (const record of collection.filter((r) => r.fanUserId === undefined)) {
+        const fan = byUsername.get(normUsername(record.fanUsername));
+        const { fanEmail, ...rest } = record;
+        collection.update({ ...rest, fanUserId: fan ? fan.id : null });
+        if (fan) result.linked += 1;
+        else result.unmatched += 1;
+      }
+    }
+
+    for (const post of posts.filter((p) => Array.isArray(p.likedBy) && p.likedBy.some((l) => typeof l !== "number"))) {
+      const ids = post.likedBy
+        .map((l) => (typeof l === "number" ? l : byUsername.get(normUsername(l))?.id))
+        .filter((id) => id !== undefined);
+      post.likedBy = [...new Set(ids)];
+      post.likes = post.likedBy.length;
+      posts.update(post);
+      result.linked += 1;
+    }
+  });
+
+  return result;
+}
+
+const identities = linkUserIdentities();
+if (identities.linked || identities.unmatched) {
+  console.log(`Identity: linked ${identities.linked} record(s) to user ids, ${identities.unmatched} without a matching user`);
+}
+
+/**
+ * Startup: Turn single-file posts (mediaFilename / mediaMime) into the media
+ * list, then create the missing thumbnails / teasers in the background.
+ */
+function migratePostMedia() {
+  let converted = 0;
+  db.transaction(() => {
+    for (const post of posts.filter((p) => p.media === undefined)) {
+      const { mediaFilename, mediaMime, ...rest } = post;
+      const media = mediaFilename
+        ? [{ filename: mediaFilename, mime: mediaMime, type: POST_MEDIA_TYPES[mediaMime] || "image", thumbFilename: null, teaserFilename: null }]
+        : [];
+      posts.update({ ...rest, media });
+      converted += 1;
+    }
   });
+  return converted;
+}
+
+async function backfillMediaDerivatives() {
+  let created = 0;
+  for (const post of posts.filter((p) => (p.media || []).some((m) => m.type === "image" && !m.teaserFilename))) {
+    const media = [];
+    for (const item of post.media) {
+      if (item.type !== "image" || item.teaserFilename || !fs.existsSync(path.join(uploadsDir, item.filename))) {
+        media.push(item);
+        continue;
+      }
+      try {
+        media.push(await processPostMediaFile(item.filename, item.mime));
+        created += 1;
+      } catch (err) {
+        console.warn(`Media: could not process ${item.filename}:`, err.message);
+        media.push(item);
+      }
+    }
+    const current = posts.get(post.id);
+    if (current) posts.update({ ...current, media });
+  }
+  return created;
+}
+
+const migratedMedia = migratePostMedia();
+if (migratedMedia) console.log(`Media: converted ${migratedMedia} post(s) to media lists`);
+backfillMediaDerivatives().then((n) => {
+  if (n) console.log(`Media: generated previews for ${n} image(s)`);
 });
 
+/**
+ * Startup: Give subscription creators from before tiers a default tier at
+ * their price, and point their subscriptions at it
+ */
+function migrateSubscriptionTiers() {
+  let created = 0;
+  db.transaction(() => {
+    for (const creator of creators.filter((c) => c.accountType === "subscription" && Number(c.price) > 0)) {
+      if (subscriptionTiers.some((t) => t.creatorId === creator.id)) continue;
+      const tier = createDefaultTier(creator, Number(creator.price));
+      created += 1;
+
+      for (const sub of subscriptions.filter(
+        (s) => !s.tierId && normUsername(s.creatorUsername) === normUsername(creator.username)
+      )) {
+        subscriptions.update({ ...sub, tierId: tier.id, months: sub.months || 1 });
+      }
+    }
+  });
+  return created;
+}
+
+const tiersCreated = migrateSubscriptionTiers();
+if (tiersCreated) console.log(`Tiers: created a default tier for ${tiersCreated} creator(s)`);
+
+const movedKyc = moveLegacyKycFiles();
+if (movedKyc) console.log(`KYC: moved ${movedKyc} document(s) out of public uploads`);
+
+const backfilled = backfillLedger();
+if (backfilled) console.log(`Ledger: booked ${backfilled} earlier transaction(s)`);
+
+runSubscriptionJob();
+setInterval(runSubscriptionJob, SUBSCRIPTION_JOB_INTERVAL_MS).unref();
+
+runPublishJob();
+setInterval(runPublishJob, POST_PUBLISH_JOB_INTERVAL_MS).unref();
+
+purgeIdempotencyKeys();
+setInterval(purgeIdempotencyKeys, IDEMPOTENCY_PURGE_INTERVAL_MS).unref();
+
+setInterval(pingNotificationStreams, NOTIFICATION_STREAM_PING_MS).unref();
+
+// Only take requests once the startup migrations above have run
 app.listen(PORT, () => {
   console.log(`Faniko backend running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+/**
+ * Development transport: prints every message to stdout instead of sending it.
+ */
+function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send({ from, to, subject, text }) {
+      const id = "mail_" + crypto.randomBytes(8).toString("hex");
+      console.log(`\n----- MAIL ${id} -----\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n----- END MAIL -----\n`);
+      return { id };
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,26 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Local/test transport: writes each message as a JSON file into dir, so tests
+ * and developers can read verification codes and reset links back out.
+ * File names sort by send time.
+ */
+function createFileTransport({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: "file",
+
+    async send(message) {
+      const id = "mail_" + crypto.randomBytes(8).toString("hex");
+      const sentAt = new Date().toISOString();
+      const file = path.join(dir, `${sentAt.replace(/[:.]/g, "-")}-${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ id, sentAt, ...message }, null, 2));
+      return { id };
+    },
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,48 @@
+const path = require("path");
+const { createConsoleTransport } = require("./console");
+const { createFileTransport } = require("./file");
+const { createSmtpTransport } = require("./smtp");
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "mail-outbox");
+
+/**
+ * Create the configured mailer.
+ *
+ *   MAIL_TRANSPORT = "console" (default) | "file" | "smtp"
+ *   MAIL_FROM      = sender address (default: "Faniko <no-reply@faniko.local>")
+ *   MAIL_DIR       = where the file transport writes messages (default: FanikoBackend/mail-outbox)
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE ("true"/"false"), SMTP_USER, SMTP_PASS
+ *
+ * Every transport implements the same async interface:
+ *   send({ from, to, subject, text, html }) -> { id }
+ *
+ * The mailer fills in `from` and exposes send({ to, subject, text, html }).
+ */
+function createMailer({
+  transport = process.env.MAIL_TRANSPORT || "console",
+  from = process.env.MAIL_FROM || "Faniko <no-reply@faniko.local>",
+  dir = process.env.MAIL_DIR || DEFAULT_OUTBOX_DIR,
+} = {}) {
+  let impl;
+  if (transport === "console") impl = createConsoleTransport();
+  else if (transport === "file") impl = createFileTransport({ dir });
+  else if (transport === "smtp") {
+    impl = createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  } else throw new Error(`Unknown mail transport: ${transport}`);
+
+  return {
+    name: impl.name,
+
+    send(message) {
+      return impl.send({ from, ...message });
+    },
+  };
+}
+
+module.exports = { createMailer };
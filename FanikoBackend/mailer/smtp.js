@@ -0,0 +1,26 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP transport for real delivery (any provider that speaks SMTP).
+ */
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) throw new Error("SMTP_HOST is required for the smtp mail transport");
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
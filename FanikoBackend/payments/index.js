@@ -0,0 +1,31 @@
+const { createMockProvider } = require("./mock");
+
+/**
+ * Create the configured payment provider.
+ *
+ *   PAYMENT_PROVIDER       = "mock" (default)
+ *   PAYMENT_WEBHOOK_SECRET = shared secret for webhook signatures
+ *
+ * Every provider implements the same async interface:
+ *   createIntent({ amount, currency, metadata }) -> { id, status, amount, currency }
+ *   confirmIntent(intentId, { paymentMethod })   -> { id, status, failureReason }
+ *   createPaymentMethod({ number, expMonth, expYear, cvc })
+ *                                                -> { id, brand, last4, expMonth, expYear }
+ *   refund(intentId)                             -> { id, status }
+ *   parseWebhook(rawBody, headers)               -> event | null
+ *   simulateChargeback(intentId)                 -> { id, status }   (optional, test providers only)
+ *
+ * status is one of "requires_confirmation", "processing", "succeeded", "failed", "refunded",
+ * "charged_back". Webhook events are { id, type, data: { intentId, status, failureReason } }
+ * with type "payment.succeeded", "payment.failed", "payment.refunded" or "payment.charged_back".
+ */
+function createPaymentProvider({
+  provider = process.env.PAYMENT_PROVIDER || "mock",
+  webhookUrl,
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || "CHANGE_ME_WEBHOOK_SECRET",
+} = {}) {
+  if (provider === "mock") return createMockProvider({ webhookUrl, webhookSecret });
+  throw new Error(`Unknown payment provider: ${provider}`);
+}
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+
+/**
+ * Local mock payment gateway. Works offline and behaves like a real card
+ * processor from the app's point of view: intents are created, confirmed
+ * with a payment method, and the outcome is also delivered as a signed
+ * webhook to the app's callback URL.
+ *
+ * Test payment methods:
+ *   pm_mock_card      – always succeeds (default)
+ *   pm_mock_declined  – always fails with "card_declined"
+ *   pm_mock_insufficient_funds – always fails with "insufficient_funds"
+ *
+ * Saved cards are tokenized with createPaymentMethod. The token keeps the
+ * test method as its prefix (e.g. pm_mock_declined_3f9a...), so it behaves
+ * the same after a restart. Test card numbers:
+ *   4242 4242 4242 4242 – succeeds
+ *   4000 0000 0000 0002 – declined
+ *   4000 0000 0000 9995 – insufficient funds
+ *
+ * Intents only live in this process; after a restart, confirming an old
+ * intent fails with "intent_not_found".
+ */
+const FAILING_METHODS = {
+  pm_mock_declined: "card_declined",
+  pm_mock_insufficient_funds: "insufficient_funds",
+};
+
+const TEST_CARDS = {
+  "4000000000000002": "pm_mock_declined",
+  "4000000000009995": "pm_mock_insufficient_funds",
+};
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+// Test method behind a payment method id (saved-card tokens carry a random suffix)
+function failureFor(paymentMethod) {
+  const method = String(paymentMethod || "");
+  const key = Object.keys(FAILING_METHODS).find((m) => method === m || method.startsWith(`${m}_`));
+  return key ? FAILING_METHODS[key] : null;
+}
+
+function cardBrand(number) {
+  if (/^4/.test(number)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(number)) return "mastercard";
+  if (/^3[47]/.test(number)) return "amex";
+  return "card";
+}
+
+function passesLuhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function cardError(message) {
+  const err = new Error(message);
+  err.code = "invalid_card";
+  return err;
+}
+
+function createMockProvider({ webhookUrl, webhookSecret }) {
+  const intents = new Map();
+
+  function sign(body) {
+    return crypto.createHmac("sha256", webhookSecret).update(body).digest("hex");
+  }
+
+  // Deliver like a real gateway would: later, over HTTP, signed
+  function deliver(type, intent) {
+    if (!webhookUrl) return;
+
+    const body = JSON.stringify({
+      id: "evt_mock_" + crypto.randomBytes(8).toString("hex"),
+      type,
+      createdAt: new Date().toISOString(),
+      data: {
+        intentId: intent.id,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        failureReason: intent.failureReason,
+      },
+    });
+
+    setImmediate(() => {
+      fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", [SIGNATURE_HEADER]: sign(body) },
+        body,
+      }).catch((err) => console.warn("Mock webhook delivery failed:", err.message));
+    });
+  }
+
+  function view(intent) {
+    return {
+      id: intent.id,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      failureReason: intent.failureReason,
+    };
+  }
+
+  return {
+    name: "mock",
+
+    async createIntent({ amount, currency }) {
+      const intent = {
+        id: "pi_mock_" + crypto.randomBytes(12).toString("hex"),
+        status: "requires_confirmation",
+        amount,
+        currency,
+        failureReason: null,
+      };
+      intents.set(intent.id, intent);
+      return view(intent);
+    },
+
+    async confirmIntent(intentId, { paymentMethod = "pm_mock_card" } = {}) {
+      const intent = intents.get(intentId);
+      if (!intent) {
+        return { id: intentId, status: "failed", failureReason: "intent_not_found" };
+      }
+      if (intent.status !== "requires_confirmation") return view(intent);
+
+      const failure = failureFor(paymentMethod);
+      intent.status = failure ? "failed" : "succeeded";
+      intent.failureReason = failure || null;
+
+      deliver(failure ? "payment.failed" : "payment.succeeded", intent);
+      return view(intent);
+    },
+
+    /**
+     * Turn card details into a reusable token. Only the token, brand, last 4
+     * digits and expiry should ever be stored. Throws (err.code "invalid_card")
+     * for numbers or dates a real gateway would reject.
+     */
+    async createPaymentMethod({ number, expMonth, expYear, cvc }) {
+      const digits = String(number || "").replace(/[\s-]/g, "");
+      if (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits)) {
+        throw cardError("That card number isn't valid.");
+      }
+
+      const month = Number(expMonth);
+      let year = Number(expYear);
+      if (year < 100) year += 2000;
+      const now = new Date();
+      if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+        throw cardError("Please enter a valid expiry date.");
+      }
+      if (year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+        throw cardError("That card has expired.");
+      }
+
+      if (!/^\d{3,4}$/.test(String(cvc || ""))) {
+        throw cardError("Please enter the security code (CVC).");
+      }
+
+      const method = TEST_CARDS[digits] || "pm_mock_card";
+      return {
+        id: `${method}_${crypto.randomBytes(8).toString("hex")}`,
+        brand: cardBrand(digits),
+        last4: digits.slice(-4),
+        expMonth: month,
+        expYear: year,
+      };
+    },
+
+    async refund(intentId) {
+      const intent = intents.get(intentId);
+      if (!intent || intent.status !== "succeeded") {
+        throw new Error("Only succeeded payments can be refunded.");
+      }
+      intent.status = "refunded";
+
+      deliver("payment.refunded", intent);
+      return view(intent);
+    },
+
+    // Test helper: the fan's bank disputes a succeeded payment
+    async simulateChargeback(intentId) {
+      const intent = intents.get(intentId);
+      if (!intent || intent.status !== "succeeded") {
+        throw new Error("Only succeeded payments can be charged back.");
+      }
+      intent.status = "charged_back";
+
+      deliver("payment.charged_back", intent);
+      return view(intent);
+    },
+
+    /**
+     * Check the signature and return the parsed event, or null if it doesn't verify.
+     */
+    parseWebhook(rawBody, headers) {
+      const given = String(headers[SIGNATURE_HEADER] || "");
+      const expected = sign(rawBody);
+      if (given.length !== expected.length) return null;
+      if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return null;
+      return JSON.parse(rawBody.toString("utf-8"));
+    },
+  };
+}
+
+module.exports = { createMockProvider };
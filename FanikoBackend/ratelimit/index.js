@@ -0,0 +1,21 @@
+const { createMemoryStore } = require("./memory");
+
+/**
+ * Create the configured rate limit store (request counters, failed logins).
+ *
+ *   RATE_LIMIT_STORE = "memory" (default)
+ *
+ * Every store implements the same async interface; entries expire on their own:
+ *   increment(key, windowMs) -> { count, resetAt }   (fixed window, started by the first hit)
+ *   get(key)                 -> value | null
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *
+ * resetAt is a timestamp in ms. Values passed to set must be JSON-serializable.
+ */
+function createRateLimitStore({ store = process.env.RATE_LIMIT_STORE || "memory" } = {}) {
+  if (store === "memory") return createMemoryStore();
+  throw new Error(`Unknown rate limit store: ${store}`);
+}
+
+module.exports = { createRateLimitStore };
@@ -0,0 +1,55 @@
+/**
+ * In-process store: entries live in a Map and are gone after a restart. Each
+ * server process counts on its own, so run a shared store when there is more
+ * than one.
+ */
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function live(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Keys that are never read again would otherwise stay forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs).unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now);
+      if (!entry) {
+        entries.set(key, { value: 1, expiresAt: now + windowMs });
+        return { count: 1, resetAt: now + windowMs };
+      }
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,211 @@
+/**
+ * A named collection of records (users, posts, ...) backed by a storage driver.
+ *
+ * Reads are served from an in-process cache that is hydrated once when the
+ * collection is opened. Every write goes straight to the driver for that one
+ * record, so a like or a new message costs a single row write instead of
+ * rewriting the whole dataset. A record is only swapped or dropped in the
+ * cache once the driver write has gone through; if the write (or the
+ * transaction around it) fails, the collection is reloaded from the driver.
+ *
+ * Lookups by id go through a Map. Other hot fields (userId, username...) can
+ * be indexed with index() and queried with findBy() / filterBy().
+ *
+ * IDs are assigned by the driver and are never reused, even after deletes.
+ */
+class Collection {
+  constructor(name, driver, { onWrite = () => {} } = {}) {
+    this.name = name;
+    this.driver = driver;
+    this.onWrite = onWrite;
+    this.indexes = new Map();
+    this.load();
+  }
+
+  /**
+   * (Re)hydrate the cache from the driver and rebuild every index.
+   */
+  load() {
+    this.rows = this.driver.loadAll(this.name);
+    this.byId = new Map(this.rows.map((r) => [r.id, r]));
+    for (const index of this.indexes.values()) {
+      index.keys.clear();
+      index.keyOf.clear();
+      this.rows.forEach((r) => addToIndex(index, r));
+    }
+  }
+
+  get size() {
+    return this.rows.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.rows[Symbol.iterator]();
+  }
+
+  /**
+   * Snapshot of every record (safe to sort or splice).
+   */
+  all() {
+    return this.rows.slice();
+  }
+
+  get(id) {
+    return this.byId.get(Number(id)) || null;
+  }
+
+  find(predicate) {
+    return this.rows.find(predicate);
+  }
+
+  filter(predicate) {
+    return this.rows.filter(predicate);
+  }
+
+  some(predicate) {
+    return this.rows.some(predicate);
+  }
+
+  /**
+   * Keep a lookup table on a field. `normalize` turns a field value into the
+   * key it is filed under (e.g. lower-casing usernames); empty keys are not
+   * indexed.
+   */
+  index(field, normalize = (v) => v) {
+    const index = { field, normalize, keys: new Map(), keyOf: new Map() };
+    this.rows.forEach((r) => addToIndex(index, r));
+    this.indexes.set(field, index);
+    return this;
+  }
+
+  /**
+   * Every record whose indexed field matches the value, in id order.
+   * Records mutated in place are re-filed on update(); until then they are
+   * matched on their current value, never on a stale key.
+   */
+  filterBy(field, value) {
+    const index = this.indexes.get(field);
+    if (!index) throw new Error(`${this.name}: no index on ${field}`);
+
+    const key = index.normalize(value);
+    const bucket = isIndexKey(key) ? index.keys.get(key) : null;
+    if (!bucket) return [];
+
+    return [...bucket]
+      .filter((r) => index.normalize(r[field]) === key)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * First record (lowest id) whose indexed field matches the value, or null.
+   */
+  findBy(field, value) {
+    return this.filterBy(field, value)[0] || null;
+  }
+
+  /**
+   * Insert a new record and return it with its assigned id.
+   * Pass { keepId: true } to preserve an existing id (used by the migrator).
+   */
+  insert(data, { keepId = false } = {}) {
+    const { id: requestedId, ...fields } = data;
+    const id = this.write(() => this.driver.insert(this.name, keepId ? requestedId : null, fields));
+    const record = { id, ...fields };
+
+    this.rows.push(record);
+    this.byId.set(id, record);
+    this.indexes.forEach((index) => addToIndex(index, record));
+    return record;
+  }
+
+  /**
+   * Persist changes made to a record. Usually the record is the cached object
+   * that was mutated in place; a fresh object with the same id replaces it.
+   */
+  update(record) {
+    const existing = this.byId.get(record.id);
+    if (!existing) {
+      throw new Error(`${this.name}: cannot update unknown record ${record.id}`);
+    }
+
+    const { id, ...fields } = record;
+    this.write(() => this.driver.update(this.name, id, fields));
+
+    if (existing !== record) {
+      Object.keys(existing).forEach((k) => delete existing[k]);
+      Object.assign(existing, record);
+    }
+    this.indexes.forEach((index) => {
+      removeFromIndex(index, existing);
+      addToIndex(index, existing);
+    });
+    return existing;
+  }
+
+  remove(id) {
+    const numericId = Number(id);
+    const existing = this.byId.get(numericId);
+    if (!existing) return false;
+
+    this.write(() => this.driver.remove(this.name, numericId));
+    this.byId.delete(numericId);
+    const index = this.rows.indexOf(existing);
+    if (index !== -1) this.rows.splice(index, 1);
+    this.indexes.forEach((idx) => removeFromIndex(idx, existing));
+    return true;
+  }
+
+  /**
+   * Remove every record matching the predicate. Returns the number removed.
+   */
+  removeWhere(predicate) {
+    const doomed = this.rows.filter(predicate);
+    doomed.forEach((r) => this.remove(r.id));
+    return doomed.length;
+  }
+
+  /**
+   * Run one driver write. Records may already have been mutated in place, so
+   * a failed write reloads the cache to match what the driver actually holds.
+   */
+  write(fn) {
+    this.onWrite(this);
+    try {
+      return fn();
+    } catch (err) {
+      this.load();
+      throw err;
+    }
+  }
+}
+
+function isIndexKey(key) {
+  return key !== undefined && key !== null && key !== "";
+}
+
+function addToIndex(index, record) {
+  const key = index.normalize(record[index.field]);
+  if (!isIndexKey(key)) return;
+
+  let bucket = index.keys.get(key);
+  if (!bucket) {
+    bucket = new Set();
+    index.keys.set(key, bucket);
+  }
+  bucket.add(record);
+  index.keyOf.set(record, key);
+}
+
+function removeFromIndex(index, record) {
+  if (!index.keyOf.has(record)) return;
+
+  const key = index.keyOf.get(record);
+  const bucket = index.keys.get(key);
+  if (bucket) {
+    bucket.delete(record);
+    if (bucket.size === 0) index.keys.delete(key);
+  }
+  index.keyOf.delete(record);
+}
+
+module.exports = Collection;
@@ -0,0 +1,72 @@
+const path = require("path");
+const Collection = require("./collection");
+const { createSqliteDriver } = require("./sqlite");
+const { createMemoryDriver } = require("./memory");
+
+const DEFAULT_DB_FILE = path.join(__dirname, "..", "faniko.db");
+
+/**
+ * Open the app's data store.
+ *
+ *   FANIKO_STORAGE = "sqlite" (default) | "memory"
+ *   FANIKO_DB_FILE = path to the SQLite file (default: FanikoBackend/faniko.db)
+ */
+function openStore({
+  driver = process.env.FANIKO_STORAGE || "sqlite",
+  file = process.env.FANIKO_DB_FILE || DEFAULT_DB_FILE,
+} = {}) {
+  let impl;
+  if (driver === "sqlite") impl = createSqliteDriver({ file });
+  else if (driver === "memory") impl = createMemoryDriver();
+  else throw new Error(`Unknown storage driver: ${driver}`);
+
+  const collections = new Map();
+  // One set per open transaction: the collections written inside it, whose
+  // caches must be reloaded if it rolls back.
+  const openTransactions = [];
+
+  function trackWrite(collection) {
+    openTransactions.forEach((touched) => touched.add(collection));
+  }
+
+  return {
+    driver: impl.name,
+    file: impl.name === "sqlite" ? file : null,
+
+    collection(name) {
+      let c = collections.get(name);
+      if (!c) {
+        c = new Collection(name, impl, { onWrite: trackWrite });
+        collections.set(name, c);
+      }
+      return c;
+    },
+
+    /**
+     * Run several writes atomically (all or nothing on disk). If fn throws,
+     * the caches of the collections it wrote to are reloaded, so records
+     * mutated in place don't keep changes that were rolled back.
+     */
+    transaction(fn) {
+      const touched = new Set();
+      openTransactions.push(touched);
+      try {
+        return impl.transaction(fn);
+      } catch (err) {
+        touched.forEach((c) => c.load());
+        throw err;
+      } finally {
+        openTransactions.pop();
+      }
+    },
+
+    getMeta: impl.getMeta,
+    setMeta: impl.setMeta,
+
+    close() {
+      impl.close();
+    },
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,78 @@
+/**
+ * In-memory storage driver. Nothing survives a restart – handy for local
+ * experiments and throwaway test runs.
+ */
+function createMemoryDriver() {
+  const tables = new Map();
+  const meta = new Map();
+
+  function table(name) {
+    let t = tables.get(name);
+    if (!t) {
+      t = { rows: new Map(), lastId: 0 };
+      tables.set(name, t);
+    }
+    return t;
+  }
+
+  return {
+    name: "memory",
+
+    loadAll(name) {
+      return [...table(name).rows.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([id, fields]) => ({ id, ...JSON.parse(fields) }));
+    },
+
+    insert(name, id, fields) {
+      const t = table(name);
+      const newId = id ?? t.lastId + 1;
+      if (t.rows.has(newId)) throw new Error(`${name}: duplicate id ${newId}`);
+      t.lastId = Math.max(t.lastId, newId);
+      t.rows.set(newId, JSON.stringify(fields));
+      return newId;
+    },
+
+    update(name, id, fields) {
+      table(name).rows.set(id, JSON.stringify(fields));
+    },
+
+    remove(name, id) {
+      table(name).rows.delete(id);
+    },
+
+    count(name) {
+      return table(name).rows.size;
+    },
+
+    getMeta(key) {
+      return meta.has(key) ? meta.get(key) : null;
+    },
+
+    setMeta(key, value) {
+      meta.set(key, String(value));
+    },
+
+    transaction(fn) {
+      // Rows are stored as JSON strings, so a shallow copy per table is a
+      // full snapshot to roll back to.
+      const snapshot = new Map(
+        [...tables].map(([name, t]) => [name, { rows: new Map(t.rows), lastId: t.lastId }])
+      );
+      const metaSnapshot = new Map(meta);
+      try {
+        return fn();
+      } catch (err) {
+        tables.clear();
+        snapshot.forEach((t, name) => tables.set(name, t));
+        meta.clear();
+        metaSnapshot.forEach((v, k) => meta.set(k, v));
+        throw err;
+      }
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,98 @@
+/**
+ * One-time import of a legacy data.json into the configured store.
+ *
+ *   npm run migrate:json                      # imports ./data.json
+ *   npm run migrate:json -- path/to/data.json
+ *   npm run migrate:json -- --force           # import even if already done / not empty
+ *
+ * Record ids are preserved so references between collections (unlockedPosts.postId,
+ * transactions.postId, customRequests.transactionId, ...) keep pointing at the
+ * same rows. Records without an id (older unlockedPosts entries) get a fresh one.
+ * The old `array.length + 1` scheme could hand out the same id twice after a
+ * delete; the first record keeps the id and later duplicates are renumbered.
+ */
+const fs = require("fs");
+const path = require("path");
+const { openStore } = require("./index");
+
+const IMPORT_META_KEY = "jsonImportedAt";
+
+function importJson(store, data, { force = false } = {}) {
+  if (store.getMeta(IMPORT_META_KEY) && !force) {
+    throw new Error(
+      `data.json was already imported on ${store.getMeta(IMPORT_META_KEY)}. Use --force to import again.`
+    );
+  }
+
+  const names = Object.keys(data).filter((k) => Array.isArray(data[k]));
+
+  const notEmpty = names.filter((name) => store.collection(name).size > 0);
+  if (notEmpty.length > 0 && !force) {
+    throw new Error(`Target store already has data in: ${notEmpty.join(", ")}. Use --force to import anyway.`);
+  }
+
+  const report = {};
+
+  store.transaction(() => {
+    for (const name of names) {
+      const collection = store.collection(name);
+      const seen = new Set(collection.all().map((r) => r.id));
+      const later = [];
+      const renumbered = [];
+
+      for (const record of data[name]) {
+        const id = Number(record.id);
+        if (Number.isInteger(id) && id > 0 && !seen.has(id)) {
+          collection.insert({ ...record, id }, { keepId: true });
+          seen.add(id);
+        } else {
+          later.push(record);
+        }
+      }
+
+      // Second pass so fresh ids are allocated above every preserved one
+      for (const record of later) {
+        const inserted = collection.insert(record);
+        if (record.id !== undefined && record.id !== null) {
+          renumbered.push({ from: record.id, to: inserted.id });
+        }
+      }
+
+      report[name] = { imported: data[name].length, renumbered };
+    }
+
+    store.setMeta(IMPORT_META_KEY, new Date().toISOString());
+  });
+
+  return report;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const source = path.resolve(args.find((a) => !a.startsWith("--")) || path.join(__dirname, "..", "data.json"));
+
+  if (!fs.existsSync(source)) {
+    console.error(`No data file found at ${source}`);
+    process.exit(1);
+  }
+
+  const store = openStore();
+  try {
+    const data = JSON.parse(fs.readFileSync(source, "utf-8"));
+    const report = importJson(store, data, { force });
+
+    console.log(`Imported ${source} into ${store.file || store.driver}`);
+    for (const [name, r] of Object.entries(report)) {
+      console.log(`  ${name}: ${r.imported} record(s)`);
+      r.renumbered.forEach((x) => console.log(`    duplicate id ${x.from} renumbered to ${x.to}`));
+    }
+  } catch (err) {
+    console.error("Import failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = { importJson, IMPORT_META_KEY };
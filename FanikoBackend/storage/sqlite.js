@@ -0,0 +1,92 @@
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite storage driver (single local file, no outside service).
+ *
+ * Each collection is its own table: an AUTOINCREMENT id plus the rest of the
+ * record as JSON. AUTOINCREMENT guarantees an id is never handed out twice.
+ */
+function createSqliteDriver({ file }) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+
+  db.exec(`CREATE TABLE IF NOT EXISTS _meta (key TEXT PRIMARY KEY, value TEXT)`);
+
+  const statements = new Map();
+
+  function quote(name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return `"${name}"`;
+  }
+
+  function prepared(name) {
+    let s = statements.get(name);
+    if (s) return s;
+
+    const table = quote(name);
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL)`
+    );
+
+    s = {
+      all: db.prepare(`SELECT id, data FROM ${table} ORDER BY id`),
+      insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+      remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+      count: db.prepare(`SELECT COUNT(*) AS n FROM ${table}`),
+    };
+    statements.set(name, s);
+    return s;
+  }
+
+  return {
+    name: "sqlite",
+
+    loadAll(name) {
+      return prepared(name)
+        .all.all()
+        .map((row) => ({ id: row.id, ...JSON.parse(row.data) }));
+    },
+
+    insert(name, id, fields) {
+      const info = prepared(name).insert.run(id ?? null, JSON.stringify(fields));
+      return Number(info.lastInsertRowid);
+    },
+
+    update(name, id, fields) {
+      prepared(name).update.run(JSON.stringify(fields), id);
+    },
+
+    remove(name, id) {
+      prepared(name).remove.run(id);
+    },
+
+    count(name) {
+      return prepared(name).count.get().n;
+    },
+
+    getMeta(key) {
+      const row = db.prepare(`SELECT value FROM _meta WHERE key = ?`).get(key);
+      return row ? row.value : null;
+    },
+
+    setMeta(key, value) {
+      db.prepare(
+        `INSERT INTO _meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+      ).run(key, String(value));
+    },
+
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,105 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Runs the real server against a throwaway SQLite file and mail outbox
+const PORT = 4100 + Math.floor(Math.random() * 500);
+const API = `http://localhost:${PORT}`;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "faniko-test-"));
+const mailDir = path.join(tmpDir, "mail");
+
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      FANIKO_DB_FILE: path.join(tmpDir, "faniko.db"),
+      MAIL_TRANSPORT: "file",
+      MAIL_DIR: mailDir,
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("backend running")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function api(pathname, { token, json, form } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let body;
+  if (json) {
+    headers["Content-Type"] = "application/json";
+    body = JSON.stringify(json);
+  } else if (form) {
+    body = new FormData();
+    Object.entries(form).forEach(([k, v]) => body.append(k, v));
+  }
+
+  const res = await fetch(`${API}${pathname}`, { method: body ? "POST" : "GET", headers, body });
+  return { status: res.status, data: await res.json() };
+}
+
+function lastCodeFor(email) {
+  const mail = fs
+    .readdirSync(mailDir)
+    .sort()
+    .reverse()
+    .map((name) => JSON.parse(fs.readFileSync(path.join(mailDir, name), "utf8")))
+    .find((m) => m.to === email);
+  return mail.text.match(/\d{6}/)[0];
+}
+
+async function signUp(email, username) {
+  await api("/api/auth/signup/send-code", { json: { email } });
+  await api("/api/auth/signup/verify-code", { json: { email, code: lastCodeFor(email) } });
+  await api("/api/auth/signup", { json: { email, username, password: "secret1" } });
+  const { data } = await api("/api/auth/login", { json: { email, password: "secret1" } });
+  return data.token;
+}
+
+function becomeCreator(token, username) {
+  return api("/api/creators", {
+    token,
+    form: { password: "secret1", displayName: username, username, accountType: "free" },
+  });
+}
+
+test("a creator can't take another user's fan username", async () => {
+  await signUp("fan@example.com", "taken_name");
+  const token = await signUp("creator@example.com", "creator_fan");
+
+  const res = await becomeCreator(token, "Taken_Name");
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.data.error, "That creator username is already taken.");
+});
+
+test("a creator can't take another creator's username", async () => {
+  const first = await signUp("first@example.com", "first_fan");
+  assert.strictEqual((await becomeCreator(first, "studio")).status, 200);
+
+  const second = await signUp("second@example.com", "second_fan");
+  assert.strictEqual((await becomeCreator(second, "studio")).status, 409);
+});
+
+test("a creator can keep their own fan username", async () => {
+  const token = await signUp("self@example.com", "same_name");
+
+  const res = await becomeCreator(token, "same_name");
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.data.creatorId);
+});
@@ -1,12 +1,22 @@
-import React, { createContext, useContext, useEffect, useState } from "react";
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
 
 export type Role = "fan" | "creator";
 
 export interface AuthUser {
   id: string;
   username: string;
+  displayName?: string;
   email: string;
   role: Role;
+  isAdmin?: boolean;
+  token?: string; // short-lived access token
+  refreshToken?: string; // long-lived, tied to this device's session
 }
 
 interface AuthContextValue {
@@ -15,10 +25,23 @@ interface AuthContextValue {
   login: (email: string, password: string) => Promise<void>;
   signup: (email: string, password: string, username: string) => Promise<void>;
   logout: () => void;
+  logoutEverywhere: () => Promise<void>;
   upgradeToCreator: (updates?: Partial<AuthUser>) => void;
+  updateUser: (updates: Partial<AuthUser>) => void;
 }
 
 const STORAGE_KEY = "fanikoUser";
+const API = "http://localhost:4000";
+
+// Auth calls that must not trigger a token refresh on 401
+const NO_REFRESH_PATHS = [
+  "/api/auth/login",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+];
+
+// The untouched fetch; the provider wraps window.fetch to refresh on 401
+const nativeFetch = window.fetch.bind(window);
 
 const AuthContext = createContext<AuthContextValue | undefined>(undefined);
 
@@ -26,21 +49,73 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<AuthUser | null>(null);
   const [loading, setLoading] = useState(true);
 
+  // Latest user for the fetch wrapper (which is installed once)
+  const userRef = useRef<AuthUser | null>(null);
+  const refreshingRef = useRef<Promise<string | null> | null>(null);
+
   // Restore from localStorage
   useEffect(() => {
     const stored = localStorage.getItem(STORAGE_KEY);
     if (stored) {
       try {
         const parsed = JSON.parse(stored) as AuthUser;
+        userRef.current = parsed;
         setUser(parsed);
       } catch {
         localStorage.removeItem(STORAGE_KEY);
       }
     }
     setLoading(false);
+
+    // Another tab logged in / out or refreshed the token
+    function onStorage(e: StorageEvent) {
+      if (e.key !== STORAGE_KEY) return;
+      let next: AuthUser | null = null;
+      try {
+        next = e.newValue ? (JSON.parse(e.newValue) as AuthUser) : null;
+      } catch {
+        next = null;
+      }
+      userRef.current = next;
+      setUser(next);
+    }
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  // Retry API calls that fail with 401 once, after refreshing the access token
+  useEffect(() => {
+    window.fetch = async (input: RequestInfo | URL, init?: RequestInit) => {
+      const res = await nativeFetch(input, init);
+      if (res.status !== 401) return res;
+
+      const url =
+        typeof input === "string"
+          ? input
+          : input instanceof URL
+          ? input.href
+          : input.url;
+      if (!url.startsWith(API)) return res;
+      if (NO_REFRESH_PATHS.some((p) => url.startsWith(API + p))) return res;
+
+      const headers = new Headers(
+        init?.headers ?? (input instanceof Request ? input.headers : undefined)
+      );
+      if (!headers.has("Authorization")) return res;
+
+      const token = await refreshAccessToken();
+      if (!token) return res;
+
+      headers.set("Authorization", `Bearer ${token}`);
+      return nativeFetch(input, { ...init, headers });
+    };
+    return () => {
+      window.fetch = nativeFetch;
+    };
   }, []);
 
   function persist(next: AuthUser | null) {
+    userRef.current = next;
     setUser(next);
     if (next) {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
@@ -49,6 +124,49 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     }
   }
 
+  // Get a new access token with the refresh token. Concurrent 401s share one
+  // request; if the session is gone the user is logged out.
+  function refreshAccessToken(): Promise<string | null> {
+    if (refreshingRef.current) return refreshingRef.current;
+
+    const current = userRef.current;
+    if (!current?.refreshToken) {
+      // stored before refresh tokens existed – needs a fresh login
+      if (current) persist(null);
+      return Promise.resolve(null);
+    }
+
+    refreshingRef.current = (async () => {
+      try {
+        const res = await nativeFetch(`${API}/api/auth/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken: current.refreshToken }),
+        });
+        if (!res.ok) {
+          if (res.status === 401) persist(null);
+          return null;
+        }
+        const data = await res.json();
+        const latest = userRef.current;
+        if (!latest) return null;
+        persist({
+          ...latest,
+          email: data.email,
+          role: data.role,
+          isAdmin: !!data.isAdmin,
+          token: data.token,
+        });
+        return data.token as string;
+      } catch {
+        return null;
+      } finally {
+        refreshingRef.current = null;
+      }
+    })();
+    return refreshingRef.current;
+  }
+
   // 🔐 Real login – uses backend /api/auth/login
   async function login(email: string, password: string) {
     const res = await fetch("http://localhost:4000/api/auth/login", {
@@ -62,13 +180,15 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
 
     if (!res.ok) {
       let msg = "Login failed";
+      let code: string | undefined;
       try {
         const data = await res.json();
         if (data.error) msg = data.error;
+        code = data.code; // e.g. "email_not_verified"
       } catch {
         // ignore JSON parse errors
       }
-      throw new Error(msg);
+      throw Object.assign(new Error(msg), { code });
     }
 
     const data = (await res.json()) as {
@@ -76,6 +196,9 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       email: string;
       username: string;
       role: Role;
+      isAdmin?: boolean;
+      token: string;
+      refreshToken: string;
     };
 
     const authUser: AuthUser = {
@@ -83,50 +206,77 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       email: data.email,
       username: data.username.toLowerCase(),
       role: data.role,
+      isAdmin: !!data.isAdmin,
+      token: data.token,
+      refreshToken: data.refreshToken,
     };
 
     persist(authUser);
   }
 
-  // 🔹 Frontend-side signup: backend call is already done in Signup.tsx
-  // This just stores the new user in local auth state as a fan.
-  async function signup(email: string, _password: string, username: string) {
-    // No backend call here – Signup.tsx already did /api/auth/signup
-    const newUser: AuthUser = {
-      id: "u_" + Date.now().toString(), // frontend-only ID (not used by backend)
-      username: username.toLowerCase(),
-      email: email.trim().toLowerCase(),
-      role: "fan", // start as fan; later they can upgrade to creator
-    };
-    persist(newUser);
+  // 🔹 Signup.tsx already did /api/auth/signup with a verified email code,
+  // so the new account can log in right away and get a real token.
+  async function signup(email: string, password: string, _username: string) {
+    await login(email, password);
   }
 
+  // Ends this device's session on the server, too
   function logout() {
+    const refreshToken = userRef.current?.refreshToken;
+    if (refreshToken) {
+      nativeFetch(`${API}/api/auth/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(() => {
+        // offline – the session just expires on its own
+      });
+    }
+    persist(null);
+  }
+
+  async function logoutEverywhere() {
+    const current = userRef.current;
+    if (current?.token) {
+      const res = await fetch(`${API}/api/auth/logout-all`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${current.token}` },
+      });
+      if (!res.ok && res.status !== 401) {
+        throw new Error("Could not log out of all devices.");
+      }
+    }
     persist(null);
   }
 
   // Called after CreatorSignup succeeds to upgrade the SAME account
   function upgradeToCreator(updates?: Partial<AuthUser>) {
-    setUser((prev) => {
-      if (!prev) return prev;
-      const next: AuthUser = {
-        ...prev,
-        role: "creator",
-        ...updates,
-        username: (updates?.username ?? prev.username).toLowerCase(),
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
-      return next;
+    const prev = userRef.current;
+    if (!prev) return;
+    persist({
+      ...prev,
+      role: "creator",
+      ...updates,
+      username: (updates?.username ?? prev.username).toLowerCase(),
     });
   }
 
+  // Keep local auth state in sync after account changes (e.g. new email)
+  function updateUser(updates: Partial<AuthUser>) {
+    const prev = userRef.current;
+    if (!prev) return;
+    persist({ ...prev, ...updates });
+  }
+
   const value: AuthContextValue = {
     user,
     loading,
     login,
     signup,
     logout,
+    logoutEverywhere,
     upgradeToCreator,
+    updateUser,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
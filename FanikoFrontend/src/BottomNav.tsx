@@ -1,11 +1,43 @@
 // src/BottomNav.tsx
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Link, useLocation } from "react-router-dom";
 import { useAuth } from "./AuthContext";
+import NotificationBell from "./NotificationBell";
 
 export default function BottomNav() {
   const location = useLocation();
   const { user } = useAuth();
+  const [unread, setUnread] = useState(0);
+
+  // Poll the unread message count for the inbox badge
+  useEffect(() => {
+    if (!user?.token) {
+      setUnread(0);
+      return;
+    }
+
+    let cancelled = false;
+    async function loadUnread() {
+      try {
+        const res = await fetch(
+          "http://localhost:4000/api/messages/unread-count",
+          { headers: { Authorization: `Bearer ${user!.token}` } }
+        );
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setUnread(Number(data.unread) || 0);
+      } catch {
+        // ignore – badge is best-effort
+      }
+    }
+
+    loadUnread();
+    const id = setInterval(loadUnread, 30000);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [user, location.pathname]);
 
   const creatorTarget =
     user && user.role === "creator"
@@ -15,6 +47,7 @@ export default function BottomNav() {
   const items = [
     { key: "home", label: "Home", to: "/" },
     { key: "explore", label: "Explore", to: "/explore" },
+    ...(user ? [{ key: "inbox", label: "Inbox", to: "/inbox" }] : []),
     {
       key: "creator",
       label: user?.role === "creator" ? "Dashboard" : "Creator",
@@ -34,21 +67,30 @@ export default function BottomNav() {
         {items.map((item) => {
           const active = location.pathname === item.to;
           return (
-            <Link
-              key={item.key}
-              to={item.to}
-              className={`flex flex-col items-center gap-1 px-3 ${
-                active ? "text-brand-700" : "text-gray-500"
-              }`}
-            >
-              <span className="text-lg">
-                {item.key === "home" && "🏠"}
-                {item.key === "explore" && "🔍"}
-                {item.key === "creator" && "🎬"}
-                {item.key === "auth" && (user ? "🙂" : "🔐")}
-              </span>
-              <span>{item.label}</span>
-            </Link>
+            <React.Fragment key={item.key}>
+              <Link
+                to={item.to}
+                className={`flex flex-col items-center gap-1 px-3 ${
+                  active ? "text-brand-700" : "text-gray-500"
+                }`}
+              >
+                <span className="relative text-lg">
+                  {item.key === "home" && "🏠"}
+                  {item.key === "explore" && "🔍"}
+                  {item.key === "inbox" && "💬"}
+                  {item.key === "creator" && "🎬"}
+                  {item.key === "auth" && (user ? "🙂" : "🔐")}
+                  {item.key === "inbox" && unread > 0 && (
+                    <span className="absolute -top-1 -right-2 min-w-[16px] rounded-full bg-rose-500 px-1 text-center text-[10px] font-semibold leading-4 text-white">
+                      {unread > 99 ? "99+" : unread}
+                    </span>
+                  )}
+                </span>
+                <span>{item.label}</span>
+              </Link>
+              {/* Notifications sit next to the inbox */}
+              {item.key === "inbox" && <NotificationBell />}
+            </React.Fragment>
           );
         })}
       </div>
@@ -0,0 +1,471 @@
+// src/CreatorAnalytics.tsx
+// Dashboard analytics tab: revenue by type, new vs. churned subscribers and
+// top posts, all for one date range. Charts are plain Tailwind bars – no
+// charting library.
+import React, { useEffect, useState } from "react";
+
+type Interval = "day" | "week" | "month";
+type PostSort = "revenue" | "unlocks" | "likes" | "tips";
+type Preset = "7d" | "30d" | "90d" | "12m" | "custom";
+
+type RevenueRow = {
+  period: string;
+  tip: number;
+  ppv_unlock: number;
+  subscription: number;
+  custom_request: number;
+  total: number;
+};
+
+type SubscriberRow = {
+  period: string;
+  new: number;
+  upgrades: number;
+  churned: number;
+};
+
+type RevenueData = {
+  currency: string;
+  totals: Omit<RevenueRow, "period">;
+  series: RevenueRow[];
+};
+
+type SubscriberData = {
+  totals: Omit<SubscriberRow, "period"> & {
+    net: number;
+    activeAtStart: number;
+    activeAtEnd: number;
+    churnRate: number;
+  };
+  series: SubscriberRow[];
+};
+
+type TopPost = {
+  id: number;
+  title: string;
+  visibility: "free" | "subscribers" | "ppv";
+  price: number | null;
+  publishedAt: string | null;
+  unlocks: number;
+  unlockRevenue: number;
+  likes: number;
+  tips: number;
+  tipRevenue: number;
+  revenue: number;
+};
+
+type ChartSeries<Row> = {
+  key: keyof Row & string;
+  label: string;
+  color: string;
+};
+
+const PRESETS: { value: Preset; label: string; days: number }[] = [
+  { value: "7d", label: "7 days", days: 7 },
+  { value: "30d", label: "30 days", days: 30 },
+  { value: "90d", label: "90 days", days: 90 },
+  { value: "12m", label: "12 months", days: 365 },
+];
+
+const REVENUE_SERIES: ChartSeries<RevenueRow>[] = [
+  { key: "subscription", label: "Subscriptions", color: "bg-brand-500" },
+  { key: "ppv_unlock", label: "PPV", color: "bg-amber-400" },
+  { key: "tip", label: "Tips", color: "bg-emerald-500" },
+  { key: "custom_request", label: "Custom requests", color: "bg-sky-400" },
+];
+
+const SUBSCRIBER_SERIES: ChartSeries<SubscriberRow>[] = [
+  { key: "new", label: "New", color: "bg-emerald-500" },
+  { key: "upgrades", label: "Upgrades", color: "bg-brand-400" },
+  { key: "churned", label: "Churned", color: "bg-rose-400" },
+];
+
+const POST_SORTS: { value: PostSort; label: string }[] = [
+  { value: "revenue", label: "Revenue" },
+  { value: "unlocks", label: "Unlocks" },
+  { value: "likes", label: "Likes" },
+  { value: "tips", label: "Tip revenue" },
+];
+
+// Dates as YYYY-MM-DD (what <input type="date"> and the API both use)
+function toDateValue(d: Date) {
+  return d.toISOString().slice(0, 10);
+}
+
+function daysAgo(days: number) {
+  return toDateValue(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+}
+
+function defaultInterval(days: number): Interval {
+  if (days > 120) return "month";
+  if (days > 31) return "week";
+  return "day";
+}
+
+function formatPeriod(period: string, interval: Interval) {
+  const d = new Date(`${period}T00:00:00Z`);
+  if (interval === "month") {
+    return d.toLocaleDateString(undefined, { month: "short", year: "2-digit", timeZone: "UTC" });
+  }
+  return d.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function money(n: number, currency = "USD") {
+  return `${currency} ${n.toFixed(2)}`;
+}
+
+// Bars per period: stacked (one column, segments per series) or grouped
+function BarChart<Row extends { period: string }>({
+  rows,
+  series,
+  interval,
+  stacked,
+  format = (n) => String(n),
+}: {
+  rows: Row[];
+  series: ChartSeries<Row>[];
+  interval: Interval;
+  stacked: boolean;
+  format?: (n: number) => string;
+}) {
+  const value = (row: Row, key: keyof Row) => Number(row[key]) || 0;
+  const max = Math.max(
+    1,
+    ...rows.map((row) =>
+      stacked
+        ? series.reduce((sum, s) => sum + value(row, s.key), 0)
+        : Math.max(...series.map((s) => value(row, s.key)))
+    )
+  );
+
+  return (
+    <div>
+      <div className="flex h-40 items-end gap-px border-b border-gray-200">
+        {rows.map((row) => {
+          const tooltip = [
+            formatPeriod(row.period, interval),
+            ...series.map((s) => `${s.label}: ${format(value(row, s.key))}`),
+          ].join("\n");
+
+          return (
+            <div
+              key={row.period}
+              title={tooltip}
+              className={`flex h-full min-w-0 flex-1 items-end ${
+                stacked ? "flex-col-reverse justify-start" : "gap-px"
+              }`}
+            >
+              {series.map((s) => {
+                const height = `${(value(row, s.key) / max) * 100}%`;
+                return (
+                  <div
+                    key={s.key}
+                    className={`${s.color} ${stacked ? "w-full" : "flex-1 rounded-t-sm"}`}
+                    style={{ height }}
+                  />
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+      {rows.length > 0 && (
+        <div className="mt-1 flex justify-between text-[10px] text-gray-400">
+          <span>{formatPeriod(rows[0].period, interval)}</span>
+          <span>{formatPeriod(rows[rows.length - 1].period, interval)}</span>
+        </div>
+      )}
+      <div className="mt-2 flex flex-wrap gap-3">
+        {series.map((s) => (
+          <span key={s.key} className="inline-flex items-center gap-1 text-[11px] text-gray-600">
+            <span className={`h-2 w-2 rounded-sm ${s.color}`} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value }: { label: string; value: string }) {
+  return (
+    <div className="rounded-xl bg-gray-50 p-3">
+      <div className="text-[11px] text-gray-500">{label}</div>
+      <div className="mt-1 text-sm font-bold text-gray-900">{value}</div>
+    </div>
+  );
+}
+
+export default function CreatorAnalytics({
+  username,
+  token,
+}: {
+  username: string;
+  token: string;
+}) {
+  const [preset, setPreset] = useState<Preset>("30d");
+  const [from, setFrom] = useState(daysAgo(30));
+  const [to, setTo] = useState(toDateValue(new Date()));
+  const [groupBy, setGroupBy] = useState<Interval>("day");
+  const [postSort, setPostSort] = useState<PostSort>("revenue");
+
+  const [revenue, setRevenue] = useState<RevenueData | null>(null);
+  const [subscribers, setSubscribers] = useState<SubscriberData | null>(null);
+  const [topPosts, setTopPosts] = useState<TopPost[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const baseUrl = `http://localhost:4000/api/creators/${encodeURIComponent(
+    username
+  )}/analytics`;
+
+  async function get(path: string, params: Record<string, string>) {
+    const res = await fetch(`${baseUrl}/${path}?${new URLSearchParams(params)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "Failed to load analytics");
+    return data;
+  }
+
+  useEffect(() => {
+    if (!from || !to) return;
+    let cancelled = false;
+
+    async function load() {
+      setLoading(true);
+      setError(null);
+      try {
+        const range = { from, to, interval: groupBy };
+        const [revenueData, subscriberData] = await Promise.all([
+          get("revenue", range),
+          get("subscribers", range),
+        ]);
+        if (cancelled) return;
+        setRevenue(revenueData);
+        setSubscribers(subscriberData);
+      } catch (err: any) {
+        if (!cancelled) setError(err.message || "Something went wrong");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [username, token, from, to, groupBy]);
+
+  useEffect(() => {
+    if (!from || !to) return;
+    let cancelled = false;
+
+    get("posts", { from, to, sort: postSort })
+      .then((data) => {
+        if (!cancelled) setTopPosts(data.posts || []);
+      })
+      .catch(() => {
+        if (!cancelled) setTopPosts([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username, token, from, to, postSort]);
+
+  function choosePreset(value: Preset) {
+    setPreset(value);
+    const p = PRESETS.find((x) => x.value === value);
+    if (!p) return;
+    setFrom(daysAgo(p.days));
+    setTo(toDateValue(new Date()));
+    setGroupBy(defaultInterval(p.days));
+  }
+
+  const currency = revenue?.currency || "USD";
+
+  return (
+    <div className="space-y-6">
+      {/* Range controls */}
+      <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex flex-wrap gap-1">
+            {PRESETS.map((p) => (
+              <button
+                key={p.value}
+                type="button"
+                onClick={() => choosePreset(p.value)}
+                className={`rounded-full px-3 py-1 text-xs font-medium border ${
+                  preset === p.value
+                    ? "bg-gray-900 text-white border-gray-900"
+                    : "bg-white text-gray-600 border-gray-200 hover:bg-gray-50"
+                }`}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+          <label className="text-[11px] text-gray-600">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => {
+                setPreset("custom");
+                setFrom(e.target.value);
+              }}
+              className="mt-1 block rounded-xl border px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+            />
+          </label>
+          <label className="text-[11px] text-gray-600">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => {
+                setPreset("custom");
+                setTo(e.target.value);
+              }}
+              className="mt-1 block rounded-xl border px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+            />
+          </label>
+          <label className="text-[11px] text-gray-600">
+            Group by
+            <select
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value as Interval)}
+              className="mt-1 block rounded-xl border px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+            >
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+              <option value="month">Month</option>
+            </select>
+          </label>
+          {loading && <span className="text-[11px] text-gray-500">Loading…</span>}
+        </div>
+        {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        {/* Revenue */}
+        <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
+          <h2 className="text-sm font-semibold text-gray-800 mb-3">Revenue</h2>
+          {revenue && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+                <Stat label="Total" value={money(revenue.totals.total, currency)} />
+                <Stat label="Subscriptions" value={money(revenue.totals.subscription, currency)} />
+                <Stat label="PPV" value={money(revenue.totals.ppv_unlock, currency)} />
+                <Stat label="Tips" value={money(revenue.totals.tip, currency)} />
+              </div>
+              <BarChart
+                rows={revenue.series}
+                series={REVENUE_SERIES}
+                interval={groupBy}
+                stacked
+                format={(n) => money(n, currency)}
+              />
+              <p className="mt-2 text-[11px] text-gray-400">
+                Gross, before platform fees. Refunded payments are left out.
+              </p>
+            </>
+          )}
+        </div>
+
+        {/* Subscribers */}
+        <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
+          <h2 className="text-sm font-semibold text-gray-800 mb-3">Subscribers</h2>
+          {subscribers && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+                <Stat label="Active now" value={String(subscribers.totals.activeAtEnd)} />
+                <Stat label="New" value={String(subscribers.totals.new)} />
+                <Stat label="Churned" value={String(subscribers.totals.churned)} />
+                <Stat
+                  label="Churn rate"
+                  value={`${(subscribers.totals.churnRate * 100).toFixed(1)}%`}
+                />
+              </div>
+              <BarChart
+                rows={subscribers.series}
+                series={SUBSCRIBER_SERIES}
+                interval={groupBy}
+                stacked={false}
+              />
+              <p className="mt-2 text-[11px] text-gray-400">
+                {subscribers.totals.activeAtStart} active at the start of the
+                range · net {subscribers.totals.net >= 0 ? "+" : ""}
+                {subscribers.totals.net}. Churn counts subscriptions that
+                expired or were refunded.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Top posts */}
+      <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-sm font-semibold text-gray-800">Top posts</h2>
+          <select
+            value={postSort}
+            onChange={(e) => setPostSort(e.target.value as PostSort)}
+            className="rounded-xl border px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+          >
+            {POST_SORTS.map((s) => (
+              <option key={s.value} value={s.value}>
+                By {s.label.toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {topPosts.length === 0 ? (
+          <p className="text-xs text-gray-500">No published posts yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs">
+              <thead>
+                <tr className="text-[11px] text-gray-500">
+                  <th className="py-1 pr-3 font-medium">Post</th>
+                  <th className="py-1 pr-3 font-medium text-right">Unlocks</th>
+                  <th className="py-1 pr-3 font-medium text-right">Likes</th>
+                  <th className="py-1 pr-3 font-medium text-right">Tips</th>
+                  <th className="py-1 font-medium text-right">Revenue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topPosts.map((post) => (
+                  <tr key={post.id} className="border-t border-gray-100">
+                    <td className="py-2 pr-3">
+                      <p className="font-medium text-gray-900 truncate max-w-[16rem]">
+                        {post.title || "Untitled post"}
+                      </p>
+                      <p className="text-[10px] text-gray-400 capitalize">
+                        {post.visibility}
+                        {post.visibility === "ppv" && typeof post.price === "number"
+                          ? ` · ${money(post.price, currency)}`
+                          : ""}
+                      </p>
+                    </td>
+                    <td className="py-2 pr-3 text-right">{post.unlocks}</td>
+                    <td className="py-2 pr-3 text-right">{post.likes}</td>
+                    <td className="py-2 pr-3 text-right">
+                      {money(post.tipRevenue, currency)}
+                    </td>
+                    <td className="py-2 text-right font-semibold">
+                      {money(post.revenue, currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+// src/NotificationBell.tsx
+// Bell with an unread badge and a dropdown list of notifications. New ones
+// arrive live over Server-Sent Events; each one is also re-broadcast as a
+// window "faniko:notification" event so open pages (e.g. the dashboard) can
+// refresh themselves.
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+
+export type AppNotification = {
+  id: number;
+  type:
+    | "tip"
+    | "ppv_unlock"
+    | "subscription"
+    | "like"
+    | "message"
+    | "request"
+    | "moderation";
+  title: string;
+  body: string;
+  link: string | null;
+  data: Record<string, any>;
+  read: boolean;
+  readAt: string | null;
+  createdAt: string;
+};
+
+export const NOTIFICATION_EVENT = "faniko:notification";
+
+const API = "http://localhost:4000";
+const RECONNECT_DELAY_MS = 5000;
+
+const TYPE_ICONS: Record<AppNotification["type"], string> = {
+  tip: "💸",
+  ppv_unlock: "🔓",
+  subscription: "⭐",
+  like: "♥",
+  message: "💬",
+  request: "📝",
+  moderation: "🛡️",
+};
+
+function timeAgo(iso: string) {
+  const seconds = Math.max(0, (Date.now() - new Date(iso).getTime()) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)}d`;
+  return new Date(iso).toLocaleDateString();
+}
+
+export default function NotificationBell() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState<AppNotification[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reconnect, setReconnect] = useState(0);
+
+  const panelRef = useRef<HTMLDivElement | null>(null);
+
+  const authHeaders = { Authorization: `Bearer ${user?.token}` };
+
+  const loadUnread = useCallback(async () => {
+    if (!user?.token) return;
+    try {
+      const res = await fetch(`${API}/api/notifications/unread-count`, {
+        headers: { Authorization: `Bearer ${user.token}` },
+      });
+      if (!res.ok) return;
+      const data = await res.json();
+      setUnread(Number(data.unread) || 0);
+    } catch {
+      // ignore – badge is best-effort
+    }
+  }, [user?.token]);
+
+  // Live stream. EventSource can't send headers, so the token goes in the
+  // URL. On any error: wait, refresh the count (which renews an expired
+  // token through the fetch wrapper) and connect again.
+  useEffect(() => {
+    if (!user?.token) {
+      setUnread(0);
+      setItems([]);
+      return;
+    }
+
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    const source = new EventSource(
+      `${API}/api/notifications/stream?token=${encodeURIComponent(user.token)}`
+    );
+
+    source.addEventListener("unread", (e) => {
+      const data = JSON.parse((e as MessageEvent).data);
+      setUnread(Number(data.unread) || 0);
+    });
+
+    source.addEventListener("notification", (e) => {
+      const data = JSON.parse((e as MessageEvent).data);
+      const notification: AppNotification = data.notification;
+      setUnread(Number(data.unread) || 0);
+      setItems((prev) =>
+        prev.some((n) => n.id === notification.id)
+          ? prev
+          : [notification, ...prev]
+      );
+      window.dispatchEvent(
+        new CustomEvent(NOTIFICATION_EVENT, { detail: notification })
+      );
+    });
+
+    source.onerror = () => {
+      source.close();
+      retryTimer = setTimeout(async () => {
+        await loadUnread();
+        setReconnect((n) => n + 1);
+      }, RECONNECT_DELAY_MS);
+    };
+
+    return () => {
+      source.close();
+      if (retryTimer) clearTimeout(retryTimer);
+    };
+  }, [user?.token, reconnect]);
+
+  // Close the dropdown when clicking outside it
+  useEffect(() => {
+    if (!open) return;
+    function handleClick(e: MouseEvent) {
+      if (panelRef.current && !panelRef.current.contains(e.target as Node)) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  async function loadPage(cursor: string | null) {
+    if (!user?.token) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (cursor) params.set("cursor", cursor);
+      const res = await fetch(`${API}/api/notifications?${params.toString()}`, {
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load notifications");
+
+      setItems((prev) =>
+        cursor ? [...prev, ...(data.notifications || [])] : data.notifications || []
+      );
+      setNextCursor(data.nextCursor || null);
+      setUnread(Number(data.unread) || 0);
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function toggleOpen() {
+    const next = !open;
+    setOpen(next);
+    if (next) loadPage(null);
+  }
+
+  async function markRead(n: AppNotification) {
+    if (n.read) return;
+    setItems((prev) =>
+      prev.map((x) => (x.id === n.id ? { ...x, read: true } : x))
+    );
+    try {
+      const res = await fetch(`${API}/api/notifications/${n.id}/read`, {
+        method: "POST",
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (res.ok) setUnread(Number(data.unread) || 0);
+    } catch {
+      // the next load shows the real state
+    }
+  }
+
+  async function markAllRead() {
+    setItems((prev) => prev.map((x) => ({ ...x, read: true })));
+    setUnread(0);
+    try {
+      await fetch(`${API}/api/notifications/read-all`, {
+        method: "POST",
+        headers: authHeaders,
+      });
+    } catch {
+      loadUnread();
+    }
+  }
+
+  function handleOpenItem(n: AppNotification) {
+    markRead(n);
+    setOpen(false);
+    if (n.link) navigate(n.link);
+  }
+
+  if (!user) return null;
+
+  return (
+    <div ref={panelRef} className="relative">
+      <button
+        type="button"
+        onClick={toggleOpen}
+        className={`flex flex-col items-center gap-1 px-3 ${
+          open ? "text-brand-700" : "text-gray-500"
+        }`}
+      >
+        <span className="relative text-lg">
+          🔔
+          {unread > 0 && (
+            <span className="absolute -top-1 -right-2 min-w-[16px] rounded-full bg-rose-500 px-1 text-center text-[10px] font-semibold leading-4 text-white">
+              {unread > 99 ? "99+" : unread}
+            </span>
+          )}
+        </span>
+        <span>Alerts</span>
+      </button>
+
+      {open && (
+        <div className="absolute bottom-full right-1/2 mb-3 w-80 max-w-[calc(100vw-1rem)] translate-x-1/2 rounded-2xl border border-gray-100 bg-white text-left shadow-lg">
+          <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
+            <p className="text-sm font-semibold text-gray-900">Notifications</p>
+            {unread > 0 && (
+              <button
+                type="button"
+                onClick={markAllRead}
+                className="text-[11px] font-semibold text-brand-600 hover:text-brand-700"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {error && <p className="px-4 py-3 text-xs text-red-600">{error}</p>}
+
+            {!loading && !error && items.length === 0 && (
+              <p className="px-4 py-6 text-center text-xs text-gray-500">
+                You're all caught up.
+              </p>
+            )}
+
+            {items.map((n) => (
+              <button
+                key={n.id}
+                type="button"
+                onClick={() => handleOpenItem(n)}
+                className={`flex w-full items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 ${
+                  n.read ? "" : "bg-brand-50/60"
+                }`}
+              >
+                <span className="mt-0.5 text-base">{TYPE_ICONS[n.type] || "🔔"}</span>
+                <span className="min-w-0 flex-1">
+                  <span className="flex items-center justify-between gap-2">
+                    <span
+                      className={`truncate text-xs ${
+                        n.read ? "text-gray-700" : "font-semibold text-gray-900"
+                      }`}
+                    >
+                      {n.title}
+                    </span>
+                    <span className="shrink-0 text-[10px] text-gray-400">
+                      {timeAgo(n.createdAt)}
+                    </span>
+                  </span>
+                  {n.body && (
+                    <span className="mt-0.5 block text-[11px] text-gray-600 line-clamp-2">
+                      {n.body}
+                    </span>
+                  )}
+                </span>
+                {!n.read && (
+                  <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-brand-500" />
+                )}
+              </button>
+            ))}
+
+            {loading && (
+              <p className="px-4 py-3 text-center text-xs text-gray-500">
+                Loading…
+              </p>
+            )}
+
+            {!loading && nextCursor && (
+              <button
+                type="button"
+                onClick={() => loadPage(nextCursor)}
+                className="w-full px-4 py-2 text-center text-[11px] font-medium text-gray-600 hover:bg-gray-50"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
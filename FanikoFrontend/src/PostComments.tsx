@@ -0,0 +1,270 @@
+// src/PostComments.tsx
+// Comment thread under a post (one level of replies). The backend only
+// returns it to viewers who can see the post; the creator also gets hidden
+// comments back, plus hide / delete controls.
+import React, { FormEvent, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import ReportButton from "./ReportButton";
+
+type PostComment = {
+  id: number;
+  postId: number;
+  parentId: number | null;
+  body: string;
+  createdAt: string;
+  hidden: boolean;
+  author: { username: string; isCreator: boolean };
+  canDelete: boolean;
+  canModerate: boolean;
+  replies?: PostComment[];
+};
+
+const MAX_LENGTH = 1000;
+
+// Comments fans can see (what the post's commentCount reports)
+function countVisible(list: PostComment[]): number {
+  return list.reduce(
+    (n, c) =>
+      n + (c.hidden ? 0 : 1) + countVisible(c.replies || []),
+    0
+  );
+}
+
+export default function PostComments({
+  creatorUsername,
+  postId,
+  commentsDisabled,
+  onCountChange,
+}: {
+  creatorUsername: string;
+  postId: number;
+  commentsDisabled?: boolean;
+  onCountChange?: (count: number) => void;
+}) {
+  const { user } = useAuth();
+
+  const [comments, setComments] = useState<PostComment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [body, setBody] = useState("");
+  const [replyTo, setReplyTo] = useState<PostComment | null>(null);
+  const [posting, setPosting] = useState(false);
+
+  const baseUrl = `http://localhost:4000/api/creators/${encodeURIComponent(
+    creatorUsername
+  )}/posts/${postId}/comments`;
+  const authHeaders: Record<string, string> = user?.token
+    ? { Authorization: `Bearer ${user.token}` }
+    : {};
+
+  async function loadComments() {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await fetch(baseUrl, { headers: authHeaders });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load comments");
+      setComments(data.comments || []);
+      onCountChange?.(countVisible(data.comments || []));
+    } catch (err: any) {
+      setError(err.message || "Failed to load comments");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadComments();
+  }, [creatorUsername, postId, user?.token]);
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    if (!user || !body.trim()) return;
+
+    setPosting(true);
+    try {
+      const res = await fetch(baseUrl, {
+        method: "POST",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          body: body.trim(),
+          parentId: replyTo ? replyTo.id : null,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to post comment");
+
+      setBody("");
+      setReplyTo(null);
+      await loadComments();
+    } catch (err: any) {
+      alert(err.message || "Could not post your comment.");
+    } finally {
+      setPosting(false);
+    }
+  }
+
+  async function handleHide(comment: PostComment) {
+    try {
+      const res = await fetch(`${baseUrl}/${comment.id}`, {
+        method: "PATCH",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify({ hidden: !comment.hidden }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to update comment");
+      await loadComments();
+    } catch (err: any) {
+      alert(err.message || "Could not update this comment.");
+    }
+  }
+
+  async function handleDelete(comment: PostComment) {
+    const ok = window.confirm(
+      comment.replies && comment.replies.length > 0
+        ? "Delete this comment and its replies?"
+        : "Delete this comment?"
+    );
+    if (!ok) return;
+
+    try {
+      const res = await fetch(`${baseUrl}/${comment.id}`, {
+        method: "DELETE",
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to delete comment");
+      await loadComments();
+    } catch (err: any) {
+      alert(err.message || "Could not delete this comment.");
+    }
+  }
+
+  function renderComment(comment: PostComment, isReply = false) {
+    return (
+      <div
+        key={comment.id}
+        className={
+          isReply ? "mt-2 ml-6 border-l border-gray-100 pl-3" : "mt-3"
+        }
+      >
+        <div
+          className={
+            "text-xs " + (comment.hidden ? "opacity-50" : "")
+          }
+        >
+          <span className="font-semibold text-gray-900">
+            @{comment.author.username}
+          </span>
+          {comment.author.isCreator && (
+            <span className="ml-1 rounded-full bg-brand-50 px-1.5 py-0.5 text-[10px] font-medium text-brand-700">
+              Creator
+            </span>
+          )}
+          <span className="ml-2 text-[10px] text-gray-400">
+            {new Date(comment.createdAt).toLocaleString()}
+          </span>
+          {comment.hidden && (
+            <span className="ml-2 text-[10px] text-amber-600">
+              Hidden from fans
+            </span>
+          )}
+          <p className="mt-0.5 text-gray-700 whitespace-pre-line">
+            {comment.body}
+          </p>
+        </div>
+        <div className="mt-1 flex gap-3 text-[11px] text-gray-500">
+          {!isReply && user && !commentsDisabled && !comment.hidden && (
+            <button
+              type="button"
+              onClick={() => setReplyTo(comment)}
+              className="hover:text-gray-800"
+            >
+              Reply
+            </button>
+          )}
+          {comment.canModerate && (
+            <button
+              type="button"
+              onClick={() => handleHide(comment)}
+              className="hover:text-gray-800"
+            >
+              {comment.hidden ? "Unhide" : "Hide"}
+            </button>
+          )}
+          {comment.canDelete && (
+            <button
+              type="button"
+              onClick={() => handleDelete(comment)}
+              className="hover:text-red-600"
+            >
+              Delete
+            </button>
+          )}
+          {user && comment.author.username !== user.username && (
+            <ReportButton targetType="comment" targetId={comment.id} />
+          )}
+        </div>
+        {(comment.replies || []).map((r) => renderComment(r, true))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-100">
+      {loading && <p className="text-xs text-gray-500">Loading comments…</p>}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {!loading && !error && comments.length === 0 && (
+        <p className="text-xs text-gray-500">No comments yet.</p>
+      )}
+      {comments.map((c) => renderComment(c))}
+
+      {commentsDisabled ? (
+        <p className="mt-3 text-[11px] text-gray-400">
+          Comments are turned off for this post.
+        </p>
+      ) : user ? (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+          {replyTo && (
+            <p className="text-[11px] text-gray-500">
+              Replying to @{replyTo.author.username}{" "}
+              <button
+                type="button"
+                onClick={() => setReplyTo(null)}
+                className="underline hover:text-gray-800"
+              >
+                cancel
+              </button>
+            </p>
+          )}
+          <div className="flex gap-2">
+            <input
+              className="flex-1 rounded-xl border px-3 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+              placeholder={replyTo ? "Write a reply…" : "Add a comment…"}
+              maxLength={MAX_LENGTH}
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={posting || !body.trim()}
+              className="rounded-xl bg-gray-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-black disabled:bg-gray-300"
+            >
+              {posting ? "Posting…" : "Post"}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="mt-3 text-[11px] text-gray-500">
+          <Link to="/login" className="underline">
+            Log in
+          </Link>{" "}
+          to comment.
+        </p>
+      )}
+    </div>
+  );
+}
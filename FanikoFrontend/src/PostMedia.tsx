@@ -0,0 +1,132 @@
+// src/PostMedia.tsx
+// Media carousel for a post. Unlocked items come with signed URLs; locked
+// posts only get blurred teasers (images) from the backend, so that's what
+// we show under the lock overlay.
+import React, { useState } from "react";
+
+export type PostMediaItem = {
+  index: number;
+  type: "image" | "video";
+  mime: string;
+  width?: number | null;
+  height?: number | null;
+  url: string | null;
+  thumbUrl: string | null;
+  teaserUrl: string | null;
+};
+
+const API = "http://localhost:4000";
+
+export default function PostMedia({
+  media,
+  title,
+  locked,
+}: {
+  media: PostMediaItem[];
+  title: string;
+  locked: boolean;
+}) {
+  const [current, setCurrent] = useState(0);
+
+  if (media.length === 0) {
+    return (
+      <span className="text-xs text-gray-500">
+        {locked ? "Locked post" : "No media"}
+      </span>
+    );
+  }
+
+  const item = media[Math.min(current, media.length - 1)];
+
+  function renderItem() {
+    // Locked: teaser if there is one; the owner's "fan view" preview still
+    // has the real URL, so blur that instead
+    if (locked) {
+      const preview = item.teaserUrl || (item.type === "image" ? item.url : null);
+      if (preview) {
+        return (
+          <img
+            src={`${API}${preview}`}
+            alt=""
+            className="h-full w-full object-cover blur-xl scale-110"
+          />
+        );
+      }
+      return (
+        <div className="h-full w-full bg-gradient-to-br from-gray-300 to-gray-500" />
+      );
+    }
+
+    if (!item.url) {
+      return <span className="text-xs text-gray-500">Media unavailable</span>;
+    }
+
+    if (item.type === "video") {
+      return (
+        <video
+          key={item.url}
+          className="h-full w-full object-cover"
+          controls
+          controlsList="nodownload noplaybackrate"
+          onContextMenu={(e) => e.preventDefault()}
+          playsInline
+          poster={item.thumbUrl ? `${API}${item.thumbUrl}` : undefined}
+        >
+          <source src={`${API}${item.url}`} type={item.mime} />
+          Your browser does not support the video tag.
+        </video>
+      );
+    }
+
+    return (
+      <img
+        src={`${API}${item.url}`}
+        alt={title}
+        className="h-full w-full object-cover"
+      />
+    );
+  }
+
+  return (
+    <div className="relative h-full w-full flex items-center justify-center">
+      {renderItem()}
+
+      {media.length > 1 && (
+        <>
+          <button
+            type="button"
+            aria-label="Previous"
+            onClick={() =>
+              setCurrent((c) => (c - 1 + media.length) % media.length)
+            }
+            className="absolute left-2 top-1/2 -translate-y-1/2 z-10 h-8 w-8 rounded-full bg-white/80 text-gray-800 shadow hover:bg-white"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            aria-label="Next"
+            onClick={() => setCurrent((c) => (c + 1) % media.length)}
+            className="absolute right-2 top-1/2 -translate-y-1/2 z-10 h-8 w-8 rounded-full bg-white/80 text-gray-800 shadow hover:bg-white"
+          >
+            ›
+          </button>
+          <div className="absolute bottom-2 left-1/2 -translate-x-1/2 z-10 flex gap-1">
+            {media.map((m, i) => (
+              <span
+                key={m.index}
+                className={
+                  "h-1.5 w-1.5 rounded-full " +
+                  (i === current ? "bg-white" : "bg-white/50")
+                }
+              />
+            ))}
+          </div>
+          <span className="absolute top-2 right-2 z-10 rounded-full bg-black/50 px-2 py-0.5 text-[10px] text-white">
+            {current + 1}/{media.length}
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+// src/ReportButton.tsx
+// "Report" link for a creator, post or comment. Opens a small dialog (reason
+// + optional details) and files the report for the admins' review queue.
+import React, { FormEvent, useState } from "react";
+import { useAuth } from "./AuthContext";
+
+export type ReportTargetType = "post" | "comment" | "creator";
+
+const REPORT_REASONS: { value: string; label: string }[] = [
+  { value: "spam", label: "Spam" },
+  { value: "scam", label: "Scam or fraud" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "violence", label: "Violence or threats" },
+  { value: "underage", label: "Involves a minor" },
+  { value: "non_consensual", label: "Shared without consent" },
+  { value: "impersonation", label: "Impersonation" },
+  { value: "copyright", label: "Copyright infringement" },
+  { value: "other", label: "Something else" },
+];
+
+const TARGET_LABELS: Record<ReportTargetType, string> = {
+  post: "this post",
+  comment: "this comment",
+  creator: "this creator",
+};
+
+export default function ReportButton({
+  targetType,
+  targetId,
+  className = "hover:text-red-600",
+}: {
+  targetType: ReportTargetType;
+  targetId: number;
+  className?: string;
+}) {
+  const { user } = useAuth();
+
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [done, setDone] = useState(false);
+
+  if (!user) return null;
+
+  function close() {
+    setOpen(false);
+    setReason("");
+    setDetails("");
+    setError(null);
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch("http://localhost:4000/api/reports", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${user!.token}`,
+        },
+        body: JSON.stringify({
+          targetType,
+          targetId,
+          reason,
+          details: details.trim(),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not send the report.");
+      setDone(true);
+      close();
+    } catch (err: any) {
+      setError(err.message || "Could not send the report.");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (done) {
+    return <span className="text-gray-400">Reported</span>;
+  }
+
+  return (
+    <>
+      <button type="button" onClick={() => setOpen(true)} className={className}>
+        Report
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40">
+          <div className="bg-white rounded-2xl max-w-sm w-full p-6 shadow-lg text-left">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Report {TARGET_LABELS[targetType]}
+            </h2>
+            <p className="mt-1 text-xs text-gray-500">
+              Reports are private. Our team reviews every one.
+            </p>
+            <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+              <div className="space-y-1.5">
+                {REPORT_REASONS.map((r) => (
+                  <label
+                    key={r.value}
+                    className="flex items-center gap-2 text-sm text-gray-700"
+                  >
+                    <input
+                      type="radio"
+                      name="reason"
+                      value={r.value}
+                      checked={reason === r.value}
+                      onChange={() => setReason(r.value)}
+                    />
+                    {r.label}
+                  </label>
+                ))}
+              </div>
+              <textarea
+                rows={3}
+                maxLength={1000}
+                placeholder={
+                  reason === "other"
+                    ? "Tell us what's wrong"
+                    : "Anything else we should know? (optional)"
+                }
+                className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+              />
+              {error && <p className="text-xs text-red-600">{error}</p>}
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={close}
+                  className="rounded-xl border border-gray-300 px-3 py-2 text-xs font-semibold text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={
+                    submitting || !reason || (reason === "other" && !details.trim())
+                  }
+                  className="rounded-xl bg-red-600 px-3 py-2 text-xs font-semibold text-white hover:bg-red-700 disabled:bg-gray-300"
+                >
+                  {submitting ? "Sending…" : "Send report"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
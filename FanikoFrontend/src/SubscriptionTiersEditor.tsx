@@ -0,0 +1,332 @@
+// src/SubscriptionTiersEditor.tsx
+// Dashboard card for a creator's subscription tiers (name, price, perks,
+// level) and the 3- / 6-month bundle discounts. Every change goes straight
+// to the API and hands the updated creator back to the dashboard.
+import React, { useState } from "react";
+import {
+  BUNDLE_MONTHS,
+  Bundle,
+  SubscriptionTier,
+  TIERS_MAX,
+} from "./creatorProfile";
+
+type TierForm = {
+  name: string;
+  price: string;
+  perks: string;
+  level: string;
+};
+
+const EMPTY_FORM: TierForm = { name: "", price: "9.99", perks: "", level: "" };
+
+function toForm(tier: SubscriptionTier): TierForm {
+  return {
+    name: tier.name,
+    price: tier.price.toFixed(2),
+    perks: tier.perks.join("\n"),
+    level: String(tier.level),
+  };
+}
+
+export default function SubscriptionTiersEditor({
+  username,
+  token,
+  tiers,
+  bundles,
+  onCreatorChange,
+}: {
+  username: string;
+  token: string;
+  tiers: SubscriptionTier[];
+  bundles: Bundle[];
+  onCreatorChange: (creator: any) => void;
+}) {
+  // null = closed, 0 = new tier, otherwise the tier being edited
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [form, setForm] = useState<TierForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const [bundleForm, setBundleForm] = useState<Record<number, string>>(() =>
+    Object.fromEntries(
+      BUNDLE_MONTHS.map((m) => [
+        m,
+        String(bundles.find((b) => b.months === m)?.discountPercent || 0),
+      ])
+    )
+  );
+  const [bundleMessage, setBundleMessage] = useState<string | null>(null);
+
+  const baseUrl = `http://localhost:4000/api/creators/${encodeURIComponent(
+    username
+  )}`;
+
+  async function send(url: string, method: string, body?: unknown) {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "Request failed");
+    onCreatorChange(data.creator);
+    return data;
+  }
+
+  function startEdit(tier: SubscriptionTier | null) {
+    setEditingId(tier ? tier.id : 0);
+    setForm(tier ? toForm(tier) : EMPTY_FORM);
+    setError(null);
+  }
+
+  async function handleSave(e: React.FormEvent) {
+    e.preventDefault();
+    if (editingId === null) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const body: any = {
+        name: form.name.trim(),
+        price: form.price,
+        perks: form.perks.split("\n"),
+      };
+      if (form.level) body.level = Number(form.level);
+
+      if (editingId === 0) {
+        await send(`${baseUrl}/tiers`, "POST", body);
+      } else {
+        await send(`${baseUrl}/tiers/${editingId}`, "PATCH", body);
+      }
+      setEditingId(null);
+    } catch (err: any) {
+      setError(err.message || "Could not save this tier.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleArchive(tier: SubscriptionTier) {
+    const ok = window.confirm(
+      `Retire "${tier.name}"? Nobody new can join it; current subscribers keep access until their period ends.`
+    );
+    if (!ok) return;
+    try {
+      await send(`${baseUrl}/tiers/${tier.id}`, "DELETE");
+      if (editingId === tier.id) setEditingId(null);
+    } catch (err: any) {
+      alert(err.message || "Could not retire this tier.");
+    }
+  }
+
+  async function handleSaveBundles() {
+    setBundleMessage(null);
+    try {
+      await send(baseUrl, "PATCH", {
+        bundles: BUNDLE_MONTHS.map((months) => ({
+          months,
+          discountPercent: Number(bundleForm[months]) || 0,
+        })),
+      });
+      setBundleMessage("Bundles saved.");
+    } catch (err: any) {
+      setBundleMessage(err.message || "Could not save bundles.");
+    }
+  }
+
+  return (
+    <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-800">
+          Subscription tiers
+        </h2>
+        {tiers.length < TIERS_MAX && editingId === null && (
+          <button
+            type="button"
+            onClick={() => startEdit(null)}
+            className="text-[11px] font-semibold text-brand-600 hover:text-brand-700"
+          >
+            + Add tier
+          </button>
+        )}
+      </div>
+
+      {tiers.length === 0 && editingId === null && (
+        <p className="text-xs text-gray-500">
+          Your profile is free to follow. Add a tier to sell subscriptions and
+          post subscriber-only content.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {tiers.map((tier) => (
+          <div
+            key={tier.id}
+            className="rounded-xl border border-gray-100 px-3 py-2.5"
+          >
+            <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-gray-900">
+                  {tier.name}{" "}
+                  <span className="text-[10px] font-normal text-gray-400">
+                    level {tier.level}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-600">
+                  ${tier.price.toFixed(2)}/month
+                </p>
+                {tier.perks.length > 0 && (
+                  <p className="mt-0.5 text-[11px] text-gray-500 line-clamp-2">
+                    {tier.perks.join(" · ")}
+                  </p>
+                )}
+              </div>
+              {editingId === null && (
+                <div className="flex flex-col items-end gap-1">
+                  <button
+                    type="button"
+                    onClick={() => startEdit(tier)}
+                    className="text-[11px] text-brand-600 hover:text-brand-700"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleArchive(tier)}
+                    className="text-[11px] text-red-600 hover:text-red-700"
+                  >
+                    Retire
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {editingId !== null && (
+        <form
+          onSubmit={handleSave}
+          className="mt-3 space-y-2 rounded-xl border border-gray-100 p-3"
+        >
+          {error && <p className="text-[11px] text-red-600">{error}</p>}
+          <div className="grid grid-cols-[1fr,6rem,4rem] gap-2">
+            <div>
+              <label className="block text-xs font-medium text-gray-700">
+                Name
+              </label>
+              <input
+                className="mt-1 w-full rounded-xl border px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+                placeholder="e.g. Gold"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">
+                $/month
+              </label>
+              <input
+                type="number"
+                min={1}
+                step={0.01}
+                className="mt-1 w-full rounded-xl border px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700">
+                Level
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={10}
+                placeholder="auto"
+                className="mt-1 w-full rounded-xl border px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+                value={form.level}
+                onChange={(e) => setForm({ ...form, level: e.target.value })}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700">
+              Perks (one per line)
+            </label>
+            <textarea
+              rows={3}
+              className="mt-1 w-full rounded-xl border px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+              value={form.perks}
+              onChange={(e) => setForm({ ...form, perks: e.target.value })}
+            />
+          </div>
+          <p className="text-[11px] text-gray-500">
+            Higher levels include everything for lower levels. Price changes
+            apply to new subscribers and renewals.
+          </p>
+          <div className="flex items-center justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="text-[11px] text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !form.name.trim()}
+              className="rounded-xl bg-brand-600 px-3 py-1.5 text-[11px] font-semibold text-white hover:bg-brand-700 disabled:bg-gray-300 disabled:text-gray-600"
+            >
+              {saving ? "Saving…" : editingId === 0 ? "Add tier" : "Save tier"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tiers.length > 0 && (
+        <div className="mt-4 border-t border-gray-100 pt-3">
+          <p className="text-xs font-medium text-gray-700">
+            Bundle discounts (paid up front, all tiers)
+          </p>
+          <div className="mt-2 flex flex-wrap items-end gap-3">
+            {BUNDLE_MONTHS.map((months) => (
+              <label key={months} className="text-[11px] text-gray-600">
+                {months} months, % off
+                <input
+                  type="number"
+                  min={0}
+                  max={50}
+                  className="mt-1 block w-20 rounded-xl border px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+                  value={bundleForm[months] ?? "0"}
+                  onChange={(e) =>
+                    setBundleForm((prev) => ({
+                      ...prev,
+                      [months]: e.target.value,
+                    }))
+                  }
+                />
+              </label>
+            ))}
+            <button
+              type="button"
+              onClick={handleSaveBundles}
+              className="rounded-xl bg-gray-900 px-3 py-1.5 text-[11px] font-semibold text-white hover:bg-black"
+            >
+              Save bundles
+            </button>
+            {bundleMessage && (
+              <span className="text-[11px] text-gray-500">{bundleMessage}</span>
+            )}
+          </div>
+          <p className="mt-1 text-[11px] text-gray-400">
+            0% turns a bundle off.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,9 +14,21 @@ import CreatorSignup from "./pages/CreatorSignup";
 import ExploreCreators from "./pages/ExploreCreators";
 import CreatorProfile from "./pages/CreatorProfile";
 import CreatorDashboard from "./pages/CreatorDashboard";
+import CreatorRequests from "./pages/CreatorRequests";
 import Login from "./pages/Login";
 import Signup from "./pages/Signup";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Account from "./pages/Account";
+import Inbox from "./pages/Inbox";
+import Subscriptions from "./pages/Subscriptions";
+import Sessions from "./pages/Sessions";
+import Purchases from "./pages/Purchases";
+import PaymentMethods from "./pages/PaymentMethods";
+import Vault from "./pages/Vault";
+import BlockedAccounts from "./pages/BlockedAccounts";
+import Admin from "./pages/Admin";
 
 import { AuthProvider, useAuth } from "./AuthContext";
 import BottomNav from "./BottomNav";
@@ -24,9 +36,11 @@ import BottomNav from "./BottomNav";
 function RequireAuth({
   children,
   role,
+  admin,
 }: {
   children: JSX.Element;
   role?: "fan" | "creator";
+  admin?: boolean;
 }) {
   const { user, loading } = useAuth();
   const location = useLocation();
@@ -49,11 +63,19 @@ function RequireAuth({
     return <Navigate to="/" replace />;
   }
 
+  if (admin && !user.isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
   return children;
 }
 
-// Extra guard so you can't open someone ELSE's dashboard
-function CreatorDashboardGuard() {
+// Extra guard so you can't open someone ELSE's dashboard (or requests inbox)
+function CreatorDashboardGuard({
+  page = "dashboard",
+}: {
+  page?: "dashboard" | "requests";
+}) {
   const { user } = useAuth();
   const params = useParams();
   const routeUsername = (params.username || "").toLowerCase();
@@ -69,13 +91,13 @@ function CreatorDashboardGuard() {
   if (user.username.toLowerCase() !== routeUsername) {
     return (
       <Navigate
-        to={`/creator/${user.username}/dashboard`}
+        to={`/creator/${user.username}/${page}`}
         replace
       />
     );
   }
 
-  return <CreatorDashboard />;
+  return page === "requests" ? <CreatorRequests /> : <CreatorDashboard />;
 }
 
 export default function App() {
@@ -101,6 +123,9 @@ export default function App() {
             {/* AUTH PAGES */}
             <Route path="/login" element={<Login />} />
             <Route path="/signup" element={<Signup />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
 
             {/* ACCOUNT (LOGOUT LIVES HERE) */}
             <Route
@@ -112,6 +137,78 @@ export default function App() {
               }
             />
 
+            <Route
+              path="/account/sessions"
+              element={
+                <RequireAuth>
+                  <Sessions />
+                </RequireAuth>
+              }
+            />
+
+            <Route
+              path="/account/purchases"
+              element={
+                <RequireAuth>
+                  <Purchases />
+                </RequireAuth>
+              }
+            />
+
+            <Route
+              path="/account/payment-methods"
+              element={
+                <RequireAuth>
+                  <PaymentMethods />
+                </RequireAuth>
+              }
+            />
+
+            <Route
+              path="/account/blocked"
+              element={
+                <RequireAuth>
+                  <BlockedAccounts />
+                </RequireAuth>
+              }
+            />
+
+            <Route
+              path="/vault"
+              element={
+                <RequireAuth>
+                  <Vault />
+                </RequireAuth>
+              }
+            />
+
+            <Route
+              path="/subscriptions"
+              element={
+                <RequireAuth>
+                  <Subscriptions />
+                </RequireAuth>
+              }
+            />
+
+            {/* MESSAGES */}
+            <Route
+              path="/inbox"
+              element={
+                <RequireAuth>
+                  <Inbox />
+                </RequireAuth>
+              }
+            />
+            <Route
+              path="/inbox/:username"
+              element={
+                <RequireAuth>
+                  <Inbox />
+                </RequireAuth>
+              }
+            />
+
             {/* PROTECTED CREATOR DASHBOARD */}
             <Route
               path="/creator/:username/dashboard"
@@ -121,6 +218,24 @@ export default function App() {
                 </RequireAuth>
               }
             />
+            <Route
+              path="/creator/:username/requests"
+              element={
+                <RequireAuth role="creator">
+                  <CreatorDashboardGuard page="requests" />
+                </RequireAuth>
+              }
+            />
+
+            {/* ADMIN */}
+            <Route
+              path="/admin"
+              element={
+                <RequireAuth admin>
+                  <Admin />
+                </RequireAuth>
+              }
+            />
 
             {/* 404 */}
             <Route
@@ -0,0 +1,81 @@
+// src/creatorProfile.ts
+// Profile fields shared by the creator page, Explore cards and the dashboard
+// editor. Keep the lists in sync with CREATOR_CATEGORIES / SOCIAL_PLATFORMS
+// in the backend.
+
+export type SocialPlatform =
+  | "website"
+  | "instagram"
+  | "x"
+  | "tiktok"
+  | "youtube"
+  | "twitch";
+
+export type SocialLinks = Partial<Record<SocialPlatform, string>>;
+
+export const CREATOR_CATEGORIES: { value: string; label: string }[] = [
+  { value: "art", label: "Art" },
+  { value: "comedy", label: "Comedy" },
+  { value: "cosplay", label: "Cosplay" },
+  { value: "education", label: "Education" },
+  { value: "fashion", label: "Fashion" },
+  { value: "fitness", label: "Fitness" },
+  { value: "food", label: "Food" },
+  { value: "gaming", label: "Gaming" },
+  { value: "lifestyle", label: "Lifestyle" },
+  { value: "music", label: "Music" },
+  { value: "photography", label: "Photography" },
+  { value: "other", label: "Other" },
+];
+
+export const SOCIAL_PLATFORMS: { value: SocialPlatform; label: string }[] = [
+  { value: "website", label: "Website" },
+  { value: "instagram", label: "Instagram" },
+  { value: "x", label: "X" },
+  { value: "tiktok", label: "TikTok" },
+  { value: "youtube", label: "YouTube" },
+  { value: "twitch", label: "Twitch" },
+];
+
+export const BIO_MAX_LENGTH = 1000;
+export const TAGS_MAX = 10;
+
+// Subscription tiers; fans pick monthly billing or one of the creator's
+// prepaid bundles (BUNDLE_MONTHS in the backend)
+export type TierOption = {
+  months: number;
+  discountPercent: number;
+  price: number;
+};
+
+export type SubscriptionTier = {
+  id: number;
+  name: string;
+  price: number;
+  perks: string[];
+  level: number;
+  options: TierOption[];
+};
+
+export type Bundle = { months: number; discountPercent: number };
+
+export const BUNDLE_MONTHS = [3, 6];
+export const TIERS_MAX = 5;
+
+export function billingPeriodLabel(months: number): string {
+  return months === 1 ? "month" : `${months} months`;
+}
+
+const API = "http://localhost:4000";
+
+export function categoryLabel(value?: string | null): string | null {
+  if (!value) return null;
+  return CREATOR_CATEGORIES.find((c) => c.value === value)?.label || value;
+}
+
+/**
+ * Avatar / banner URLs from the API are paths on the backend host.
+ */
+export function profileImageSrc(url?: string | null): string | null {
+  return url ? `${API}${url}` : null;
+}
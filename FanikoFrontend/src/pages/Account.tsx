@@ -1,11 +1,38 @@
-import React from "react";
+import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../AuthContext";
 
 export default function Account() {
-  const { user, logout } = useAuth();
+  const { user, logout, updateUser } = useAuth();
   const navigate = useNavigate();
 
+  // change email: password + new address -> emailed code -> confirm
+  const [changingEmail, setChangingEmail] = useState(false);
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [emailCode, setEmailCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [emailBusy, setEmailBusy] = useState(false);
+  const [emailError, setEmailError] = useState<string | null>(null);
+  const [emailInfo, setEmailInfo] = useState<string | null>(null);
+
+  // edit profile: display name (and username, for fans)
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [displayName, setDisplayName] = useState("");
+  const [newUsername, setNewUsername] = useState("");
+  const [profileBusy, setProfileBusy] = useState(false);
+  const [profileError, setProfileError] = useState<string | null>(null);
+  const [profileInfo, setProfileInfo] = useState<string | null>(null);
+
+  // change password: current + new, other sessions get logged out
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [passwordBusy, setPasswordBusy] = useState(false);
+  const [passwordError, setPasswordError] = useState<string | null>(null);
+  const [passwordInfo, setPasswordInfo] = useState<string | null>(null);
+
   if (!user) {
     // Route is protected anyway, but this is a safety check
     return null;
@@ -18,17 +45,435 @@ export default function Account() {
     navigate("/", { replace: true });
   }
 
+  function resetEmailForm() {
+    setChangingEmail(false);
+    setNewEmail("");
+    setEmailPassword("");
+    setEmailCode("");
+    setCodeSent(false);
+    setEmailError(null);
+  }
+
+  async function handleSendEmailCode(e: React.FormEvent) {
+    e.preventDefault();
+    setEmailBusy(true);
+    setEmailError(null);
+    setEmailInfo(null);
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/change-email", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${user?.token}`,
+        },
+        body: JSON.stringify({
+          newEmail: newEmail.trim().toLowerCase(),
+          password: emailPassword.trim(),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not send the code.");
+      setCodeSent(true);
+      setEmailInfo(data.message || "We sent a code to your new email.");
+    } catch (err: any) {
+      setEmailError(err.message || "Could not send the code.");
+    } finally {
+      setEmailBusy(false);
+    }
+  }
+
+  async function startEditingProfile() {
+    setEditingProfile(true);
+    setProfileError(null);
+    setProfileInfo(null);
+    setDisplayName(user?.displayName || "");
+    setNewUsername(user?.username || "");
+    // the login response doesn't carry the display name, so fetch it
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/me", {
+        headers: { Authorization: `Bearer ${user?.token}` },
+      });
+      if (!res.ok) return;
+      const data = await res.json();
+      setDisplayName(data.displayName || "");
+    } catch {
+      // keep whatever we had
+    }
+  }
+
+  async function handleSaveProfile(e: React.FormEvent) {
+    e.preventDefault();
+    setProfileBusy(true);
+    setProfileError(null);
+    try {
+      const body: Record<string, string> = { displayName: displayName.trim() };
+      if (!isCreator) body.username = newUsername.trim().toLowerCase();
+
+      const res = await fetch("http://localhost:4000/api/auth/me", {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${user?.token}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not save your profile.");
+      updateUser({
+        username: data.user.username,
+        displayName: data.user.displayName,
+      });
+      setEditingProfile(false);
+      setProfileInfo("Your profile has been updated.");
+    } catch (err: any) {
+      setProfileError(err.message || "Could not save your profile.");
+    } finally {
+      setProfileBusy(false);
+    }
+  }
+
+  function resetPasswordForm() {
+    setChangingPassword(false);
+    setCurrentPassword("");
+    setNewPassword("");
+    setConfirmPassword("");
+    setPasswordError(null);
+  }
+
+  async function handleChangePassword(e: React.FormEvent) {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setPasswordError("The new passwords don't match.");
+      return;
+    }
+
+    setPasswordBusy(true);
+    setPasswordError(null);
+    setPasswordInfo(null);
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/change-password", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${user?.token}`,
+        },
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not change your password.");
+      resetPasswordForm();
+      const revoked = Number(data.revokedSessions) || 0;
+      setPasswordInfo(
+        revoked > 0
+          ? `Password changed. ${revoked} other ${
+              revoked === 1 ? "session was" : "sessions were"
+            } logged out.`
+          : "Password changed."
+      );
+    } catch (err: any) {
+      setPasswordError(err.message || "Could not change your password.");
+    } finally {
+      setPasswordBusy(false);
+    }
+  }
+
+  async function handleConfirmEmail(e: React.FormEvent) {
+    e.preventDefault();
+    setEmailBusy(true);
+    setEmailError(null);
+    try {
+      const res = await fetch(
+        "http://localhost:4000/api/auth/change-email/confirm",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${user?.token}`,
+          },
+          body: JSON.stringify({ code: emailCode.trim() }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not change your email.");
+      updateUser({ email: data.email });
+      resetEmailForm();
+      setEmailInfo("Your email has been updated.");
+    } catch (err: any) {
+      setEmailError(err.message || "Could not change your email.");
+    } finally {
+      setEmailBusy(false);
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
       <div className="w-full max-w-md border rounded-2xl bg-white p-6 space-y-4 shadow-sm">
         <h1 className="text-xl font-extrabold">Your account</h1>
         <p className="text-sm text-gray-600">
           Logged in as{" "}
+          {user.displayName && (
+            <span className="font-semibold">{user.displayName} </span>
+          )}
           <span className="font-semibold">@{user.username}</span>
+          {!editingProfile && (
+            <button
+              type="button"
+              onClick={startEditingProfile}
+              className="ml-2 text-xs font-semibold text-brand-700"
+            >
+              Edit profile
+            </button>
+          )}
+        </p>
+
+        {editingProfile && (
+          <form
+            onSubmit={handleSaveProfile}
+            className="rounded-xl border border-gray-100 bg-gray-50 p-3 space-y-2"
+          >
+            <input
+              placeholder="Display name"
+              maxLength={50}
+              className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+            />
+            {isCreator ? (
+              <p className="text-[11px] text-gray-500">
+                Your username is your creator handle and can't be changed.
+              </p>
+            ) : (
+              <input
+                placeholder="Username"
+                className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                value={newUsername}
+                onChange={(e) => setNewUsername(e.target.value)}
+                required
+              />
+            )}
+            {profileError && (
+              <p className="text-[11px] text-red-600">{profileError}</p>
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={profileBusy}
+                className="flex-1 rounded-xl bg-gray-900 text-white px-3 py-2 text-xs font-semibold hover:bg-gray-800 disabled:bg-gray-400"
+              >
+                {profileBusy ? "Saving…" : "Save"}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingProfile(false);
+                  setProfileError(null);
+                }}
+                className="rounded-xl border border-gray-300 px-3 py-2 text-xs font-semibold hover:bg-white"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+        {!editingProfile && profileInfo && (
+          <p className="text-[11px] text-green-700">{profileInfo}</p>
+        )}
+        <p className="text-xs text-gray-500 break-all">
+          {user.email}{" "}
+          {!changingEmail && (
+            <button
+              type="button"
+              onClick={() => {
+                setChangingEmail(true);
+                setEmailInfo(null);
+              }}
+              className="ml-1 font-semibold text-brand-700"
+            >
+              Change
+            </button>
+          )}
         </p>
-        <p className="text-xs text-gray-500 break-all">{user.email}</p>
+
+        {changingEmail && (
+          <form
+            onSubmit={codeSent ? handleConfirmEmail : handleSendEmailCode}
+            className="rounded-xl border border-gray-100 bg-gray-50 p-3 space-y-2"
+          >
+            {!codeSent ? (
+              <>
+                <input
+                  type="email"
+                  placeholder="New email"
+                  className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                  value={newEmail}
+                  onChange={(e) => setNewEmail(e.target.value)}
+                  required
+                />
+                <input
+                  type="password"
+                  placeholder="Current password"
+                  className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                  value={emailPassword}
+                  onChange={(e) => setEmailPassword(e.target.value)}
+                  required
+                />
+              </>
+            ) : (
+              <input
+                placeholder="6-digit code"
+                maxLength={6}
+                className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                value={emailCode}
+                onChange={(e) => setEmailCode(e.target.value)}
+                required
+              />
+            )}
+            {emailInfo && <p className="text-[11px] text-gray-600">{emailInfo}</p>}
+            {emailError && (
+              <p className="text-[11px] text-red-600">{emailError}</p>
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={emailBusy}
+                className="flex-1 rounded-xl bg-gray-900 text-white px-3 py-2 text-xs font-semibold hover:bg-gray-800 disabled:bg-gray-400"
+              >
+                {emailBusy ? "Please wait…" : codeSent ? "Confirm" : "Send code"}
+              </button>
+              <button
+                type="button"
+                onClick={resetEmailForm}
+                className="rounded-xl border border-gray-300 px-3 py-2 text-xs font-semibold hover:bg-white"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+        {!changingEmail && emailInfo && (
+          <p className="text-[11px] text-green-700">{emailInfo}</p>
+        )}
+
+        {!changingPassword ? (
+          <button
+            type="button"
+            onClick={() => {
+              setChangingPassword(true);
+              setPasswordInfo(null);
+            }}
+            className="text-xs font-semibold text-brand-700"
+          >
+            Change password
+          </button>
+        ) : (
+          <form
+            onSubmit={handleChangePassword}
+            className="rounded-xl border border-gray-100 bg-gray-50 p-3 space-y-2"
+          >
+            <input
+              type="password"
+              placeholder="Current password"
+              className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              required
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              minLength={6}
+              className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+            <p className="text-[11px] text-gray-500">
+              Your other devices will be logged out.
+            </p>
+            {passwordError && (
+              <p className="text-[11px] text-red-600">{passwordError}</p>
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={passwordBusy}
+                className="flex-1 rounded-xl bg-gray-900 text-white px-3 py-2 text-xs font-semibold hover:bg-gray-800 disabled:bg-gray-400"
+              >
+                {passwordBusy ? "Please wait…" : "Change password"}
+              </button>
+              <button
+                type="button"
+                onClick={resetPasswordForm}
+                className="rounded-xl border border-gray-300 px-3 py-2 text-xs font-semibold hover:bg-white"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+        {!changingPassword && passwordInfo && (
+          <p className="text-[11px] text-green-700">{passwordInfo}</p>
+        )}
 
         <div className="mt-4 space-y-3">
+          <Link
+            to="/inbox"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Messages
+          </Link>
+          <Link
+            to="/subscriptions"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Subscriptions
+          </Link>
+          <Link
+            to="/account/purchases"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Purchase history
+          </Link>
+          <Link
+            to="/vault"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Unlocked posts
+          </Link>
+          <Link
+            to="/account/payment-methods"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Payment methods
+          </Link>
+          <Link
+            to="/account/sessions"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Devices &amp; sessions
+          </Link>
+          <Link
+            to="/account/blocked"
+            className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+          >
+            Blocked accounts
+          </Link>
+          {user.isAdmin && (
+            <Link
+              to="/admin"
+              className="block text-center rounded-2xl border border-gray-300 text-gray-900 px-4 py-2.5 text-sm font-semibold bg-white hover:bg-gray-50"
+            >
+              Admin console
+            </Link>
+          )}
           {isCreator ? (
             <>
               <Link
@@ -60,11 +505,6 @@ export default function Account() {
         >
           Log out
         </button>
-
-        <p className="text-[11px] text-gray-500 text-center mt-2">
-          More account settings (payments, messages, notifications) will appear
-          here as we build them.
-        </p>
       </div>
     </div>
   );
@@ -0,0 +1,705 @@
+// src/pages/Admin.tsx
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+
+type CreatorStatus = "pending" | "approved" | "rejected" | "suspended";
+
+type AdminCreator = {
+  id: number;
+  displayName: string;
+  username: string;
+  email: string;
+  accountType: "free" | "subscription";
+  price?: number | null;
+  createdAt: string;
+  status: CreatorStatus;
+  statusReason: string | null;
+  reviewedAt: string | null;
+  reviewedBy: string | null;
+  postCount: number;
+  documents: {
+    idFront: string | null;
+    idBack: string | null;
+    selfie: string | null;
+  };
+};
+
+type ReportAction = "dismiss" | "remove_post" | "remove_comment" | "suspend_creator";
+
+type AdminReport = {
+  id: number;
+  targetType: "post" | "comment" | "creator";
+  targetId: number;
+  reason: string;
+  details: string | null;
+  status: "open" | "resolved";
+  action: ReportAction | null;
+  note: string | null;
+  createdAt: string;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  reporter: string;
+  openReports: number;
+  snapshot: {
+    title?: string;
+    description?: string;
+    body?: string;
+    author?: string;
+    username?: string;
+    displayName?: string;
+    bio?: string;
+  };
+  targetExists: boolean;
+  postId: number | null;
+  postRemoved: boolean;
+  creator: {
+    id: number;
+    username: string;
+    displayName: string;
+    status: CreatorStatus;
+  } | null;
+  actions: ReportAction[];
+};
+
+type Payout = {
+  id: number;
+  creatorUsername: string;
+  amount: number;
+  currency: string;
+  status: "requested" | "paid" | "rejected";
+  requestedAt: string;
+};
+
+const API = "http://localhost:4000";
+const STATUS_FILTERS: Array<CreatorStatus | "all"> = [
+  "pending",
+  "approved",
+  "rejected",
+  "suspended",
+  "all",
+];
+const DOCUMENT_LABELS: Record<keyof AdminCreator["documents"], string> = {
+  idFront: "ID front",
+  idBack: "ID back",
+  selfie: "Selfie",
+};
+
+const ACTION_LABELS: Record<ReportAction, string> = {
+  dismiss: "Dismiss",
+  remove_post: "Remove post",
+  remove_comment: "Remove comment",
+  suspend_creator: "Suspend creator",
+};
+
+function classNames(...c: Array<string | false | undefined>) {
+  return c.filter(Boolean).join(" ");
+}
+
+/**
+ * Open reports, oldest first. Acting on one closes every open report on the
+ * same post / comment / creator.
+ */
+function ReportQueue({ token }: { token?: string }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const [reports, setReports] = useState<AdminReport[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch(
+          `${API}/api/admin/reports?status=${showResolved ? "resolved" : "open"}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load reports");
+        if (!cancelled) setReports(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        if (!cancelled) setError(err.message || "Failed to load reports");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [token, showResolved]);
+
+  async function handleResolve(report: AdminReport, action: ReportAction) {
+    let note = "";
+    if (action !== "dismiss") {
+      const input = window.prompt(
+        action === "suspend_creator"
+          ? `Why is @${report.creator?.username} being suspended?`
+          : "Reason shown to the creator (optional):"
+      );
+      if (input === null) return;
+      note = input.trim();
+      if (action === "suspend_creator" && !note) {
+        alert("Please give a reason.");
+        return;
+      }
+    }
+
+    setBusyId(report.id);
+    setError(null);
+    try {
+      const res = await fetch(`${API}/api/admin/reports/${report.id}/resolve`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ action, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to resolve report");
+      // Every open report on the same target was closed with it
+      setReports((prev) =>
+        prev.filter(
+          (r) =>
+            !(r.targetType === report.targetType && r.targetId === report.targetId)
+        )
+      );
+    } catch (err: any) {
+      setError(err.message || "Failed to resolve report");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div>
+      <label className="mb-4 flex items-center gap-2 text-xs text-gray-600">
+        <input
+          type="checkbox"
+          checked={showResolved}
+          onChange={(e) => setShowResolved(e.target.checked)}
+        />
+        Show resolved reports
+      </label>
+
+      {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : reports.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {showResolved ? "No resolved reports yet." : "No open reports. 🎉"}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {reports.map((r) => (
+            <div
+              key={r.id}
+              className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm"
+            >
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <p className="text-sm font-semibold text-gray-900 capitalize">
+                    {r.targetType} · {r.reason.replace(/_/g, " ")}
+                  </p>
+                  <p className="text-[11px] text-gray-500">
+                    Reported by @{r.reporter} on{" "}
+                    {new Date(r.createdAt).toLocaleString()}
+                    {r.openReports > 1 && ` · ${r.openReports} open reports`}
+                  </p>
+                </div>
+                {r.creator && (
+                  <Link
+                    to={`/c/${encodeURIComponent(r.creator.username)}`}
+                    className="text-xs text-gray-500 hover:underline"
+                  >
+                    @{r.creator.username} ({r.creator.status})
+                  </Link>
+                )}
+              </div>
+
+              {r.details && (
+                <p className="mt-2 text-xs text-gray-700">“{r.details}”</p>
+              )}
+
+              <div className="mt-3 rounded-xl border border-gray-100 bg-gray-50 p-3 text-xs text-gray-700">
+                {r.targetType === "post" && (
+                  <>
+                    <p className="font-semibold">{r.snapshot.title}</p>
+                    {r.snapshot.description && (
+                      <p className="mt-1 whitespace-pre-wrap">
+                        {r.snapshot.description}
+                      </p>
+                    )}
+                  </>
+                )}
+                {r.targetType === "comment" && (
+                  <p className="whitespace-pre-wrap">
+                    <span className="font-semibold">@{r.snapshot.author}:</span>{" "}
+                    {r.snapshot.body}
+                  </p>
+                )}
+                {r.targetType === "creator" && (
+                  <>
+                    <p className="font-semibold">
+                      {r.snapshot.displayName} @{r.snapshot.username}
+                    </p>
+                    {r.snapshot.bio && <p className="mt-1">{r.snapshot.bio}</p>}
+                  </>
+                )}
+                <p className="mt-2 text-[10px] text-gray-400">
+                  As reported.{" "}
+                  {!r.targetExists
+                    ? "It has since been deleted."
+                    : r.postRemoved
+                    ? "The post has been removed."
+                    : ""}
+                </p>
+              </div>
+
+              {r.status === "resolved" ? (
+                <p className="mt-3 text-xs text-gray-600">
+                  {ACTION_LABELS[r.action as ReportAction] || r.action}
+                  {r.resolvedBy && ` by ${r.resolvedBy}`}
+                  {r.note && ` – ${r.note}`}
+                </p>
+              ) : (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {r.actions
+                    .filter((a) => a === "dismiss" || r.targetExists)
+                    .map((a) => (
+                      <button
+                        key={a}
+                        type="button"
+                        disabled={busyId === r.id}
+                        onClick={() => handleResolve(r, a)}
+                        className={classNames(
+                          "rounded-full px-3 py-1.5 text-xs font-semibold disabled:opacity-60",
+                          a === "dismiss"
+                            ? "border border-gray-200 bg-white text-gray-700 hover:bg-gray-50"
+                            : "border border-red-200 bg-white text-red-600 hover:bg-red-50"
+                        )}
+                      >
+                        {ACTION_LABELS[a]}
+                      </button>
+                    ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * KYC files are admin-only, so they're fetched with the token and shown from a blob URL.
+ */
+function KycDocument({
+  url,
+  label,
+  token,
+}: {
+  url: string | null;
+  label: string;
+  token?: string;
+}) {
+  const [src, setSrc] = useState<string | null>(null);
+  const [isImage, setIsImage] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!url || !token) return;
+    let objectUrl: string | null = null;
+    let cancelled = false;
+
+    fetch(`${API}${url}`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to load document");
+        return res.blob();
+      })
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setIsImage(blob.type.startsWith("image/"));
+        setSrc(objectUrl);
+      })
+      .catch(() => !cancelled && setFailed(true));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [url, token]);
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-gray-50 p-2 text-center">
+      <p className="text-[10px] font-semibold uppercase text-gray-500 mb-1">
+        {label}
+      </p>
+      {!url ? (
+        <p className="py-6 text-[11px] text-gray-400">Not uploaded</p>
+      ) : failed ? (
+        <p className="py-6 text-[11px] text-red-600">Couldn&apos;t load</p>
+      ) : !src ? (
+        <p className="py-6 text-[11px] text-gray-400">Loading…</p>
+      ) : isImage ? (
+        <a href={src} target="_blank" rel="noreferrer">
+          <img
+            src={src}
+            alt={label}
+            className="mx-auto h-28 w-full rounded-lg object-cover"
+          />
+        </a>
+      ) : (
+        <a
+          href={src}
+          target="_blank"
+          rel="noreferrer"
+          className="block py-6 text-[11px] font-semibold text-brand-700"
+        >
+          Open file
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default function Admin() {
+  const { user } = useAuth();
+
+  const [tab, setTab] = useState<"creators" | "reports" | "payouts">(
+    "creators"
+  );
+  const [statusFilter, setStatusFilter] = useState<CreatorStatus | "all">(
+    "pending"
+  );
+
+  const [creators, setCreators] = useState<AdminCreator[]>([]);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  useEffect(() => {
+    // the report queue loads itself
+    if (!user || tab === "reports") return;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError(null);
+        const url =
+          tab === "creators"
+            ? `${API}/api/admin/creators?status=${statusFilter}`
+            : `${API}/api/admin/payouts?status=requested`;
+        const res = await fetch(url, { headers: authHeaders });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load");
+        if (tab === "creators") setCreators(Array.isArray(data) ? data : []);
+        else setPayouts(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    load();
+  }, [user, tab, statusFilter]);
+
+  async function handleCreatorAction(
+    creator: AdminCreator,
+    action: "approve" | "reject" | "suspend"
+  ) {
+    let reason = "";
+    if (action !== "approve") {
+      const input = window.prompt(
+        action === "reject"
+          ? `Why is @${creator.username}'s application rejected?`
+          : `Why is @${creator.username} being suspended?`
+      );
+      if (input === null) return;
+      reason = input.trim();
+      if (!reason) {
+        alert("Please give a reason.");
+        return;
+      }
+    }
+
+    setBusyId(creator.id);
+    setError(null);
+    try {
+      const res = await fetch(
+        `${API}/api/admin/creators/${creator.id}/${action}`,
+        {
+          method: "POST",
+          headers: { ...authHeaders, "Content-Type": "application/json" },
+          body: JSON.stringify({ reason }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to update creator");
+      const updated: AdminCreator = data.creator;
+      setCreators((prev) =>
+        statusFilter === "all"
+          ? prev.map((c) => (c.id === updated.id ? updated : c))
+          : prev.filter((c) => c.id !== updated.id)
+      );
+    } catch (err: any) {
+      setError(err.message || "Failed to update creator");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handlePayoutAction(payout: Payout, action: "paid" | "reject") {
+    const input = window.prompt(
+      action === "paid"
+        ? "Transfer reference (optional):"
+        : "Why is this payout rejected?"
+    );
+    if (input === null) return;
+
+    setBusyId(payout.id);
+    setError(null);
+    try {
+      const res = await fetch(`${API}/api/admin/payouts/${payout.id}/${action}`, {
+        method: "POST",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify(
+          action === "paid" ? { reference: input.trim() } : { reason: input.trim() }
+        ),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to update payout");
+      setPayouts((prev) => prev.filter((p) => p.id !== payout.id));
+    } catch (err: any) {
+      setError(err.message || "Failed to update payout");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-5xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+            Admin
+          </p>
+          <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+            Moderation console
+          </h1>
+        </div>
+
+        <div className="mb-4 flex gap-2">
+          {(["creators", "reports", "payouts"] as const).map((t) => (
+            <button
+              key={t}
+              type="button"
+              onClick={() => setTab(t)}
+              className={classNames(
+                "rounded-full px-3 py-1.5 text-xs font-semibold border",
+                tab === t
+                  ? "bg-gray-900 border-gray-900 text-white"
+                  : "bg-white border-gray-200 text-gray-700 hover:bg-gray-50"
+              )}
+            >
+              {t === "creators"
+                ? "Creator applications"
+                : t === "reports"
+                ? "Reports"
+                : "Payout requests"}
+            </button>
+          ))}
+        </div>
+
+        {tab === "creators" && (
+          <div className="mb-4 flex flex-wrap gap-1.5">
+            {STATUS_FILTERS.map((s) => (
+              <button
+                key={s}
+                type="button"
+                onClick={() => setStatusFilter(s)}
+                className={classNames(
+                  "rounded-full px-2.5 py-1 text-[11px] font-medium capitalize border",
+                  statusFilter === s
+                    ? "bg-brand-50 border-brand-200 text-brand-700"
+                    : "bg-white border-gray-200 text-gray-600 hover:bg-gray-50"
+                )}
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {tab !== "reports" && error && (
+          <p className="mb-4 text-xs text-red-600">{error}</p>
+        )}
+
+        {tab === "reports" ? (
+          <ReportQueue token={user.token} />
+        ) : loading ? (
+          <p className="text-sm text-gray-500">Loading…</p>
+        ) : tab === "creators" ? (
+          creators.length === 0 ? (
+            <p className="text-sm text-gray-500">No {statusFilter} creators.</p>
+          ) : (
+            <div className="space-y-4">
+              {creators.map((c) => (
+                <div
+                  key={c.id}
+                  className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm"
+                >
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div>
+                      <p className="text-sm font-semibold text-gray-900">
+                        {c.displayName}{" "}
+                        <Link
+                          to={`/c/${encodeURIComponent(c.username)}`}
+                          className="font-normal text-gray-500 hover:underline"
+                        >
+                          @{c.username}
+                        </Link>
+                      </p>
+                      <p className="text-xs text-gray-500">{c.email}</p>
+                      <p className="mt-1 text-[11px] text-gray-500">
+                        Applied {new Date(c.createdAt).toLocaleDateString()} ·{" "}
+                        {c.accountType === "subscription"
+                          ? `Subscription $${Number(c.price || 0).toFixed(2)}/mo`
+                          : "Free"}{" "}
+                        · {c.postCount} posts
+                      </p>
+                    </div>
+                    <span
+                      className={classNames(
+                        "rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase",
+                        c.status === "approved" && "bg-emerald-50 text-emerald-700",
+                        c.status === "pending" && "bg-amber-50 text-amber-700",
+                        (c.status === "rejected" || c.status === "suspended") &&
+                          "bg-red-50 text-red-700"
+                      )}
+                    >
+                      {c.status}
+                    </span>
+                  </div>
+
+                  {c.statusReason && (
+                    <p className="mt-2 text-xs text-gray-600">
+                      Reason: {c.statusReason}
+                      {c.reviewedBy && ` (by ${c.reviewedBy})`}
+                    </p>
+                  )}
+
+                  <div className="mt-3 grid grid-cols-3 gap-2">
+                    {(
+                      Object.keys(DOCUMENT_LABELS) as Array<
+                        keyof AdminCreator["documents"]
+                      >
+                    ).map((doc) => (
+                      <KycDocument
+                        key={doc}
+                        url={c.documents[doc]}
+                        label={DOCUMENT_LABELS[doc]}
+                        token={user.token}
+                      />
+                    ))}
+                  </div>
+
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {c.status !== "approved" && (
+                      <button
+                        type="button"
+                        disabled={busyId === c.id}
+                        onClick={() => handleCreatorAction(c, "approve")}
+                        className="rounded-full bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-emerald-700 disabled:opacity-60"
+                      >
+                        {c.status === "suspended" ? "Reinstate" : "Approve"}
+                      </button>
+                    )}
+                    {c.status === "pending" && (
+                      <button
+                        type="button"
+                        disabled={busyId === c.id}
+                        onClick={() => handleCreatorAction(c, "reject")}
+                        className="rounded-full border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-60"
+                      >
+                        Reject
+                      </button>
+                    )}
+                    {c.status === "approved" && (
+                      <button
+                        type="button"
+                        disabled={busyId === c.id}
+                        onClick={() => handleCreatorAction(c, "suspend")}
+                        className="rounded-full border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-60"
+                      >
+                        Suspend
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        ) : payouts.length === 0 ? (
+          <p className="text-sm text-gray-500">No payout requests waiting.</p>
+        ) : (
+          <div className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-100">
+              {payouts.map((p) => (
+                <li
+                  key={p.id}
+                  className="px-4 py-3 flex items-center justify-between gap-3"
+                >
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">
+                      @{p.creatorUsername} · {p.currency}{" "}
+                      {Number(p.amount).toFixed(2)}
+                    </p>
+                    <p className="text-[11px] text-gray-500">
+                      Requested {new Date(p.requestedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      disabled={busyId === p.id}
+                      onClick={() => handlePayoutAction(p, "paid")}
+                      className="rounded-full bg-gray-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-black disabled:opacity-60"
+                    >
+                      Mark paid
+                    </button>
+                    <button
+                      type="button"
+                      disabled={busyId === p.id}
+                      onClick={() => handlePayoutAction(p, "reject")}
+                      className="rounded-full border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-60"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
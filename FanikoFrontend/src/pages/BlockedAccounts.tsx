@@ -0,0 +1,156 @@
+// src/pages/BlockedAccounts.tsx
+// Accounts the user has blocked. Blocking works both ways: neither side sees
+// the other's profile, posts, comments or messages until it is lifted here.
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+import { profileImageSrc } from "../creatorProfile";
+
+type BlockedAccount = {
+  username: string;
+  displayName: string;
+  isCreator: boolean;
+  avatarUrl: string | null;
+  blockedAt: string;
+};
+
+const API = "http://localhost:4000";
+
+function formatDate(iso: string) {
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default function BlockedAccounts() {
+  const { user } = useAuth();
+
+  const [accounts, setAccounts] = useState<BlockedAccount[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busyUsername, setBusyUsername] = useState<string | null>(null);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadBlocks() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch(`${API}/api/blocks`, { headers: authHeaders });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load blocked accounts");
+        setAccounts(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load blocked accounts");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadBlocks();
+    // reload only when the account changes, not on every token refresh
+  }, [user?.id]);
+
+  async function handleUnblock(account: BlockedAccount) {
+    setBusyUsername(account.username);
+    setError(null);
+    try {
+      const res = await fetch(
+        `${API}/api/blocks/${encodeURIComponent(account.username)}`,
+        { method: "DELETE", headers: authHeaders }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not unblock this account.");
+      setAccounts((prev) => prev.filter((a) => a.username !== account.username));
+    } catch (err: any) {
+      setError(err.message || "Could not unblock this account.");
+    } finally {
+      setBusyUsername(null);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+            Account
+          </p>
+          <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+            Blocked accounts
+          </h1>
+          <p className="text-xs text-gray-500">
+            Unblocking doesn&apos;t restore follows or subscription renewals.
+          </p>
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading blocked accounts…</p>
+        ) : accounts.length === 0 ? (
+          <div className="rounded-2xl border border-dashed border-gray-200 bg-white p-6 text-center">
+            <p className="text-sm text-gray-600">You haven&apos;t blocked anyone.</p>
+          </div>
+        ) : (
+          <section className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-100">
+              {accounts.map((a) => {
+                const avatarSrc = profileImageSrc(a.avatarUrl);
+                return (
+                  <li key={a.username} className="px-4 py-3 flex items-center gap-3">
+                    {avatarSrc ? (
+                      <img
+                        src={avatarSrc}
+                        alt=""
+                        className="h-9 w-9 shrink-0 rounded-full object-cover"
+                      />
+                    ) : (
+                      <div className="h-9 w-9 shrink-0 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center text-xs font-bold">
+                        {(a.displayName || a.username).charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-semibold text-gray-900 truncate">
+                        {a.displayName}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        @{a.username}
+                        {a.isCreator ? " · Creator" : ""} · blocked{" "}
+                        {formatDate(a.blockedAt)}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleUnblock(a)}
+                      disabled={busyUsername === a.username}
+                      className="shrink-0 rounded-full border border-gray-200 bg-white px-3 py-1.5 text-xs font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                    >
+                      {busyUsername === a.username ? "Unblocking…" : "Unblock"}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        )}
+
+        <p className="mt-4 text-xs text-gray-500">
+          Block someone from their profile or from a conversation in your{" "}
+          <Link to="/inbox" className="text-brand-600 hover:text-brand-700">
+            inbox
+          </Link>
+          .
+        </p>
+      </main>
+    </div>
+  );
+}
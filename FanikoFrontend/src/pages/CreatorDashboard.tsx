@@ -1,9 +1,25 @@
 // src/pages/CreatorDashboard.tsx
 import React, { useEffect, useState } from "react";
 import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+import {
+  BIO_MAX_LENGTH,
+  CREATOR_CATEGORIES,
+  SOCIAL_PLATFORMS,
+  TAGS_MAX,
+  SocialLinks,
+  profileImageSrc,
+  SubscriptionTier,
+  Bundle,
+} from "../creatorProfile";
+import { PostMediaItem } from "../PostMedia";
+import SubscriptionTiersEditor from "../SubscriptionTiersEditor";
+import { AppNotification, NOTIFICATION_EVENT } from "../NotificationBell";
+import CreatorAnalytics from "../CreatorAnalytics";
 
 type AccountType = "free" | "subscription";
-type Visibility = "free" | "ppv";
+type Visibility = "free" | "subscribers" | "ppv";
+type PostStatus = "draft" | "scheduled" | "published";
 
 type Creator = {
   id: number;
@@ -14,6 +30,16 @@ type Creator = {
   price?: number | null;
   createdAt?: string;
   status?: string;
+  statusReason?: string | null;
+  bio?: string;
+  location?: string;
+  category?: string | null;
+  socialLinks?: SocialLinks;
+  tags?: string[];
+  avatarUrl?: string | null;
+  bannerUrl?: string | null;
+  tiers?: SubscriptionTier[];
+  bundles?: Bundle[];
 };
 
 type CreatorPost = {
@@ -23,12 +49,18 @@ type CreatorPost = {
   price?: number | null;
   description?: string;
   createdAt?: string;
-  mediaFilename?: string | null;
-  mediaMime?: string | null;
+  hasMedia?: boolean;
+  media?: PostMediaItem[];
+  status?: PostStatus;
+  publishAt?: string | null;
+  publishedAt?: string | null;
+  minTierId?: number | null;
+  requiredTier?: { id: number; name: string; level: number } | null;
 
   // NEW: like info from backend (optional)
   likes?: number;
-  likedBy?: string[];
+  commentCount?: number;
+  commentsDisabled?: boolean;
 };
 
 type EarningsBreakdown = {
@@ -44,12 +76,69 @@ type EarningsBreakdown = {
   };
 };
 
+// Ledger balance from /earnings (see creatorBalance on the backend)
+type Balance = {
+  currency: string;
+  feePercent: number;
+  holdDays: number;
+  payoutMinimum: number;
+  gross: number;
+  refunds: number;
+  fees: number;
+  net: number;
+  pending: number;
+  available: number;
+  withdrawable: number;
+  inPayout: number;
+  paidOut: number;
+};
+
+// Mirrors the backend's POST_MEDIA_TYPES / POST_MEDIA_MAX_FILES
+const POST_MEDIA_ACCEPT =
+  "image/jpeg,image/png,image/webp,image/gif,video/mp4,video/webm,video/quicktime";
+const POST_MEDIA_MAX_FILES = 10;
+
+type DashboardTab = "overview" | "analytics";
+
+const DASHBOARD_TABS: { value: DashboardTab; label: string }[] = [
+  { value: "overview", label: "Overview" },
+  { value: "analytics", label: "Analytics" },
+];
+
+const POST_TABS: { value: PostStatus; label: string }[] = [
+  { value: "published", label: "Published" },
+  { value: "scheduled", label: "Scheduled" },
+  { value: "draft", label: "Drafts" },
+];
+
+// <input type="datetime-local"> works in local time without a zone
+function toLocalInputValue(iso?: string | null) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+}
+
+// Notifications that mean the earnings numbers changed
+const PAYMENT_NOTIFICATION_TYPES: AppNotification["type"][] = [
+  "tip",
+  "ppv_unlock",
+  "subscription",
+];
+
 function classNames(...c: Array<string | false | undefined>) {
   return c.filter(Boolean).join(" ");
 }
 
 export default function CreatorDashboard() {
   const { username } = useParams<{ username: string }>();
+  const { user } = useAuth();
+
+  // Every dashboard call is owner-only on the backend, so always send the token
+  const authHeaders: Record<string, string> = user?.token
+    ? { Authorization: `Bearer ${user.token}` }
+    : {};
 
   const [creator, setCreator] = useState<Creator | null>(null);
   const [posts, setPosts] = useState<CreatorPost[]>([]);
@@ -61,7 +150,12 @@ export default function CreatorDashboard() {
   const [visibility, setVisibility] = useState<Visibility>("free");
   const [price, setPrice] = useState<string>("9.99");
   const [description, setDescription] = useState("");
-  const [mediaFile, setMediaFile] = useState<File | null>(null);
+  const [mediaFiles, setMediaFiles] = useState<File[]>([]);
+  const [minTierId, setMinTierId] = useState("");
+  const [postStatus, setPostStatus] = useState<PostStatus>("published");
+  const [publishAt, setPublishAt] = useState("");
+  const [postsTab, setPostsTab] = useState<PostStatus>("published");
+  const [dashboardTab, setDashboardTab] = useState<DashboardTab>("overview");
 
   const [submitting, setSubmitting] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
@@ -70,20 +164,35 @@ export default function CreatorDashboard() {
   const [earnings, setEarnings] = useState<EarningsBreakdown | null>(null);
   const [earningsLoading, setEarningsLoading] = useState(false);
   const [earningsError, setEarningsError] = useState<string | null>(null);
+  const [balance, setBalance] = useState<Balance | null>(null);
+  const [payoutRequesting, setPayoutRequesting] = useState(false);
+  const [payoutMessage, setPayoutMessage] = useState<string | null>(null);
 
-  // 🔹 profile edit state (free ↔ subscription + price)
-  const [accountTypeForm, setAccountTypeForm] = useState<AccountType>("free");
-  const [subscriptionPriceForm, setSubscriptionPriceForm] =
-    useState<string>("9.99");
+  // 🔹 profile edit state
   const [profileSaving, setProfileSaving] = useState(false);
   const [profileMessage, setProfileMessage] = useState<string | null>(null);
 
+  // 🔹 public profile fields (bio, images, links)
+  const [displayNameForm, setDisplayNameForm] = useState("");
+  const [bioForm, setBioForm] = useState("");
+  const [locationForm, setLocationForm] = useState("");
+  const [categoryForm, setCategoryForm] = useState("");
+  const [tagsForm, setTagsForm] = useState("");
+  const [socialLinksForm, setSocialLinksForm] = useState<SocialLinks>({});
+  const [imageUploading, setImageUploading] = useState<
+    "avatar" | "banner" | null
+  >(null);
+
   // 🔹 post edit state
   const [editingPostId, setEditingPostId] = useState<number | null>(null);
   const [editTitle, setEditTitle] = useState("");
   const [editDescription, setEditDescription] = useState("");
   const [editVisibility, setEditVisibility] = useState<Visibility>("free");
   const [editPrice, setEditPrice] = useState<string>("0");
+  const [editCommentsDisabled, setEditCommentsDisabled] = useState(false);
+  const [editMinTierId, setEditMinTierId] = useState("");
+  const [editStatus, setEditStatus] = useState<PostStatus>("published");
+  const [editPublishAt, setEditPublishAt] = useState("");
   const [editSaving, setEditSaving] = useState(false);
   const [editError, setEditError] = useState<string | null>(null);
 
@@ -95,9 +204,10 @@ export default function CreatorDashboard() {
         setLoading(true);
         setError(null);
 
-        // load creator
+        // load creator (token needed while the account is still under review)
         const creatorRes = await fetch(
-          `http://localhost:4000/api/creators/${encodeURIComponent(username)}`
+          `http://localhost:4000/api/creators/${encodeURIComponent(username)}`,
+          { headers: authHeaders }
         );
         if (!creatorRes.ok) {
           if (creatorRes.status === 404) {
@@ -109,21 +219,14 @@ export default function CreatorDashboard() {
         setCreator(creatorData);
 
         // initialise profile-edit form from creator data
-        setAccountTypeForm(creatorData.accountType);
-        if (
-          creatorData.accountType === "subscription" &&
-          typeof creatorData.price === "number"
-        ) {
-          setSubscriptionPriceForm(creatorData.price.toFixed(2));
-        } else {
-          setSubscriptionPriceForm("9.99");
-        }
+        syncProfileForm(creatorData);
 
-        // load posts
+        // load posts (drafts and scheduled ones too)
         const postsRes = await fetch(
           `http://localhost:4000/api/creators/${encodeURIComponent(
             username
-          )}/posts`
+          )}/posts?status=all`,
+          { headers: authHeaders }
         );
         if (!postsRes.ok) {
           throw new Error("Failed to load posts");
@@ -131,52 +234,7 @@ export default function CreatorDashboard() {
         const postsData: CreatorPost[] = await postsRes.json();
         setPosts(postsData);
 
-        // load earnings
-        try {
-          setEarningsLoading(true);
-          setEarningsError(null);
-
-          const earningsRes = await fetch(
-            `http://localhost:4000/api/creators/${encodeURIComponent(
-              username
-            )}/earnings`
-          );
-
-          if (!earningsRes.ok) {
-            // don't kill dashboard if this fails
-            setEarnings(null);
-            try {
-              const data = await earningsRes.json();
-              if (data?.error) setEarningsError(data.error);
-            } catch {
-              /* ignore */
-            }
-          } else {
-            const raw = await earningsRes.json();
-            const totals = raw?.totals || {};
-
-            const converted: EarningsBreakdown = {
-              currency: "USD",
-              monthToDate: Number(totals.allTime || 0), // MVP: same bucket
-              last30Days: Number(totals.allTime || 0),
-              lifetime: Number(totals.allTime || 0),
-              sources: {
-                subscriptions: Number(totals.subscriptions || 0),
-                ppv: Number(totals.ppv || 0),
-                tips: Number(totals.tips || 0),
-                customRequests: 0,
-              },
-            };
-
-            setEarnings(converted);
-          }
-        } catch (e: any) {
-          console.warn("Failed to load earnings:", e);
-          setEarnings(null);
-          setEarningsError("Could not load earnings right now.");
-        } finally {
-          setEarningsLoading(false);
-        }
+        await loadEarnings();
       } catch (err: any) {
         setError(err.message || "Something went wrong");
       } finally {
@@ -185,11 +243,75 @@ export default function CreatorDashboard() {
     }
 
     loadData();
-  }, [username]);
+  }, [username, user]);
+
+  // Earnings + ledger balance; also re-run when a payment notification arrives
+  async function loadEarnings() {
+    if (!username) return;
+    try {
+      setEarningsLoading(true);
+      setEarningsError(null);
+
+      const earningsRes = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/earnings`,
+        { headers: authHeaders }
+      );
+
+      if (!earningsRes.ok) {
+        // don't kill dashboard if this fails
+        setEarnings(null);
+        try {
+          const data = await earningsRes.json();
+          if (data?.error) setEarningsError(data.error);
+        } catch {
+          /* ignore */
+        }
+      } else {
+        const raw = await earningsRes.json();
+        const totals = raw?.totals || {};
+
+        const converted: EarningsBreakdown = {
+          currency: "USD",
+          monthToDate: Number(totals.allTime || 0), // MVP: same bucket
+          last30Days: Number(totals.allTime || 0),
+          lifetime: Number(totals.allTime || 0),
+          sources: {
+            subscriptions: Number(totals.subscriptions || 0),
+            ppv: Number(totals.ppv || 0),
+            tips: Number(totals.tips || 0),
+            customRequests: Number(totals.customRequests || 0),
+          },
+        };
+
+        setEarnings(converted);
+        setBalance(raw?.balance || null);
+      }
+    } catch (e: any) {
+      console.warn("Failed to load earnings:", e);
+      setEarnings(null);
+      setEarningsError("Could not load earnings right now.");
+    } finally {
+      setEarningsLoading(false);
+    }
+  }
+
+  // Tips, unlocks and subscriptions land live: refresh the numbers
+  useEffect(() => {
+    function handleNotification(e: Event) {
+      const n = (e as CustomEvent<AppNotification>).detail;
+      if (PAYMENT_NOTIFICATION_TYPES.includes(n.type)) loadEarnings();
+    }
+    window.addEventListener(NOTIFICATION_EVENT, handleNotification);
+    return () =>
+      window.removeEventListener(NOTIFICATION_EVENT, handleNotification);
+  }, [username, user]);
 
   const canSubmit =
     title.trim().length > 0 &&
     (visibility === "free" || (visibility === "ppv" && Number(price) > 0)) &&
+    (postStatus !== "scheduled" || !!publishAt) &&
     !submitting;
 
   async function handleCreatePost(e: React.FormEvent) {
@@ -209,8 +331,18 @@ export default function CreatorDashboard() {
         formData.append("price", price);
       }
 
-      if (mediaFile) {
-        formData.append("media", mediaFile); // must match backend .single("media")
+      if (visibility !== "free" && minTierId) {
+        formData.append("minTierId", minTierId);
+      }
+
+      formData.append("status", postStatus);
+      if (postStatus === "scheduled") {
+        formData.append("publishAt", new Date(publishAt).toISOString());
+      }
+
+      // must match backend .array("media"); order is kept for the carousel
+      for (const file of mediaFiles) {
+        formData.append("media", file);
       }
 
       const res = await fetch(
@@ -219,6 +351,7 @@ export default function CreatorDashboard() {
         )}/posts`,
         {
           method: "POST",
+          headers: authHeaders,
           body: formData,
         }
       );
@@ -236,16 +369,26 @@ export default function CreatorDashboard() {
 
       const data = await res.json();
 
-      // prepend new post
+      // prepend new post and show the tab it landed in
       setPosts((prev) => [data.post, ...prev]);
+      setPostsTab(data.post.status || "published");
 
       // reset form
       setTitle("");
       setDescription("");
       setVisibility("free");
       setPrice("9.99");
-      setMediaFile(null);
-      setMessage("Post created!");
+      setMediaFiles([]);
+      setMinTierId("");
+      setPostStatus("published");
+      setPublishAt("");
+      setMessage(
+        data.post.status === "draft"
+          ? "Draft saved."
+          : data.post.status === "scheduled"
+          ? "Post scheduled!"
+          : "Post created!"
+      );
     } catch (err: any) {
       setMessage(err.message || "Something went wrong.");
     } finally {
@@ -253,7 +396,16 @@ export default function CreatorDashboard() {
     }
   }
 
-  // 🔹 save profile (free/subscription + price)
+  function syncProfileForm(c: Creator) {
+    setDisplayNameForm(c.displayName || "");
+    setBioForm(c.bio || "");
+    setLocationForm(c.location || "");
+    setCategoryForm(c.category || "");
+    setTagsForm((c.tags || []).join(", "));
+    setSocialLinksForm(c.socialLinks || {});
+  }
+
+  // 🔹 save profile (public info + free/subscription + price)
   async function handleSaveProfile(e: React.FormEvent) {
     e.preventDefault();
     if (!username || !creator) return;
@@ -262,19 +414,27 @@ export default function CreatorDashboard() {
     setProfileMessage(null);
 
     try {
+      // send every platform so cleared inputs remove the link
+      const socialLinks: SocialLinks = {};
+      for (const p of SOCIAL_PLATFORMS) {
+        socialLinks[p.value] = (socialLinksForm[p.value] || "").trim();
+      }
+
       const body: any = {
-        accountType: accountTypeForm,
+        displayName: displayNameForm.trim(),
+        bio: bioForm.trim(),
+        location: locationForm.trim(),
+        category: categoryForm || null,
+        tags: tagsForm,
+        socialLinks,
       };
 
-      if (accountTypeForm === "subscription") {
-        body.price = subscriptionPriceForm;
-      }
-
       const res = await fetch(
         `http://localhost:4000/api/creators/${encodeURIComponent(username)}`,
         {
           method: "PATCH",
           headers: {
+            ...authHeaders,
             "Content-Type": "application/json",
           },
           body: JSON.stringify(body),
@@ -298,19 +458,57 @@ export default function CreatorDashboard() {
       setCreator(updated);
       setProfileMessage("Profile updated.");
       // sync form state with API response
-      setAccountTypeForm(updated.accountType);
-      if (
-        updated.accountType === "subscription" &&
-        typeof updated.price === "number"
-      ) {
-        setSubscriptionPriceForm(updated.price.toFixed(2));
+      syncProfileForm(updated);
+    } catch (err: any) {
+      setProfileMessage(err.message || "Something went wrong.");
+    } finally {
+      setProfileSaving(false);
+    }
+  }
+
+  // 🔹 upload / remove avatar or banner (resized on the backend)
+  async function handleProfileImage(
+    kind: "avatar" | "banner",
+    file: File | null
+  ) {
+    if (!username) return;
+
+    setImageUploading(kind);
+    setProfileMessage(null);
+
+    try {
+      let res: Response;
+      if (file) {
+        const formData = new FormData();
+        formData.append("image", file);
+        res = await fetch(
+          `http://localhost:4000/api/creators/${encodeURIComponent(
+            username
+          )}/${kind}`,
+          { method: "POST", headers: authHeaders, body: formData }
+        );
       } else {
-        setSubscriptionPriceForm("9.99");
+        res = await fetch(
+          `http://localhost:4000/api/creators/${encodeURIComponent(
+            username
+          )}/${kind}`,
+          { method: "DELETE", headers: authHeaders }
+        );
       }
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `Failed to update ${kind}`);
+
+      setCreator(data.creator);
+      setProfileMessage(
+        file
+          ? `${kind === "avatar" ? "Avatar" : "Banner"} updated.`
+          : `${kind === "avatar" ? "Avatar" : "Banner"} removed.`
+      );
     } catch (err: any) {
       setProfileMessage(err.message || "Something went wrong.");
     } finally {
-      setProfileSaving(false);
+      setImageUploading(null);
     }
   }
 
@@ -325,6 +523,10 @@ export default function CreatorDashboard() {
     } else {
       setEditPrice("9.99");
     }
+    setEditCommentsDisabled(!!post.commentsDisabled);
+    setEditMinTierId(post.minTierId ? String(post.minTierId) : "");
+    setEditStatus(post.status || "published");
+    setEditPublishAt(toLocalInputValue(post.publishAt));
     setEditError(null);
   }
 
@@ -346,10 +548,22 @@ export default function CreatorDashboard() {
         title: editTitle.trim(),
         description: editDescription.trim(),
         visibility: editVisibility,
+        commentsDisabled: editCommentsDisabled,
       };
       if (editVisibility === "ppv") {
         body.price = editPrice;
       }
+      if (editVisibility !== "free") {
+        body.minTierId = editMinTierId ? Number(editMinTierId) : null;
+      }
+      const editingPost = posts.find((p) => p.id === editingPostId);
+      if (editingPost && editingPost.status !== "published") {
+        body.status = editStatus;
+        if (editStatus === "scheduled") {
+          if (!editPublishAt) throw new Error("Pick a time to publish.");
+          body.publishAt = new Date(editPublishAt).toISOString();
+        }
+      }
 
       const res = await fetch(
         `http://localhost:4000/api/creators/${encodeURIComponent(
@@ -358,6 +572,7 @@ export default function CreatorDashboard() {
         {
           method: "PATCH",
           headers: {
+            ...authHeaders,
             "Content-Type": "application/json",
           },
           body: JSON.stringify(body),
@@ -382,6 +597,7 @@ export default function CreatorDashboard() {
         prev.map((p) => (p.id === updatedPost.id ? updatedPost : p))
       );
       setEditingPostId(null);
+      setPostsTab(updatedPost.status || "published");
     } catch (err: any) {
       setEditError(err.message || "Something went wrong.");
     } finally {
@@ -405,6 +621,7 @@ export default function CreatorDashboard() {
         )}/posts/${postId}`,
         {
           method: "DELETE",
+          headers: authHeaders,
         }
       );
 
@@ -426,14 +643,48 @@ export default function CreatorDashboard() {
     }
   }
 
-  const totalPosts = posts.length;
-  const freeCount = posts.filter((p) => p.visibility === "free").length;
-  const ppvCount = posts.filter((p) => p.visibility === "ppv").length;
+  const tiers = creator?.tiers || [];
+
+  // Posts without a status predate drafts and are live
+  const statusOf = (p: CreatorPost): PostStatus => p.status || "published";
+  const publishedPosts = posts.filter((p) => statusOf(p) === "published");
+  const tabPosts = posts.filter((p) => statusOf(p) === postsTab);
+
+  const totalPosts = publishedPosts.length;
+  const freeCount = publishedPosts.filter((p) => p.visibility === "free").length;
+  const ppvCount = publishedPosts.filter((p) => p.visibility === "ppv").length;
 
   const earningsCurrency = earnings?.currency || "USD";
-  const monthToDate = earnings?.monthToDate ?? 0;
-  const last30 = earnings?.last30Days ?? 0;
-  const lifetime = earnings?.lifetime ?? 0;
+
+  async function handleRequestPayout() {
+    if (!username || !balance) return;
+    setPayoutRequesting(true);
+    setPayoutMessage(null);
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/payouts`,
+        {
+          method: "POST",
+          headers: { ...authHeaders, "Content-Type": "application/json" },
+          body: JSON.stringify({}),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to request payout");
+      setBalance(data.balance);
+      setPayoutMessage(
+        `Payout of ${data.payout.currency} ${Number(data.payout.amount).toFixed(
+          2
+        )} requested.`
+      );
+    } catch (err: any) {
+      setPayoutMessage(err.message || "Failed to request payout");
+    } finally {
+      setPayoutRequesting(false);
+    }
+  }
 
   // NEW: most liked post for overview widget
   const mostLikedPost: CreatorPost | null =
@@ -514,8 +765,38 @@ export default function CreatorDashboard() {
         </div>
       </header>
 
-      {/* Main grid */}
-      <main className="max-w-6xl mx-auto px-4 py-8 grid gap-8 lg:grid-cols-[1.4fr,1fr]">
+      {/* Dashboard tabs */}
+      <div className="max-w-6xl mx-auto px-4 pt-6 flex gap-2">
+        {DASHBOARD_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            type="button"
+            onClick={() => setDashboardTab(tab.value)}
+            className={classNames(
+              "rounded-full px-4 py-1.5 text-xs font-semibold",
+              dashboardTab === tab.value
+                ? "bg-gray-900 text-white"
+                : "bg-white text-gray-600 border border-gray-200 hover:bg-gray-50"
+            )}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {dashboardTab === "analytics" && (
+        <main className="max-w-6xl mx-auto px-4 py-6">
+          <CreatorAnalytics username={username} token={user?.token || ""} />
+        </main>
+      )}
+
+      {/* Main grid (kept mounted so half-written forms survive a tab switch) */}
+      <main
+        className={classNames(
+          "max-w-6xl mx-auto px-4 py-6 grid gap-8 lg:grid-cols-[1.4fr,1fr]",
+          dashboardTab !== "overview" && "hidden"
+        )}
+      >
         {/* LEFT: create post + posts list */}
         <section className="space-y-6">
           {/* Creator info + profile edit */}
@@ -538,6 +819,25 @@ export default function CreatorDashboard() {
                 </span>
               </p>
             )}
+            {creator.status !== "approved" && (
+              <div
+                className={classNames(
+                  "mt-3 rounded-xl px-3 py-2 text-xs",
+                  creator.status === "pending" || !creator.status
+                    ? "bg-amber-50 text-amber-800"
+                    : "bg-red-50 text-red-700"
+                )}
+              >
+                {creator.status === "rejected"
+                  ? "Your application was rejected."
+                  : creator.status === "suspended"
+                  ? "Your account is suspended."
+                  : "Your ID is being reviewed. You can post and get paid once you're approved; until then your profile is hidden."}
+                {creator.statusReason && (
+                  <span className="block mt-1">Reason: {creator.statusReason}</span>
+                )}
+              </div>
+            )}
 
             {/* Profile edit section */}
             <form
@@ -546,7 +846,8 @@ export default function CreatorDashboard() {
             >
               <div className="flex items-center justify-between">
                 <p className="text-xs text-gray-500">
-                  Control whether your profile is free or pay-to-follow.
+                  Your public profile. Prices live on your subscription tiers
+                  below.
                 </p>
                 {profileMessage && (
                   <span className="text-[11px] text-emerald-600">
@@ -555,49 +856,157 @@ export default function CreatorDashboard() {
                 )}
               </div>
 
-              <div className="grid sm:grid-cols-2 gap-3">
-                <div className="space-y-2">
-                  <span className="block text-xs font-medium text-gray-700">
-                    Profile type
-                  </span>
-                  <label className="flex items-center gap-2 rounded-xl border px-3 py-1.5 cursor-pointer text-xs">
-                    <input
-                      type="radio"
-                      name="accountType"
-                      checked={accountTypeForm === "free"}
-                      onChange={() => setAccountTypeForm("free")}
+              {/* Banner + avatar */}
+              <div className="overflow-hidden rounded-xl border border-gray-100">
+                <div className="h-24 bg-gradient-to-tr from-brand-400 to-brand-600">
+                  {creator.bannerUrl && (
+                    <img
+                      src={profileImageSrc(creator.bannerUrl) || undefined}
+                      alt=""
+                      className="h-full w-full object-cover"
                     />
-                    <span>Free to follow</span>
-                  </label>
-                  <label className="flex items-center gap-2 rounded-xl border px-3 py-1.5 cursor-pointer text-xs">
-                    <input
-                      type="radio"
-                      name="accountType"
-                      checked={accountTypeForm === "subscription"}
-                      onChange={() => setAccountTypeForm("subscription")}
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-3 px-3 py-2">
+                  {creator.avatarUrl ? (
+                    <img
+                      src={profileImageSrc(creator.avatarUrl) || undefined}
+                      alt=""
+                      className="h-12 w-12 rounded-full object-cover"
                     />
-                    <span>Paid subscription</span>
+                  ) : (
+                    <div className="h-12 w-12 rounded-full bg-gray-100" />
+                  )}
+                  {(["avatar", "banner"] as const).map((kind) => (
+                    <div key={kind} className="flex items-center gap-1">
+                      <label className="inline-flex items-center rounded-xl border px-3 py-1 cursor-pointer hover:bg-gray-50 text-[11px]">
+                        <input
+                          type="file"
+                          accept="image/jpeg,image/png,image/webp,image/gif"
+                          className="sr-only"
+                          disabled={imageUploading !== null}
+                          onChange={(e) => {
+                            const file = e.target.files?.[0] || null;
+                            e.target.value = "";
+                            if (file) handleProfileImage(kind, file);
+                          }}
+                        />
+                        {imageUploading === kind
+                          ? "Uploading…"
+                          : kind === "avatar"
+                          ? "Change avatar"
+                          : "Change banner"}
+                      </label>
+                      {(kind === "avatar"
+                        ? creator.avatarUrl
+                        : creator.bannerUrl) && (
+                        <button
+                          type="button"
+                          disabled={imageUploading !== null}
+                          onClick={() => handleProfileImage(kind, null)}
+                          className="text-[11px] text-gray-500 hover:text-red-600"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700">
+                    Display name
                   </label>
+                  <input
+                    className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm"
+                    value={displayNameForm}
+                    onChange={(e) => setDisplayNameForm(e.target.value)}
+                  />
                 </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700">
+                    Category
+                  </label>
+                  <select
+                    className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm bg-white"
+                    value={categoryForm}
+                    onChange={(e) => setCategoryForm(e.target.value)}
+                  >
+                    <option value="">No category</option>
+                    {CREATOR_CATEGORIES.map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {c.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-xs font-medium text-gray-700">
+                    Location
+                  </label>
+                  <input
+                    className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm"
+                    placeholder="City, country"
+                    maxLength={80}
+                    value={locationForm}
+                    onChange={(e) => setLocationForm(e.target.value)}
+                  />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-xs font-medium text-gray-700">
+                    Bio
+                  </label>
+                  <textarea
+                    className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm"
+                    rows={3}
+                    maxLength={BIO_MAX_LENGTH}
+                    placeholder="Tell fans who you are and what you post."
+                    value={bioForm}
+                    onChange={(e) => setBioForm(e.target.value)}
+                  />
+                  <p className="mt-0.5 text-right text-[10px] text-gray-400">
+                    {bioForm.length}/{BIO_MAX_LENGTH}
+                  </p>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-xs font-medium text-gray-700">
+                    Tags
+                  </label>
+                  <input
+                    className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm"
+                    placeholder="cosplay, retro gaming, tutorials"
+                    value={tagsForm}
+                    onChange={(e) => setTagsForm(e.target.value)}
+                  />
+                  <p className="mt-0.5 text-[10px] text-gray-400">
+                    Comma-separated, up to {TAGS_MAX}. Fans can filter Explore
+                    by these.
+                  </p>
+                </div>
+              </div>
 
-                {accountTypeForm === "subscription" && (
-                  <div>
-                    <label className="block text-xs font-medium text-gray-700">
-                      Subscription price (USD)
-                    </label>
+              <div>
+                <span className="block text-xs font-medium text-gray-700">
+                  Social links
+                </span>
+                <div className="mt-1 grid sm:grid-cols-2 gap-2">
+                  {SOCIAL_PLATFORMS.map((p) => (
                     <input
-                      type="number"
-                      min={1}
-                      step={0.01}
-                      className="mt-1 w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-sm"
-                      value={subscriptionPriceForm}
-                      onChange={(e) => setSubscriptionPriceForm(e.target.value)}
+                      key={p.value}
+                      className="w-full rounded-xl border px-3 py-1.5 outline-none focus:ring-2 focus:ring-brand-400 text-xs"
+                      placeholder={`${p.label} URL`}
+                      value={socialLinksForm[p.value] || ""}
+                      onChange={(e) =>
+                        setSocialLinksForm((prev) => ({
+                          ...prev,
+                          [p.value]: e.target.value,
+                        }))
+                      }
                     />
-                    <p className="mt-1 text-[11px] text-gray-500">
-                      Fans will pay this monthly to subscribe.
-                    </p>
-                  </div>
-                )}
+                  ))}
+                </div>
               </div>
 
               <button
@@ -615,6 +1024,15 @@ export default function CreatorDashboard() {
             </form>
           </div>
 
+          {/* Subscription tiers + bundles */}
+          <SubscriptionTiersEditor
+            username={creator.username}
+            token={user?.token || ""}
+            tiers={creator.tiers || []}
+            bundles={creator.bundles || []}
+            onCreatorChange={(updated: Creator) => setCreator(updated)}
+          />
+
           {/* Create post */}
           <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
             <h2 className="text-sm font-semibold text-gray-800 mb-3">
@@ -664,25 +1082,58 @@ export default function CreatorDashboard() {
               {/* Media upload */}
               <div>
                 <label className="block text-sm font-medium text-gray-700">
-                  Media (image or video)
+                  Media (images or videos)
                 </label>
                 <label className="mt-1 inline-flex items-center gap-2 rounded-xl border px-4 py-2 cursor-pointer hover:bg-gray-50 text-sm">
                   <input
                     type="file"
-                    accept="image/*,video/*"
+                    accept={POST_MEDIA_ACCEPT}
+                    multiple
                     className="sr-only"
                     onChange={(e) => {
-                      const file = e.target.files?.[0] || null;
-                      setMediaFile(file);
+                      const picked = Array.from(e.target.files || []);
+                      setMediaFiles((prev) =>
+                        [...prev, ...picked].slice(0, POST_MEDIA_MAX_FILES)
+                      );
+                      e.target.value = "";
                     }}
                   />
                   <span className="text-xs font-medium text-gray-700">
-                    {mediaFile ? "Change file" : "Choose file"}
+                    {mediaFiles.length > 0 ? "Add files" : "Choose files"}
                   </span>
                   <span className="text-xs text-gray-500">
-                    {mediaFile ? `• ${mediaFile.name}` : "PNG/JPG/MP4 etc."}
+                    JPG/PNG/WebP/GIF, MP4/WebM/MOV · up to{" "}
+                    {POST_MEDIA_MAX_FILES}
                   </span>
                 </label>
+                {mediaFiles.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {mediaFiles.map((file, i) => (
+                      <li
+                        key={`${file.name}-${i}`}
+                        className="flex items-center justify-between gap-2 rounded-lg bg-gray-50 px-3 py-1.5 text-xs text-gray-700"
+                      >
+                        <span className="truncate">
+                          {i + 1}. {file.name}{" "}
+                          <span className="text-gray-400">
+                            ({(file.size / (1024 * 1024)).toFixed(1)} MB)
+                          </span>
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setMediaFiles((prev) =>
+                              prev.filter((_, idx) => idx !== i)
+                            )
+                          }
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               <div className="grid sm:grid-cols-2 gap-4 items-end">
@@ -708,6 +1159,37 @@ export default function CreatorDashboard() {
                     />
                     <span>Pay-per-view (PPV)</span>
                   </label>
+                  <label
+                    className={classNames(
+                      "flex items-center gap-2 rounded-xl border px-3 py-2 text-sm",
+                      tiers.length > 0
+                        ? "cursor-pointer"
+                        : "cursor-not-allowed opacity-50"
+                    )}
+                  >
+                    <input
+                      type="radio"
+                      name="visibility"
+                      disabled={tiers.length === 0}
+                      checked={visibility === "subscribers"}
+                      onChange={() => setVisibility("subscribers")}
+                    />
+                    <span>Subscribers only</span>
+                  </label>
+                  {visibility !== "free" && tiers.length > 0 && (
+                    <select
+                      className="w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                      value={minTierId}
+                      onChange={(e) => setMinTierId(e.target.value)}
+                    >
+                      <option value="">Any subscription tier</option>
+                      {tiers.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name} and above
+                        </option>
+                      ))}
+                    </select>
+                  )}
                 </div>
 
                 {visibility === "ppv" && (
@@ -730,10 +1212,47 @@ export default function CreatorDashboard() {
                 )}
               </div>
 
+              <div className="space-y-2">
+                <span className="block text-sm font-medium text-gray-700">
+                  Publishing
+                </span>
+                <div className="flex flex-wrap items-center gap-2">
+                  {(
+                    [
+                      { value: "published", label: "Publish now" },
+                      { value: "scheduled", label: "Schedule" },
+                      { value: "draft", label: "Save as draft" },
+                    ] as { value: PostStatus; label: string }[]
+                  ).map((option) => (
+                    <label
+                      key={option.value}
+                      className="flex items-center gap-2 rounded-xl border px-3 py-2 cursor-pointer text-sm"
+                    >
+                      <input
+                        type="radio"
+                        name="postStatus"
+                        checked={postStatus === option.value}
+                        onChange={() => setPostStatus(option.value)}
+                      />
+                      <span>{option.label}</span>
+                    </label>
+                  ))}
+                  {postStatus === "scheduled" && (
+                    <input
+                      type="datetime-local"
+                      min={toLocalInputValue(new Date().toISOString())}
+                      className="rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                      value={publishAt}
+                      onChange={(e) => setPublishAt(e.target.value)}
+                    />
+                  )}
+                </div>
+              </div>
+
               <div className="flex items-center justify-between">
                 <p className="text-xs text-gray-500">
-                  This MVP saves your text, price, and media file. Later we’ll
-                  add scheduling, drafts, and bundles.
+                  Drafts and scheduled posts stay hidden from fans until they
+                  go live.
                 </p>
                 <button
                   type="submit"
@@ -745,7 +1264,13 @@ export default function CreatorDashboard() {
                       : "bg-gray-300 text-gray-600 cursor-not-allowed"
                   )}
                 >
-                  {submitting ? "Posting…" : "Post"}
+                  {submitting
+                    ? "Saving…"
+                    : postStatus === "draft"
+                    ? "Save draft"
+                    : postStatus === "scheduled"
+                    ? "Schedule"
+                    : "Post"}
                 </button>
               </div>
             </form>
@@ -755,23 +1280,51 @@ export default function CreatorDashboard() {
           <div className="rounded-2xl bg-white border border-gray-100 p-5 shadow-sm">
             <div className="flex items-center justify-between mb-3">
               <h2 className="text-sm font-semibold text-gray-800">
-                Your posts ({totalPosts})
+                Your posts
               </h2>
               <p className="text-[11px] text-gray-500">
-                Fans see these on your public profile.
+                {postsTab === "published"
+                  ? "Fans see these on your public profile."
+                  : "Only you can see these."}
               </p>
             </div>
 
-            {posts.length === 0 ? (
+            <div className="mb-3 flex gap-2">
+              {POST_TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  type="button"
+                  onClick={() => setPostsTab(tab.value)}
+                  className={classNames(
+                    "rounded-full px-3 py-1 text-[11px] font-medium",
+                    postsTab === tab.value
+                      ? "bg-gray-900 text-white"
+                      : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  )}
+                >
+                  {tab.label} (
+                  {posts.filter((p) => statusOf(p) === tab.value).length})
+                </button>
+              ))}
+            </div>
+
+            {tabPosts.length === 0 ? (
               <p className="text-sm text-gray-500">
-                You haven&apos;t posted anything yet. Create your first post
-                above.
+                {postsTab === "published"
+                  ? "You haven't posted anything yet. Create your first post above."
+                  : postsTab === "scheduled"
+                  ? "No scheduled posts."
+                  : "No drafts."}
               </p>
             ) : (
               <div className="space-y-3 max-h-80 overflow-auto pr-1">
-                {posts.map((post) => {
+                {tabPosts.map((post) => {
                   const isPPV = post.visibility === "ppv";
-                  const hasMedia = !!post.mediaFilename;
+                  const media = post.media || [];
+                  const cover = media[0];
+                  const coverSrc = cover
+                    ? cover.thumbUrl || cover.teaserUrl
+                    : null;
                   const isEditing = editingPostId === post.id;
                   const likeCount =
                     typeof post.likes === "number" ? post.likes : 0;
@@ -784,19 +1337,48 @@ export default function CreatorDashboard() {
                       <div className="flex items-start justify-between gap-3">
                         <div className="min-w-0">
                           <div className="flex items-center gap-2">
+                            {cover &&
+                              (coverSrc ? (
+                                <img
+                                  src={`http://localhost:4000${coverSrc}`}
+                                  alt=""
+                                  className="h-8 w-8 flex-shrink-0 rounded-md object-cover"
+                                />
+                              ) : (
+                                <span className="flex h-8 w-8 flex-shrink-0 items-center justify-center rounded-md bg-gray-100 text-xs">
+                                  {cover.type === "video" ? "▶" : "🖼"}
+                                </span>
+                              ))}
                             <p className="text-sm font-semibold text-gray-900 truncate max-w-[14rem]">
                               {post.title || "Untitled post"}
                             </p>
-                            {hasMedia && (
+                            {media.length > 1 && (
                               <span className="inline-flex items-center rounded-full bg-gray-100 px-2 py-0.5 text-[10px] font-medium text-gray-600">
-                                Media
+                                {media.length} files
                               </span>
                             )}
                           </div>
-                          {post.createdAt && (
+                          {statusOf(post) === "scheduled" && post.publishAt ? (
+                            <p className="mt-0.5 text-[11px] text-indigo-600">
+                              Goes live{" "}
+                              {new Date(post.publishAt).toLocaleString()}
+                            </p>
+                          ) : statusOf(post) === "draft" ? (
                             <p className="mt-0.5 text-[11px] text-gray-500">
-                              {new Date(post.createdAt).toLocaleString()}
+                              Draft
+                              {post.createdAt &&
+                                ` · saved ${new Date(
+                                  post.createdAt
+                                ).toLocaleString()}`}
                             </p>
+                          ) : (
+                            (post.publishedAt || post.createdAt) && (
+                              <p className="mt-0.5 text-[11px] text-gray-500">
+                                {new Date(
+                                  (post.publishedAt || post.createdAt) as string
+                                ).toLocaleString()}
+                              </p>
+                            )
                           )}
 
                           {/* NEW: likes row */}
@@ -812,6 +1394,13 @@ export default function CreatorDashboard() {
                             </span>
                             <span>{likeCount}</span>
                             <span>likes</span>
+                            <span className="ml-2">💬</span>
+                            <span>{post.commentCount ?? 0}</span>
+                            <span>
+                              {post.commentsDisabled
+                                ? "comments (off)"
+                                : "comments"}
+                            </span>
                           </p>
 
                           {post.description && !isEditing && (
@@ -829,7 +1418,13 @@ export default function CreatorDashboard() {
                                 : "bg-emerald-50 text-emerald-700 border border-emerald-100"
                             )}
                           >
-                            {isPPV ? "PPV" : "Free"}
+                            {isPPV
+                              ? "PPV"
+                              : post.visibility === "subscribers"
+                              ? post.requiredTier
+                                ? `${post.requiredTier.name}+`
+                                : "Subscribers"
+                              : "Free"}
                           </span>
                           {isPPV &&
                             typeof post.price === "number" &&
@@ -905,7 +1500,36 @@ export default function CreatorDashboard() {
                                   />
                                   <span>PPV</span>
                                 </label>
+                                {tiers.length > 0 && (
+                                  <label className="flex items-center gap-1 rounded-xl border px-2 py-1 cursor-pointer text-[11px]">
+                                    <input
+                                      type="radio"
+                                      name={`edit-vis-${post.id}`}
+                                      checked={editVisibility === "subscribers"}
+                                      onChange={() =>
+                                        setEditVisibility("subscribers")
+                                      }
+                                    />
+                                    <span>Subscribers</span>
+                                  </label>
+                                )}
                               </div>
+                              {editVisibility !== "free" && tiers.length > 0 && (
+                                <select
+                                  className="mt-1 w-full rounded-xl border px-2 py-1 text-[11px] outline-none focus:ring-2 focus:ring-brand-400"
+                                  value={editMinTierId}
+                                  onChange={(e) =>
+                                    setEditMinTierId(e.target.value)
+                                  }
+                                >
+                                  <option value="">Any tier</option>
+                                  {tiers.map((t) => (
+                                    <option key={t.id} value={t.id}>
+                                      {t.name} and above
+                                    </option>
+                                  ))}
+                                </select>
+                              )}
                             </div>
                           </div>
 
@@ -941,6 +1565,52 @@ export default function CreatorDashboard() {
                             />
                           </div>
 
+                          <label className="flex items-center gap-2 text-[11px] text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={!editCommentsDisabled}
+                              onChange={(e) =>
+                                setEditCommentsDisabled(!e.target.checked)
+                              }
+                            />
+                            <span>Allow comments on this post</span>
+                          </label>
+
+                          {statusOf(post) !== "published" && (
+                            <div className="flex flex-wrap items-center gap-2">
+                              {(
+                                [
+                                  { value: "draft", label: "Draft" },
+                                  { value: "scheduled", label: "Scheduled" },
+                                  { value: "published", label: "Publish now" },
+                                ] as { value: PostStatus; label: string }[]
+                              ).map((option) => (
+                                <label
+                                  key={option.value}
+                                  className="flex items-center gap-1 rounded-xl border px-2 py-1 cursor-pointer text-[11px]"
+                                >
+                                  <input
+                                    type="radio"
+                                    name={`edit-status-${post.id}`}
+                                    checked={editStatus === option.value}
+                                    onChange={() => setEditStatus(option.value)}
+                                  />
+                                  <span>{option.label}</span>
+                                </label>
+                              ))}
+                              {editStatus === "scheduled" && (
+                                <input
+                                  type="datetime-local"
+                                  className="rounded-xl border px-2 py-1 text-[11px] outline-none focus:ring-2 focus:ring-brand-400"
+                                  value={editPublishAt}
+                                  onChange={(e) =>
+                                    setEditPublishAt(e.target.value)
+                                  }
+                                />
+                              )}
+                            </div>
+                          )}
+
                           <div className="flex items-center justify-end gap-2">
                             <button
                               type="button"
@@ -996,40 +1666,99 @@ export default function CreatorDashboard() {
 
             <div className="rounded-xl bg-gray-50 p-3 text-left">
               <div className="flex items-center justify-between">
-                <span className="text-[11px] text-gray-500">
-                  Month-to-date earnings
-                </span>
-                <span className="text-xs font-semibold text-gray-900">
-                  {earningsLoading
-                    ? "Calculating…"
-                    : `${earningsCurrency} ${monthToDate.toFixed(2)}`}
-                </span>
-              </div>
-              <div className="mt-1 flex items-center justify-between">
-                <span className="text-[11px] text-gray-500">
-                  Last 30 days (MVP)
-                </span>
+                <span className="text-[11px] text-gray-500">Gross</span>
                 <span className="text-xs font-medium text-gray-800">
-                  {earningsCurrency} {last30.toFixed(2)}
-                </span>
-              </div>
-              <div className="mt-1 flex items-center justify-between">
-                <span className="text-[11px] text-gray-500">Lifetime</span>
-                <span className="text-xs font-medium text-gray-800">
-                  {earningsCurrency} {lifetime.toFixed(2)}
+                  {earningsLoading || !balance
+                    ? "Calculating…"
+                    : `${earningsCurrency} ${balance.gross.toFixed(2)}`}
                 </span>
               </div>
+              {balance && (
+                <>
+                  <div className="mt-1 flex items-center justify-between">
+                    <span className="text-[11px] text-gray-500">
+                      Platform fees ({balance.feePercent}%)
+                    </span>
+                    <span className="text-xs font-medium text-gray-800">
+                      − {earningsCurrency} {balance.fees.toFixed(2)}
+                    </span>
+                  </div>
+                  {balance.refunds > 0 && (
+                    <div className="mt-1 flex items-center justify-between">
+                      <span className="text-[11px] text-gray-500">
+                        Refunds & chargebacks
+                      </span>
+                      <span className="text-xs font-medium text-gray-800">
+                        − {earningsCurrency} {balance.refunds.toFixed(2)}
+                      </span>
+                    </div>
+                  )}
+                  <div className="mt-1 flex items-center justify-between">
+                    <span className="text-[11px] text-gray-500">Net</span>
+                    <span className="text-xs font-semibold text-gray-900">
+                      {earningsCurrency} {balance.net.toFixed(2)}
+                    </span>
+                  </div>
+
+                  <div className="mt-3 border-t border-gray-200 pt-2">
+                    <div className="flex items-center justify-between">
+                      <span className="text-[11px] text-gray-500">
+                        Pending ({balance.holdDays}-day hold)
+                      </span>
+                      <span className="text-xs font-medium text-gray-800">
+                        {earningsCurrency} {balance.pending.toFixed(2)}
+                      </span>
+                    </div>
+                    {balance.inPayout > 0 && (
+                      <div className="mt-1 flex items-center justify-between">
+                        <span className="text-[11px] text-gray-500">
+                          Payout requested
+                        </span>
+                        <span className="text-xs font-medium text-gray-800">
+                          {earningsCurrency} {balance.inPayout.toFixed(2)}
+                        </span>
+                      </div>
+                    )}
+                    <div className="mt-1 flex items-center justify-between">
+                      <span className="text-[11px] text-gray-500">
+                        Withdrawable
+                      </span>
+                      <span className="text-sm font-bold text-emerald-700">
+                        {earningsCurrency} {balance.withdrawable.toFixed(2)}
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={handleRequestPayout}
+                      disabled={
+                        payoutRequesting ||
+                        balance.withdrawable < balance.payoutMinimum
+                      }
+                      className="mt-2 w-full rounded-full bg-gray-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-black disabled:opacity-50"
+                    >
+                      {payoutRequesting ? "Requesting…" : "Request payout"}
+                    </button>
+                    {payoutMessage && (
+                      <p className="mt-1 text-[11px] text-gray-600">
+                        {payoutMessage}
+                      </p>
+                    )}
+                  </div>
+                </>
+              )}
 
               {earnings && (
                 <div className="mt-3 border-t border-gray-200 pt-2">
                   <p className="text-[11px] text-gray-500 mb-1">
-                    Breakdown (MVP, all-time)
+                    Gross by source (all-time)
                   </p>
                   <p className="text-[11px] text-gray-600">
                     Subs: {earningsCurrency}{" "}
                     {earnings.sources.subscriptions.toFixed(2)} · PPV:{" "}
                     {earningsCurrency} {earnings.sources.ppv.toFixed(2)} · Tips:{" "}
-                    {earningsCurrency} {earnings.sources.tips.toFixed(2)}
+                    {earningsCurrency} {earnings.sources.tips.toFixed(2)} ·
+                    Customs: {earningsCurrency}{" "}
+                    {earnings.sources.customRequests.toFixed(2)}
                   </p>
                 </div>
               )}
@@ -1057,8 +1786,14 @@ export default function CreatorDashboard() {
               )}
 
               <p className="mt-3 text-[11px] text-gray-500">
-                This MVP treats all earnings as one bucket. Later we can split
-                by month, active subscribers, refunds, and payout schedule.
+                New earnings stay pending for the hold period before they can
+                be withdrawn
+                {balance
+                  ? ` (minimum payout ${earningsCurrency} ${balance.payoutMinimum.toFixed(
+                      2
+                    )})`
+                  : ""}
+                .
               </p>
             </div>
           </div>
@@ -1066,16 +1801,26 @@ export default function CreatorDashboard() {
           {/* Coming soon / CRM area */}
           <div className="rounded-2xl bg-gray-900 text-white p-5 shadow-sm">
             <h2 className="text-sm font-semibold mb-2">
-              Requests, tips & DMs (coming soon)
+              Requests, tips & DMs
             </h2>
-            <p className="text-xs text-gray-200">
-              This area will become your creator CRM:
-            </p>
+            <div className="flex flex-wrap gap-2">
+              <Link
+                to={`/creator/${encodeURIComponent(username)}/requests`}
+                className="rounded-full bg-white px-3 py-1.5 text-xs font-semibold text-gray-900 hover:bg-gray-100"
+              >
+                Custom requests
+              </Link>
+              <Link
+                to="/inbox"
+                className="rounded-full border border-white/30 px-3 py-1.5 text-xs font-semibold text-white hover:bg-white/10"
+              >
+                Messages
+              </Link>
+            </div>
+            <p className="mt-3 text-xs text-gray-200">Coming soon to your creator CRM:</p>
             <ul className="mt-2 space-y-1.5 text-xs text-gray-100">
-              <li>• Inbox of custom requests</li>
               <li>• Tip history with messages from fans</li>
               <li>• Mass messaging / auto-DM tools</li>
-              <li>• Analytics on which posts earn the most</li>
             </ul>
             <p className="mt-3 text-[11px] text-gray-300">
               You already have tips + custom requests on your profile. We&apos;re
@@ -1,9 +1,21 @@
 import React, { useEffect, useState, FormEvent } from "react";
-import { Link, useParams } from "react-router-dom";
+import { Link, useNavigate, useParams } from "react-router-dom";
 import { useAuth } from "../AuthContext";
+import { checkoutHeaders, confirmPayment, endCheckout } from "../payments";
+import PostComments from "../PostComments";
+import ReportButton from "../ReportButton";
+import PostMedia, { PostMediaItem } from "../PostMedia";
+import {
+  SOCIAL_PLATFORMS,
+  SocialLinks,
+  SubscriptionTier,
+  billingPeriodLabel,
+  categoryLabel,
+  profileImageSrc,
+} from "../creatorProfile";
 
 type AccountType = "free" | "subscription";
-type Visibility = "free" | "ppv";
+type Visibility = "free" | "subscribers" | "ppv";
 
 type Creator = {
   id: number;
@@ -14,6 +26,16 @@ type Creator = {
   price?: number | null;
   createdAt?: string;
   status?: string;
+  bio?: string;
+  location?: string;
+  category?: string | null;
+  socialLinks?: SocialLinks;
+  tags?: string[];
+  avatarUrl?: string | null;
+  bannerUrl?: string | null;
+  followers?: number;
+  followedByMe?: boolean;
+  tiers?: SubscriptionTier[];
 };
 
 type CreatorPost = {
@@ -23,11 +45,16 @@ type CreatorPost = {
   price?: number | null;
   description?: string;
   createdAt?: string;
-  mediaFilename?: string | null;
-  mediaMime?: string | null;
+  hasMedia?: boolean;
+  // Signed URLs are null while the post is locked for this viewer
+  media?: PostMediaItem[];
+  // Minimum tier for subscriber posts (null = any subscription)
+  requiredTier?: { id: number; name: string; level: number } | null;
   // backend like data
   likes?: number;
-  likedBy?: string[];
+  likedByMe?: boolean;
+  commentCount?: number;
+  commentsDisabled?: boolean;
   /**
    * Indicates whether this post is currently locked for the viewing fan.
    * This flag is returned from the backend based on subscription and PPV unlock status.
@@ -35,6 +62,20 @@ type CreatorPost = {
   locked?: boolean;
 };
 
+// The viewing fan's current subscription (from /api/creators/:username/subscription)
+type FanSubscription = {
+  id: number;
+  tierId: number | null;
+  tierName: string | null;
+  tierLevel: number;
+  months: number;
+  price: number;
+  currency: string;
+  status: "active" | "expired";
+  autoRenew: boolean;
+  expiresAt: string;
+};
+
 // Frontend-friendly view of earnings; we’ll map backend → this
 type EarningsBreakdown = {
   currency: string;
@@ -56,6 +97,7 @@ function classNames(...c: Array<string | false | undefined>) {
 export default function CreatorProfile() {
   const { username } = useParams<{ username: string }>();
   const { user } = useAuth();
+  const navigate = useNavigate();
 
   const [creator, setCreator] = useState<Creator | null>(null);
   const [posts, setPosts] = useState<CreatorPost[]>([]);
@@ -74,10 +116,12 @@ export default function CreatorProfile() {
   const [tipSubmitting, setTipSubmitting] = useState(false);
   const [tipError, setTipError] = useState<string | null>(null);
 
-  // Custom request modal state (still fake)
+  // Custom request modal state
   const [requestOpen, setRequestOpen] = useState(false);
   const [requestText, setRequestText] = useState("");
   const [requestBudget, setRequestBudget] = useState<string>("25.00");
+  const [requestSubmitting, setRequestSubmitting] = useState(false);
+  const [requestError, setRequestError] = useState<string | null>(null);
 
   // Local like state per post
   // liked: whether THIS user has liked
@@ -92,27 +136,47 @@ export default function CreatorProfile() {
   const [unlockingPostId, setUnlockingPostId] = useState<number | null>(null);
   const [unlockError, setUnlockError] = useState<string | null>(null);
 
-  // Subscription state
-  const [subscribed, setSubscribed] = useState(false);
-  const [subscribing, setSubscribing] = useState(false);
+  // Subscription state (server is the source of truth)
+  const [subscription, setSubscription] = useState<FanSubscription | null>(null);
+  // Tier id being subscribed to, and the billing period picked per tier
+  const [subscribing, setSubscribing] = useState<number | null>(null);
+  const [tierMonths, setTierMonths] = useState<Record<number, number>>({});
+  const [followUpdating, setFollowUpdating] = useState(false);
+  const [openComments, setOpenComments] = useState<Record<number, boolean>>({});
   const [subscribeError, setSubscribeError] = useState<string | null>(null);
+  const [renewUpdating, setRenewUpdating] = useState(false);
+  const subscribed = !!subscription;
+
+  // Bumped after subscribing so posts are re-fetched with their new lock state
+  const [postsVersion, setPostsVersion] = useState(0);
 
   // Owner view toggle: controls ONLY blur/lock (creator vs fan preview)
   const [viewerMode, setViewerMode] = useState<"creator" | "fan">("creator");
 
-  // Restore subscription UI state from localStorage when the username changes.
-  useEffect(() => {
-    if (!username) return;
+  async function loadSubscription() {
+    if (!username || !user?.token) {
+      setSubscription(null);
+      return;
+    }
     try {
-      const key = `faniko:subscribed:${username}`;
-      const saved = localStorage.getItem(key);
-      if (saved === "true") {
-        setSubscribed(true);
-      }
-    } catch {
-      // ignore storage errors
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/subscription`,
+        { headers: { Authorization: `Bearer ${user.token}` } }
+      );
+      const data = await res.json();
+      setSubscription(res.ok && data.subscribed ? data.subscription : null);
+    } catch (err) {
+      console.warn("Failed to load subscription:", err);
+      setSubscription(null);
     }
-  }, [username]);
+  }
+
+  // Load the viewer's subscription whenever the profile or user changes.
+  useEffect(() => {
+    loadSubscription();
+  }, [username, user]);
 
   useEffect(() => {
     if (!username) return;
@@ -122,9 +186,12 @@ export default function CreatorProfile() {
         setLoading(true);
         setError(null);
 
-        // 1) Load creator
+        // 1) Load creator (token lets owners preview a profile that's under review)
         const creatorRes = await fetch(
-          `http://localhost:4000/api/creators/${encodeURIComponent(username)}`
+          `http://localhost:4000/api/creators/${encodeURIComponent(username)}`,
+          user?.token
+            ? { headers: { Authorization: `Bearer ${user.token}` } }
+            : undefined
         );
         if (!creatorRes.ok) {
           if (creatorRes.status === 404) {
@@ -145,9 +212,6 @@ export default function CreatorProfile() {
           fetchOptions.headers = {
             Authorization: `Bearer ${(user as any).token}`,
           };
-        } else if (user && user.username) {
-          // Fallback: send fanUsername as a query param if no token
-          postsUrl += `?fanUsername=${encodeURIComponent(user.username)}`;
         }
         const postsRes = await fetch(postsUrl, fetchOptions);
         if (!postsRes.ok) {
@@ -172,7 +236,7 @@ export default function CreatorProfile() {
     }
 
     loadData();
-  }, [username, user]);
+  }, [username, user, postsVersion]);
 
   // Are we viewing our own creator profile?
   const isOwner =
@@ -196,7 +260,12 @@ export default function CreatorProfile() {
         const earningsRes = await fetch(
           `http://localhost:4000/api/creators/${encodeURIComponent(
             username
-          )}/earnings`
+          )}/earnings`,
+          {
+            headers: user?.token
+              ? { Authorization: `Bearer ${user.token}` }
+              : undefined,
+          }
         );
         if (earningsRes.ok) {
           const raw = await earningsRes.json();
@@ -210,7 +279,7 @@ export default function CreatorProfile() {
               subscriptions: Number(totals.subscriptions || 0),
               ppv: Number(totals.ppv || 0),
               tips: Number(totals.tips || 0),
-              customRequests: 0,
+              customRequests: Number(totals.customRequests || 0),
             },
           };
           setEarnings(converted);
@@ -226,7 +295,7 @@ export default function CreatorProfile() {
     }
 
     loadEarnings();
-  }, [username, isOwner]);
+  }, [username, isOwner, user]);
 
   // When posts or user change, initialise like state (for heart color + count)
   useEffect(() => {
@@ -235,14 +304,8 @@ export default function CreatorProfile() {
     posts.forEach((p) => {
       const raw = p as any;
       const likesCount = typeof raw.likes === "number" ? Number(raw.likes) : 0;
-      const likedBy: string[] | undefined = raw.likedBy;
-      let liked = false;
-      if (user && Array.isArray(likedBy)) {
-        const me = user.username.toLowerCase();
-        liked = likedBy.some((name) => String(name).toLowerCase() === me);
-      }
       initial[p.id] = {
-        liked,
+        liked: !!user && !!raw.likedByMe,
         count: likesCount,
       };
     });
@@ -268,9 +331,6 @@ export default function CreatorProfile() {
         {
           method: "POST",
           headers: likeHeaders,
-          body: JSON.stringify({
-            fanUsername: user.username,
-          }),
         }
       );
       const data = await res.json();
@@ -307,6 +367,10 @@ export default function CreatorProfile() {
   async function handleTipSubmit(e: FormEvent) {
     e.preventDefault();
     if (!username) return;
+    if (!user) {
+      alert("You need to be logged in to send a tip.");
+      return;
+    }
     const amountNum = Number(tipAmount || "0");
     if (Number.isNaN(amountNum) || amountNum <= 0) {
       alert("Please enter a valid tip amount.");
@@ -314,8 +378,12 @@ export default function CreatorProfile() {
     }
     setTipSubmitting(true);
     setTipError(null);
+    const checkout = `tip:${username}`;
     try {
-      const tipHeaders: any = { "Content-Type": "application/json" };
+      const tipHeaders: any = {
+        "Content-Type": "application/json",
+        ...checkoutHeaders(checkout),
+      };
       if (user && (user as any).token) {
         tipHeaders["Authorization"] = `Bearer ${(user as any).token}`;
       }
@@ -329,21 +397,27 @@ export default function CreatorProfile() {
           body: JSON.stringify({
             amount: amountNum,
             message: tipMessage.trim(),
-            fanUsername: user?.username ?? null,
-            fanEmail: user?.email ?? null,
             postId: activeTipPostId,
           }),
         }
       );
       const data = await res.json();
+      // Answered: a retry after a network error keeps the key, anything else is a new checkout
+      endCheckout(checkout);
       if (!res.ok) {
         setTipError(data?.error || "Failed to send tip. Please try again.");
         return;
       }
+      try {
+        await confirmPayment(data.payment);
+      } catch (err: any) {
+        setTipError(err.message || "Payment failed. Please try again.");
+        return;
+      }
       alert(
         `Thanks! Your $${amountNum.toFixed(
           2
-        )} tip was recorded (MVP, no real charge).`
+        )} tip was sent (test payment, no real charge).`
       );
       setTipOpen(false);
       setActiveTipPostId(null);
@@ -358,8 +432,13 @@ export default function CreatorProfile() {
     }
   }
 
-  function handleFakeRequestSubmit(e: FormEvent) {
+  async function handleRequestSubmit(e: FormEvent) {
     e.preventDefault();
+    if (!username) return;
+    if (!user) {
+      alert("You need to be logged in to send a custom request.");
+      return;
+    }
     if (!requestText.trim()) {
       alert("Please describe what you want.");
       return;
@@ -369,18 +448,64 @@ export default function CreatorProfile() {
       alert("Please enter a valid budget.");
       return;
     }
-    alert(
-      `MVP: Sent custom request (Budget: $${budgetNum.toFixed(
-        2
-      )}). This would normally DM the creator.`
-    );
-    setRequestOpen(false);
-    setRequestText("");
-    setRequestBudget("25.00");
+    setRequestSubmitting(true);
+    setRequestError(null);
+    const checkout = `request:${username}`;
+    try {
+      const requestHeaders: any = {
+        "Content-Type": "application/json",
+        ...checkoutHeaders(checkout),
+      };
+      if (user.token) {
+        requestHeaders["Authorization"] = `Bearer ${user.token}`;
+      }
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/requests`,
+        {
+          method: "POST",
+          headers: requestHeaders,
+          body: JSON.stringify({
+            message: requestText.trim(),
+            budget: budgetNum,
+          }),
+        }
+      );
+      const data = await res.json();
+      endCheckout(checkout);
+      if (!res.ok) {
+        setRequestError(data?.error || "Failed to send request. Please try again.");
+        return;
+      }
+      try {
+        await confirmPayment(data.payment);
+      } catch (err: any) {
+        setRequestError(err.message || "Payment failed. Please try again.");
+        return;
+      }
+      alert(
+        `Custom request sent and $${budgetNum.toFixed(
+          2
+        )} paid (test payment, no real charge). If the creator declines, you'll be refunded.`
+      );
+      setRequestOpen(false);
+      setRequestText("");
+      setRequestBudget("25.00");
+    } catch (err: any) {
+      console.error(err);
+      setRequestError("Something went wrong. Please try again.");
+    } finally {
+      setRequestSubmitting(false);
+    }
   }
 
   async function handleUnlockPost(postId: number) {
     if (!username) return;
+    if (!user) {
+      alert("You need to be logged in to unlock posts.");
+      return;
+    }
     const post = posts.find((p) => p.id === postId);
     if (!post) {
       alert("Post not found.");
@@ -395,8 +520,12 @@ export default function CreatorProfile() {
     }
     setUnlockingPostId(postId);
     setUnlockError(null);
+    const checkout = `unlock:${postId}`;
     try {
-      const unlockHeaders: any = { "Content-Type": "application/json" };
+      const unlockHeaders: any = {
+        "Content-Type": "application/json",
+        ...checkoutHeaders(checkout),
+      };
       if (user && (user as any).token) {
         unlockHeaders["Authorization"] = `Bearer ${(user as any).token}`;
       }
@@ -407,25 +536,30 @@ export default function CreatorProfile() {
         {
           method: "POST",
           headers: unlockHeaders,
-          body: JSON.stringify({
-            fanUsername: user?.username ?? null,
-            fanEmail: user?.email ?? null,
-          }),
         }
       );
       const data = await res.json();
+      endCheckout(checkout);
       if (!res.ok) {
         setUnlockError(data?.error || "Failed to unlock this post.");
         return;
       }
-      setUnlocked((prev) => ({ ...prev, [postId]: true }));
       if (!data.alreadyUnlocked) {
+        try {
+          await confirmPayment(data.payment);
+        } catch (err: any) {
+          setUnlockError(err.message || "Payment failed. Please try again.");
+          return;
+        }
         alert(
           `Unlocked this PPV post for $${post.price!.toFixed(
             2
-          )} (MVP, no real charge).`
+          )} (test payment, no real charge).`
         );
+        // Re-fetch so the post comes back with its media and description
+        setPostsVersion((v) => v + 1);
       }
+      setUnlocked((prev) => ({ ...prev, [postId]: true }));
     } catch (err: any) {
       console.error(err);
       setUnlockError("Something went wrong while unlocking this post.");
@@ -434,13 +568,81 @@ export default function CreatorProfile() {
     }
   }
 
-  async function handleSubscribe() {
+  // Blocking hides the creator from us (and us from them) everywhere, so leave the page
+  async function handleBlock() {
+    if (!creator || !user) return;
+    const ok = window.confirm(
+      `Block @${creator.username}? You won't see each other's profiles, posts or messages, and subscriptions between you stop renewing.`
+    );
+    if (!ok) return;
+
+    try {
+      const res = await fetch("http://localhost:4000/api/blocks", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${user.token}`,
+        },
+        body: JSON.stringify({ username: creator.username }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not block this creator");
+      navigate("/explore", { replace: true });
+    } catch (err: any) {
+      alert(err.message || "Could not block this creator");
+    }
+  }
+
+  // Free follow: puts the creator's posts in the fan's home feed
+  async function handleToggleFollow() {
+    if (!username || !creator) return;
+    if (!user) {
+      alert("You need to be logged in to follow creators.");
+      return;
+    }
+
+    setFollowUpdating(true);
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/follow`,
+        {
+          method: creator.followedByMe ? "DELETE" : "POST",
+          headers: { Authorization: `Bearer ${user.token}` },
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not update follow");
+
+      setCreator((prev) =>
+        prev
+          ? { ...prev, followedByMe: data.following, followers: data.followers }
+          : prev
+      );
+    } catch (err: any) {
+      alert(err.message || "Could not update follow");
+    } finally {
+      setFollowUpdating(false);
+    }
+  }
+
+  async function handleSubscribe(tier: SubscriptionTier) {
     if (!username || !creator) return;
-    if (creator.accountType !== "subscription") return;
-    setSubscribing(true);
+    if (!user) {
+      alert("You need to be logged in to subscribe.");
+      return;
+    }
+    const months = tierMonths[tier.id] || 1;
+    const option = tier.options.find((o) => o.months === months);
+    setSubscribing(tier.id);
     setSubscribeError(null);
+    const checkout = `subscribe:${username}:${tier.id}:${months}`;
     try {
-      const subscribeHeaders: any = { "Content-Type": "application/json" };
+      const subscribeHeaders: any = {
+        "Content-Type": "application/json",
+        ...checkoutHeaders(checkout),
+      };
       if (user && (user as any).token) {
         subscribeHeaders["Authorization"] = `Bearer ${(user as any).token}`;
       }
@@ -451,107 +653,73 @@ export default function CreatorProfile() {
         {
           method: "POST",
           headers: subscribeHeaders,
-          body: JSON.stringify({
-            fanUsername: user?.username ?? null,
-            fanEmail: user?.email ?? null,
-          }),
+          body: JSON.stringify({ tierId: tier.id, months }),
         }
       );
       const data = await res.json();
+      endCheckout(checkout);
       if (!res.ok) {
         setSubscribeError(
           data?.error || "Failed to start subscription. Please try again."
         );
         return;
       }
-      setSubscribed(true);
-      // Persist subscription flag in localStorage for UI state
-      try {
-        const key = `faniko:subscribed:${username}`;
-        localStorage.setItem(key, "true");
-      } catch {
-        /* ignore */
-      }
       if (!data.alreadySubscribed) {
+        try {
+          await confirmPayment(data.payment);
+        } catch (err: any) {
+          setSubscribeError(err.message || "Payment failed. Please try again.");
+          return;
+        }
+        setPostsVersion((v) => v + 1);
+        const credit = Number(data.upgradeCredit) || 0;
         alert(
-          `Subscription started at $${creator.price?.toFixed(
-            2
-          )}/month (MVP, no real charge).`
+          `${tier.name} subscription started at $${(
+            option?.price ?? tier.price
+          ).toFixed(2)}/${billingPeriodLabel(months)}${
+            credit > 0
+              ? ` ($${credit.toFixed(2)} credited for the rest of your current plan)`
+              : ""
+          } (test payment, no real charge).`
         );
       }
+      await loadSubscription();
     } catch (err: any) {
       console.error(err);
       setSubscribeError("Something went wrong. Please try again.");
     } finally {
-      setSubscribing(false);
+      setSubscribing(null);
     }
   }
 
-  function renderMedia(post: CreatorPost, isLocked: boolean) {
-    if (!post.mediaFilename) {
-      return (
-        <span className="text-xs text-gray-500">
-          {isLocked
-            ? "Locked media (image/video)"
-            : "Free preview media (placeholder)"}
-        </span>
+  // Cancel (turn off auto-renew) or resume the current subscription
+  async function handleToggleRenew() {
+    if (!username || !subscription || !user?.token) return;
+    setRenewUpdating(true);
+    setSubscribeError(null);
+    try {
+      const action = subscription.autoRenew ? "cancel" : "resume";
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/subscription/${action}`,
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${user.token}` },
+        }
       );
-    }
-    const url = `http://localhost:4000/uploads/${post.mediaFilename}`;
-    const isImage = post.mediaMime?.startsWith("image/");
-    const isVideo = post.mediaMime?.startsWith("video/");
-    if (isLocked) {
-      if (isImage) {
-        return (
-          <img
-            src={url}
-            alt={post.title}
-            className="h-full w-full object-cover blur-2xl"
-          />
-        );
-      }
-      if (isVideo) {
-        return (
-          <video
-            className="h-full w-full object-cover blur-2xl"
-            muted
-            playsInline
-          >
-            <source src={url} />
-            Your browser does not support the video tag.
-          </video>
-        );
+      const data = await res.json();
+      if (!res.ok) {
+        setSubscribeError(data?.error || "Failed to update subscription.");
+        return;
       }
-      return null;
-    }
-    if (isImage) {
-      return (
-        <img
-          src={url}
-          alt={post.title}
-          className="h-full w-full object-cover"
-        />
-      );
-    }
-    if (isVideo) {
-      return (
-        <video
-          className="h-full w-full object-cover"
-          controls
-          controlsList="nodownload noplaybackrate"
-          onContextMenu={(e) => e.preventDefault()}
-          playsInline
-        >
-          <source src={url} />
-          Your browser does not support the video tag.
-        </video>
-      );
+      setSubscription(data.subscription);
+    } catch (err) {
+      console.error(err);
+      setSubscribeError("Something went wrong. Please try again.");
+    } finally {
+      setRenewUpdating(false);
     }
-    return (
-      <span className="text-xs text-gray-500">
-        Unsupported media type. (MVP)
-      </span>
-    );
   }
 
   if (!username) {
@@ -589,11 +757,20 @@ export default function CreatorProfile() {
       </div>
     );
   }
+  const tiers = creator.tiers || [];
   const subscriptionLabel =
-    creator.accountType === "subscription" && typeof creator.price === "number"
-      ? `$${creator.price.toFixed(2)}/month`
+    tiers.length > 0
+      ? `${tiers.length > 1 ? "From " : ""}$${Math.min(
+          ...tiers.map((t) => t.price)
+        ).toFixed(2)}/month`
       : "Free to follow";
   const earningsCurrency = earnings?.currency || "USD";
+  const avatarSrc = profileImageSrc(creator.avatarUrl);
+  const bannerSrc = profileImageSrc(creator.bannerUrl);
+  const creatorCategory = categoryLabel(creator.category);
+  const socialLinks = SOCIAL_PLATFORMS.filter(
+    (p) => creator.socialLinks?.[p.value]
+  );
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -666,6 +843,82 @@ export default function CreatorProfile() {
         </div>
       </header>
       <main className="mx-auto max-w-4xl px-4 py-6">
+        {/* Profile: banner, avatar, bio, links */}
+        <section className="mb-6 overflow-hidden rounded-2xl border border-gray-100 bg-white shadow-sm">
+          <div className="h-32 sm:h-44 bg-gradient-to-tr from-brand-400 to-brand-600">
+            {bannerSrc && (
+              <img
+                src={bannerSrc}
+                alt=""
+                className="h-full w-full object-cover"
+              />
+            )}
+          </div>
+          <div className="px-5 pb-5">
+            <div className="-mt-10 flex items-end gap-4">
+              {avatarSrc ? (
+                <img
+                  src={avatarSrc}
+                  alt={creator.displayName}
+                  className="h-20 w-20 rounded-full border-4 border-white bg-white object-cover"
+                />
+              ) : (
+                <div className="h-20 w-20 rounded-full border-4 border-white bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center text-2xl font-bold">
+                  {(creator.displayName || creator.username)
+                    .charAt(0)
+                    .toUpperCase()}
+                </div>
+              )}
+              <div className="pb-1 flex flex-wrap items-center gap-2 text-[11px] text-gray-500">
+                {creatorCategory && (
+                  <span className="rounded-full bg-brand-50 px-2 py-0.5 font-medium text-brand-700">
+                    {creatorCategory}
+                  </span>
+                )}
+                {creator.location && <span>📍 {creator.location}</span>}
+                {typeof creator.followers === "number" && (
+                  <span>
+                    {creator.followers}{" "}
+                    {creator.followers === 1 ? "follower" : "followers"}
+                  </span>
+                )}
+              </div>
+            </div>
+            {creator.bio && (
+              <p className="mt-3 whitespace-pre-line text-sm text-gray-700">
+                {creator.bio}
+              </p>
+            )}
+            {creator.tags && creator.tags.length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-1">
+                {creator.tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className="rounded-full bg-gray-100 px-2 py-0.5 text-[11px] text-gray-600"
+                  >
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            {socialLinks.length > 0 && (
+              <div className="mt-3 flex flex-wrap gap-2">
+                {socialLinks.map((p) => (
+                  <a
+                    key={p.value}
+                    href={creator.socialLinks?.[p.value]}
+                    target="_blank"
+                    rel="noopener noreferrer nofollow"
+                    className="rounded-full border border-gray-200 px-3 py-1 text-[11px] font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    {p.label}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        </section>
+
         {/* Top actions */}
         <section className="mb-6 flex flex-wrap items-center justify-between gap-4">
           <div>
@@ -716,29 +969,62 @@ export default function CreatorProfile() {
               <>
                 <button
                   type="button"
-                  className="rounded-full bg-gray-900 px-4 py-2 text-xs font-semibold text-white hover:bg-black"
+                  onClick={handleToggleFollow}
+                  disabled={followUpdating}
+                  className={classNames(
+                    "rounded-full px-4 py-2 text-xs font-semibold",
+                    creator.followedByMe
+                      ? "border border-gray-200 bg-white text-gray-700 hover:bg-gray-50"
+                      : "bg-gray-900 text-white hover:bg-black"
+                  )}
                 >
-                  Follow (fake)
+                  {creator.followedByMe ? "Following" : "Follow"}
                 </button>
-                {creator.accountType === "subscription" && (
+                <Link
+                  to={
+                    user
+                      ? `/inbox/${encodeURIComponent(creator.username)}`
+                      : "/login"
+                  }
+                  state={user ? undefined : { from: `/inbox/${creator.username}` }}
+                  className="rounded-full border border-gray-200 bg-white px-4 py-2 text-xs font-semibold text-gray-700 hover:bg-gray-50"
+                >
+                  Message
+                </Link>
+                {(tiers.length > 0 || subscription) && (
                   <button
                     type="button"
-                    onClick={handleSubscribe}
-                    disabled={subscribing || subscribed}
+                    onClick={() =>
+                      document
+                        .getElementById("tiers")
+                        ?.scrollIntoView({ behavior: "smooth" })
+                    }
                     className={classNames(
                       "rounded-full px-4 py-2 text-xs font-semibold border",
                       subscribed
-                        ? "bg-emerald-50 border-emerald-200 text-emerald-700 cursor-default"
+                        ? "bg-emerald-50 border-emerald-200 text-emerald-700"
                         : "bg-white border-brand-200 text-brand-700 hover:bg-brand-50"
                     )}
                   >
                     {subscribed
-                      ? "Subscribed"
-                      : subscribing
-                      ? "Subscribing…"
-                      : creator.price
-                      ? `Subscribe $${creator.price.toFixed(2)}/month`
-                      : "Subscribe"}
+                      ? `Subscribed${
+                          subscription?.tierName
+                            ? ` · ${subscription.tierName}`
+                            : ""
+                        }`
+                      : `Subscribe · ${subscriptionLabel}`}
+                  </button>
+                )}
+                {subscription && (
+                  <button
+                    type="button"
+                    onClick={handleToggleRenew}
+                    disabled={renewUpdating}
+                    className="rounded-full px-2 py-2 text-[11px] font-medium text-gray-500 hover:text-gray-800 disabled:opacity-60"
+                  >
+                    {subscription.autoRenew
+                      ? `Renews ${new Date(subscription.expiresAt).toLocaleDateString()} · Cancel`
+                      : `Ends ${new Date(subscription.expiresAt).toLocaleDateString()} · Resume`}
                   </button>
                 )}
                 <button
@@ -755,6 +1041,18 @@ export default function CreatorProfile() {
                 >
                   Request custom
                 </button>
+                {user && (
+                  <span className="flex items-center gap-3 text-[11px] text-gray-400">
+                    <ReportButton targetType="creator" targetId={creator.id} />
+                    <button
+                      type="button"
+                      onClick={handleBlock}
+                      className="hover:text-red-600"
+                    >
+                      Block
+                    </button>
+                  </span>
+                )}
               </>
             )}
           </div>
@@ -764,6 +1062,117 @@ export default function CreatorProfile() {
             {subscribeError || unlockError}
           </p>
         )}
+        {/* Subscription tiers */}
+        {tiers.length > 0 && (
+          <section id="tiers" className="mb-6">
+            <h2 className="mb-3 text-sm font-semibold text-gray-900">
+              Subscription tiers
+            </h2>
+            <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+              {tiers.map((tier) => {
+                const months = tierMonths[tier.id] || 1;
+                const option =
+                  tier.options.find((o) => o.months === months) ||
+                  tier.options[0];
+                const isCurrent = subscription?.tierId === tier.id;
+                const isIncluded =
+                  !!subscription && tier.level <= subscription.tierLevel;
+                return (
+                  <div
+                    key={tier.id}
+                    className={classNames(
+                      "flex flex-col rounded-2xl border bg-white p-4 shadow-sm",
+                      isCurrent ? "border-emerald-300" : "border-gray-100"
+                    )}
+                  >
+                    <div className="flex items-baseline justify-between gap-2">
+                      <h3 className="text-sm font-semibold text-gray-900">
+                        {tier.name}
+                      </h3>
+                      <span className="text-sm font-bold text-gray-900">
+                        ${tier.price.toFixed(2)}
+                        <span className="text-[11px] font-normal text-gray-500">
+                          /month
+                        </span>
+                      </span>
+                    </div>
+                    {tier.perks.length > 0 && (
+                      <ul className="mt-2 space-y-1 text-xs text-gray-600">
+                        {tier.perks.map((perk, i) => (
+                          <li key={i}>✓ {perk}</li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="mt-auto pt-3">
+                      {!isOwner && !isIncluded && tier.options.length > 1 && (
+                        <div className="mb-2 flex flex-wrap gap-1">
+                          {tier.options.map((o) => (
+                            <button
+                              key={o.months}
+                              type="button"
+                              onClick={() =>
+                                setTierMonths((prev) => ({
+                                  ...prev,
+                                  [tier.id]: o.months,
+                                }))
+                              }
+                              className={classNames(
+                                "rounded-full border px-2 py-0.5 text-[11px]",
+                                o.months === months
+                                  ? "border-gray-900 bg-gray-900 text-white"
+                                  : "border-gray-200 text-gray-600 hover:bg-gray-50"
+                              )}
+                            >
+                              {o.months === 1
+                                ? "Monthly"
+                                : `${o.months} months −${o.discountPercent}%`}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {isOwner ? (
+                        <p className="text-[11px] text-gray-500">
+                          Edit your tiers from the dashboard.
+                        </p>
+                      ) : isCurrent ? (
+                        <p className="text-xs font-semibold text-emerald-700">
+                          Your current tier
+                        </p>
+                      ) : isIncluded ? (
+                        <p className="text-xs text-gray-500">
+                          Included in your tier
+                        </p>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => handleSubscribe(tier)}
+                          disabled={subscribing !== null}
+                          className="w-full rounded-xl bg-brand-600 px-3 py-2 text-xs font-semibold text-white hover:bg-brand-700 disabled:opacity-60"
+                        >
+                          {subscribing === tier.id
+                            ? "Subscribing…"
+                            : `${subscription ? "Upgrade" : "Subscribe"} · $${(
+                                option?.price ?? tier.price
+                              ).toFixed(2)}${
+                                months > 1
+                                  ? ` for ${billingPeriodLabel(months)}`
+                                  : "/month"
+                              }`}
+                        </button>
+                      )}
+                      {!isOwner && subscription && !isIncluded && (
+                        <p className="mt-1 text-[10px] text-gray-400">
+                          Upgrading starts a new period now and replaces your
+                          current subscription.
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        )}
         {/* Posts feed */}
         <section>
           <div className="flex items-center justify-between mb-3">
@@ -793,16 +1202,19 @@ export default function CreatorProfile() {
                 // - Owner + "fan" view → always locked (preview)
                 // - Normal users → use server-provided locked flag combined with client-side unlocked[] overrides
                 let isLocked = false;
-                if (post.visibility === "ppv") {
+                if (post.visibility !== "free") {
                   if (isOwnerViewingAsCreator) {
                     isLocked = false;
                   } else if (isOwnerViewingAsFan) {
                     isLocked = true;
                   } else {
                     const lockedFlag = (post as any).locked ?? false;
-                    isLocked = lockedFlag && !unlocked[post.id];
+                    isLocked =
+                      lockedFlag &&
+                      !(post.visibility === "ppv" && unlocked[post.id]);
                   }
                 }
+                const isSubscriberPost = post.visibility === "subscribers";
                 const likeState = likes[post.id] || {
                   liked: false,
                   count:
@@ -837,7 +1249,13 @@ export default function CreatorProfile() {
                               : "bg-emerald-50 text-emerald-700 border border-emerald-100"
                           )}
                         >
-                          {post.visibility === "ppv" ? "PPV" : "Free"}
+                          {post.visibility === "ppv"
+                            ? "PPV"
+                            : isSubscriberPost
+                            ? post.requiredTier
+                              ? `${post.requiredTier.name}+`
+                              : "Subscribers"
+                            : "Free"}
                         </span>
                         {post.visibility === "ppv" &&
                           typeof post.price === "number" && (
@@ -850,34 +1268,64 @@ export default function CreatorProfile() {
                     {/* Media area */}
                     <div className="relative bg-gray-100 aspect-video flex items-center justify-center overflow-hidden">
                       {isLocked && (
-                        <div className="absolute inset-0 bg-black/45 flex items-center justify-center">
-                          <div className="text-center text-white px-4">
-                            <p className="text-sm font-semibold">
-                              Locked pay-per-view post
-                            </p>
-                            {typeof post.price === "number" && (
-                              <p className="mt-1 text-xs">
-                                Unlock for ${post.price.toFixed(2)} (MVP)
+                        <div className="absolute inset-0 z-20 bg-black/45 flex items-center justify-center">
+                          {isSubscriberPost ? (
+                            <div className="text-center text-white px-4">
+                              <p className="text-sm font-semibold">
+                                {post.requiredTier
+                                  ? `For ${post.requiredTier.name} subscribers and above`
+                                  : "For subscribers only"}
                               </p>
-                            )}
-                            <button
-                              type="button"
-                              onClick={() =>
-                                canUnlock ? handleUnlockPost(post.id) : undefined
-                              }
-                              disabled={unlockingPostId === post.id || !canUnlock}
-                              className="mt-3 rounded-2xl bg-white/90 text-gray-900 text-xs font-semibold px-4 py-2 hover:bg-white disabled:opacity-60"
-                            >
-                              {canUnlock
-                                ? unlockingPostId === post.id
-                                  ? "Unlocking…"
-                                  : "Unlock post"
-                                : "Unlock post (fan view)"}
-                            </button>
-                          </div>
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  document
+                                    .getElementById("tiers")
+                                    ?.scrollIntoView({ behavior: "smooth" })
+                                }
+                                disabled={isOwner}
+                                className="mt-3 rounded-2xl bg-white/90 text-gray-900 text-xs font-semibold px-4 py-2 hover:bg-white disabled:opacity-60"
+                              >
+                                {isOwner
+                                  ? "Subscribe (fan view)"
+                                  : subscribed
+                                  ? "Upgrade your tier"
+                                  : "See subscription tiers"}
+                              </button>
+                            </div>
+                          ) : (
+                            <div className="text-center text-white px-4">
+                              <p className="text-sm font-semibold">
+                                Locked pay-per-view post
+                              </p>
+                              {typeof post.price === "number" && (
+                                <p className="mt-1 text-xs">
+                                  Unlock for ${post.price.toFixed(2)} (MVP)
+                                </p>
+                              )}
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  canUnlock ? handleUnlockPost(post.id) : undefined
+                                }
+                                disabled={unlockingPostId === post.id || !canUnlock}
+                                className="mt-3 rounded-2xl bg-white/90 text-gray-900 text-xs font-semibold px-4 py-2 hover:bg-white disabled:opacity-60"
+                              >
+                                {canUnlock
+                                  ? unlockingPostId === post.id
+                                    ? "Unlocking…"
+                                    : "Unlock post"
+                                  : "Unlock post (fan view)"}
+                              </button>
+                            </div>
+                          )}
                         </div>
                       )}
-                      {renderMedia(post, isLocked)}
+                      <PostMedia
+                        media={post.media || []}
+                        title={post.title}
+                        locked={isLocked}
+                      />
                     </div>
                     {/* Description */}
                     {post.description && (
@@ -899,6 +1347,23 @@ export default function CreatorProfile() {
                         </span>
                         <span>{likeState.count}</span>
                         <span>likes</span>
+                        <button
+                          type="button"
+                          disabled={isLocked}
+                          onClick={() =>
+                            setOpenComments((prev) => ({
+                              ...prev,
+                              [post.id]: !prev[post.id],
+                            }))
+                          }
+                          className="ml-3 inline-flex items-center gap-1 hover:text-gray-800 disabled:cursor-default disabled:hover:text-gray-500"
+                        >
+                          <span>💬</span>
+                          <span>{post.commentCount ?? 0}</span>
+                          <span>
+                            {post.commentCount === 1 ? "comment" : "comments"}
+                          </span>
+                        </button>
                       </div>
                       {/* Full like + tip actions only for fans (not owner) */}
                       {!isOwner && (
@@ -923,16 +1388,33 @@ export default function CreatorProfile() {
                           >
                             Tip this post
                           </button>
+                          <span className="ml-auto text-[11px] text-gray-400">
+                            <ReportButton targetType="post" targetId={post.id} />
+                          </span>
                         </div>
                       )}
                     </div>
+                    {openComments[post.id] && !isLocked && (
+                      <PostComments
+                        creatorUsername={creator.username}
+                        postId={post.id}
+                        commentsDisabled={post.commentsDisabled}
+                        onCountChange={(count) =>
+                          setPosts((prev) =>
+                            prev.map((p) =>
+                              p.id === post.id ? { ...p, commentCount: count } : p
+                            )
+                          )
+                        }
+                      />
+                    )}
                   </article>
                 );
               })}
             </div>
           )}
           <p className="mt-4 text-xs text-gray-500">
-            In a full build, this feed would support comments, likes backed by the backend, real payments, and NSFW-toggle handling.
+            In a full build, this feed would support real payments and NSFW-toggle handling.
           </p>
         </section>
       </main>
@@ -1015,9 +1497,9 @@ export default function CreatorProfile() {
           <div className="bg-white rounded-2xl max-w-sm w-full p-6 shadow-lg">
             <h2 className="text-lg font-semibold">Request custom content</h2>
             <p className="mt-1 text-xs text-gray-500">
-              Describe what you want and your budget. In the full version this would DM the creator.
+              Describe what you want and your budget. You pay your budget now; if the creator declines, you&apos;re refunded in full.
             </p>
-            <form onSubmit={handleFakeRequestSubmit} className="mt-4 space-y-4">
+            <form onSubmit={handleRequestSubmit} className="mt-4 space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700">
                   What are you looking for?
@@ -1043,19 +1525,28 @@ export default function CreatorProfile() {
                   onChange={(e) => setRequestBudget(e.target.value)}
                 />
               </div>
+              {requestError && (
+                <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-md px-3 py-2">
+                  {requestError}
+                </p>
+              )}
               <div className="flex justify-end gap-2">
                 <button
                   type="button"
-                  onClick={() => setRequestOpen(false)}
+                  onClick={() => {
+                    setRequestOpen(false);
+                    setRequestError(null);
+                  }}
                   className="rounded-xl border border-gray-200 px-3 py-2 text-xs font-semibold text-gray-600 hover:bg-gray-50"
                 >
                   Cancel
                 </button>
                 <button
                   type="submit"
-                  className="rounded-xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700"
+                  disabled={requestSubmitting}
+                  className="rounded-xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700 disabled:opacity-60"
                 >
-                  Send request (fake)
+                  {requestSubmitting ? "Sending…" : "Send request"}
                 </button>
               </div>
             </form>
@@ -1,52 +1,21 @@
 // src/pages/CreatorRequests.tsx
-import React, { useState } from "react";
-import { Link } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../AuthContext";
 
 type RequestStatus = "new" | "accepted" | "completed" | "declined";
 
-type DemoRequest = {
+type CustomRequest = {
   id: number;
-  fanName: string;
-  fanHandle?: string;
+  fanUsername: string;
   budget: number;
+  currency?: string;
   message: string;
   createdAt: string;
+  updatedAt?: string;
   status: RequestStatus;
 };
 
-const demoRequests: DemoRequest[] = [
-  {
-    id: 1,
-    fanName: "Demo fan",
-    fanHandle: "@fan001",
-    budget: 50,
-    message:
-      "Can you do a 3–4 minute video answering some questions and giving a short shoutout?",
-    createdAt: new Date().toISOString(),
-    status: "new",
-  },
-  {
-    id: 2,
-    fanName: "Top supporter",
-    fanHandle: "@whale23",
-    budget: 120,
-    message:
-      "Custom photoset in the new outfit from your last post. Around 20 photos.",
-    createdAt: new Date(Date.now() - 86400000).toISOString(),
-    status: "accepted",
-  },
-  {
-    id: 3,
-    fanName: "Anon",
-    fanHandle: undefined,
-    budget: 30,
-    message:
-      "Short voice note with my name in it. Nothing explicit, just playful.",
-    createdAt: new Date(Date.now() - 3 * 86400000).toISOString(),
-    status: "completed",
-  },
-];
-
 function statusStyles(status: RequestStatus) {
   switch (status) {
     case "new":
@@ -63,8 +32,81 @@ function statusStyles(status: RequestStatus) {
 }
 
 export default function CreatorRequests() {
-  const [requests] = useState<DemoRequest[]>(demoRequests);
+  const { username } = useParams<{ username: string }>();
+  const { user } = useAuth();
+
+  const [requests, setRequests] = useState<CustomRequest[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
   const [filter, setFilter] = useState<"all" | RequestStatus>("all");
+  const [updatingId, setUpdatingId] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!username || !user) return;
+
+    async function loadRequests() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch(
+          `http://localhost:4000/api/creators/${encodeURIComponent(
+            username!
+          )}/requests`,
+          {
+            headers: user?.token
+              ? { Authorization: `Bearer ${user.token}` }
+              : undefined,
+          }
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load requests");
+        setRequests(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Something went wrong");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadRequests();
+  }, [username, user]);
+
+  async function handleUpdateStatus(requestId: number, status: RequestStatus) {
+    if (!username) return;
+    if (
+      status === "declined" &&
+      !window.confirm("Decline this request? The fan gets their budget refunded.")
+    ) {
+      return;
+    }
+
+    setUpdatingId(requestId);
+    try {
+      const headers: any = { "Content-Type": "application/json" };
+      if (user?.token) headers["Authorization"] = `Bearer ${user.token}`;
+
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          username
+        )}/requests/${requestId}`,
+        {
+          method: "PATCH",
+          headers,
+          body: JSON.stringify({ status }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to update request");
+
+      setRequests((prev) =>
+        prev.map((r) => (r.id === requestId ? data.request : r))
+      );
+    } catch (err: any) {
+      alert(err.message || "Could not update this request.");
+    } finally {
+      setUpdatingId(null);
+    }
+  }
 
   const filtered = requests.filter((r) =>
     filter === "all" ? true : r.status === filter
@@ -82,15 +124,16 @@ export default function CreatorRequests() {
               Custom requests inbox
             </h1>
             <p className="mt-1 text-xs text-gray-500">
-              This is where custom video/photo requests from fans will show up
-              once we connect it to the backend.
+              Custom video/photo requests fans send from your profile. Accept
+              the ones you want to make, then mark them completed once
+              delivered.
             </p>
           </div>
           <Link
-            to="/creator"
+            to={`/creator/${encodeURIComponent(username || "")}/dashboard`}
             className="hidden sm:inline-flex items-center rounded-full border border-gray-200 bg-white px-4 py-1.5 text-xs font-semibold text-gray-700 hover:bg-gray-50"
           >
-            Creator hub
+            Dashboard
           </Link>
         </div>
 
@@ -103,12 +146,11 @@ export default function CreatorRequests() {
                   Requests ({filtered.length})
                 </h2>
                 <p className="text-[11px] text-gray-500">
-                  In production, these would come from the “Request custom”
-                  button on your profile.
+                  Sent from the “Request custom” button on your profile.
                 </p>
               </div>
               <div className="flex gap-1">
-                {(["all", "new", "accepted", "completed"] as const).map(
+                {(["all", "new", "accepted", "completed", "declined"] as const).map(
                   (key) => (
                     <button
                       key={key}
@@ -126,7 +168,11 @@ export default function CreatorRequests() {
               </div>
             </div>
 
-            {filtered.length === 0 ? (
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading requests…</p>
+            ) : error ? (
+              <p className="text-sm text-red-600">{error}</p>
+            ) : filtered.length === 0 ? (
               <p className="text-sm text-gray-500">
                 No requests in this filter. Once fans start sending customs,
                 they&apos;ll appear here.
@@ -141,13 +187,14 @@ export default function CreatorRequests() {
                     <div className="min-w-0">
                       <div className="flex items-center gap-2">
                         <p className="text-sm font-semibold text-gray-900 truncate max-w-[11rem]">
-                          {req.fanName}
+                          @{req.fanUsername}
                         </p>
-                        {req.fanHandle && (
-                          <span className="text-[11px] text-gray-500">
-                            {req.fanHandle}
-                          </span>
-                        )}
+                        <Link
+                          to={`/inbox/${encodeURIComponent(req.fanUsername)}`}
+                          className="text-[11px] font-semibold text-brand-600 hover:text-brand-700"
+                        >
+                          Message
+                        </Link>
                       </div>
                       <p className="mt-0.5 text-[11px] text-gray-500">
                         {new Date(req.createdAt).toLocaleString()}
@@ -168,9 +215,46 @@ export default function CreatorRequests() {
                       <span className="text-xs font-semibold text-gray-900">
                         ${req.budget.toFixed(2)}
                       </span>
-                      <button className="mt-1 rounded-full border border-gray-200 bg-white px-2 py-1 text-[11px] font-semibold text-gray-700 hover:bg-gray-50">
-                        Open thread (future)
-                      </button>
+                      {req.status === "new" && (
+                        <div className="mt-1 flex gap-1">
+                          <button
+                            type="button"
+                            disabled={updatingId === req.id}
+                            onClick={() => handleUpdateStatus(req.id, "accepted")}
+                            className="rounded-full bg-gray-900 px-2 py-1 text-[11px] font-semibold text-white hover:bg-black disabled:opacity-60"
+                          >
+                            Accept
+                          </button>
+                          <button
+                            type="button"
+                            disabled={updatingId === req.id}
+                            onClick={() => handleUpdateStatus(req.id, "declined")}
+                            className="rounded-full border border-gray-200 bg-white px-2 py-1 text-[11px] font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      )}
+                      {req.status === "accepted" && (
+                        <div className="mt-1 flex gap-1">
+                          <button
+                            type="button"
+                            disabled={updatingId === req.id}
+                            onClick={() => handleUpdateStatus(req.id, "completed")}
+                            className="rounded-full bg-emerald-600 px-2 py-1 text-[11px] font-semibold text-white hover:bg-emerald-700 disabled:opacity-60"
+                          >
+                            Mark completed
+                          </button>
+                          <button
+                            type="button"
+                            disabled={updatingId === req.id}
+                            onClick={() => handleUpdateStatus(req.id, "declined")}
+                            className="rounded-full border border-gray-200 bg-white px-2 py-1 text-[11px] font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -182,16 +266,16 @@ export default function CreatorRequests() {
           <aside className="space-y-4">
             <div className="rounded-2xl bg-white border border-gray-100 p-4 shadow-sm">
               <h2 className="text-sm font-semibold text-gray-900 mb-1">
-                How this will work
+                How it works
               </h2>
               <p className="text-xs text-gray-600">
-                When a fan taps “Request custom” on your profile, we&apos;ll:
+                When a fan taps “Request custom” on your profile:
               </p>
               <ul className="mt-2 text-xs text-gray-700 space-y-1.5">
-                <li>• Collect their request details and budget</li>
-                <li>• Create a request row linked to your account</li>
-                <li>• Let you accept/decline and chat in a dedicated thread</li>
-                <li>• Lock delivery + payment until you mark it completed</li>
+                <li>• Their request lands here as “New” once theyTheir request and budget land here as “New”apos;ve paid the budget</li>
+                <li>• Accept or decline it – declining refunds the fan</li>
+                <li>• Mark it completed once delivered</li>
+                <li>• The budget counts toward your earnings unless you decline</li>
               </ul>
             </div>
 
@@ -201,7 +285,6 @@ export default function CreatorRequests() {
               </h2>
               <ul className="space-y-1.5 text-gray-100">
                 <li>• Real fan accounts & logins</li>
-                <li>• Store requests and tips in the backend</li>
                 <li>• Filter by high spenders / repeat buyers</li>
                 <li>• Auto-reply templates and broadcast messages</li>
               </ul>
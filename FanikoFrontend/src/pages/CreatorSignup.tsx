@@ -63,20 +63,12 @@ export default function CreatorSignup() {
   // 🔹 auth + routing
   const { upgradeToCreator, user } = useAuth();
   const navigate = useNavigate();
-  const isLoggedIn = !!user;
 
   // basics
   const [displayName, setDisplayName] = useState("");
   const [username, setUsername] = useState("");
-  const [email, setEmail] = useState("");
 
-  // email verify (only used when NOT logged in)
-  const [emailSent, setEmailSent] = useState(false);
-  const [emailVerified, setEmailVerified] = useState(false);
-  const [codeSent, setCodeSent] = useState<string>("");
-  const [codeInput, setCodeInput] = useState("");
-
-  // password confirmation (used when upgrading as logged-in user)
+  // password confirmation, checked by the server when it upgrades the account
   const [passwordConfirm, setPasswordConfirm] = useState("");
 
   // monetization
@@ -93,11 +85,9 @@ export default function CreatorSignup() {
   const [submitting, setSubmitting] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
   const [messageType, setMessageType] = useState<MessageType>(null);
-  const [sendingCode, setSendingCode] = useState(false);
-  const [verifyingCode, setVerifyingCode] = useState(false);
 
-  // effective email: from logged-in user if available, otherwise local state
-  const effectiveEmail = isLoggedIn ? user?.email || "" : email;
+  // the page is only reachable logged in: the creator profile joins this account
+  const effectiveEmail = user?.email || "";
   const emailOk = /.+@.+\..+/.test(effectiveEmail);
   const priceNumber = parseFloat(price) || 0;
   const priceValid = accountType === "free" || priceNumber > 0;
@@ -112,10 +102,7 @@ export default function CreatorSignup() {
     selfie &&
     agree &&
     !submitting &&
-    // if NOT logged in, they must verify email
-    (!isLoggedIn ? emailVerified : true) &&
-    // if logged in, require password confirmation (and we’ll verify it on submit)
-    (isLoggedIn ? passwordConfirm.trim().length >= 6 : true);
+    passwordConfirm.trim().length >= 6;
 
   const submitError: string | null = (() => {
     if (submitting) return null;
@@ -136,11 +123,7 @@ export default function CreatorSignup() {
       return "Please enter a valid email address.";
     }
 
-    if (!isLoggedIn && !emailVerified) {
-      return "Please verify your email using the code we sent you.";
-    }
-
-    if (isLoggedIn && passwordConfirm.trim().length < 6) {
+    if (passwordConfirm.trim().length < 6) {
       return "Please confirm your password (at least 6 characters).";
     }
 
@@ -159,41 +142,6 @@ export default function CreatorSignup() {
     return null;
   })();
 
-  // 🔹 Send verification code (fake for now: 123456) – only used when NOT logged in
-  async function handleSendCode() {
-    if (!emailOk || isLoggedIn) return;
-    setSendingCode(true);
-    setMessage(null);
-    setMessageType(null);
-    setEmailVerified(false);
-
-    await new Promise((r) => setTimeout(r, 600));
-    setCodeSent("123456");
-    setEmailSent(true);
-    setSendingCode(false);
-  }
-
-  // 🔹 Verify code (also fake: just checks "123456") – only used when NOT logged in
-  async function handleVerifyCode() {
-    if (isLoggedIn || !emailSent || !codeInput) return;
-    setVerifyingCode(true);
-    setMessage(null);
-    setMessageType(null);
-
-    await new Promise((r) => setTimeout(r, 600));
-    const ok = codeInput.trim() === codeSent;
-    setEmailVerified(ok);
-    setVerifyingCode(false);
-
-    if (ok) {
-      setMessage("Email verified successfully ✅");
-      setMessageType("success");
-    } else {
-      setMessage("Incorrect code. Please try again.");
-      setMessageType("error");
-    }
-  }
-
   // 🔹 Submit application to backend
   async function handleSubmit(e: React.FormEvent) {
     e.preventDefault();
@@ -207,36 +155,11 @@ export default function CreatorSignup() {
     try {
       const finalEmail = effectiveEmail;
 
-      // ✅ If logged in, verify password against real auth backend first
-      if (isLoggedIn) {
-        const loginRes = await fetch("http://localhost:4000/api/auth/login", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            email: finalEmail.trim().toLowerCase(),
-            password: passwordConfirm.trim(),
-          }),
-        });
-
-        if (!loginRes.ok) {
-          let errText = "Incorrect password. Please try again.";
-          try {
-            const errData = await loginRes.json();
-            if (errData.error) errText = errData.error;
-          } catch {
-            // ignore JSON parse errors
-          }
-          setMessage(errText);
-          setMessageType("error");
-          setSubmitting(false);
-          return;
-        }
-      }
-
       const formData = new FormData();
       formData.append("displayName", displayName);
       formData.append("username", username);
       formData.append("email", finalEmail);
+      formData.append("password", passwordConfirm.trim());
       formData.append("accountType", accountType);
       if (accountType === "subscription") {
         formData.append("price", priceNumber.toString());
@@ -247,6 +170,7 @@ export default function CreatorSignup() {
 
       const response = await fetch("http://localhost:4000/api/creators", {
         method: "POST",
+        headers: { Authorization: `Bearer ${user?.token}` },
         body: formData,
       });
 
@@ -325,14 +249,6 @@ export default function CreatorSignup() {
               Explore creators
             </a>
           </nav>
-          {!isLoggedIn && (
-            <a
-              href="/login"
-              className="rounded-full border border-gray-200 px-3 py-1.5 text-xs font-semibold hover:bg-gray-50"
-            >
-              Log in
-            </a>
-          )}
         </div>
       </header>
 
@@ -405,126 +321,42 @@ export default function CreatorSignup() {
               </div>
             </div>
 
-            {/* Email + verification / password, depending on login state */}
-            {!isLoggedIn ? (
-              <div className="grid gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">
-                    Email
-                  </label>
-                  <input
-                    type="email"
-                    className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
-                    placeholder="you@example.com"
-                    value={email}
-                    onChange={(e) => {
-                      setEmail(e.target.value);
-                      setEmailVerified(false);
-                      setEmailSent(false);
-                      setCodeInput("");
-                    }}
-                    required
-                  />
-                  {!emailVerified && email.length > 0 && (
-                    <p className="mt-1 text-xs text-red-600">
-                      You must verify your email before submitting.
-                    </p>
-                  )}
-                  {emailVerified && (
-                    <p className="mt-1 text-xs text-green-600">
-                      Email verified ✓
-                    </p>
-                  )}
-                </div>
-
-                <div className="grid sm:grid-cols-3 gap-3 items-end">
-                  <div className="sm:col-span-2">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Verification code
-                    </label>
-                    <input
-                      className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
-                      placeholder="123456"
-                      value={codeInput}
-                      onChange={(e) => setCodeInput(e.target.value)}
-                      maxLength={6}
-                    />
-                    {emailSent && (
-                      <p className="mt-1 text-xs text-gray-500">
-                        Check your inbox for a 6-digit code (demo: 123456).
-                      </p>
-                    )}
-                  </div>
-
-                  <div className="flex flex-col gap-2">
-                    <button
-                      type="button"
-                      onClick={handleSendCode}
-                      disabled={!emailOk || sendingCode}
-                      className={classNames(
-                        "rounded-xl px-4 py-2 text-sm font-semibold",
-                        emailOk && !sendingCode
-                          ? "bg-brand-50 text-brand-700 border border-brand-100 hover:bg-brand-100"
-                          : "bg-gray-100 text-gray-400 cursor-not-allowed"
-                      )}
-                    >
-                      {sendingCode ? "Sending…" : "Send code"}
-                    </button>
-                    {emailSent && (
-                      <button
-                        type="button"
-                        onClick={handleVerifyCode}
-                        disabled={!codeInput || verifyingCode}
-                        className={classNames(
-                          "rounded-xl px-4 py-2 text-sm font-semibold",
-                          codeInput && !verifyingCode
-                            ? "bg-brand-600 text-white hover:bg-brand-700"
-                            : "bg-gray-300 text-gray-600 cursor-not-allowed"
-                        )}
-                      >
-                        {verifyingCode ? "Verifying…" : "Verify code"}
-                      </button>
-                    )}
-                  </div>
-                </div>
+            {/* Email + password confirmation */}
+            <div className="grid gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Email (linked to your account)
+                </label>
+                <input
+                  type="email"
+                  className="mt-1 w-full rounded-xl border px-3 py-2 bg-gray-50 text-gray-600 cursor-not-allowed"
+                  value={effectiveEmail}
+                  disabled
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  This is the email you use to log in. Creator earnings and
+                  notifications will be tied to this account.
+                </p>
               </div>
-            ) : (
-              <div className="grid gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">
-                    Email (linked to your account)
-                  </label>
-                  <input
-                    type="email"
-                    className="mt-1 w-full rounded-xl border px-3 py-2 bg-gray-50 text-gray-600 cursor-not-allowed"
-                    value={effectiveEmail}
-                    disabled
-                  />
-                  <p className="mt-1 text-xs text-gray-500">
-                    This is the email you use to log in. Creator earnings and
-                    notifications will be tied to this account.
-                  </p>
-                </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">
-                    Confirm your password
-                  </label>
-                  <input
-                    type="password"
-                    className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
-                    placeholder="Enter your account password"
-                    value={passwordConfirm}
-                    onChange={(e) => setPasswordConfirm(e.target.value)}
-                    required
-                  />
-                  <p className="mt-1 text-xs text-gray-500">
-                    For security, we&apos;ll verify this password with your
-                    Faniko account before upgrading you to a creator.
-                  </p>
-                </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Confirm your password
+                </label>
+                <input
+                  type="password"
+                  className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
+                  placeholder="Enter your account password"
+                  value={passwordConfirm}
+                  onChange={(e) => setPasswordConfirm(e.target.value)}
+                  required
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  For security, we&apos;ll verify this password with your
+                  Faniko account before upgrading you to a creator.
+                </p>
               </div>
-            )}
+            </div>
           </section>
 
           {/* Monetization */}
@@ -1,5 +1,6 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import { Link } from "react-router-dom";
+import { categoryLabel, profileImageSrc } from "../creatorProfile";
 
 type AccountType = "free" | "subscription";
 
@@ -11,55 +12,142 @@ type Creator = {
   price?: number | null;
   createdAt?: string;
   status?: string;
+  bio?: string;
+  location?: string;
+  category?: string | null;
+  tags?: string[];
+  avatarUrl?: string | null;
+  bannerUrl?: string | null;
 };
 
+type SortOption = "newest" | "popular" | "trending";
+
+const PAGE_SIZE = 24;
+const SEARCH_DEBOUNCE_MS = 300;
+
 export default function ExploreCreators() {
   const [creators, setCreators] = useState<Creator[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [filter, setFilter] = useState<"all" | AccountType>("all");
+  const [sort, setSort] = useState<SortOption>("newest");
+  const [minPrice, setMinPrice] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [tags, setTags] = useState<string[]>([]);
+
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
+  // Bumped on every new search so late responses from an older one are dropped
+  const queryVersion = useRef(0);
+
+  useEffect(() => {
+    const t = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search]);
+
+  const buildUrl = useCallback(
+    (cursor: string | null) => {
+      const params = new URLSearchParams({ sort, limit: String(PAGE_SIZE) });
+      if (debouncedSearch) params.set("q", debouncedSearch);
+      if (filter !== "all") params.set("accountType", filter);
+      if (minPrice) params.set("minPrice", minPrice);
+      if (maxPrice) params.set("maxPrice", maxPrice);
+      if (tags.length > 0) params.set("tags", tags.join(","));
+      if (cursor) params.set("cursor", cursor);
+      return `http://localhost:4000/api/creators?${params.toString()}`;
+    },
+    [debouncedSearch, filter, sort, minPrice, maxPrice, tags]
+  );
 
+  // First page whenever the query changes
   useEffect(() => {
+    const version = ++queryVersion.current;
+
     async function loadCreators() {
       try {
         setLoading(true);
         setError(null);
 
-        const res = await fetch("http://localhost:4000/api/creators");
+        const res = await fetch(buildUrl(null));
         if (!res.ok) throw new Error("Failed to load creators");
 
         const data = await res.json();
-        setCreators(Array.isArray(data) ? data : []);
+        if (version !== queryVersion.current) return;
+        setCreators(Array.isArray(data?.creators) ? data.creators : []);
+        setNextCursor(data?.nextCursor || null);
       } catch (err: any) {
+        if (version !== queryVersion.current) return;
         setError(err.message || "Something went wrong");
       } finally {
-        setLoading(false);
+        if (version === queryVersion.current) setLoading(false);
       }
     }
 
     loadCreators();
-  }, []);
+  }, [buildUrl]);
 
-  const filtered = useMemo(() => {
-    let list = creators;
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const version = queryVersion.current;
 
-    if (filter !== "all") {
-      list = list.filter((c) => c.accountType === filter);
-    }
+    try {
+      setLoadingMore(true);
+      const res = await fetch(buildUrl(nextCursor));
+      if (!res.ok) throw new Error("Failed to load more creators");
 
-    if (search.trim().length > 0) {
-      const q = search.toLowerCase();
-      list = list.filter(
-        (c) =>
-          c.displayName?.toLowerCase().includes(q) ||
-          c.username?.toLowerCase().includes(q)
-      );
+      const data = await res.json();
+      if (version !== queryVersion.current) return;
+      setCreators((prev) => [...prev, ...(data?.creators || [])]);
+      setNextCursor(data?.nextCursor || null);
+    } catch (err: any) {
+      if (version === queryVersion.current) {
+        setError(err.message || "Something went wrong");
+      }
+    } finally {
+      setLoadingMore(false);
     }
+  }, [nextCursor, loadingMore, buildUrl]);
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0]?.isIntersecting) loadMore();
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  function toggleTag(tag: string) {
+    setTags((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+  }
 
-    return list;
-  }, [creators, filter, search]);
+  const hasFilters =
+    debouncedSearch.length > 0 ||
+    filter !== "all" ||
+    minPrice !== "" ||
+    maxPrice !== "" ||
+    tags.length > 0;
+
+  function clearFilters() {
+    setSearch("");
+    setDebouncedSearch("");
+    setFilter("all");
+    setMinPrice("");
+    setMaxPrice("");
+    setTags([]);
+  }
 
   return (
     <div className="min-h-screen bg-white">
@@ -86,86 +174,121 @@ export default function ExploreCreators() {
 
       {/* Main */}
       <main className="max-w-6xl mx-auto px-4 py-10">
-        {/* Title + controls */}
-        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
-          <div>
-            <h1 className="text-3xl sm:text-4xl font-extrabold tracking-tight">
-              Explore <span className="text-brand-700">creators</span>
-            </h1>
-            <p className="mt-2 text-gray-600 max-w-xl">
-              Discover Faniko creators. This is the MVP directory — later we can
-              add tags, filters, and swipe-style discovery.
-            </p>
-          </div>
+        {/* Title + search */}
+        <div className="text-center">
+          <h1 className="text-3xl sm:text-4xl font-extrabold tracking-tight">
+            Explore <span className="text-brand-700">creators</span>
+          </h1>
+          <p className="mt-2 text-gray-600 max-w-xl mx-auto">
+            Search by name, @username or what they post about.
+          </p>
 
-          <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Search by name or @username"
-                className="w-full sm:w-64 rounded-2xl border px-9 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
-              />
-              <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400">
-                <svg
-                  xmlns="http://www.w3.org/2000/svg"
-                  width="16"
-                  height="16"
-                  fill="none"
-                  viewBox="0 0 24 24"
-                  strokeWidth={2}
-                  stroke="currentColor"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    d="M21 21l-4.35-4.35M11 18a7 7 0 100-14 7 7 0 000 14z"
-                  />
-                </svg>
-              </span>
-            </div>
-
-            <div className="inline-flex rounded-full bg-gray-100 p-1 text-xs font-medium">
-              <button
-                type="button"
-                onClick={() => setFilter("all")}
-                className={
-                  "px-3 py-1 rounded-full " +
-                  (filter === "all"
-                    ? "bg-white shadow-sm text-gray-900"
-                    : "text-gray-500")
-                }
+          <div className="relative mt-6 max-w-2xl mx-auto">
+            <input
+              type="search"
+              placeholder="Search creators…"
+              className="w-full rounded-full border border-gray-200 px-12 py-4 text-base shadow-sm outline-none focus:ring-2 focus:ring-brand-400"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400">
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                width="20"
+                height="20"
+                fill="none"
+                viewBox="0 0 24 24"
+                strokeWidth={2}
+                stroke="currentColor"
               >
-                All
-              </button>
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  d="M21 21l-4.35-4.35M11 18a7 7 0 100-14 7 7 0 000 14z"
+                />
+              </svg>
+            </span>
+          </div>
+        </div>
+
+        {/* Filters + sort */}
+        <div className="mt-6 flex flex-wrap items-center justify-center gap-3 text-xs">
+          <div className="inline-flex rounded-full bg-gray-100 p-1 font-medium">
+            {(["all", "free", "subscription"] as const).map((value) => (
               <button
+                key={value}
                 type="button"
-                onClick={() => setFilter("free")}
+                onClick={() => setFilter(value)}
                 className={
-                  "px-3 py-1 rounded-full " +
-                  (filter === "free"
+                  "px-3 py-1 rounded-full capitalize " +
+                  (filter === value
                     ? "bg-white shadow-sm text-gray-900"
                     : "text-gray-500")
                 }
               >
-                Free
+                {value}
               </button>
+            ))}
+          </div>
+
+          <div className="inline-flex items-center gap-1 text-gray-600">
+            <span>Price $</span>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              placeholder="min"
+              className="w-16 rounded-full border px-2 py-1 outline-none focus:ring-2 focus:ring-brand-400"
+              value={minPrice}
+              onChange={(e) => setMinPrice(e.target.value)}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              placeholder="max"
+              className="w-16 rounded-full border px-2 py-1 outline-none focus:ring-2 focus:ring-brand-400"
+              value={maxPrice}
+              onChange={(e) => setMaxPrice(e.target.value)}
+            />
+          </div>
+
+          <select
+            className="rounded-full border px-3 py-1 bg-white outline-none focus:ring-2 focus:ring-brand-400"
+            value={sort}
+            onChange={(e) => setSort(e.target.value as SortOption)}
+          >
+            <option value="newest">Newest</option>
+            <option value="popular">Most popular</option>
+            <option value="trending">Trending</option>
+          </select>
+
+          {hasFilters && (
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="text-gray-500 underline hover:text-gray-700"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {tags.length > 0 && (
+          <div className="mt-3 flex flex-wrap justify-center gap-2 text-xs">
+            {tags.map((tag) => (
               <button
+                key={tag}
                 type="button"
-                onClick={() => setFilter("subscription")}
-                className={
-                  "px-3 py-1 rounded-full " +
-                  (filter === "subscription"
-                    ? "bg-white shadow-sm text-gray-900"
-                    : "text-gray-500")
-                }
+                onClick={() => toggleTag(tag)}
+                className="rounded-full bg-brand-600 px-3 py-1 font-medium text-white hover:bg-brand-700"
               >
-                Subscription
+                #{tag} ✕
               </button>
-            </div>
+            ))}
           </div>
-        </div>
+        )}
 
         {/* States */}
         {loading && (
@@ -179,7 +302,7 @@ export default function ExploreCreators() {
           </p>
         )}
 
-        {!loading && !error && creators.length === 0 && (
+        {!loading && !error && creators.length === 0 && !hasFilters && (
           <p className="mt-8 text-gray-500 text-sm">
             No creators yet. Be the first to{" "}
             <Link
@@ -192,27 +315,44 @@ export default function ExploreCreators() {
           </p>
         )}
 
-        {!loading && !error && creators.length > 0 && filtered.length === 0 && (
+        {!loading && !error && creators.length === 0 && hasFilters && (
           <p className="mt-8 text-gray-500 text-sm">
-            No creators match your filters. Try clearing search or filter type.
+            No creators match your filters. Try clearing search or filters.
           </p>
         )}
 
         {/* Grid */}
-        {!loading && !error && filtered.length > 0 && (
+        {!loading && !error && creators.length > 0 && (
           <div className="mt-8 grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
-            {filtered.map((c) => (
+            {creators.map((c) => (
               <div
                 key={c.id}
-                className="rounded-2xl border border-gray-100 shadow-sm p-4 flex flex-col justify-between"
+                className="rounded-2xl border border-gray-100 shadow-sm overflow-hidden flex flex-col justify-between"
               >
-                <div>
+                <div className="h-20 bg-gradient-to-tr from-brand-100 to-brand-300">
+                  {c.bannerUrl && (
+                    <img
+                      src={profileImageSrc(c.bannerUrl) || undefined}
+                      alt=""
+                      className="h-full w-full object-cover"
+                    />
+                  )}
+                </div>
+                <div className="px-4 pt-3">
                   <div className="flex items-center gap-3">
-                    <div className="h-10 w-10 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center font-bold">
-                      {c.displayName?.charAt(0)?.toUpperCase() ||
-                        c.username?.charAt(0)?.toUpperCase() ||
-                        "F"}
-                    </div>
+                    {c.avatarUrl ? (
+                      <img
+                        src={profileImageSrc(c.avatarUrl) || undefined}
+                        alt={c.displayName}
+                        className="h-10 w-10 rounded-full object-cover"
+                      />
+                    ) : (
+                      <div className="h-10 w-10 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center font-bold">
+                        {c.displayName?.charAt(0)?.toUpperCase() ||
+                          c.username?.charAt(0)?.toUpperCase() ||
+                          "F"}
+                      </div>
+                    )}
                     <div>
                       <div className="font-semibold truncate max-w-[10rem]">
                         {c.displayName || "Unnamed creator"}
@@ -223,6 +363,43 @@ export default function ExploreCreators() {
                     </div>
                   </div>
 
+                  {(c.category || c.location) && (
+                    <div className="mt-2 flex flex-wrap items-center gap-2 text-[11px] text-gray-500">
+                      {c.category && (
+                        <span className="rounded-full bg-brand-50 px-2 py-0.5 font-medium text-brand-700">
+                          {categoryLabel(c.category)}
+                        </span>
+                      )}
+                      {c.location && <span>📍 {c.location}</span>}
+                    </div>
+                  )}
+
+                  {c.bio && (
+                    <p className="mt-2 text-xs text-gray-600 line-clamp-2">
+                      {c.bio}
+                    </p>
+                  )}
+
+                  {c.tags && c.tags.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {c.tags.map((tag) => (
+                        <button
+                          key={tag}
+                          type="button"
+                          onClick={() => toggleTag(tag)}
+                          className={
+                            "rounded-full px-2 py-0.5 text-[11px] " +
+                            (tags.includes(tag)
+                              ? "bg-brand-600 text-white"
+                              : "bg-gray-100 text-gray-600 hover:bg-gray-200")
+                          }
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="mt-3 text-xs inline-flex items-center gap-2 rounded-full bg-gray-50 px-3 py-1 text-gray-600">
                     {c.accountType === "free" ? (
                       <>
@@ -269,7 +446,7 @@ export default function ExploreCreators() {
                   </div>
                 </div>
 
-              <div className="mt-4">
+              <div className="mt-4 px-4 pb-4">
   <Link
     to={`/c/${encodeURIComponent(c.username)}`}
     className="block w-full text-center rounded-xl border border-gray-200 text-xs font-semibold py-2 text-gray-700 hover:bg-gray-50"
@@ -281,6 +458,20 @@ export default function ExploreCreators() {
             ))}
           </div>
         )}
+
+        {/* Infinite scroll sentinel */}
+        {!loading && nextCursor && (
+          <div ref={sentinelRef} className="mt-8 text-center">
+            <button
+              type="button"
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="rounded-full border border-gray-200 px-4 py-2 text-xs font-medium text-gray-600 hover:bg-gray-50"
+            >
+              {loadingMore ? "Loading…" : "Load more"}
+            </button>
+          </div>
+        )}
       </main>
     </div>
   );
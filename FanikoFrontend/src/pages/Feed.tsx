@@ -0,0 +1,321 @@
+// src/pages/Feed.tsx
+// Logged-in fan home: newest posts from every creator the fan follows or
+// subscribes to. Gating is the same as on the creator page – locked posts
+// link through to the profile to unlock / subscribe.
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+import { profileImageSrc } from "../creatorProfile";
+import PostMedia, { PostMediaItem } from "../PostMedia";
+
+type Visibility = "free" | "subscribers" | "ppv";
+
+type FeedPost = {
+  id: number;
+  title: string;
+  visibility: Visibility;
+  price?: number | null;
+  description?: string;
+  createdAt?: string;
+  hasMedia?: boolean;
+  media?: PostMediaItem[];
+  likes?: number;
+  likedByMe?: boolean;
+  commentCount?: number;
+  locked?: boolean;
+  requiredTier?: { id: number; name: string } | null;
+  creator: {
+    username: string;
+    displayName: string;
+    avatarUrl?: string | null;
+  };
+};
+
+const PAGE_SIZE = 20;
+
+function classNames(...c: Array<string | false | undefined>) {
+  return c.filter(Boolean).join(" ");
+}
+
+export default function Feed() {
+  const { user } = useAuth();
+
+  const [posts, setPosts] = useState<FeedPost[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [creatorCount, setCreatorCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
+
+  const fetchPage = useCallback(
+    async (cursor: string | null) => {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (cursor) params.set("cursor", cursor);
+
+      const res = await fetch(
+        `http://localhost:4000/api/feed?${params.toString()}`,
+        { headers: { Authorization: `Bearer ${user?.token}` } }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load your feed");
+      return data as {
+        posts: FeedPost[];
+        nextCursor: string | null;
+        creatorCount: number;
+      };
+    },
+    [user?.token]
+  );
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadFeed() {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await fetchPage(null);
+        setPosts(data.posts || []);
+        setNextCursor(data.nextCursor || null);
+        setCreatorCount(data.creatorCount || 0);
+      } catch (err: any) {
+        setError(err.message || "Something went wrong");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadFeed();
+  }, [user?.id, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const data = await fetchPage(nextCursor);
+      setPosts((prev) => [...prev, ...(data.posts || [])]);
+      setNextCursor(data.nextCursor || null);
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, fetchPage]);
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0]?.isIntersecting) loadMore();
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  async function handleToggleLike(post: FeedPost) {
+    if (!user) return;
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          post.creator.username
+        )}/posts/${post.id}/like`,
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${user.token}` },
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to like post");
+
+      setPosts((prev) =>
+        prev.map((p) =>
+          p.id === post.id
+            ? { ...p, likes: data.likes, likedByMe: data.likedByMe }
+            : p
+        )
+      );
+    } catch (err: any) {
+      alert(err.message || "Could not like this post.");
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="border-b border-gray-100 bg-white">
+        <div className="max-w-2xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="h-8 w-8 rounded-2xl bg-gradient-to-br from-purple-500 to-indigo-500 flex items-center justify-center text-white text-lg font-bold">
+              f
+            </div>
+            <span className="font-extrabold text-xl tracking-tight">
+              Faniko
+            </span>
+          </div>
+          <Link
+            to="/explore"
+            className="text-xs font-semibold text-brand-700 hover:text-brand-600"
+          >
+            Explore creators
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-2xl mx-auto px-4 py-6">
+        <h1 className="text-lg font-semibold text-gray-900">Your feed</h1>
+        <p className="text-xs text-gray-500">
+          {creatorCount > 0
+            ? `New posts from the ${creatorCount} ${
+                creatorCount === 1 ? "creator" : "creators"
+              } you follow or subscribe to.`
+            : "Follow or subscribe to creators to see their posts here."}
+        </p>
+
+        {loading && (
+          <p className="mt-6 text-sm text-gray-500">Loading your feed…</p>
+        )}
+
+        {error && <p className="mt-6 text-sm text-red-600">{error}</p>}
+
+        {!loading && !error && posts.length === 0 && (
+          <div className="mt-6 rounded-2xl border border-dashed border-gray-200 bg-white p-6 text-center">
+            <p className="text-sm text-gray-600">
+              {creatorCount > 0
+                ? "The creators you follow haven't posted yet."
+                : "Your feed is empty."}
+            </p>
+            <Link
+              to="/explore"
+              className="mt-3 inline-flex items-center rounded-2xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700"
+            >
+              Find creators to follow
+            </Link>
+          </div>
+        )}
+
+        <div className="mt-6 space-y-4">
+          {posts.map((post) => {
+            const avatarSrc = profileImageSrc(post.creator.avatarUrl);
+            const profileLink = `/c/${encodeURIComponent(post.creator.username)}`;
+
+            return (
+              <article
+                key={post.id}
+                className="rounded-2xl border border-gray-100 bg-white p-4 shadow-sm"
+              >
+                <div className="flex items-center justify-between gap-3">
+                  <Link to={profileLink} className="flex items-center gap-2">
+                    {avatarSrc ? (
+                      <img
+                        src={avatarSrc}
+                        alt=""
+                        className="h-8 w-8 rounded-full object-cover"
+                      />
+                    ) : (
+                      <div className="h-8 w-8 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center text-xs font-bold">
+                        {(post.creator.displayName || post.creator.username)
+                          .charAt(0)
+                          .toUpperCase()}
+                      </div>
+                    )}
+                    <div>
+                      <p className="text-sm font-semibold text-gray-900">
+                        {post.creator.displayName}
+                      </p>
+                      <p className="text-[11px] text-gray-500">
+                        @{post.creator.username}
+                      </p>
+                    </div>
+                  </Link>
+                  {post.createdAt && (
+                    <span className="text-[11px] text-gray-400">
+                      {new Date(post.createdAt).toLocaleDateString()}
+                    </span>
+                  )}
+                </div>
+
+                <h2 className="mt-3 text-sm font-semibold text-gray-900">
+                  {post.title}
+                </h2>
+                {!post.locked && post.description && (
+                  <p className="mt-1 text-sm text-gray-700 whitespace-pre-line">
+                    {post.description}
+                  </p>
+                )}
+
+                {(post.hasMedia || post.locked) && (
+                  <div className="relative mt-3 flex h-64 items-center justify-center overflow-hidden rounded-xl bg-gray-100">
+                    <PostMedia
+                      media={post.media || []}
+                      title={post.title}
+                      locked={!!post.locked}
+                    />
+                    {post.locked && (
+                      <div className="absolute inset-0 z-20 flex flex-col items-center justify-center gap-2 bg-white/60 backdrop-blur-sm">
+                        <p className="text-xs font-semibold text-gray-800">
+                          {post.visibility === "ppv" &&
+                          typeof post.price === "number"
+                            ? `🔒 Unlock for $${post.price.toFixed(2)}`
+                            : post.requiredTier
+                            ? `🔒 ${post.requiredTier.name} subscribers and above`
+                            : "🔒 Subscribers only"}
+                        </p>
+                        <Link
+                          to={profileLink}
+                          className="rounded-full bg-gray-900 px-4 py-1.5 text-xs font-semibold text-white hover:bg-black"
+                        >
+                          View on profile
+                        </Link>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="mt-3 flex items-center gap-3 text-xs">
+                  <button
+                    type="button"
+                    onClick={() => handleToggleLike(post)}
+                    className={classNames(
+                      "inline-flex items-center gap-1 font-semibold",
+                      post.likedByMe
+                        ? "text-rose-600"
+                        : "text-gray-500 hover:text-gray-700"
+                    )}
+                  >
+                    {post.likedByMe ? "♥" : "♡"} {post.likes ?? 0}
+                  </button>
+                  <Link
+                    to={profileLink}
+                    className="inline-flex items-center gap-1 text-gray-500 hover:text-gray-700"
+                  >
+                    💬 {post.commentCount ?? 0}
+                  </Link>
+                </div>
+              </article>
+            );
+          })}
+        </div>
+
+        {/* Infinite scroll sentinel */}
+        {!loading && nextCursor && (
+          <div ref={sentinelRef} className="mt-6 text-center">
+            <button
+              type="button"
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="rounded-full border border-gray-200 bg-white px-4 py-2 text-xs font-medium text-gray-600 hover:bg-gray-50"
+            >
+              {loadingMore ? "Loading…" : "Load more"}
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
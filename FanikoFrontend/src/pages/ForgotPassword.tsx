@@ -0,0 +1,84 @@
+// src/pages/ForgotPassword.tsx
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [sent, setSent] = useState<string | null>(null);
+
+  async function handleSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/forgot-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim().toLowerCase() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not send the reset email.");
+      setSent(data.message || "Check your inbox for a reset link.");
+    } catch (err: any) {
+      setError(err.message || "Could not send the reset email.");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md border rounded-2xl p-6 space-y-4"
+      >
+        <h1 className="text-2xl font-extrabold">Forgot your password?</h1>
+        <p className="text-sm text-gray-600">
+          Enter the email you signed up with and we&apos;ll send you a link to
+          choose a new password.
+        </p>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            Email
+          </label>
+          <input
+            type="email"
+            className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+        </div>
+
+        {error && (
+          <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">
+            {error}
+          </p>
+        )}
+        {sent && (
+          <p className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">
+            {sent}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || !email}
+          className="w-full rounded-2xl px-4 py-2.5 bg-brand-600 text-white font-semibold hover:bg-brand-700 disabled:bg-gray-300"
+        >
+          {submitting ? "Sending…" : sent ? "Send again" : "Send reset link"}
+        </button>
+
+        <p className="text-xs text-gray-600 text-center">
+          Remembered it?{" "}
+          <Link to="/login" className="text-brand-700 font-semibold">
+            Log in
+          </Link>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../AuthContext";
+import Feed from "./Feed";
 
 type PreviewCreator = {
   username: string;
@@ -46,6 +47,11 @@ export default function Home() {
 
   const isCreator = user?.role === "creator";
 
+  // Logged-in fans land on their feed; creators and guests get the intro page
+  if (user && !isCreator) {
+    return <Feed />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       {/* Simple top header: logo only */}
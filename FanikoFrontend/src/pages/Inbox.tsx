@@ -0,0 +1,457 @@
+// src/pages/Inbox.tsx
+import React, { FormEvent, useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+
+type ThreadMessage = {
+  id: number;
+  body: string;
+  fromMe: boolean;
+  createdAt: string;
+  readAt: string | null;
+};
+
+type ThreadSummary = {
+  username: string;
+  displayName: string;
+  isCreator: boolean;
+  unread: number;
+  lastMessage: ThreadMessage;
+};
+
+type ThreadDetail = {
+  with: {
+    username: string;
+    displayName: string;
+    isCreator: boolean;
+    blocked: boolean; // a block exists in either direction: read-only
+    blockedByMe: boolean;
+  };
+  messages: ThreadMessage[];
+  hasMore: boolean;
+  nextBefore: number | null;
+};
+
+function classNames(...c: Array<string | false | undefined>) {
+  return c.filter(Boolean).join(" ");
+}
+
+export default function Inbox() {
+  const { username: activeUsername } = useParams<{ username: string }>();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [threads, setThreads] = useState<ThreadSummary[]>([]);
+  const [threadsLoading, setThreadsLoading] = useState(true);
+  const [threadsError, setThreadsError] = useState<string | null>(null);
+
+  const [thread, setThread] = useState<ThreadDetail | null>(null);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [threadError, setThreadError] = useState<string | null>(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  const [draft, setDraft] = useState("");
+  const [sending, setSending] = useState(false);
+  const [blockBusy, setBlockBusy] = useState(false);
+
+  const bottomRef = useRef<HTMLDivElement | null>(null);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  async function loadThreads() {
+    try {
+      setThreadsError(null);
+      const res = await fetch("http://localhost:4000/api/messages/threads", {
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load messages");
+      setThreads(Array.isArray(data) ? data : []);
+    } catch (err: any) {
+      setThreadsError(err.message || "Failed to load messages");
+    } finally {
+      setThreadsLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!user) return;
+    loadThreads();
+  }, [user]);
+
+  // Load the open conversation and mark it read
+  useEffect(() => {
+    if (!user || !activeUsername) {
+      setThread(null);
+      return;
+    }
+
+    async function loadThread() {
+      try {
+        setThreadLoading(true);
+        setThreadError(null);
+        const res = await fetch(
+          `http://localhost:4000/api/messages/threads/${encodeURIComponent(
+            activeUsername!
+          )}`,
+          { headers: authHeaders }
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load conversation");
+        setThread(data);
+
+        await fetch(
+          `http://localhost:4000/api/messages/threads/${encodeURIComponent(
+            activeUsername!
+          )}/read`,
+          { method: "POST", headers: authHeaders }
+        );
+        setThreads((prev) =>
+          prev.map((t) =>
+            t.username.toLowerCase() === activeUsername!.toLowerCase()
+              ? { ...t, unread: 0 }
+              : t
+          )
+        );
+      } catch (err: any) {
+        setThread(null);
+        setThreadError(err.message || "Failed to load conversation");
+      } finally {
+        setThreadLoading(false);
+      }
+    }
+
+    loadThread();
+  }, [user, activeUsername]);
+
+  useEffect(() => {
+    if (!loadingOlder) bottomRef.current?.scrollIntoView({ block: "end" });
+  }, [thread?.messages.length]);
+
+  async function handleLoadOlder() {
+    if (!thread || !thread.nextBefore || !activeUsername) return;
+    setLoadingOlder(true);
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/messages/threads/${encodeURIComponent(
+          activeUsername
+        )}?before=${thread.nextBefore}`,
+        { headers: authHeaders }
+      );
+      const data: ThreadDetail = await res.json();
+      if (!res.ok) return;
+      setThread((prev) =>
+        prev
+          ? {
+              ...prev,
+              messages: [...data.messages, ...prev.messages],
+              hasMore: data.hasMore,
+              nextBefore: data.nextBefore,
+            }
+          : prev
+      );
+    } finally {
+      setLoadingOlder(false);
+    }
+  }
+
+  async function handleSend(e: FormEvent) {
+    e.preventDefault();
+    if (!activeUsername || !draft.trim()) return;
+    setSending(true);
+    setThreadError(null);
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/messages/threads/${encodeURIComponent(
+          activeUsername
+        )}`,
+        {
+          method: "POST",
+          headers: { ...authHeaders, "Content-Type": "application/json" },
+          body: JSON.stringify({ body: draft.trim() }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to send message");
+
+      setThread((prev) =>
+        prev ? { ...prev, messages: [...prev.messages, data.message] } : prev
+      );
+      setDraft("");
+      loadThreads();
+    } catch (err: any) {
+      setThreadError(err.message || "Failed to send message");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  async function handleToggleBlock() {
+    if (!thread) return;
+    const { username, blockedByMe } = thread.with;
+    if (
+      !blockedByMe &&
+      !window.confirm(
+        `Block @${username}? Neither of you will be able to message or see the other.`
+      )
+    ) {
+      return;
+    }
+
+    setBlockBusy(true);
+    setThreadError(null);
+    try {
+      const res = blockedByMe
+        ? await fetch(
+            `http://localhost:4000/api/blocks/${encodeURIComponent(username)}`,
+            { method: "DELETE", headers: authHeaders }
+          )
+        : await fetch("http://localhost:4000/api/blocks", {
+            method: "POST",
+            headers: { ...authHeaders, "Content-Type": "application/json" },
+            body: JSON.stringify({ username }),
+          });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not update the block");
+
+      // after unblocking they may still have blocked us: ask the server
+      const threadRes = await fetch(
+        `http://localhost:4000/api/messages/threads/${encodeURIComponent(username)}`,
+        { headers: authHeaders }
+      );
+      const threadData: ThreadDetail = await threadRes.json();
+      if (threadRes.ok) {
+        setThread((prev) => (prev ? { ...prev, with: threadData.with } : prev));
+      }
+    } catch (err: any) {
+      setThreadError(err.message || "Could not update the block");
+    } finally {
+      setBlockBusy(false);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-5xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+            Messages
+          </p>
+          <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+            Inbox
+          </h1>
+        </div>
+
+        <section className="grid gap-4 md:grid-cols-[280px,1fr]">
+          {/* Thread list */}
+          <div
+            className={classNames(
+              "rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden",
+              !!activeUsername && "hidden md:block"
+            )}
+          >
+            {threadsLoading ? (
+              <p className="p-4 text-sm text-gray-500">Loading conversations…</p>
+            ) : threadsError ? (
+              <p className="p-4 text-sm text-red-600">{threadsError}</p>
+            ) : threads.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">
+                No conversations yet. Open a creator&apos;s profile and tap
+                “Message” to say hi.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100 max-h-[520px] overflow-auto">
+                {threads.map((t) => {
+                  const active =
+                    activeUsername?.toLowerCase() === t.username.toLowerCase();
+                  return (
+                    <li key={t.username}>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          navigate(`/inbox/${encodeURIComponent(t.username)}`)
+                        }
+                        className={classNames(
+                          "w-full text-left px-4 py-3 flex items-start gap-3 hover:bg-gray-50",
+                          active && "bg-brand-50"
+                        )}
+                      >
+                        <div className="h-9 w-9 shrink-0 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center text-sm font-bold">
+                          {t.displayName.charAt(0).toUpperCase()}
+                        </div>
+                        <div className="min-w-0 flex-1">
+                          <div className="flex items-center justify-between gap-2">
+                            <p className="text-sm font-semibold text-gray-900 truncate">
+                              {t.displayName}
+                            </p>
+                            {t.unread > 0 && (
+                              <span className="rounded-full bg-brand-600 px-1.5 text-[10px] font-semibold text-white">
+                                {t.unread}
+                              </span>
+                            )}
+                          </div>
+                          <p
+                            className={classNames(
+                              "text-xs truncate",
+                              t.unread > 0
+                                ? "text-gray-900 font-medium"
+                                : "text-gray-500"
+                            )}
+                          >
+                            {t.lastMessage.fromMe && "You: "}
+                            {t.lastMessage.body}
+                          </p>
+                        </div>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {/* Conversation */}
+          <div
+            className={classNames(
+              "rounded-2xl bg-white border border-gray-100 shadow-sm flex flex-col min-h-[420px]",
+              !activeUsername && "hidden md:flex"
+            )}
+          >
+            {!activeUsername ? (
+              <div className="flex-1 flex items-center justify-center p-6 text-sm text-gray-500">
+                Select a conversation to start chatting.
+              </div>
+            ) : threadLoading && !thread ? (
+              <p className="p-4 text-sm text-gray-500">Loading conversation…</p>
+            ) : !thread ? (
+              <p className="p-4 text-sm text-red-600">
+                {threadError || "Conversation not found."}
+              </p>
+            ) : (
+              <>
+                <div className="flex items-center gap-3 border-b border-gray-100 px-4 py-3">
+                  <Link
+                    to="/inbox"
+                    className="md:hidden rounded-full bg-gray-50 px-3 py-1 text-xs font-medium text-gray-600 hover:bg-gray-100"
+                  >
+                    ← Back
+                  </Link>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {thread.with.displayName}
+                    </p>
+                    {thread.with.isCreator ? (
+                      <Link
+                        to={`/c/${encodeURIComponent(thread.with.username)}`}
+                        className="text-[11px] text-brand-600 hover:text-brand-700"
+                      >
+                        @{thread.with.username} · View profile
+                      </Link>
+                    ) : (
+                      <p className="text-[11px] text-gray-500">
+                        @{thread.with.username}
+                      </p>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleToggleBlock}
+                    disabled={blockBusy}
+                    className="shrink-0 rounded-full border border-gray-200 bg-white px-3 py-1 text-[11px] font-semibold text-gray-600 hover:bg-gray-50 disabled:opacity-60"
+                  >
+                    {thread.with.blockedByMe ? "Unblock" : "Block"}
+                  </button>
+                </div>
+
+                <div className="flex-1 overflow-auto max-h-[440px] px-4 py-3 space-y-2">
+                  {thread.hasMore && (
+                    <div className="text-center">
+                      <button
+                        type="button"
+                        onClick={handleLoadOlder}
+                        disabled={loadingOlder}
+                        className="rounded-full border border-gray-200 bg-white px-3 py-1 text-[11px] font-semibold text-gray-600 hover:bg-gray-50 disabled:opacity-60"
+                      >
+                        {loadingOlder ? "Loading…" : "Load older messages"}
+                      </button>
+                    </div>
+                  )}
+                  {thread.messages.length === 0 && (
+                    <p className="text-center text-xs text-gray-500">
+                      No messages yet. Say hello 👋
+                    </p>
+                  )}
+                  {thread.messages.map((m) => (
+                    <div
+                      key={m.id}
+                      className={classNames(
+                        "flex",
+                        m.fromMe ? "justify-end" : "justify-start"
+                      )}
+                    >
+                      <div
+                        className={classNames(
+                          "max-w-[75%] rounded-2xl px-3 py-2 text-sm",
+                          m.fromMe
+                            ? "bg-brand-600 text-white"
+                            : "bg-gray-100 text-gray-900"
+                        )}
+                      >
+                        <p className="whitespace-pre-wrap break-words">{m.body}</p>
+                        <p
+                          className={classNames(
+                            "mt-0.5 text-[10px]",
+                            m.fromMe ? "text-brand-100" : "text-gray-400"
+                          )}
+                        >
+                          {new Date(m.createdAt).toLocaleString()}
+                          {m.fromMe && m.readAt && " · Seen"}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                  <div ref={bottomRef} />
+                </div>
+
+                {thread.with.blocked ? (
+                  <p className="border-t border-gray-100 p-3 text-center text-xs text-gray-500">
+                    {thread.with.blockedByMe
+                      ? "You blocked this account. Unblock to send messages."
+                      : "You can't message this account."}
+                  </p>
+                ) : (
+                  <form
+                    onSubmit={handleSend}
+                    className="border-t border-gray-100 p-3 flex items-end gap-2"
+                  >
+                    <textarea
+                      className="flex-1 rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                      rows={2}
+                      maxLength={2000}
+                      placeholder="Write a message…"
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                    />
+                    <button
+                      type="submit"
+                      disabled={sending || !draft.trim()}
+                      className="rounded-xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700 disabled:opacity-60"
+                    >
+                      {sending ? "Sending…" : "Send"}
+                    </button>
+                  </form>
+                )}
+                {threadError && (
+                  <p className="px-4 pb-3 text-xs text-red-600">{threadError}</p>
+                )}
+              </>
+            )}
+          </div>
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -9,6 +9,9 @@ export default function Login() {
   const [password, setPassword] = useState("");
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [info, setInfo] = useState<string | null>(null);
   const navigate = useNavigate();
   const location = useLocation() as any;
 
@@ -18,17 +21,42 @@ export default function Login() {
     e.preventDefault();
     setSubmitting(true);
     setError(null);
+    setInfo(null);
     try {
       await login(email, password);
       // If we know the user is creator later, we can redirect to their dashboard
       navigate(from, { replace: true });
     } catch (err: any) {
       setError(err.message || "Login failed");
+      setNeedsVerification(err.code === "email_not_verified");
     } finally {
       setSubmitting(false);
     }
   }
 
+  async function handleResendVerification() {
+    setResending(true);
+    setError(null);
+    try {
+      const res = await fetch(
+        "http://localhost:4000/api/auth/verify-email/resend",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ email: email.trim().toLowerCase() }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not resend the email.");
+      setInfo(data.message || "Check your inbox for a new verification link.");
+      setNeedsVerification(false);
+    } catch (err: any) {
+      setError(err.message || "Could not resend the email.");
+    } finally {
+      setResending(false);
+    }
+  }
+
   if (user) {
     // already logged in
     return (
@@ -81,11 +109,35 @@ export default function Login() {
             onChange={(e) => setPassword(e.target.value)}
             required
           />
+          <div className="mt-1 text-right">
+            <Link
+              to="/forgot-password"
+              className="text-[11px] font-semibold text-brand-700"
+            >
+              Forgot password?
+            </Link>
+          </div>
         </div>
 
         {error && (
-          <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">
-            {error}
+          <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">
+            <p>{error}</p>
+            {needsVerification && (
+              <button
+                type="button"
+                onClick={handleResendVerification}
+                disabled={resending}
+                className="mt-1 font-semibold text-red-700 underline disabled:opacity-60"
+              >
+                {resending ? "Sending…" : "Resend verification email"}
+              </button>
+            )}
+          </div>
+        )}
+
+        {info && (
+          <p className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">
+            {info}
           </p>
         )}
 
@@ -0,0 +1,322 @@
+// src/pages/PaymentMethods.tsx
+// Saved cards. The number goes to the payment provider once and only its
+// token (plus brand / last 4 / expiry) is kept. The default card pays for new
+// purchases; renewals keep using the card they started with.
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../AuthContext";
+import { SavedPaymentMethod } from "../payments";
+
+const API = "http://localhost:4000";
+
+type CardForm = {
+  number: string;
+  expiry: string; // MM/YY
+  cvc: string;
+  makeDefault: boolean;
+};
+
+const EMPTY_FORM: CardForm = { number: "", expiry: "", cvc: "", makeDefault: false };
+
+function brandLabel(brand: string) {
+  if (brand === "visa") return "Visa";
+  if (brand === "mastercard") return "Mastercard";
+  if (brand === "amex") return "American Express";
+  return "Card";
+}
+
+export default function PaymentMethods() {
+  const { user } = useAuth();
+
+  const [methods, setMethods] = useState<SavedPaymentMethod[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState<CardForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadMethods() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch(`${API}/api/payment-methods`, {
+          headers: authHeaders,
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load your cards");
+        setMethods(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load your cards");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadMethods();
+    // reload only when the account changes, not on every token refresh
+  }, [user?.id]);
+
+  async function handleAdd(e: React.FormEvent) {
+    e.preventDefault();
+    const [expMonth, expYear] = form.expiry.split("/").map((s) => s.trim());
+
+    setSaving(true);
+    setFormError(null);
+    try {
+      const res = await fetch(`${API}/api/payment-methods`, {
+        method: "POST",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          number: form.number,
+          expMonth: Number(expMonth),
+          expYear: Number(expYear),
+          cvc: form.cvc.trim(),
+          makeDefault: form.makeDefault,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not save this card.");
+
+      // the new card may have become the default: reload the list
+      const listRes = await fetch(`${API}/api/payment-methods`, {
+        headers: authHeaders,
+      });
+      if (listRes.ok) setMethods(await listRes.json());
+      setForm(EMPTY_FORM);
+      setAdding(false);
+    } catch (err: any) {
+      setFormError(err.message || "Could not save this card.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleMakeDefault(method: SavedPaymentMethod) {
+    setBusyId(method.id);
+    setError(null);
+    try {
+      const res = await fetch(`${API}/api/payment-methods/${method.id}`, {
+        method: "PATCH",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify({ isDefault: true }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not update this card.");
+      setMethods(data.paymentMethods || []);
+    } catch (err: any) {
+      setError(err.message || "Could not update this card.");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleRemove(method: SavedPaymentMethod) {
+    const ok = window.confirm(
+      `Remove ${brandLabel(method.brand)} •••• ${method.last4}? Subscriptions renewing with it will switch to your default card.`
+    );
+    if (!ok) return;
+
+    setBusyId(method.id);
+    setError(null);
+    try {
+      const res = await fetch(`${API}/api/payment-methods/${method.id}`, {
+        method: "DELETE",
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not remove this card.");
+      setMethods(data.paymentMethods || []);
+    } catch (err: any) {
+      setError(err.message || "Could not remove this card.");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4 flex items-end justify-between gap-3">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+              Account
+            </p>
+            <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+              Payment methods
+            </h1>
+            <p className="text-xs text-gray-500">
+              Your default card pays for tips, unlocks and new subscriptions.
+            </p>
+          </div>
+          {!adding && (
+            <button
+              type="button"
+              onClick={() => {
+                setAdding(true);
+                setFormError(null);
+              }}
+              className="shrink-0 rounded-full bg-gray-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-black"
+            >
+              + Add card
+            </button>
+          )}
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {adding && (
+          <form
+            onSubmit={handleAdd}
+            className="mb-4 rounded-2xl bg-white border border-gray-100 p-4 shadow-sm space-y-3"
+          >
+            <div>
+              <label className="block text-xs font-medium text-gray-700">
+                Card number
+              </label>
+              <input
+                inputMode="numeric"
+                autoComplete="cc-number"
+                placeholder="4242 4242 4242 4242"
+                className="mt-1 w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                value={form.number}
+                onChange={(e) => setForm({ ...form, number: e.target.value })}
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700">
+                  Expiry (MM/YY)
+                </label>
+                <input
+                  autoComplete="cc-exp"
+                  placeholder="12/30"
+                  className="mt-1 w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                  value={form.expiry}
+                  onChange={(e) => setForm({ ...form, expiry: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700">
+                  CVC
+                </label>
+                <input
+                  inputMode="numeric"
+                  autoComplete="cc-csc"
+                  maxLength={4}
+                  className="mt-1 w-full rounded-xl border px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-brand-400"
+                  value={form.cvc}
+                  onChange={(e) => setForm({ ...form, cvc: e.target.value })}
+                  required
+                />
+              </div>
+            </div>
+            {methods.length > 0 && (
+              <label className="flex items-center gap-2 text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.makeDefault}
+                  onChange={(e) =>
+                    setForm({ ...form, makeDefault: e.target.checked })
+                  }
+                />
+                Make this my default card
+              </label>
+            )}
+            <p className="text-[11px] text-gray-400">
+              Test cards: 4242 4242 4242 4242 (works), 4000 0000 0000 0002
+              (declined).
+            </p>
+            {formError && <p className="text-xs text-red-600">{formError}</p>}
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setAdding(false);
+                  setForm(EMPTY_FORM);
+                }}
+                className="rounded-xl border border-gray-300 px-3 py-2 text-xs font-semibold hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded-xl bg-gray-900 text-white px-3 py-2 text-xs font-semibold hover:bg-gray-800 disabled:bg-gray-400"
+              >
+                {saving ? "Saving…" : "Save card"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading cards…</p>
+        ) : methods.length === 0 ? (
+          !adding && (
+            <div className="rounded-2xl border border-dashed border-gray-200 bg-white p-6 text-center">
+              <p className="text-sm text-gray-600">No saved cards yet.</p>
+            </div>
+          )
+        ) : (
+          <section className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-100">
+              {methods.map((m) => (
+                <li
+                  key={m.id}
+                  className="px-4 py-3 flex items-center justify-between gap-3"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {brandLabel(m.brand)} •••• {m.last4}
+                      {m.isDefault && (
+                        <span className="ml-2 rounded-full bg-brand-50 px-2 py-0.5 text-[10px] font-semibold uppercase text-brand-700">
+                          Default
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Expires {String(m.expMonth).padStart(2, "0")}/
+                      {String(m.expYear).slice(-2)}
+                    </p>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    {!m.isDefault && (
+                      <button
+                        type="button"
+                        onClick={() => handleMakeDefault(m)}
+                        disabled={busyId === m.id}
+                        className="rounded-full border border-gray-200 bg-white px-3 py-1.5 text-xs font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                      >
+                        Make default
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(m)}
+                      disabled={busyId === m.id}
+                      className="rounded-full border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-60"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+// src/pages/Purchases.tsx
+// Fan purchase history: tips, PPV unlocks, subscriptions and custom requests
+// across every creator, newest first.
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+import { profileImageSrc } from "../creatorProfile";
+
+type PurchaseType = "tip" | "ppv_unlock" | "subscription" | "custom_request";
+
+type Purchase = {
+  id: number;
+  type: PurchaseType;
+  status: "succeeded" | "failed" | "refunded" | "charged_back";
+  amount: number;
+  currency: string;
+  createdAt: string;
+  creator: { username: string; displayName: string; avatarUrl: string | null };
+  post: { id: number; title: string } | null;
+  message: string | null;
+  tierName: string | null;
+  months: number | null;
+  renewal: boolean;
+  card: { brand: string; last4: string } | null;
+};
+
+const FILTERS: { value: PurchaseType | "all"; label: string }[] = [
+  { value: "all", label: "All" },
+  { value: "subscription", label: "Subscriptions" },
+  { value: "ppv_unlock", label: "Unlocks" },
+  { value: "tip", label: "Tips" },
+  { value: "custom_request", label: "Requests" },
+];
+
+const STATUS_LABELS: Record<Purchase["status"], string> = {
+  succeeded: "Paid",
+  failed: "Failed",
+  refunded: "Refunded",
+  charged_back: "Disputed",
+};
+
+function classNames(...c: Array<string | false | undefined>) {
+  return c.filter(Boolean).join(" ");
+}
+
+function formatDate(iso: string) {
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function describe(p: Purchase) {
+  if (p.type === "tip") return p.post ? `Tip on “${p.post.title}”` : "Tip";
+  if (p.type === "ppv_unlock") {
+    return p.post ? `Unlocked “${p.post.title}”` : "Unlocked a post";
+  }
+  if (p.type === "subscription") {
+    const plan = p.tierName ? `${p.tierName} subscription` : "Subscription";
+    const period = p.months && p.months > 1 ? ` · ${p.months} months` : "";
+    return `${plan}${p.renewal ? " renewal" : ""}${period}`;
+  }
+  return "Custom request";
+}
+
+export default function Purchases() {
+  const { user } = useAuth();
+
+  const [filter, setFilter] = useState<PurchaseType | "all">("all");
+  const [purchases, setPurchases] = useState<Purchase[]>([]);
+  const [totalSpent, setTotalSpent] = useState(0);
+  const [currency, setCurrency] = useState("USD");
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function fetchPage(cursor: string | null) {
+    const params = new URLSearchParams();
+    if (filter !== "all") params.set("type", filter);
+    if (cursor) params.set("cursor", cursor);
+
+    const res = await fetch(
+      `http://localhost:4000/api/purchases/mine?${params.toString()}`,
+      { headers: { Authorization: `Bearer ${user?.token}` } }
+    );
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "Failed to load purchases");
+    return data as {
+      purchases: Purchase[];
+      totalSpent: number;
+      currency: string;
+      nextCursor: string | null;
+    };
+  }
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadPurchases() {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await fetchPage(null);
+        setPurchases(data.purchases || []);
+        setTotalSpent(Number(data.totalSpent) || 0);
+        setCurrency(data.currency || "USD");
+        setNextCursor(data.nextCursor || null);
+      } catch (err: any) {
+        setError(err.message || "Failed to load purchases");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadPurchases();
+    // reload only when the account or filter changes, not on every token refresh
+  }, [user?.id, filter]);
+
+  async function handleLoadMore() {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextCursor);
+      setPurchases((prev) => [...prev, ...(data.purchases || [])]);
+      setNextCursor(data.nextCursor || null);
+    } catch (err: any) {
+      setError(err.message || "Failed to load purchases");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4 flex items-end justify-between gap-3">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+              Account
+            </p>
+            <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+              Purchase history
+            </h1>
+          </div>
+          <div className="text-right">
+            <p className="text-[11px] text-gray-500">Total spent</p>
+            <p className="text-sm font-bold text-gray-900">
+              {currency} {totalSpent.toFixed(2)}
+            </p>
+          </div>
+        </div>
+
+        <div className="mb-4 flex flex-wrap gap-1">
+          {FILTERS.map((f) => (
+            <button
+              key={f.value}
+              type="button"
+              onClick={() => setFilter(f.value)}
+              className={classNames(
+                "rounded-full px-3 py-1 text-[11px] font-medium",
+                filter === f.value
+                  ? "bg-gray-900 text-white"
+                  : "bg-white text-gray-600 border border-gray-200 hover:bg-gray-50"
+              )}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading purchases…</p>
+        ) : purchases.length === 0 ? (
+          <div className="rounded-2xl border border-dashed border-gray-200 bg-white p-6 text-center">
+            <p className="text-sm text-gray-600">Nothing here yet.</p>
+            <Link
+              to="/explore"
+              className="mt-3 inline-flex items-center rounded-2xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700"
+            >
+              Find creators
+            </Link>
+          </div>
+        ) : (
+          <section className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-100">
+              {purchases.map((p) => {
+                const avatarSrc = profileImageSrc(p.creator.avatarUrl);
+                return (
+                  <li key={p.id} className="px-4 py-3 flex items-center gap-3">
+                    {avatarSrc ? (
+                      <img
+                        src={avatarSrc}
+                        alt=""
+                        className="h-9 w-9 shrink-0 rounded-full object-cover"
+                      />
+                    ) : (
+                      <div className="h-9 w-9 shrink-0 rounded-full bg-gradient-to-tr from-brand-400 to-brand-600 text-white flex items-center justify-center text-xs font-bold">
+                        {(p.creator.displayName || p.creator.username)
+                          .charAt(0)
+                          .toUpperCase()}
+                      </div>
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-semibold text-gray-900 truncate">
+                        {describe(p)}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        <Link
+                          to={`/c/${encodeURIComponent(p.creator.username)}`}
+                          className="hover:text-brand-700"
+                        >
+                          {p.creator.displayName}
+                        </Link>{" "}
+                        · {formatDate(p.createdAt)}
+                        {p.card
+                          ? ` · ${p.card.brand} •••• ${p.card.last4}`
+                          : ""}
+                      </p>
+                      {p.message && (
+                        <p className="text-[11px] text-gray-400 truncate">
+                          “{p.message}”
+                        </p>
+                      )}
+                    </div>
+                    <div className="shrink-0 text-right">
+                      <p
+                        className={classNames(
+                          "text-sm font-semibold",
+                          p.status === "succeeded"
+                            ? "text-gray-900"
+                            : "text-gray-400 line-through"
+                        )}
+                      >
+                        {p.currency} {p.amount.toFixed(2)}
+                      </p>
+                      <p
+                        className={classNames(
+                          "text-[10px] font-semibold uppercase",
+                          p.status === "succeeded"
+                            ? "text-emerald-600"
+                            : p.status === "failed"
+                            ? "text-red-600"
+                            : "text-amber-600"
+                        )}
+                      >
+                        {STATUS_LABELS[p.status] || p.status}
+                      </p>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        )}
+
+        {!loading && nextCursor && (
+          <div className="mt-4 text-center">
+            <button
+              type="button"
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="rounded-full border border-gray-200 bg-white px-4 py-2 text-xs font-medium text-gray-600 hover:bg-gray-50"
+            >
+              {loadingMore ? "Loading…" : "Load more"}
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+// src/pages/ResetPassword.tsx
+import React, { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [done, setDone] = useState(false);
+
+  const passwordOk = password.trim().length >= 6;
+  const matches = password === confirm;
+
+  async function handleSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    if (!passwordOk || !matches) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/reset-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, password: password.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not reset your password.");
+      setDone(true);
+    } catch (err: any) {
+      setError(err.message || "Could not reset your password.");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center px-4">
+        <div className="w-full max-w-md border rounded-2xl p-6 space-y-3 text-center">
+          <p className="text-sm text-gray-700">
+            This reset link is missing its token.
+          </p>
+          <Link to="/forgot-password" className="text-sm font-semibold text-brand-700">
+            Request a new link
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (done) {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center px-4">
+        <div className="w-full max-w-md border rounded-2xl p-6 space-y-4 text-center">
+          <p className="text-sm text-gray-700">
+            Your password has been reset.
+          </p>
+          <Link
+            to="/login"
+            className="inline-block px-4 py-2 rounded-xl bg-brand-600 text-white text-sm font-semibold"
+          >
+            Log in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md border rounded-2xl p-6 space-y-4"
+      >
+        <h1 className="text-2xl font-extrabold">Choose a new password</h1>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            New password
+          </label>
+          <input
+            type="password"
+            className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <p className="mt-1 text-[11px] text-gray-500">
+            At least 6 characters.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            Confirm new password
+          </label>
+          <input
+            type="password"
+            className="mt-1 w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-brand-400"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            required
+          />
+          {confirm.length > 0 && !matches && (
+            <p className="mt-1 text-[11px] text-red-600">
+              Passwords don&apos;t match.
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <p className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">
+            {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || !passwordOk || !matches}
+          className="w-full rounded-2xl px-4 py-2.5 bg-brand-600 text-white font-semibold hover:bg-brand-700 disabled:bg-gray-300"
+        >
+          {submitting ? "Saving…" : "Reset password"}
+        </button>
+      </form>
+    </div>
+  );
+}
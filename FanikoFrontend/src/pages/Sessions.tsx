@@ -0,0 +1,169 @@
+// src/pages/Sessions.tsx
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+
+type Session = {
+  id: number;
+  device: string;
+  userAgent: string;
+  ip: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+};
+
+function formatDateTime(iso: string) {
+  return new Date(iso).toLocaleString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+export default function Sessions() {
+  const { user, logout, logoutEverywhere } = useAuth();
+  const navigate = useNavigate();
+
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [revokingId, setRevokingId] = useState<number | null>(null);
+  const [loggingOutAll, setLoggingOutAll] = useState(false);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadSessions() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch("http://localhost:4000/api/auth/sessions", {
+          headers: authHeaders,
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load sessions");
+        setSessions(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load sessions");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadSessions();
+    // reload only when the account changes, not on every token refresh
+  }, [user?.id]);
+
+  async function handleRevoke(session: Session) {
+    if (session.current) {
+      logout();
+      navigate("/", { replace: true });
+      return;
+    }
+    setRevokingId(session.id);
+    setError(null);
+    try {
+      const res = await fetch(
+        `http://localhost:4000/api/auth/sessions/${session.id}`,
+        { method: "DELETE", headers: authHeaders }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to log out that device");
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err: any) {
+      setError(err.message || "Failed to log out that device");
+    } finally {
+      setRevokingId(null);
+    }
+  }
+
+  async function handleLogoutEverywhere() {
+    if (!window.confirm("Log out of all devices, including this one?")) return;
+    setLoggingOutAll(true);
+    setError(null);
+    try {
+      await logoutEverywhere();
+      navigate("/login", { replace: true });
+    } catch (err: any) {
+      setError(err.message || "Could not log out of all devices.");
+      setLoggingOutAll(false);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4 flex items-end justify-between gap-3">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+              Account
+            </p>
+            <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+              Where you&apos;re logged in
+            </h1>
+          </div>
+          <button
+            type="button"
+            onClick={handleLogoutEverywhere}
+            disabled={loggingOutAll}
+            className="shrink-0 rounded-full border border-red-200 bg-white px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 disabled:opacity-60"
+          >
+            {loggingOutAll ? "Logging out…" : "Log out of all devices"}
+          </button>
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading sessions…</p>
+        ) : (
+          <section className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-100">
+              {sessions.map((s) => (
+                <li
+                  key={s.id}
+                  className="px-4 py-3 flex items-center justify-between gap-3"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {s.device}
+                      {s.current && (
+                        <span className="ml-2 rounded-full bg-brand-50 px-2 py-0.5 text-[10px] font-semibold uppercase text-brand-700">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Last active {formatDateTime(s.lastUsedAt)}
+                      {s.ip ? ` · ${s.ip}` : ""}
+                    </p>
+                    <p className="text-[11px] text-gray-400">
+                      Signed in {formatDateTime(s.createdAt)}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(s)}
+                    disabled={revokingId === s.id}
+                    className="shrink-0 rounded-full border border-gray-200 bg-white px-3 py-1.5 text-xs font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                  >
+                    {revokingId === s.id ? "Logging out…" : "Log out"}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
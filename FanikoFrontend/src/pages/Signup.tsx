@@ -11,8 +11,8 @@ export default function Signup() {
   // email verify state
   const [emailSent, setEmailSent] = useState(false);
   const [emailVerified, setEmailVerified] = useState(false);
-  const [codeSent, setCodeSent] = useState<string>("");
   const [codeInput, setCodeInput] = useState("");
+  const [codeInfo, setCodeInfo] = useState<string | null>(null);
   const [sendingCode, setSendingCode] = useState(false);
   const [verifyingCode, setVerifyingCode] = useState(false);
 
@@ -38,11 +38,21 @@ export default function Signup() {
     setError(null);
     setEmailVerified(false);
 
-    // TODO: replace with real backend call
-    await new Promise((r) => setTimeout(r, 600));
-    setCodeSent("123456");
-    setEmailSent(true);
-    setSendingCode(false);
+    try {
+      const res = await fetch("http://localhost:4000/api/auth/signup/send-code", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim().toLowerCase() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Could not send the code.");
+      setEmailSent(true);
+      setCodeInfo(data.message || "We sent a 6-digit code to your email.");
+    } catch (err: any) {
+      setError(err.message || "Could not send the code.");
+    } finally {
+      setSendingCode(false);
+    }
   }
 
   async function handleVerifyCode() {
@@ -50,15 +60,27 @@ export default function Signup() {
     setVerifyingCode(true);
     setError(null);
 
-    await new Promise((r) => setTimeout(r, 600));
-    if (codeInput === codeSent) {
+    try {
+      const res = await fetch(
+        "http://localhost:4000/api/auth/signup/verify-code",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            email: email.trim().toLowerCase(),
+            code: codeInput.trim(),
+          }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Incorrect verification code.");
       setEmailVerified(true);
-      setError(null);
-    } else {
+    } catch (err: any) {
       setEmailVerified(false);
-      setError("Incorrect verification code. Please try again.");
+      setError(err.message || "Incorrect verification code. Please try again.");
+    } finally {
+      setVerifyingCode(false);
     }
-    setVerifyingCode(false);
   }
 
   async function handleSubmit(e: React.FormEvent) {
@@ -95,7 +117,7 @@ export default function Signup() {
 
       const data = await res.json(); // { id, email, username, role }
 
-      // 🔹 Keep your existing AuthContext behaviour
+      // Email was verified with the code, so this logs straight in
       await signup(data.email, password, data.username);
 
       navigate("/");
@@ -155,6 +177,7 @@ export default function Signup() {
                 setEmail(e.target.value);
                 setEmailVerified(false);
                 setEmailSent(false);
+                setCodeInfo(null);
               }}
               required
             />
@@ -191,8 +214,7 @@ export default function Signup() {
                 </button>
               </div>
               <p className="text-[11px] text-gray-500">
-                We sent a code to your email (demo: use{" "}
-                <span className="font-mono">123456</span>).
+                {codeInfo} The code expires in 15 minutes.
               </p>
               {emailVerified && (
                 <p className="text-[11px] text-green-600">
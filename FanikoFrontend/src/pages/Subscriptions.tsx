@@ -0,0 +1,204 @@
+// src/pages/Subscriptions.tsx
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+
+type FanSubscription = {
+  id: number;
+  creatorUsername: string;
+  creatorDisplayName: string;
+  price: number;
+  currency: string;
+  status: "active" | "expired";
+  autoRenew: boolean;
+  createdAt: string;
+  expiresAt: string;
+  renewedAt: string | null;
+  canceledAt: string | null;
+  expiredAt: string | null;
+};
+
+function classNames(...c: Array<string | false | undefined>) {
+  return c.filter(Boolean).join(" ");
+}
+
+function formatDate(iso: string | null) {
+  if (!iso) return "—";
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default function Subscriptions() {
+  const { user } = useAuth();
+
+  const [active, setActive] = useState<FanSubscription[]>([]);
+  const [past, setPast] = useState<FanSubscription[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [updatingId, setUpdatingId] = useState<number | null>(null);
+
+  const authHeaders: Record<string, string> = {};
+  if (user?.token) authHeaders["Authorization"] = `Bearer ${user.token}`;
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadSubscriptions() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch("http://localhost:4000/api/subscriptions/mine", {
+          headers: authHeaders,
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load subscriptions");
+        setActive(Array.isArray(data.active) ? data.active : []);
+        setPast(Array.isArray(data.past) ? data.past : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load subscriptions");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadSubscriptions();
+  }, [user]);
+
+  async function handleToggleRenew(sub: FanSubscription) {
+    setUpdatingId(sub.id);
+    setError(null);
+    try {
+      const action = sub.autoRenew ? "cancel" : "resume";
+      const res = await fetch(
+        `http://localhost:4000/api/creators/${encodeURIComponent(
+          sub.creatorUsername
+        )}/subscription/${action}`,
+        { method: "POST", headers: authHeaders }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to update subscription");
+      setActive((prev) =>
+        prev.map((s) => (s.id === sub.id ? data.subscription : s))
+      );
+    } catch (err: any) {
+      setError(err.message || "Failed to update subscription");
+    } finally {
+      setUpdatingId(null);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4">
+          <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+            Account
+          </p>
+          <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+            Subscriptions
+          </h1>
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading subscriptions…</p>
+        ) : (
+          <>
+            <section className="rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+              <h2 className="px-4 pt-4 text-sm font-semibold text-gray-900">
+                Active ({active.length})
+              </h2>
+              {active.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500">
+                  You&apos;re not subscribed to anyone yet.{" "}
+                  <Link to="/explore" className="font-semibold text-brand-700">
+                    Explore creators
+                  </Link>
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {active.map((s) => (
+                    <li
+                      key={s.id}
+                      className="px-4 py-3 flex items-center justify-between gap-3"
+                    >
+                      <div className="min-w-0">
+                        <Link
+                          to={`/c/${encodeURIComponent(s.creatorUsername)}`}
+                          className="text-sm font-semibold text-gray-900 hover:underline"
+                        >
+                          {s.creatorDisplayName}
+                        </Link>
+                        <p className="text-xs text-gray-500">
+                          {s.currency} {Number(s.price || 0).toFixed(2)}/month ·{" "}
+                          {s.autoRenew
+                            ? `Renews ${formatDate(s.expiresAt)}`
+                            : `Ends ${formatDate(s.expiresAt)}`}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleToggleRenew(s)}
+                        disabled={updatingId === s.id}
+                        className={classNames(
+                          "shrink-0 rounded-full border px-3 py-1.5 text-xs font-semibold disabled:opacity-60",
+                          s.autoRenew
+                            ? "border-gray-200 bg-white text-gray-700 hover:bg-gray-50"
+                            : "border-brand-200 bg-white text-brand-700 hover:bg-brand-50"
+                        )}
+                      >
+                        {updatingId === s.id
+                          ? "Saving…"
+                          : s.autoRenew
+                          ? "Cancel renewal"
+                          : "Resume"}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            {past.length > 0 && (
+              <section className="mt-4 rounded-2xl bg-white border border-gray-100 shadow-sm overflow-hidden">
+                <h2 className="px-4 pt-4 text-sm font-semibold text-gray-900">
+                  Past ({past.length})
+                </h2>
+                <ul className="divide-y divide-gray-100">
+                  {past.map((s) => (
+                    <li
+                      key={s.id}
+                      className="px-4 py-3 flex items-center justify-between gap-3"
+                    >
+                      <div className="min-w-0">
+                        <Link
+                          to={`/c/${encodeURIComponent(s.creatorUsername)}`}
+                          className="text-sm font-semibold text-gray-900 hover:underline"
+                        >
+                          {s.creatorDisplayName}
+                        </Link>
+                        <p className="text-xs text-gray-500">
+                          {formatDate(s.createdAt)} –{" "}
+                          {formatDate(s.expiredAt || s.expiresAt)}
+                        </p>
+                      </div>
+                      <span className="shrink-0 rounded-full bg-gray-100 px-2 py-0.5 text-[10px] font-semibold uppercase text-gray-500">
+                        Expired
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
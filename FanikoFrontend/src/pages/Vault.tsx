@@ -0,0 +1,157 @@
+// src/pages/Vault.tsx
+// Every PPV post the fan has unlocked, across all creators, newest unlock
+// first. Media URLs come pre-signed for this fan.
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../AuthContext";
+import PostMedia, { PostMediaItem } from "../PostMedia";
+
+type VaultItem = {
+  unlockedAt: string;
+  creator: { username: string; displayName: string; avatarUrl: string | null };
+  post: {
+    id: number;
+    title: string;
+    description?: string;
+    price?: number | null;
+    hasMedia?: boolean;
+    media?: PostMediaItem[];
+    locked?: boolean;
+  };
+};
+
+function formatDate(iso: string) {
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default function Vault() {
+  const { user } = useAuth();
+
+  const [items, setItems] = useState<VaultItem[]>([]);
+  const [query, setQuery] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    async function loadVault() {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch("http://localhost:4000/api/unlocks/mine", {
+          headers: { Authorization: `Bearer ${user!.token}` },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load your vault");
+        setItems(Array.isArray(data) ? data : []);
+      } catch (err: any) {
+        setError(err.message || "Failed to load your vault");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadVault();
+    // reload only when the account changes, not on every token refresh
+  }, [user?.id]);
+
+  if (!user) return null;
+
+  const q = query.trim().toLowerCase();
+  const shown = q
+    ? items.filter(
+        (i) =>
+          i.post.title.toLowerCase().includes(q) ||
+          i.creator.displayName.toLowerCase().includes(q) ||
+          i.creator.username.toLowerCase().includes(q)
+      )
+    : items;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-3xl mx-auto px-4 pt-10 pb-24">
+        <div className="mb-4 flex items-end justify-between gap-3">
+          <div>
+            <p className="text-xs font-semibold uppercase tracking-wide text-brand-600">
+              Account
+            </p>
+            <h1 className="mt-1 text-xl font-bold tracking-tight text-gray-900">
+              Your vault
+            </h1>
+            <p className="text-xs text-gray-500">
+              {items.length} unlocked {items.length === 1 ? "post" : "posts"}
+            </p>
+          </div>
+          {items.length > 0 && (
+            <input
+              type="search"
+              placeholder="Search posts or creators"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-48 rounded-xl border px-3 py-1.5 text-xs outline-none focus:ring-2 focus:ring-brand-400"
+            />
+          )}
+        </div>
+
+        {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading your vault…</p>
+        ) : items.length === 0 ? (
+          <div className="rounded-2xl border border-dashed border-gray-200 bg-white p-6 text-center">
+            <p className="text-sm text-gray-600">
+              Posts you unlock show up here, so you can find them again.
+            </p>
+            <Link
+              to="/explore"
+              className="mt-3 inline-flex items-center rounded-2xl bg-brand-600 px-4 py-2 text-xs font-semibold text-white hover:bg-brand-700"
+            >
+              Find creators
+            </Link>
+          </div>
+        ) : shown.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing matches “{query}”.</p>
+        ) : (
+          <div className="grid gap-4 sm:grid-cols-2">
+            {shown.map((item) => (
+              <article
+                key={item.post.id}
+                className="rounded-2xl border border-gray-100 bg-white p-3 shadow-sm"
+              >
+                <div className="relative flex h-48 items-center justify-center overflow-hidden rounded-xl bg-gray-100">
+                  <PostMedia
+                    media={item.post.media || []}
+                    title={item.post.title}
+                    locked={!!item.post.locked}
+                  />
+                </div>
+                <h2 className="mt-2 text-sm font-semibold text-gray-900 truncate">
+                  {item.post.title}
+                </h2>
+                {item.post.description && (
+                  <p className="mt-0.5 text-xs text-gray-600 line-clamp-2">
+                    {item.post.description}
+                  </p>
+                )}
+                <p className="mt-1 text-[11px] text-gray-500">
+                  <Link
+                    to={`/c/${encodeURIComponent(item.creator.username)}`}
+                    className="font-medium hover:text-brand-700"
+                  >
+                    {item.creator.displayName}
+                  </Link>{" "}
+                  · unlocked {formatDate(item.unlockedAt)}
+                </p>
+              </article>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// src/pages/VerifyEmail.tsx
+import React, { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+
+// Landing page for the emailed verification link
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [status, setStatus] = useState<"verifying" | "verified" | "error">(
+    "verifying"
+  );
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    async function verify() {
+      try {
+        const res = await fetch(
+          `http://localhost:4000/api/auth/verify-email?token=${encodeURIComponent(
+            token
+          )}`
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Verification failed.");
+        setStatus("verified");
+      } catch (err: any) {
+        setError(err.message || "Verification failed.");
+        setStatus("error");
+      }
+    }
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-white flex items-center justify-center px-4">
+      <div className="w-full max-w-md border rounded-2xl p-6 space-y-4 text-center">
+        {status === "verifying" && (
+          <p className="text-sm text-gray-600">Verifying your email…</p>
+        )}
+        {status === "verified" && (
+          <>
+            <p className="text-sm text-gray-700">
+              Your email is verified. You can log in now.
+            </p>
+            <Link
+              to="/login"
+              className="inline-block px-4 py-2 rounded-xl bg-brand-600 text-white text-sm font-semibold"
+            >
+              Log in
+            </Link>
+          </>
+        )}
+        {status === "error" && (
+          <>
+            <p className="text-sm text-red-600">{error}</p>
+            <p className="text-xs text-gray-500">
+              Try logging in – you can ask for a new link from there.
+            </p>
+            <Link to="/login" className="text-sm font-semibold text-brand-700">
+              Go to log in
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+// src/payments.ts
+// Second step of the payment flow: tip / unlock / subscribe return a pending
+// payment, and nothing is granted until it's confirmed here.
+
+export type PaymentStatus =
+  | "requires_confirmation"
+  | "processing"
+  | "succeeded"
+  | "failed"
+  | "refunded";
+
+export interface PendingPayment {
+  id: number;
+  purpose: "tip" | "ppv_unlock" | "subscription";
+  status: PaymentStatus;
+  amount: number;
+  currency: string;
+  clientSecret: string;
+  failureReason?: string | null;
+}
+
+// Local mock gateway test card (use "pm_mock_declined" to simulate a decline)
+export const DEFAULT_PAYMENT_METHOD = "pm_mock_card";
+
+// A card saved on the account (Account → Payment methods). Only the
+// provider's token is stored, never the card number.
+export interface SavedPaymentMethod {
+  id: number;
+  token: string;
+  brand: string;
+  last4: string;
+  expMonth: number;
+  expYear: number;
+  isDefault: boolean;
+  createdAt: string;
+}
+
+const API = "http://localhost:4000";
+const POLL_INTERVAL_MS = 1000;
+const POLL_ATTEMPTS = 10;
+
+// One Idempotency-Key per checkout (e.g. "tip:alice"): a double click or a
+// retried request reuses it, so the backend starts a single payment.
+const checkoutKeys = new Map<string, string>();
+
+/** Headers for the request that starts a payment (tip / unlock / subscribe). */
+export function checkoutHeaders(scope: string): Record<string, string> {
+  let key = checkoutKeys.get(scope);
+  if (!key) {
+    key = crypto.randomUUID();
+    checkoutKeys.set(scope, key);
+  }
+  return { "Idempotency-Key": key };
+}
+
+/** The checkout is over (paid, failed or abandoned): the next one gets a new key. */
+export function endCheckout(scope: string) {
+  checkoutKeys.delete(scope);
+}
+
+/**
+ * Confirm a pending payment. Without a paymentMethod the backend charges the
+ * fan's default saved card (or the test card if they have none). Resolves
+ * once it has succeeded; throws with a readable message if it fails or never
+ * settles.
+ */
+export async function confirmPayment(
+  payment: PendingPayment,
+  paymentMethod?: string
+): Promise<void> {
+  const res = await fetch(`${API}/api/payments/${payment.id}/confirm`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      clientSecret: payment.clientSecret,
+      ...(paymentMethod ? { paymentMethod } : {}),
+    }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data?.error || "Payment failed.");
+
+  let status: PaymentStatus = data.payment?.status;
+
+  // Some providers settle asynchronously (webhook); wait for the final status
+  for (let i = 0; status === "processing" && i < POLL_ATTEMPTS; i++) {
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    const pollRes = await fetch(
+      `${API}/api/payments/${payment.id}?clientSecret=${encodeURIComponent(
+        payment.clientSecret
+      )}`
+    );
+    if (pollRes.ok) status = (await pollRes.json()).status;
+  }
+
+  if (status === "failed") throw new Error("Payment failed.");
+  if (status !== "succeeded") {
+    throw new Error("Payment is still processing. Please check back shortly.");
+  }
+}